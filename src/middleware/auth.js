@@ -1,12 +1,13 @@
 // src/middleware/auth.js - JWT authentication middleware
 const jwt = require('jsonwebtoken');
+const SessionService = require('../services/SessionService');
 const logger = require('../utils/logger');
 
 /**
  * JWT Authentication Middleware
- * Validates JWT token and attaches user info to request
+ * Validates JWT token, rejects revoked sessions and attaches user info to request
  */
-const auth = (req, res, next) => {
+const auth = async (req, res, next) => {
   try {
     console.log('🔍 Auth Debug:');
     console.log('Authorization header:', req.header('Authorization'));
@@ -38,11 +39,30 @@ const auth = (req, res, next) => {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     console.log('✅ Token decoded:', { userId: decoded.userId, username: decoded.username });
 
+    // Tokens issued before sessions existed cannot be revoked
+    if (!decoded.sid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session required. Please log in again.',
+        code: 'SESSION_REQUIRED'
+      });
+    }
+
+    if (await new SessionService().isRevoked(decoded.sid)) {
+      console.log('❌ Session revoked:', decoded.sid);
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked. Please log in again.',
+        code: 'SESSION_REVOKED'
+      });
+    }
+
     req.user = {
       userId: decoded.userId,
       suiAddress: decoded.suiAddress,
       username: decoded.username,
-      role: decoded.role || 'user'
+      role: decoded.role || 'user',
+      sessionId: decoded.sid
     };
 
     next();
@@ -100,7 +120,7 @@ const adminAuth = (req, res, next) => {
  * Optional Authentication Middleware
  * Attaches user info if token is present, but doesn't require it
  */
-const optionalAuth = (req, res, next) => {
+const optionalAuth = async (req, res, next) => {
   const authHeader = req.header('Authorization');
   
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -113,12 +133,17 @@ const optionalAuth = (req, res, next) => {
   
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (!decoded.sid || await new SessionService().isRevoked(decoded.sid)) {
+      throw new Error('Session revoked');
+    }
     
     req.user = {
       userId: decoded.userId,
       suiAddress: decoded.suiAddress,
       username: decoded.username,
-      role: decoded.role || 'user'
+      role: decoded.role || 'user',
+      sessionId: decoded.sid
     };
     
     logger.debug(`Optional auth successful: ${decoded.userId}`);
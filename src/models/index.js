@@ -31,20 +31,59 @@ const userSchema = new mongoose.Schema({
     match: /^0x[a-fA-F0-9]{64}$/
     // REMOVED: unique: true
   },
+  // Removed once the wallet has been exported to self-custody
   encryptedPrivateKey: {
     type: String,
-    required: true
+    required: function() {
+      return this.custodial !== false;
+    }
+  },
+  custodial: {
+    type: Boolean,
+    default: true
   },
+  custodyExportedAt: Date,
   profileObjectId: {
     type: String,
     match: /^0x[a-fA-F0-9]{64}$/
   },
   avatarUrl: String,
+  // Carried into every access token; granted with `npm run users:set-role`
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
   isActive: {
     type: Boolean,
     default: true
   },
   lastLoginAt: Date,
+  // bcrypt hash; only loaded where the password is checked
+  password: {
+    type: String,
+    select: false
+  },
+  // 'wallet' accounts have no password and can only sign in with a wallet signature
+  signUpMethod: {
+    type: String,
+    enum: ['email', 'wallet'],
+    default: 'email'
+  },
+  // Self-custody wallets the user proved ownership of (sign-in with Sui)
+  linkedWallets: [{
+    _id: false,
+    address: {
+      type: String,
+      required: true,
+      match: /^0x[a-fA-F0-9]{64}$/
+    },
+    label: String,
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   metadata: {
     type: Map,
     of: mongoose.Schema.Types.Mixed,
@@ -59,9 +98,168 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1 }, { unique: true });
 userSchema.index({ username: 1 }, { unique: true });
 userSchema.index({ suiAddress: 1 }, { unique: true });
+userSchema.index(
+  { 'linkedWallets.address': 1 },
+  { unique: true, partialFilterExpression: { 'linkedWallets.address': { $exists: true } } }
+);
 userSchema.index({ isActive: 1 });
 userSchema.index({ createdAt: -1 });
 
+// Auth Session Schema - one per logged-in device, holds the current refresh token hash
+const authSessionSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: uuidv4
+  },
+  userId: {
+    type: String,
+    required: true,
+    ref: 'User'
+  },
+  // SHA-256 of the current refresh token; the raw token is never stored
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // Hash of the token that was rotated out, kept to detect reuse of a stolen token
+  previousRefreshTokenHash: String,
+  rotatedAt: Date,
+  deviceName: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  userAgent: String,
+  ipAddress: String,
+  rotationCount: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'user_revoked', 'refresh_token_reuse', 'admin', 'role_changed']
+  }
+}, {
+  timestamps: true,
+  collection: 'authsessions'
+});
+
+// Only use .index() method
+authSessionSchema.index({ userId: 1, revokedAt: 1 });
+authSessionSchema.index({ expiresAt: 1 });
+
+// Wallet Challenge Schema - nonce message an external Sui wallet signs to log in or link
+const walletChallengeSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: uuidv4
+  },
+  address: {
+    type: String,
+    required: true,
+    match: /^0x[a-fA-F0-9]{64}$/
+  },
+  purpose: {
+    type: String,
+    enum: ['login', 'link'],
+    required: true
+  },
+  // Set for 'link' challenges: the account the wallet will be attached to
+  userId: {
+    type: String,
+    ref: 'User'
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'used'],
+    default: 'active'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: Date
+}, {
+  timestamps: true,
+  collection: 'walletchallenges'
+});
+
+// Only use .index() method
+walletChallengeSchema.index({ nonce: 1 }, { unique: true });
+walletChallengeSchema.index({ address: 1, status: 1 });
+walletChallengeSchema.index({ expiresAt: 1 });
+
+// Wallet Export Schema - guarded hand-over of a custodial wallet to self-custody
+const walletExportSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: uuidv4
+  },
+  userId: {
+    type: String,
+    required: true,
+    ref: 'User'
+  },
+  method: {
+    type: String,
+    enum: ['reveal_key', 'transfer'],
+    required: true
+  },
+  // Required for 'transfer': where NFTs and SUI are sent
+  destinationAddress: {
+    type: String,
+    match: /^0x[a-fA-F0-9]{64}$/
+  },
+  confirmationTokenHash: {
+    type: String,
+    required: true
+  },
+  confirmationExpiresAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending_confirmation', 'confirmed', 'completed', 'cancelled', 'failed'],
+    default: 'pending_confirmation'
+  },
+  confirmedAt: Date,
+  // Earliest time the export can be completed (confirmation + delay)
+  availableAt: Date,
+  completedAt: Date,
+  cancelledAt: Date,
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  error: String,
+  ipAddress: String
+}, {
+  timestamps: true,
+  collection: 'walletexports'
+});
+
+// Only use .index() method
+walletExportSchema.index({ userId: 1, status: 1 });
+walletExportSchema.index({ createdAt: -1 });
+
 // Treasure Schema
 const treasureSchema = new mongoose.Schema({
   _id: {
@@ -120,6 +318,90 @@ const treasureSchema = new mongoose.Schema({
     min: 1,
     max: 4
   },
+  // single: one winner, limited: first maxFinders hunters, unlimited: every hunter once
+  mode: {
+    type: String,
+    enum: ['single', 'limited', 'unlimited'],
+    default: 'single'
+  },
+  maxFinders: {
+    type: Number,
+    min: 1,
+    required: [function() {
+      return this.mode === 'limited';
+    }, 'Limited treasures need a maxFinders supply']
+  },
+  findersCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Reward for later finders; mode defaults are used when strategy is not set
+  rewardDecay: {
+    strategy: {
+      type: String,
+      enum: ['none', 'linear', 'exponential']
+    },
+    rate: {
+      type: Number,
+      min: 0,
+      max: 1
+    },
+    minRewardPoints: {
+      type: Number,
+      min: 0
+    }
+  },
+  // Absolute availability window for timed drops
+  availableFrom: {
+    type: Date,
+    default: null
+  },
+  availableUntil: {
+    type: Date,
+    default: null
+  },
+  // Recurring schedule evaluated in the treasure's timezone; endTime before startTime spans midnight
+  schedule: {
+    timezone: {
+      type: String,
+      default: 'UTC'
+    },
+    daysOfWeek: [{
+      type: Number,
+      min: 0, // Sunday
+      max: 6
+    }],
+    startTime: {
+      type: String,
+      match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Start time must be HH:mm']
+    },
+    endTime: {
+      type: String,
+      match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'End time must be HH:mm']
+    }
+  },
+  // Discoveries must include a verified tap on one of the treasure's NFC tags
+  requiresNfc: {
+    type: Boolean,
+    default: false
+  },
+  // Last time this treasure was confirmed in the on-chain TreasureRegistry
+  registrySyncedAt: {
+    type: Date,
+    default: null
+  },
+  // First sync that no longer found this treasure in the registry; cleared when it reappears
+  missingFromRegistryAt: {
+    type: Date,
+    default: null
+  },
+  // Bumped to invalidate every previously issued QR code
+  qrVersion: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -145,6 +427,107 @@ treasureSchema.index({ location: '2dsphere' });
 treasureSchema.index({ isActive: 1 });
 treasureSchema.index({ rarity: 1 });
 treasureSchema.index({ createdAt: -1 });
+treasureSchema.index({ registrySyncedAt: 1 });
+treasureSchema.index({ availableFrom: 1, availableUntil: 1 });
+
+const REWARD_DECAY_DEFAULTS = {
+  single: { strategy: 'none', rate: 0 },
+  limited: { strategy: 'linear', rate: 0.1 },
+  unlimited: { strategy: 'exponential', rate: 0.05 }
+};
+
+/**
+ * Total number of finders allowed (Infinity for unlimited treasures)
+ */
+treasureSchema.methods.getSupply = function() {
+  if (this.mode === 'unlimited') return Infinity;
+  if (this.mode === 'limited') return this.maxFinders;
+  return 1;
+};
+
+treasureSchema.methods.isSoldOut = function() {
+  return (this.findersCount || 0) >= this.getSupply();
+};
+
+/**
+ * Reward points for the n-th finder (1-based) after decay
+ */
+treasureSchema.methods.getRewardForFinder = function(finderNumber) {
+  const defaults = REWARD_DECAY_DEFAULTS[this.mode || 'single'];
+  const strategy = this.rewardDecay?.strategy || defaults.strategy;
+  const rate = this.rewardDecay?.rate ?? defaults.rate;
+  const minRewardPoints = this.rewardDecay?.minRewardPoints ?? Math.round(this.rewardPoints * 0.1);
+  const earlierFinders = Math.max(0, finderNumber - 1);
+
+  let reward = this.rewardPoints;
+  if (strategy === 'linear') {
+    reward = this.rewardPoints * (1 - rate * earlierFinders);
+  } else if (strategy === 'exponential') {
+    reward = this.rewardPoints * Math.pow(1 - rate, earlierFinders);
+  }
+
+  return Math.max(Math.round(reward), Math.min(minRewardPoints, this.rewardPoints));
+};
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Whether the treasure can be hunted at the given time, with the reason when it cannot
+ */
+treasureSchema.methods.getAvailability = function(date = new Date()) {
+  if (this.availableFrom && date < this.availableFrom) {
+    return { available: false, reason: 'not_started' };
+  }
+  if (this.availableUntil && date >= this.availableUntil) {
+    return { available: false, reason: 'ended' };
+  }
+
+  const { timezone, daysOfWeek, startTime, endTime } = this.schedule || {};
+  const hasDays = daysOfWeek && daysOfWeek.length > 0;
+  if (!hasDays && !startTime && !endTime) {
+    return { available: true, reason: null };
+  }
+
+  // Local weekday and minute of day in the treasure's timezone
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone || 'UTC',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).reduce((map, part) => ({ ...map, [part.type]: part.value }), {});
+
+  const weekday = WEEKDAYS[parts.weekday];
+  const minutes = parseInt(parts.hour) * 60 + parseInt(parts.minute);
+  const toMinutes = (time) => {
+    const [hours, mins] = time.split(':').map(Number);
+    return hours * 60 + mins;
+  };
+  const start = startTime ? toMinutes(startTime) : 0;
+  const end = endTime ? toMinutes(endTime) : 24 * 60;
+  const dayAllowed = (day) => !hasDays || daysOfWeek.includes(day);
+
+  let inWindow;
+  if (start <= end) {
+    inWindow = minutes >= start && minutes < end && dayAllowed(weekday);
+  } else if (minutes >= start) {
+    // Evening part of an overnight window
+    inWindow = dayAllowed(weekday);
+  } else {
+    // Early-morning tail belongs to the previous day's window
+    inWindow = minutes < end && dayAllowed((weekday + 6) % 7);
+  }
+
+  return inWindow ? { available: true, reason: null } : { available: false, reason: 'outside_schedule' };
+};
+
+treasureSchema.virtual('latitude').get(function() {
+  return this.location?.coordinates?.[1];
+});
+
+treasureSchema.virtual('longitude').get(function() {
+  return this.location?.coordinates?.[0];
+});
 
 // Treasure Discovery Schema
 const treasureDiscoverySchema = new mongoose.Schema({
@@ -197,10 +580,57 @@ const treasureDiscoverySchema = new mongoose.Schema({
     type: mongoose.Schema.Types.Mixed,
     required: true
   },
+  // Position of this hunter among the treasure's finders (1 = first)
+  finderNumber: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  // Points actually awarded after reward decay
+  rewardPoints: {
+    type: Number,
+    min: 0
+  },
+  // Hints unlocked before the find and the points they cost
+  hintsUsed: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  hintPenalty: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Current holder once the NFT was gifted; unset while the finder still owns it
+  ownerId: {
+    type: String,
+    ref: 'User'
+  },
+  ownerAddress: String,
+  transferCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lastTransferredAt: Date,
+  // Set while an on-chain transfer is running so the NFT cannot be sent twice
+  transferStartedAt: Date,
+  // Open marketplace listing; the NFT sits in escrow meanwhile
+  listingId: {
+    type: String,
+    ref: 'Listing'
+  },
   verificationData: {
     type: mongoose.Schema.Types.Mixed,
     default: {}
   },
+  // On-chain state of the discovery transaction (updated by the reconciler)
+  status: {
+    type: String,
+    enum: ['pending', 'confirmed', 'failed', 'offline'],
+    default: 'pending'
+  },
   discoveredAt: {
     type: Date,
     default: Date.now
@@ -212,10 +642,14 @@ const treasureDiscoverySchema = new mongoose.Schema({
 
 // Only use .index() method
 treasureDiscoverySchema.index({ userId: 1 });
-treasureDiscoverySchema.index({ treasureId: 1 }, { unique: true });
+treasureDiscoverySchema.index({ ownerId: 1 });
+// One discovery per hunter per treasure; supply limits are enforced through Treasure.findersCount
+treasureDiscoverySchema.index({ treasureId: 1, userId: 1 }, { unique: true });
+treasureDiscoverySchema.index({ treasureId: 1, finderNumber: 1 });
 treasureDiscoverySchema.index({ nftObjectId: 1 }, { unique: true });
 treasureDiscoverySchema.index({ transactionDigest: 1 }, { unique: true });
 treasureDiscoverySchema.index({ discoveredAt: -1 });
+treasureDiscoverySchema.index({ status: 1 });
 
 // Transaction Schema
 const transactionSchema = new mongoose.Schema({
@@ -238,8 +672,9 @@ const transactionSchema = new mongoose.Schema({
         const hexRegex = /^[a-fA-F0-9]{64}$/; // 64-character hex
         const hex0xRegex = /^0x[a-fA-F0-9]{64}$/; // 0x prefix hex
         const offlineRegex = /^offline_/; // Offline transactions
+        const pendingRegex = /^pending_/; // Placeholder until the real digest is known
         
-        return base58Regex.test(v) || hexRegex.test(v) || hex0xRegex.test(v) || offlineRegex.test(v);
+        return base58Regex.test(v) || hexRegex.test(v) || hex0xRegex.test(v) || offlineRegex.test(v) || pendingRegex.test(v);
       },
       message: 'Transaction digest must be a valid Base58 or hexadecimal format'
     }
@@ -247,7 +682,7 @@ const transactionSchema = new mongoose.Schema({
   type: {
     type: String,
     required: true,
-    enum: ['treasure_reward', 'transfer', 'faucet', 'admin']
+    enum: ['treasure_reward', 'transfer', 'nft_transfer', 'marketplace', 'faucet', 'admin']
   },
   amount: {
     type: Number,
@@ -299,74 +734,817 @@ transactionSchema.index({ type: 1 });
 transactionSchema.index({ status: 1 });
 transactionSchema.index({ createdAt: -1 });
 
-// Hunter Profile Schema
-const hunterProfileSchema = new mongoose.Schema({
+// Mint Job Schema - retry queue for discoveries saved while the chain was unavailable
+const mintJobSchema = new mongoose.Schema({
   _id: {
     type: String,
     default: uuidv4
   },
+  discoveryId: {
+    type: String,
+    required: true,
+    ref: 'TreasureDiscovery'
+  },
   userId: {
     type: String,
     required: true,
     ref: 'User'
-    // REMOVED: unique: true
   },
-  rank: {
+  treasureId: {
     type: String,
-    enum: ['beginner', 'explorer', 'hunter', 'master'],
-    default: 'beginner'
+    required: true
   },
-  totalTreasuresFound: {
-    type: Number,
-    default: 0,
-    min: 0
+  locationProof: {
+    type: String,
+    required: true
   },
-  totalScore: {
-    type: Number,
-    default: 0,
-    min: 0
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'succeeded', 'failed'],
+    default: 'queued'
   },
-  currentStreak: {
+  attempts: {
     type: Number,
     default: 0,
     min: 0
   },
-  longestStreak: {
+  maxAttempts: {
     type: Number,
-    default: 0,
-    min: 0
+    default: 8,
+    min: 1
   },
-  lastHuntTimestamp: Date,
-  achievements: {
-    type: [String],
-    default: []
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
   },
-  statistics: {
-    type: Map,
-    of: mongoose.Schema.Types.Mixed,
+  lastError: String,
+  lastAttemptAt: Date,
+  completedAt: Date,
+  result: {
+    type: mongoose.Schema.Types.Mixed,
     default: {}
   }
 }, {
   timestamps: true,
-  collection: 'hunterprofiles'
+  collection: 'mintjobs'
 });
 
 // Only use .index() method
-hunterProfileSchema.index({ userId: 1 }, { unique: true });
-hunterProfileSchema.index({ rank: 1 });
-hunterProfileSchema.index({ totalScore: -1 });
-hunterProfileSchema.index({ totalTreasuresFound: -1 });
+mintJobSchema.index({ discoveryId: 1 }, { unique: true });
+mintJobSchema.index({ status: 1, nextAttemptAt: 1 });
+mintJobSchema.index({ status: 1, lastAttemptAt: 1 });
+mintJobSchema.index({ userId: 1 });
+mintJobSchema.index({ createdAt: -1 });
 
-// Achievement Schema
-const achievementSchema = new mongoose.Schema({
+// Gas Sponsorship Schema - gas paid by the treasury sponsor for a player's transaction
+const gasSponsorshipSchema = new mongoose.Schema({
   _id: {
     type: String,
     default: uuidv4
   },
-  achievementId: {
+  userId: {
     type: String,
-    required: true
-    // REMOVED: unique: true
+    ref: 'User'
+  },
+  sender: {
+    type: String,
+    required: true
+  },
+  sponsor: {
+    type: String,
+    required: true
+  },
+  moveCall: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['reserved', 'success', 'failed'],
+    default: 'reserved'
+  },
+  // MIST counted against the daily budget: the gas budget while reserved, the gas actually used afterwards
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  gasBudget: {
+    type: Number,
+    required: true
+  },
+  // Sponsor coin the transaction pays gas with, and the budget day it was counted against
+  gasCoinId: String,
+  budgetDay: String,
+  transactionDigest: String,
+  error: String
+}, {
+  timestamps: true,
+  collection: 'gassponsorships'
+});
+
+// Only use .index() method
+gasSponsorshipSchema.index({ sender: 1, createdAt: -1 });
+gasSponsorshipSchema.index({ userId: 1, createdAt: -1 });
+gasSponsorshipSchema.index({ createdAt: -1 });
+
+// Faucet Usage Schema - cooldown and lifetime count per user or IP, claimed with a conditional upsert
+const faucetUsageSchema = new mongoose.Schema({
+  // 'user:<userId>' or 'ip:<address>'
+  _id: String,
+  lastRequestAt: {
+    type: Date,
+    required: true
+  },
+  // Successful and in-flight requests
+  requests: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  collection: 'faucetusages'
+});
+
+// Gas Sponsor Budget Schema - sponsored MIST per sender and UTC day, reserved with a conditional $inc
+const gasSponsorBudgetSchema = new mongoose.Schema({
+  // `${sender}:${day}`
+  _id: String,
+  sender: {
+    type: String,
+    required: true
+  },
+  // YYYY-MM-DD (UTC)
+  day: {
+    type: String,
+    required: true
+  },
+  spentMist: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  collection: 'gassponsorbudgets'
+});
+
+// Only use .index() method
+gasSponsorBudgetSchema.index({ day: 1 });
+
+// Gas Coin Lease Schema - a sponsor gas coin held by one in-flight sponsored transaction
+const gasCoinLeaseSchema = new mongoose.Schema({
+  // Coin object ID
+  _id: String,
+  sponsor: {
+    type: String,
+    required: true
+  },
+  sponsorshipId: {
+    type: String,
+    ref: 'GasSponsorship'
+  },
+  leasedUntil: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  collection: 'gascoinleases'
+});
+
+// Only use .index() method
+gasCoinLeaseSchema.index({ sponsor: 1, leasedUntil: 1 });
+
+// Listing Schema - treasure NFT for sale on the marketplace, held in escrow until sold or delisted
+const listingOfferSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: uuidv4
+  },
+  buyerId: {
+    type: String,
+    required: true,
+    ref: 'User'
+  },
+  // MIST
+  price: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  status: {
+    type: String,
+    enum: ['open', 'accepted', 'declined', 'withdrawn', 'expired'],
+    default: 'open'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const listingSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: uuidv4
+  },
+  sellerId: {
+    type: String,
+    required: true,
+    ref: 'User'
+  },
+  discoveryId: {
+    type: String,
+    required: true,
+    ref: 'TreasureDiscovery'
+  },
+  nftObjectId: {
+    type: String,
+    required: true
+  },
+  treasureId: {
+    type: String,
+    required: true
+  },
+  rarity: {
+    type: Number,
+    required: true
+  },
+  // Asking price in MIST
+  price: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Share of the sale paid to the treasure creator, in basis points
+  royaltyBps: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 10000
+  },
+  royaltyRecipientId: {
+    type: String,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'settling', 'sold', 'cancelled', 'failed', 'settlement_failed'],
+    default: 'pending'
+  },
+  escrowAddress: String,
+  escrowDigest: String,
+  // When a listing, sale or delist started; settling listings older than the timeout can be recovered
+  settlingAt: Date,
+  settlingAction: {
+    type: String,
+    enum: ['list', 'sale', 'delist']
+  },
+  offers: {
+    type: [listingOfferSchema],
+    default: []
+  },
+  buyerId: {
+    type: String,
+    ref: 'User'
+  },
+  salePrice: Number,
+  royaltyAmount: Number,
+  paymentDigest: String,
+  deliveryDigest: String,
+  soldAt: Date,
+  cancelledAt: Date,
+  error: String
+}, {
+  timestamps: true,
+  collection: 'listings'
+});
+
+// Only use .index() method
+listingSchema.index({ status: 1, rarity: 1, createdAt: -1 });
+listingSchema.index({ status: 1, treasureId: 1 });
+listingSchema.index({ status: 1, soldAt: -1 });
+listingSchema.index({ status: 1, settlingAt: 1 });
+listingSchema.index({ sellerId: 1, createdAt: -1 });
+listingSchema.index({ 'offers.buyerId': 1 });
+listingSchema.index({ nftObjectId: 1 });
+
+// Location Proof Session Schema - server-issued nonce that signed GPS readings are bound to
+const locationProofSessionSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: uuidv4
+  },
+  userId: {
+    type: String,
+    required: true,
+    ref: 'User'
+  },
+  treasureId: {
+    type: String,
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  // Base64 Ed25519 public key of the device that signs the readings
+  publicKey: {
+    type: String,
+    required: true
+  },
+  // Registered device the key belongs to
+  deviceId: {
+    type: String,
+    required: true,
+    ref: 'LocationDevice'
+  },
+  status: {
+    type: String,
+    enum: ['active', 'used', 'expired'],
+    default: 'active'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: Date,
+  verification: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true,
+  collection: 'locationproofsessions'
+});
+
+// Only use .index() method
+locationProofSessionSchema.index({ nonce: 1 }, { unique: true });
+locationProofSessionSchema.index({ userId: 1, treasureId: 1, status: 1 });
+locationProofSessionSchema.index({ expiresAt: 1 });
+
+// Location Device Schema - signing keys a hunter registered for location proofs
+const locationDeviceSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: uuidv4
+  },
+  userId: {
+    type: String,
+    required: true,
+    ref: 'User'
+  },
+  // Base64 Ed25519 public key; the private key never leaves the device
+  publicKey: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  status: {
+    type: String,
+    enum: ['active', 'revoked'],
+    default: 'active'
+  },
+  lastUsedAt: Date,
+  revokedAt: Date
+}, {
+  timestamps: true,
+  collection: 'locationdevices'
+});
+
+// Only use .index() method
+// A key can only ever belong to one hunter
+locationDeviceSchema.index({ publicKey: 1 }, { unique: true });
+locationDeviceSchema.index({ userId: 1, status: 1 });
+
+// Hint Unlock Schema - one record per hint a hunter revealed
+const hintUnlockSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: uuidv4
+  },
+  userId: {
+    type: String,
+    required: true,
+    ref: 'User'
+  },
+  treasureId: {
+    type: String,
+    required: true
+  },
+  // Position in the treasure's metadata.hints array
+  hintIndex: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Points deducted from the reward when the treasure is found
+  cost: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  unlockedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  collection: 'hintunlocks'
+});
+
+// Only use .index() method
+hintUnlockSchema.index({ userId: 1, treasureId: 1, hintIndex: 1 }, { unique: true });
+hintUnlockSchema.index({ treasureId: 1 });
+
+// NFC Tag Schema - NTAG 424 DNA tags (SUN/SDM) bound to a treasure
+const nfcTagSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: uuidv4
+  },
+  treasureId: {
+    type: String,
+    required: true
+  },
+  uid: {
+    type: String,
+    required: true,
+    uppercase: true,
+    match: [/^[0-9A-F]{14}$/, 'Tag UID must be 7 bytes of hex']
+  },
+  label: String,
+  // SDM keys, encrypted with the master key
+  encryptedMetaReadKey: {
+    type: String,
+    required: true
+  },
+  encryptedFileReadKey: {
+    type: String,
+    required: true
+  },
+  // Highest SDM read counter accepted so far (replay protection)
+  lastCounter: {
+    type: Number,
+    default: -1
+  },
+  tapCount: {
+    type: Number,
+    default: 0
+  },
+  lastTapAt: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  registeredBy: {
+    type: String,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  collection: 'nfctags'
+});
+
+// Only use .index() method
+nfcTagSchema.index({ uid: 1 }, { unique: true });
+nfcTagSchema.index({ treasureId: 1, isActive: 1 });
+
+// Hunt Schema - an ordered trail of treasures with clues unlocked one step at a time
+const huntStepSchema = new mongoose.Schema({
+  treasureId: {
+    type: String,
+    required: true
+  },
+  // Shown once the previous step is found; falls back to the treasure's hints
+  clue: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  }
+}, { _id: false });
+
+const huntSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: uuidv4
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  imageUrl: String,
+  steps: {
+    type: [huntStepSchema],
+    validate: {
+      validator: function(steps) {
+        const ids = steps.map(step => step.treasureId);
+        return new Set(ids).size === ids.length;
+      },
+      message: 'A treasure can only appear once in a hunt'
+    }
+  },
+  completionBonus: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Metadata for the NFT minted when a hunter completes the trail
+  completionNft: {
+    name: String,
+    description: String,
+    imageUrl: String
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'published', 'archived'],
+    default: 'draft'
+  },
+  publishedAt: Date,
+  createdBy: {
+    type: String,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  collection: 'hunts'
+});
+
+// Only use .index() method
+huntSchema.index({ status: 1 });
+huntSchema.index({ 'steps.treasureId': 1 });
+huntSchema.index({ createdAt: -1 });
+
+// Hunt Progress Schema - one per hunter per hunt
+const huntProgressSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: uuidv4
+  },
+  userId: {
+    type: String,
+    required: true,
+    ref: 'User'
+  },
+  huntId: {
+    type: String,
+    required: true,
+    ref: 'Hunt'
+  },
+  // Index of the step whose clue is currently unlocked
+  currentStep: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  completedSteps: [{
+    _id: false,
+    treasureId: String,
+    discoveryId: String,
+    completedAt: Date
+  }],
+  status: {
+    type: String,
+    enum: ['active', 'completed', 'abandoned'],
+    default: 'active'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: Date,
+  bonusAwarded: {
+    type: Number,
+    default: 0
+  },
+  // Minted by HuntNftMinter after completion, outside the discover request
+  completionNft: {
+    status: {
+      type: String,
+      enum: ['none', 'queued', 'processing', 'minted', 'failed'],
+      default: 'none'
+    },
+    nftObjectId: String,
+    transactionDigest: String,
+    attempts: {
+      type: Number,
+      min: 0
+    },
+    nextAttemptAt: Date,
+    // When a worker claimed the mint; processing mints past the lease are claimed again
+    claimedAt: Date,
+    lastError: String,
+    mintedAt: Date,
+    // Set by mints attempted inline before the queue existed
+    error: String
+  }
+}, {
+  timestamps: true,
+  collection: 'huntprogress'
+});
+
+// Only use .index() method
+huntProgressSchema.index({ userId: 1, huntId: 1 }, { unique: true });
+huntProgressSchema.index({ userId: 1, status: 1 });
+huntProgressSchema.index({ huntId: 1, status: 1 });
+huntProgressSchema.index({ 'completionNft.status': 1, 'completionNft.nextAttemptAt': 1 });
+huntProgressSchema.index({ 'completionNft.status': 1, 'completionNft.claimedAt': 1 });
+
+// Hunter Profile Schema
+const hunterProfileSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: uuidv4
+  },
+  userId: {
+    type: String,
+    required: true,
+    ref: 'User'
+    // REMOVED: unique: true
+  },
+  rank: {
+    type: String,
+    enum: ['beginner', 'explorer', 'hunter', 'master'],
+    default: 'beginner'
+  },
+  totalTreasuresFound: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  totalScore: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  currentStreak: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  longestStreak: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lastHuntTimestamp: Date,
+  achievements: {
+    type: [String],
+    default: []
+  },
+  statistics: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true,
+  collection: 'hunterprofiles'
+});
+
+// Only use .index() method
+hunterProfileSchema.index({ userId: 1 }, { unique: true });
+hunterProfileSchema.index({ rank: 1 });
+hunterProfileSchema.index({ totalScore: -1 });
+hunterProfileSchema.index({ totalTreasuresFound: -1 });
+
+// Listeners called with (userId, profile or null when deleted) after hunter profile writes that
+// change a ranked field, e.g. the leaderboard rank index. Bulk writes report (null, null) instead.
+const hunterProfileListeners = [];
+const HUNTER_PROFILE_RANKED_FIELDS = ['totalScore', 'totalTreasuresFound', 'currentStreak'];
+const HUNTER_PROFILE_SINGLE_WRITES = ['updateOne', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'findOneAndDelete'];
+const HUNTER_PROFILE_BULK_WRITES = ['updateMany', 'deleteMany'];
+
+// Paths named by an update document or aggregation pipeline
+const updatedPaths = (update) => {
+  const stages = Array.isArray(update) ? update : [update || {}];
+  return stages.flatMap(stage => Object.entries(stage).flatMap(([key, value]) => {
+    if (!key.startsWith('$')) return [key];
+    if (Array.isArray(value)) return value;
+    if (typeof value === 'string') return [value];
+    return value && typeof value === 'object' ? Object.keys(value) : [];
+  }));
+};
+
+const changesRanking = (query) => {
+  if (!['updateOne', 'findOneAndUpdate', 'updateMany'].includes(query.op) || query.getOptions().upsert) {
+    return true;
+  }
+  return updatedPaths(query.getUpdate())
+    .some(path => HUNTER_PROFILE_RANKED_FIELDS.includes(String(path).split('.')[0]));
+};
+
+const notifyHunterProfileListeners = (userId, profile) => {
+  for (const listener of hunterProfileListeners) {
+    try {
+      listener(userId, profile);
+    } catch (error) {
+      console.error('❌ Hunter profile listener failed:', error.message);
+    }
+  }
+};
+
+hunterProfileSchema.statics.onChange = function(listener) {
+  hunterProfileListeners.push(listener);
+};
+
+// Minimum treasures found for each rank, highest first
+const HUNTER_RANK_THRESHOLDS = [
+  ['master', 50],
+  ['hunter', 20],
+  ['explorer', 5]
+];
+
+hunterProfileSchema.statics.rankFor = function(totalTreasuresFound) {
+  const match = HUNTER_RANK_THRESHOLDS.find(([, minimum]) => totalTreasuresFound >= minimum);
+  return match ? match[0] : 'beginner';
+};
+
+// Same ranking as rankFor, for aggregation pipeline updates
+hunterProfileSchema.statics.rankExpression = function(totalTreasuresFound = '$totalTreasuresFound') {
+  return {
+    $switch: {
+      branches: HUNTER_RANK_THRESHOLDS.map(([rank, minimum]) => ({
+        case: { $gte: [totalTreasuresFound, minimum] },
+        then: rank
+      })),
+      default: 'beginner'
+    }
+  };
+};
+
+hunterProfileSchema.post('save', function(profile) {
+  notifyHunterProfileListeners(profile.userId, profile);
+});
+
+hunterProfileSchema.post('insertMany', function(profiles) {
+  profiles.forEach(profile => notifyHunterProfileListeners(profile.userId, profile));
+});
+
+// Query writes do not return the document, so note whose profile it is and re-read it afterwards
+hunterProfileSchema.pre(HUNTER_PROFILE_SINGLE_WRITES, async function() {
+  if (hunterProfileListeners.length === 0 || !changesRanking(this)) {
+    return;
+  }
+
+  const filter = this.getFilter();
+  if (typeof filter.userId === 'string') {
+    this._hunterProfileUserId = filter.userId;
+    return;
+  }
+
+  const profile = await this.model.findOne(filter)
+    .select('userId')
+    .session(this.getOptions().session || null)
+    .lean();
+  this._hunterProfileUserId = profile?.userId;
+});
+
+hunterProfileSchema.post(HUNTER_PROFILE_SINGLE_WRITES, async function() {
+  const userId = this._hunterProfileUserId;
+  if (!userId) {
+    return;
+  }
+
+  // Inside a transaction, read through its session to see the write
+  const profile = await this.model.findOne({ userId })
+    .select(['userId', ...HUNTER_PROFILE_RANKED_FIELDS])
+    .session(this.getOptions().session || null)
+    .lean();
+  notifyHunterProfileListeners(userId, profile || null);
+});
+
+// Looking up every hunter a bulk write touched is unbounded; listeners resync instead
+hunterProfileSchema.post(HUNTER_PROFILE_BULK_WRITES, function() {
+  if (hunterProfileListeners.length > 0 && changesRanking(this)) {
+    notifyHunterProfileListeners(null, null);
+  }
+});
+
+// Achievement Schema
+const achievementSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: uuidv4
+  },
+  achievementId: {
+    type: String,
+    required: true
+    // REMOVED: unique: true
   },
   name: {
     type: String,
@@ -378,6 +1556,8 @@ const achievementSchema = new mongoose.Schema({
   category: String,
   requirementType: String,
   requirementValue: Number,
+  // Declarative rule (see services/AchievementRules); takes precedence over requirementType
+  rule: mongoose.Schema.Types.Mixed,
   points: {
     type: Number,
     default: 0
@@ -415,6 +1595,24 @@ const userAchievementSchema = new mongoose.Schema({
   unlockedAt: {
     type: Date,
     default: Date.now
+  },
+  // On-chain badge mirror, only set when ACHIEVEMENT_BADGES_ENABLED is on
+  badge: {
+    status: {
+      type: String,
+      enum: ['queued', 'processing', 'minted', 'failed']
+    },
+    nftObjectId: String,
+    transactionDigest: String,
+    attempts: {
+      type: Number,
+      min: 0
+    },
+    nextAttemptAt: Date,
+    // When a worker claimed the badge; processing badges past the lease are claimed again
+    claimedAt: Date,
+    lastError: String,
+    mintedAt: Date
   }
 }, {
   timestamps: true,
@@ -426,6 +1624,70 @@ userAchievementSchema.index({ userId: 1 });
 userAchievementSchema.index({ achievementId: 1 });
 userAchievementSchema.index({ userId: 1, achievementId: 1 }, { unique: true });
 userAchievementSchema.index({ unlockedAt: -1 });
+userAchievementSchema.index({ 'badge.status': 1, 'badge.nextAttemptAt': 1 });
+userAchievementSchema.index({ 'badge.status': 1, 'badge.claimedAt': 1 });
+
+// Leaderboard Snapshot Schema - final standings of a closed leaderboard period
+const leaderboardEntrySchema = new mongoose.Schema({
+  position: Number,
+  userId: {
+    type: String,
+    ref: 'User'
+  },
+  username: String,
+  avatarUrl: String,
+  score: Number,
+  treasuresFound: Number,
+  lastDiscoveryAt: Date
+}, { _id: false });
+
+const leaderboardSnapshotSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: uuidv4
+  },
+  period: {
+    type: String,
+    required: true,
+    enum: ['daily', 'weekly', 'monthly', 'season']
+  },
+  periodKey: {
+    type: String,
+    required: true
+  },
+  regionType: {
+    type: String,
+    enum: ['global', 'district'],
+    default: 'global'
+  },
+  region: {
+    type: String,
+    default: 'global'
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  entries: {
+    type: [leaderboardEntrySchema],
+    default: []
+  },
+  totalParticipants: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  collection: 'leaderboardsnapshots'
+});
+
+// Only use .index() method
+leaderboardSnapshotSchema.index({ period: 1, periodKey: 1, regionType: 1, region: 1 }, { unique: true });
+leaderboardSnapshotSchema.index({ period: 1, endsAt: -1 });
 
 // Admin Log Schema
 const adminLogSchema = new mongoose.Schema({
@@ -441,7 +1703,7 @@ const adminLogSchema = new mongoose.Schema({
   action: {
     type: String,
     required: true,
-    enum: ['create_treasure', 'update_treasure', 'delete_treasure', 'ban_user', 'unban_user', 'system_update']
+    enum: ['create_treasure', 'update_treasure', 'delete_treasure', 'ban_user', 'unban_user', 'system_update', 'retry_mint', 'register_nfc_tag', 'deactivate_nfc_tag', 'generate_qr_code', 'sync_registry', 'create_hunt', 'update_hunt', 'publish_hunt', 'retry_marketplace_settlement', 'create_achievement', 'update_achievement', 'retry_badge_mint', 'retry_hunt_nft_mint']
   },
   targetType: String,
   targetId: String,
@@ -494,12 +1756,28 @@ appSettingsSchema.index({ isPublic: 1 });
 
 // Create models
 const User = mongoose.model('User', userSchema);
+const AuthSession = mongoose.model('AuthSession', authSessionSchema);
+const WalletChallenge = mongoose.model('WalletChallenge', walletChallengeSchema);
+const WalletExport = mongoose.model('WalletExport', walletExportSchema);
 const Treasure = mongoose.model('Treasure', treasureSchema);
 const TreasureDiscovery = mongoose.model('TreasureDiscovery', treasureDiscoverySchema);
 const Transaction = mongoose.model('Transaction', transactionSchema);
+const MintJob = mongoose.model('MintJob', mintJobSchema);
+const GasSponsorship = mongoose.model('GasSponsorship', gasSponsorshipSchema);
+const GasSponsorBudget = mongoose.model('GasSponsorBudget', gasSponsorBudgetSchema);
+const FaucetUsage = mongoose.model('FaucetUsage', faucetUsageSchema);
+const GasCoinLease = mongoose.model('GasCoinLease', gasCoinLeaseSchema);
+const Listing = mongoose.model('Listing', listingSchema);
+const LocationProofSession = mongoose.model('LocationProofSession', locationProofSessionSchema);
+const LocationDevice = mongoose.model('LocationDevice', locationDeviceSchema);
+const NfcTag = mongoose.model('NfcTag', nfcTagSchema);
+const HintUnlock = mongoose.model('HintUnlock', hintUnlockSchema);
+const Hunt = mongoose.model('Hunt', huntSchema);
+const HuntProgress = mongoose.model('HuntProgress', huntProgressSchema);
 const HunterProfile = mongoose.model('HunterProfile', hunterProfileSchema);
 const Achievement = mongoose.model('Achievement', achievementSchema);
 const UserAchievement = mongoose.model('UserAchievement', userAchievementSchema);
+const LeaderboardSnapshot = mongoose.model('LeaderboardSnapshot', leaderboardSnapshotSchema);
 const AdminLog = mongoose.model('AdminLog', adminLogSchema);
 const AppSettings = mongoose.model('AppSettings', appSettingsSchema);
 
@@ -663,12 +1941,28 @@ const getTreasureStats = async () => {
 
 module.exports = {
   User,
+  AuthSession,
+  WalletChallenge,
+  WalletExport,
   Treasure,
   TreasureDiscovery,
   Transaction,
+  MintJob,
+  GasSponsorship,
+  GasSponsorBudget,
+  GasCoinLease,
+  FaucetUsage,
+  Listing,
+  LocationProofSession,
+  LocationDevice,
+  NfcTag,
+  HintUnlock,
+  Hunt,
+  HuntProgress,
   HunterProfile,
   Achievement,
   UserAchievement,
+  LeaderboardSnapshot,
   AdminLog,
   AppSettings,
   findNearbyTreasures,
@@ -11,9 +11,24 @@ const {
     Transaction,
     Achievement,
     UserAchievement,
-    AdminLog
+    AdminLog,
+    MintJob,
+    NfcTag,
+    Hunt,
+    HuntProgress,
+    Listing
 } = require('../models');
 const SuiService = require('../services/SuiService');
+const MintQueue = require('../services/MintQueue');
+const NfcTagService = require('../services/NfcTagService');
+const QrCodeService = require('../services/QrCodeService');
+const TreasureRegistrySync = require('../services/TreasureRegistrySync');
+const SessionService = require('../services/SessionService');
+const FaucetService = require('../services/FaucetService');
+const MarketplaceService = require('../services/MarketplaceService');
+const AchievementRules = require('../services/AchievementRules');
+const BadgeMinter = require('../services/BadgeMinter');
+const HuntNftMinter = require('../services/HuntNftMinter');
 const router = express.Router();
 
 // Health check
@@ -217,6 +232,13 @@ router.post('/treasures', [
     body('rarity').isInt({ min: 1, max: 3 }).withMessage('Rarity must be 1, 2, or 3'),
     body('rewardPoints').isInt({ min: 1 }).withMessage('Reward points must be positive'),
     body('requiredRank').isInt({ min: 1, max: 4 }).withMessage('Required rank must be 1-4'),
+    body('mode').optional().isIn(['single', 'limited', 'unlimited']).withMessage('Mode must be single, limited or unlimited'),
+    body('maxFinders').if(body('mode').equals('limited')).isInt({ min: 1 }).withMessage('Limited treasures need maxFinders'),
+    body('rewardDecay.strategy').optional().isIn(['none', 'linear', 'exponential']),
+    body('rewardDecay.rate').optional().isFloat({ min: 0, max: 1 }),
+    body('rewardDecay.minRewardPoints').optional().isInt({ min: 0 }),
+    ...scheduleValidators(),
+    body('requiresNfc').optional().isBoolean(),
     body('imageUrl').optional().isURL()
 ], adminAuth, asyncHandler(async (req, res) => {
     const errors = validationResult(req);
@@ -237,6 +259,13 @@ router.post('/treasures', [
         rarity,
         rewardPoints,
         requiredRank,
+        mode,
+        maxFinders,
+        rewardDecay,
+        availableFrom,
+        availableUntil,
+        schedule,
+        requiresNfc,
         imageUrl,
         metadata
     } = req.body;
@@ -263,6 +292,13 @@ router.post('/treasures', [
             rarity: parseInt(rarity),
             rewardPoints: parseInt(rewardPoints),
             requiredRank: parseInt(requiredRank),
+            mode: mode || 'single',
+            maxFinders: mode === 'limited' ? parseInt(maxFinders) : undefined,
+            rewardDecay: rewardDecay || undefined,
+            availableFrom: availableFrom || null,
+            availableUntil: availableUntil || null,
+            schedule: schedule || undefined,
+            requiresNfc: requiresNfc === true || requiresNfc === 'true',
             imageUrl: imageUrl || '',
             metadata: metadata || {},
             createdBy: req.user.userId,
@@ -279,7 +315,7 @@ router.post('/treasures', [
                 console.log('⛓️ Adding treasure to blockchain registry...');
 
                 const suiService = new SuiService();
-                blockchainResult = await suiService.addTreasure(admin.encryptedPrivateKey, {
+                blockchainResult = await suiService.addTreasure(suiService.signerFor(admin), {
                     treasureId: treasure.treasureId,
                     name: treasure.name,
                     description: treasure.description,
@@ -292,6 +328,10 @@ router.post('/treasures', [
                 });
 
                 console.log(`✅ Treasure added to blockchain: ${blockchainResult.transactionDigest}`);
+
+                // Now part of the registry - discoverable without waiting for the next sync
+                treasure.registrySyncedAt = new Date();
+                await treasure.save();
             }
         } catch (blockchainError) {
             console.warn(`⚠️ Failed to add treasure to blockchain: ${blockchainError.message}`);
@@ -323,6 +363,13 @@ router.post('/treasures', [
                     rarityName: getRarityName(treasure.rarity),
                     rewardPoints: treasure.rewardPoints,
                     requiredRank: treasure.requiredRank,
+                    mode: treasure.mode,
+                    maxFinders: treasure.maxFinders || null,
+                    rewardDecay: treasure.rewardDecay,
+                    availableFrom: treasure.availableFrom,
+                    availableUntil: treasure.availableUntil,
+                    schedule: treasure.schedule,
+                    requiresNfc: treasure.requiresNfc,
                     imageUrl: treasure.imageUrl,
                     createdAt: treasure.createdAt
                 },
@@ -338,155 +385,1646 @@ router.post('/treasures', [
         });
 
     } catch (error) {
-        console.error('❌ Failed to create treasure:', error);
+        console.error('❌ Failed to create treasure:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create treasure',
+            error: error.message
+        });
+    }
+}));
+
+// Update treasure
+router.put('/treasures/:treasureId', [
+    body('name').optional().isLength({ min: 3, max: 100 }),
+    body('description').optional().isString(),
+    body('rarity').optional().isInt({ min: 1, max: 3 }),
+    body('rewardPoints').optional().isInt({ min: 1 }),
+    body('requiredRank').optional().isInt({ min: 1, max: 4 }),
+    body('isActive').optional().isBoolean(),
+    body('mode').optional().isIn(['single', 'limited', 'unlimited']),
+    body('maxFinders').optional().isInt({ min: 1 }),
+    body('rewardDecay.strategy').optional().isIn(['none', 'linear', 'exponential']),
+    body('rewardDecay.rate').optional().isFloat({ min: 0, max: 1 }),
+    body('rewardDecay.minRewardPoints').optional().isInt({ min: 0 }),
+    body('findersCount').not().exists().withMessage('findersCount is managed by discoveries'),
+    ...scheduleValidators(),
+    body('requiresNfc').optional().isBoolean(),
+    body('imageUrl').optional().isURL()
+], adminAuth, asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation errors',
+            errors: errors.array()
+        });
+    }
+
+    const { treasureId } = req.params;
+    const updateData = req.body;
+
+    try {
+        const treasure = await Treasure.findOne({ treasureId });
+        if (!treasure) {
+            return res.status(404).json({
+                success: false,
+                message: 'Treasure not found'
+            });
+        }
+
+        // Check if treasure has been discovered
+        const isDiscovered = await TreasureDiscovery.exists({ treasureId });
+        if (isDiscovered && (updateData.rarity || updateData.rewardPoints)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot modify rarity or reward points of discovered treasure'
+            });
+        }
+
+        // The new supply must still cover the hunters who already found it
+        const newMode = updateData.mode || treasure.mode || 'single';
+        const newSupply = newMode === 'unlimited' ? Infinity :
+            newMode === 'limited' ? parseInt(updateData.maxFinders ?? treasure.maxFinders) : 1;
+        if (newMode === 'limited' && !newSupply) {
+            return res.status(400).json({
+                success: false,
+                message: 'Limited treasures need maxFinders'
+            });
+        }
+        if (newSupply < (treasure.findersCount || 0)) {
+            return res.status(400).json({
+                success: false,
+                message: `Supply cannot be lower than the ${treasure.findersCount} hunters who already found this treasure`
+            });
+        }
+
+        // Update treasure
+        const updatedTreasure = await Treasure.findOneAndUpdate(
+            { treasureId },
+            updateData,
+            { new: true, runValidators: true }
+        );
+
+        // Log admin action
+        await logAdminAction(req.user.userId, 'update_treasure', 'treasure', treasureId, {
+            updatedFields: Object.keys(updateData),
+            changes: updateData
+        }, req);
+
+        console.log(`✅ Treasure updated: ${treasureId} by admin ${req.user.userId}`);
+
+        res.json({
+            success: true,
+            message: 'Treasure updated successfully',
+            data: {
+                treasure: {
+                    id: updatedTreasure._id,
+                    treasureId: updatedTreasure.treasureId,
+                    name: updatedTreasure.name,
+                    description: updatedTreasure.description,
+                    latitude: updatedTreasure.latitude,
+                    longitude: updatedTreasure.longitude,
+                    rarity: updatedTreasure.rarity,
+                    rarityName: getRarityName(updatedTreasure.rarity),
+                    rewardPoints: updatedTreasure.rewardPoints,
+                    requiredRank: updatedTreasure.requiredRank,
+                    mode: updatedTreasure.mode,
+                    maxFinders: updatedTreasure.maxFinders || null,
+                    findersCount: updatedTreasure.findersCount,
+                    rewardDecay: updatedTreasure.rewardDecay,
+                    availableFrom: updatedTreasure.availableFrom,
+                    availableUntil: updatedTreasure.availableUntil,
+                    schedule: updatedTreasure.schedule,
+                    requiresNfc: updatedTreasure.requiresNfc,
+                    imageUrl: updatedTreasure.imageUrl,
+                    isActive: updatedTreasure.isActive,
+                    updatedAt: updatedTreasure.updatedAt
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Failed to update treasure:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update treasure',
+            error: error.message
+        });
+    }
+}));
+
+// Delete treasure
+router.delete('/treasures/:treasureId', adminAuth, asyncHandler(async (req, res) => {
+    const { treasureId } = req.params;
+
+    try {
+        const treasure = await Treasure.findOne({ treasureId });
+        if (!treasure) {
+            return res.status(404).json({
+                success: false,
+                message: 'Treasure not found'
+            });
+        }
+
+        // Check if treasure has been discovered
+        const isDiscovered = await TreasureDiscovery.exists({ treasureId });
+        if (isDiscovered) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot delete discovered treasure. Set as inactive instead.'
+            });
+        }
+
+        // Delete treasure
+        await Treasure.findOneAndDelete({ treasureId });
+
+        // Log admin action
+        await logAdminAction(req.user.userId, 'delete_treasure', 'treasure', treasureId, {
+            name: treasure.name,
+            rarity: treasure.rarity
+        }, req);
+
+        console.log(`✅ Treasure deleted: ${treasureId} by admin ${req.user.userId}`);
+
+        res.json({
+            success: true,
+            message: 'Treasure deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Failed to delete treasure:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete treasure',
+            error: error.message
+        });
+    }
+}));
+
+// Import the on-chain treasure registry (dryRun returns the diff without applying it)
+router.post('/registry/sync', [
+    body('dryRun').optional().isBoolean(),
+    body('deactivateMissing').optional().isBoolean()
+], adminAuth, asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation errors',
+            errors: errors.array()
+        });
+    }
+
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+    const deactivateMissing = req.body.deactivateMissing === true || req.body.deactivateMissing === 'true';
+
+    try {
+        console.log(`🔄 Syncing treasure registry${dryRun ? ' (dry run)' : ''}...`);
+
+        const report = await new TreasureRegistrySync().sync({
+            dryRun,
+            deactivateMissing,
+            syncedBy: req.user.userId
+        });
+
+        if (!dryRun) {
+            await logAdminAction(req.user.userId, 'sync_registry', 'treasure_registry', process.env.TREASURE_REGISTRY_ID, {
+                added: report.added.length,
+                updated: report.updated.length,
+                unchanged: report.unchanged,
+                invalid: report.invalid.length,
+                deactivated: report.deactivated
+            }, req);
+        }
+
+        console.log(`✅ Registry sync: ${report.added.length} added, ${report.updated.length} updated`);
+
+        res.json({
+            success: true,
+            message: dryRun ? 'Registry diff generated' : 'Treasure registry synced successfully',
+            data: { report }
+        });
+
+    } catch (error) {
+        console.error('❌ Failed to sync treasure registry:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to sync treasure registry',
+            error: error.message
+        });
+    }
+}));
+
+// List NFC tags registered for a treasure
+router.get('/treasures/:treasureId/nfc-tags', adminAuth, asyncHandler(async (req, res) => {
+    const { treasureId } = req.params;
+
+    try {
+        const tags = await NfcTag.find({ treasureId }).sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            data: {
+                treasureId,
+                tags: tags.map(formatNfcTag)
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Failed to get NFC tags:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get NFC tags',
+            error: error.message
+        });
+    }
+}));
+
+// Register an NTAG 424 DNA tag (SUN/SDM keys) for a treasure
+router.post('/treasures/:treasureId/nfc-tags', [
+    body('uid').matches(/^[0-9a-fA-F]{14}$/).withMessage('Tag UID must be 7 bytes of hex'),
+    body('metaReadKey').matches(/^[0-9a-fA-F]{32}$/).withMessage('SDM meta read key must be 16 bytes of hex'),
+    body('fileReadKey').matches(/^[0-9a-fA-F]{32}$/).withMessage('SDM file read key must be 16 bytes of hex'),
+    body('label').optional().isString(),
+    body('requireTap').optional().isBoolean()
+], adminAuth, asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation errors',
+            errors: errors.array()
+        });
+    }
+
+    const { treasureId } = req.params;
+    const { uid, metaReadKey, fileReadKey, label, requireTap } = req.body;
+
+    try {
+        const treasure = await Treasure.findOne({ treasureId });
+        if (!treasure) {
+            return res.status(404).json({
+                success: false,
+                message: 'Treasure not found'
+            });
+        }
+
+        const tag = await new NfcTagService().registerTag(treasureId, {
+            uid,
+            metaReadKey,
+            fileReadKey,
+            label
+        }, req.user.userId);
+
+        if (requireTap !== undefined) {
+            treasure.requiresNfc = requireTap === true || requireTap === 'true';
+            await treasure.save();
+        }
+
+        await logAdminAction(req.user.userId, 'register_nfc_tag', 'treasure', treasureId, {
+            tagId: tag._id,
+            uid: tag.uid,
+            requiresNfc: treasure.requiresNfc
+        }, req);
+
+        console.log(`✅ NFC tag ${tag.uid} registered for treasure ${treasureId}`);
+
+        res.status(201).json({
+            success: true,
+            message: 'NFC tag registered successfully',
+            data: {
+                tag: formatNfcTag(tag),
+                requiresNfc: treasure.requiresNfc
+            }
+        });
+
+    } catch (error) {
+        if (error.isOperational) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                error: error.code
+            });
+        }
+
+        console.error('❌ Failed to register NFC tag:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to register NFC tag',
+            error: error.message
+        });
+    }
+}));
+
+// Deactivate an NFC tag (lost, damaged or compromised)
+router.delete('/nfc-tags/:tagId', adminAuth, asyncHandler(async (req, res) => {
+    const { tagId } = req.params;
+
+    try {
+        const tag = await NfcTag.findByIdAndUpdate(tagId, { isActive: false }, { new: true });
+        if (!tag) {
+            return res.status(404).json({
+                success: false,
+                message: 'NFC tag not found'
+            });
+        }
+
+        await logAdminAction(req.user.userId, 'deactivate_nfc_tag', 'nfc_tag', tagId, {
+            treasureId: tag.treasureId,
+            uid: tag.uid
+        }, req);
+
+        console.log(`✅ NFC tag deactivated: ${tag.uid} by admin ${req.user.userId}`);
+
+        res.json({
+            success: true,
+            message: 'NFC tag deactivated successfully',
+            data: { tag: formatNfcTag(tag) }
+        });
+
+    } catch (error) {
+        console.error('❌ Failed to deactivate NFC tag:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to deactivate NFC tag',
+            error: error.message
+        });
+    }
+}));
+
+// Generate a signed QR payload for a treasure
+router.post('/treasures/:treasureId/qr-code', [
+    body('expiresInSeconds').optional().isInt({ min: 60 }).withMessage('Expiry must be at least 60 seconds'),
+    body('rotationSeconds').optional().isInt({ min: 30, max: 86400 }).withMessage('Rotation window must be 30s-24h'),
+    body('revokePrevious').optional().isBoolean()
+], adminAuth, asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation errors',
+            errors: errors.array()
+        });
+    }
+
+    const { treasureId } = req.params;
+    const { expiresInSeconds, rotationSeconds, revokePrevious } = req.body;
+
+    try {
+        const treasure = await Treasure.findOne({ treasureId });
+        if (!treasure) {
+            return res.status(404).json({
+                success: false,
+                message: 'Treasure not found'
+            });
+        }
+
+        // Invalidate printed codes that have been photographed and shared
+        if (revokePrevious === true || revokePrevious === 'true') {
+            treasure.qrVersion = (treasure.qrVersion || 1) + 1;
+            await treasure.save();
+        }
+
+        const qrCode = new QrCodeService().generate(treasure, {
+            expiresInSeconds: expiresInSeconds ? parseInt(expiresInSeconds) : undefined,
+            rotationSeconds: rotationSeconds ? parseInt(rotationSeconds) : undefined
+        });
+
+        await logAdminAction(req.user.userId, 'generate_qr_code', 'treasure', treasureId, {
+            version: treasure.qrVersion,
+            expiresAt: qrCode.expiresAt,
+            rotationSeconds: rotationSeconds || null,
+            revokedPrevious: !!revokePrevious
+        }, req);
+
+        console.log(`✅ QR code generated for treasure ${treasureId} (version ${treasure.qrVersion})`);
+
+        res.status(201).json({
+            success: true,
+            message: 'QR code generated successfully',
+            data: {
+                treasureId,
+                payload: qrCode.payload,
+                version: treasure.qrVersion,
+                issuedAt: qrCode.issuedAt,
+                expiresAt: qrCode.expiresAt,
+                rotationSeconds: rotationSeconds ? parseInt(rotationSeconds) : null
+            }
+        });
+
+    } catch (error) {
+        if (error.isOperational) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                error: error.code
+            });
+        }
+
+        console.error('❌ Failed to generate QR code:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to generate QR code',
+            error: error.message
+        });
+    }
+}));
+
+// List hunts
+router.get('/hunts', [
+    query('status').optional().isIn(['draft', 'published', 'archived']),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+], adminAuth, asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation errors',
+            errors: errors.array()
+        });
+    }
+
+    const { status, page = 1, limit = 20 } = req.query;
+    const filter = status ? { status } : {};
+
+    try {
+        const [hunts, total] = await Promise.all([
+            Hunt.find(filter)
+                .sort({ createdAt: -1 })
+                .limit(limit * 1)
+                .skip((page - 1) * limit),
+            Hunt.countDocuments(filter)
+        ]);
+
+        const progressStats = await HuntProgress.aggregate([
+            { $match: { huntId: { $in: hunts.map(hunt => hunt._id) } } },
+            { $group: { _id: { huntId: '$huntId', status: '$status' }, count: { $sum: 1 } } }
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                hunts: hunts.map(hunt => {
+                    const stats = { active: 0, completed: 0, abandoned: 0 };
+                    progressStats
+                        .filter(stat => stat._id.huntId === hunt._id)
+                        .forEach(stat => { stats[stat._id.status] = stat.count; });
+                    return { ...formatHunt(hunt), players: stats };
+                }),
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Failed to get hunts:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get hunts',
+            error: error.message
+        });
+    }
+}));
+
+// Create hunt (starts as a draft)
+router.post('/hunts', [
+    body('name').isLength({ min: 3, max: 100 }).withMessage('Name must be 3-100 characters'),
+    body('description').optional().isString(),
+    body('imageUrl').optional().isURL(),
+    body('steps').isArray({ min: 2 }).withMessage('A hunt needs at least 2 steps'),
+    body('steps.*.treasureId').isString().notEmpty().withMessage('Each step needs a treasureId'),
+    body('steps.*.clue').optional().isString().isLength({ max: 500 }),
+    body('completionBonus').optional().isInt({ min: 0 }),
+    body('completionNft.name').optional().isLength({ min: 3, max: 100 }),
+    body('completionNft.description').optional().isString(),
+    body('completionNft.imageUrl').optional().isURL()
+], adminAuth, asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation errors',
+            errors: errors.array()
+        });
+    }
+
+    const { name, description, imageUrl, steps, completionBonus = 0, completionNft } = req.body;
+
+    try {
+        const missing = await findMissingHuntTreasures(steps);
+        if (missing.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Some hunt steps reference unknown treasures',
+                data: { missingTreasureIds: missing }
+            });
+        }
+
+        const hunt = new Hunt({
+            name,
+            description,
+            imageUrl,
+            steps: steps.map(step => ({ treasureId: step.treasureId, clue: step.clue })),
+            completionBonus: parseInt(completionBonus),
+            completionNft,
+            createdBy: req.user.userId
+        });
+        await hunt.save();
+
+        await logAdminAction(req.user.userId, 'create_hunt', 'hunt', hunt._id, {
+            name,
+            steps: hunt.steps.length,
+            completionBonus: hunt.completionBonus
+        }, req);
+
+        console.log(`✅ Hunt created: ${hunt.name} (${hunt.steps.length} steps) by admin ${req.user.userId}`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Hunt created successfully',
+            data: { hunt: formatHunt(hunt) }
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('❌ Failed to create hunt:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create hunt',
+            error: error.message
+        });
+    }
+}));
+
+// Update hunt (steps can only change while it is a draft)
+router.put('/hunts/:huntId', [
+    body('name').optional().isLength({ min: 3, max: 100 }),
+    body('description').optional().isString(),
+    body('imageUrl').optional().isURL(),
+    body('steps').optional().isArray({ min: 2 }).withMessage('A hunt needs at least 2 steps'),
+    body('steps.*.treasureId').optional().isString().notEmpty(),
+    body('steps.*.clue').optional().isString().isLength({ max: 500 }),
+    body('completionBonus').optional().isInt({ min: 0 }),
+    body('completionNft.name').optional().isLength({ min: 3, max: 100 }),
+    body('completionNft.description').optional().isString(),
+    body('completionNft.imageUrl').optional().isURL(),
+    body('status').optional().isIn(['archived']).withMessage('Use the publish endpoint to publish a hunt')
+], adminAuth, asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation errors',
+            errors: errors.array()
+        });
+    }
+
+    const { huntId } = req.params;
+    const updateData = req.body;
+
+    try {
+        const hunt = await Hunt.findById(huntId);
+        if (!hunt) {
+            return res.status(404).json({
+                success: false,
+                message: 'Hunt not found'
+            });
+        }
+
+        if (updateData.steps) {
+            // Reordering a live trail would strand hunters mid-way
+            if (hunt.status !== 'draft') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Steps can only be changed while the hunt is a draft'
+                });
+            }
+
+            const missing = await findMissingHuntTreasures(updateData.steps);
+            if (missing.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Some hunt steps reference unknown treasures',
+                    data: { missingTreasureIds: missing }
+                });
+            }
+            hunt.steps = updateData.steps.map(step => ({ treasureId: step.treasureId, clue: step.clue }));
+        }
+
+        ['name', 'description', 'imageUrl', 'completionNft', 'status'].forEach(field => {
+            if (updateData[field] !== undefined) {
+                hunt[field] = updateData[field];
+            }
+        });
+        if (updateData.completionBonus !== undefined) {
+            hunt.completionBonus = parseInt(updateData.completionBonus);
+        }
+
+        await hunt.save();
+
+        await logAdminAction(req.user.userId, 'update_hunt', 'hunt', huntId, {
+            updatedFields: Object.keys(updateData)
+        }, req);
+
+        console.log(`✅ Hunt updated: ${huntId} by admin ${req.user.userId}`);
+
+        res.json({
+            success: true,
+            message: 'Hunt updated successfully',
+            data: { hunt: formatHunt(hunt) }
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('❌ Failed to update hunt:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update hunt',
+            error: error.message
+        });
+    }
+}));
+
+// Publish hunt
+router.post('/hunts/:huntId/publish', adminAuth, asyncHandler(async (req, res) => {
+    const { huntId } = req.params;
+
+    try {
+        const hunt = await Hunt.findById(huntId);
+        if (!hunt) {
+            return res.status(404).json({
+                success: false,
+                message: 'Hunt not found'
+            });
+        }
+
+        if (hunt.status === 'published') {
+            return res.status(400).json({
+                success: false,
+                message: 'Hunt is already published'
+            });
+        }
+
+        // Every step must be findable before hunters can start
+        const treasureIds = hunt.steps.map(step => step.treasureId);
+        const activeTreasures = await Treasure.find({ treasureId: { $in: treasureIds }, isActive: true }).select('treasureId');
+        const activeIds = new Set(activeTreasures.map(treasure => treasure.treasureId));
+        const inactive = treasureIds.filter(treasureId => !activeIds.has(treasureId));
+        if (inactive.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'All hunt treasures must exist and be active before publishing',
+                data: { inactiveTreasureIds: inactive }
+            });
+        }
+
+        hunt.status = 'published';
+        hunt.publishedAt = new Date();
+        await hunt.save();
+
+        await logAdminAction(req.user.userId, 'publish_hunt', 'hunt', huntId, {
+            name: hunt.name,
+            steps: hunt.steps.length
+        }, req);
+
+        console.log(`✅ Hunt published: ${hunt.name} by admin ${req.user.userId}`);
+
+        res.json({
+            success: true,
+            message: 'Hunt published successfully',
+            data: { hunt: formatHunt(hunt) }
+        });
+
+    } catch (error) {
+        console.error('❌ Failed to publish hunt:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to publish hunt',
+            error: error.message
+        });
+    }
+}));
+
+// Hunt completion NFTs and their mint status
+router.get('/hunt-nfts', [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('status').optional().isIn(['queued', 'processing', 'minted', 'failed'])
+], adminAuth, asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation errors',
+            errors: errors.array()
+        });
+    }
+
+    const { page = 1, limit = 20, status } = req.query;
+
+    try {
+        const query = status ? { 'completionNft.status': status } : { 'completionNft.status': { $nin: [null, 'none'] } };
+
+        const [progressList, total] = await Promise.all([
+            HuntProgress.find(query)
+                .populate('userId', 'username')
+                .populate('huntId', 'name')
+                .sort({ 'completionNft.nextAttemptAt': 1, completedAt: -1 })
+                .limit(limit * 1)
+                .skip((page - 1) * limit),
+            HuntProgress.countDocuments(query)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                completionNfts: progressList.map(progress => ({
+                    progressId: progress._id,
+                    user: {
+                        userId: progress.userId?._id || progress.userId,
+                        username: progress.userId?.username
+                    },
+                    huntId: progress.huntId?._id || progress.huntId,
+                    huntName: progress.huntId?.name,
+                    completedAt: progress.completedAt,
+                    status: progress.completionNft.status,
+                    attempts: progress.completionNft.attempts || 0,
+                    nextAttemptAt: progress.completionNft.nextAttemptAt || null,
+                    lastError: progress.completionNft.lastError || progress.completionNft.error || null,
+                    nftObjectId: progress.completionNft.nftObjectId || null,
+                    transactionDigest: progress.completionNft.transactionDigest || null,
+                    mintedAt: progress.completionNft.mintedAt || null
+                })),
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Failed to get hunt completion NFTs:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get hunt completion NFTs',
+            error: error.message
+        });
+    }
+}));
+
+// Re-trigger a queued or failed hunt completion NFT mint immediately
+router.post('/hunt-nfts/:progressId/retry', adminAuth, asyncHandler(async (req, res) => {
+    const { progressId } = req.params;
+
+    try {
+        const existing = await HuntProgress.findById(progressId);
+        if (!existing || !existing.completionNft?.status || existing.completionNft.status === 'none') {
+            return res.status(404).json({
+                success: false,
+                message: 'Hunt completion NFT not found'
+            });
+        }
+
+        const progress = await new HuntNftMinter().retry(progressId);
+        if (!progress) {
+            return res.status(400).json({
+                success: false,
+                message: `Completion NFT cannot be retried while ${existing.completionNft.status}`
+            });
+        }
+
+        const nft = progress.completionNft;
+        await logAdminAction(req.user.userId, 'retry_hunt_nft_mint', 'hunt_progress', progressId, {
+            userId: progress.userId,
+            huntId: progress.huntId,
+            status: nft.status,
+            attempts: nft.attempts
+        }, req);
+
+        res.json({
+            success: nft.status === 'minted',
+            message: nft.status === 'minted' ? 'Completion NFT minted successfully' : 'Completion NFT mint attempt failed',
+            data: {
+                progressId: progress._id,
+                status: nft.status,
+                attempts: nft.attempts,
+                nextAttemptAt: nft.status === 'queued' ? nft.nextAttemptAt : null,
+                lastError: nft.lastError || null,
+                nftObjectId: nft.nftObjectId || null,
+                transactionDigest: nft.transactionDigest || null
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Failed to retry hunt completion NFT mint:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retry hunt completion NFT mint',
+            error: error.message
+        });
+    }
+}));
+
+// List achievements with unlock counts
+router.get('/achievements', adminAuth, asyncHandler(async (req, res) => {
+    try {
+        const [achievements, unlockCounts] = await Promise.all([
+            Achievement.find({}).sort({ category: 1, points: 1 }),
+            UserAchievement.aggregate([
+                { $group: { _id: '$achievementId', count: { $sum: 1 } } }
+            ])
+        ]);
+
+        const countsById = new Map(unlockCounts.map(item => [item._id, item.count]));
+
+        res.json({
+            success: true,
+            data: {
+                achievements: achievements.map(achievement => ({
+                    ...formatAchievement(achievement),
+                    unlockedBy: countsById.get(achievement._id) || 0
+                }))
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Failed to get achievements:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get achievements',
+            error: error.message
+        });
+    }
+}));
+
+// Create achievement from a declarative rule (or a legacy requirementType)
+router.post('/achievements', [
+    body('achievementId').matches(/^[a-z0-9_]{3,50}$/).withMessage('achievementId must be 3-50 lowercase letters, digits or underscores'),
+    body('name').isLength({ min: 3, max: 100 }).withMessage('Name must be 3-100 characters'),
+    body('description').optional().isString().isLength({ max: 500 }),
+    body('icon').optional().isString(),
+    body('category').optional().isString(),
+    body('points').optional().isInt({ min: 0 }),
+    body('rule').optional().isObject(),
+    body('requirementType').optional().isString(),
+    body('requirementValue').optional().isInt({ min: 1 }),
+    body('isActive').optional().isBoolean()
+], adminAuth, asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation errors',
+            errors: errors.array()
+        });
+    }
+
+    const { achievementId, name, description, icon, category, points = 0, rule, requirementType, requirementValue, isActive = true } = req.body;
+
+    try {
+        const ruleErrors = validateAchievementRule(rule, requirementType, requirementValue);
+        if (ruleErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid achievement rule',
+                errors: ruleErrors
+            });
+        }
+
+        const existing = await Achievement.findOne({ achievementId });
+        if (existing) {
+            return res.status(409).json({
+                success: false,
+                message: 'An achievement with this ID already exists'
+            });
+        }
+
+        const achievement = new Achievement({
+            achievementId,
+            name,
+            description,
+            icon,
+            category,
+            rule,
+            requirementType: rule ? undefined : requirementType,
+            requirementValue: rule ? undefined : requirementValue,
+            points: parseInt(points),
+            isActive
+        });
+        await achievement.save();
+
+        await logAdminAction(req.user.userId, 'create_achievement', 'achievement', achievementId, {
+            name,
+            points: achievement.points,
+            rule: rule || new AchievementRules().fromRequirement(requirementType, requirementValue)
+        }, req);
+
+        console.log(`✅ Achievement created: ${achievementId} by admin ${req.user.userId}`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Achievement created successfully',
+            data: { achievement: formatAchievement(achievement) }
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('❌ Failed to create achievement:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create achievement',
+            error: error.message
+        });
+    }
+}));
+
+// Update achievement (a new rule only affects hunters who have not unlocked it yet)
+router.put('/achievements/:achievementId', [
+    body('name').optional().isLength({ min: 3, max: 100 }),
+    body('description').optional().isString().isLength({ max: 500 }),
+    body('icon').optional().isString(),
+    body('category').optional().isString(),
+    body('points').optional().isInt({ min: 0 }),
+    body('rule').optional().isObject(),
+    body('isActive').optional().isBoolean()
+], adminAuth, asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation errors',
+            errors: errors.array()
+        });
+    }
+
+    const { achievementId } = req.params;
+    const updateData = req.body;
+
+    try {
+        const achievement = await Achievement.findOne({ achievementId });
+        if (!achievement) {
+            return res.status(404).json({
+                success: false,
+                message: 'Achievement not found'
+            });
+        }
+
+        if (updateData.rule) {
+            const ruleErrors = validateAchievementRule(updateData.rule);
+            if (ruleErrors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid achievement rule',
+                    errors: ruleErrors
+                });
+            }
+            achievement.rule = updateData.rule;
+            achievement.markModified('rule');
+        }
+
+        ['name', 'description', 'icon', 'category', 'isActive'].forEach(field => {
+            if (updateData[field] !== undefined) {
+                achievement[field] = updateData[field];
+            }
+        });
+        if (updateData.points !== undefined) {
+            achievement.points = parseInt(updateData.points);
+        }
+
+        await achievement.save();
+
+        await logAdminAction(req.user.userId, 'update_achievement', 'achievement', achievementId, {
+            updatedFields: Object.keys(updateData)
+        }, req);
+
+        console.log(`✅ Achievement updated: ${achievementId} by admin ${req.user.userId}`);
+
+        res.json({
+            success: true,
+            message: 'Achievement updated successfully',
+            data: { achievement: formatAchievement(achievement) }
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('❌ Failed to update achievement:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update achievement',
+            error: error.message
+        });
+    }
+}));
+
+// Manage user (ban/unban/update)
+router.put('/users/:userId', [
+    body('isActive').optional().isBoolean(),
+    body('rank').optional().isIn(['beginner', 'explorer', 'hunter', 'master']),
+    body('action').optional().isIn(['ban', 'unban', 'update'])
+], adminAuth, asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation errors',
+            errors: errors.array()
+        });
+    }
+
+    const { userId } = req.params;
+    const { isActive, rank, action } = req.body;
+
+    try {
+        const user = await User.findById(userId);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        let updateData = {};
+        let actionType = action || 'update';
+
+        // Handle specific actions
+        if (action === 'ban') {
+            updateData.isActive = false;
+            actionType = 'ban_user';
+        } else if (action === 'unban') {
+            updateData.isActive = true;
+            actionType = 'unban_user';
+        } else {
+            if (isActive !== undefined) updateData.isActive = isActive;
+        }
+
+        // Update user
+        const updatedUser = await User.findByIdAndUpdate(
+            userId,
+            updateData,
+            { new: true, runValidators: true }
+        );
+
+        // A banned account is signed out everywhere straight away
+        let revokedSessions = 0;
+        if (updatedUser.isActive === false) {
+            revokedSessions = await new SessionService().revokeAll(userId, 'admin');
+        }
+
+        // Update hunter profile if rank specified
+        let updatedProfile = null;
+        if (rank) {
+            updatedProfile = await HunterProfile.findOneAndUpdate(
+                { userId },
+                { rank },
+                { new: true }
+            );
+        }
+
+        // Log admin action
+        await logAdminAction(req.user.userId, actionType, 'user', userId, {
+            username: user.username,
+            changes: { ...updateData, rank },
+            revokedSessions,
+            reason: req.body.reason || 'Admin action'
+        }, req);
+
+        console.log(`✅ User ${actionType}: ${user.username} by admin ${req.user.userId}`);
+
+        res.json({
+            success: true,
+            message: `User ${actionType} successfully`,
+            data: {
+                user: {
+                    userId: updatedUser._id,
+                    username: updatedUser.username,
+                    email: updatedUser.email,
+                    isActive: updatedUser.isActive,
+                    rank: updatedProfile?.rank || null,
+                    updatedAt: updatedUser.updatedAt
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Failed to manage user:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to manage user',
+            error: error.message
+        });
+    }
+}));
+
+// Get admin logs
+router.get('/logs', [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('action').optional().isString(),
+    query('adminId').optional().isString()
+], adminAuth, asyncHandler(async (req, res) => {
+    const { page = 1, limit = 50, action, adminId } = req.query;
+
+    try {
+        // Build query
+        const query = {};
+        if (action) query.action = action;
+        if (adminId) query.adminUserId = adminId;
+
+        const logs = await AdminLog.find(query)
+            .populate('adminUserId', 'username email')
+            .sort({ createdAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await AdminLog.countDocuments(query);
+
+        res.json({
+            success: true,
+            data: {
+                logs: logs.map(log => ({
+                    id: log._id,
+                    action: log.action,
+                    actionDisplay: formatAdminAction(log.action),
+                    targetType: log.targetType,
+                    targetId: log.targetId,
+                    details: log.details,
+                    admin: {
+                        userId: log.adminUserId._id,
+                        username: log.adminUserId.username
+                    },
+                    ipAddress: log.ipAddress,
+                    createdAt: log.createdAt
+                })),
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Failed to get admin logs:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get admin logs',
+            error: error.message
+        });
+    }
+}));
+
+// List queued NFT mints for offline discoveries
+router.get('/mint-queue', [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('status').optional().isIn(['queued', 'processing', 'succeeded', 'failed'])
+], adminAuth, asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation errors',
+            errors: errors.array()
+        });
+    }
+
+    const { page = 1, limit = 20, status } = req.query;
+
+    try {
+        const query = {};
+        if (status) query.status = status;
+
+        const [jobs, total, statusCounts] = await Promise.all([
+            MintJob.find(query)
+                .populate('userId', 'username')
+                .sort({ nextAttemptAt: 1 })
+                .limit(limit * 1)
+                .skip((page - 1) * limit),
+            MintJob.countDocuments(query),
+            MintJob.aggregate([
+                { $group: { _id: '$status', count: { $sum: 1 } } }
+            ])
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                jobs: jobs.map(job => ({
+                    jobId: job._id,
+                    discoveryId: job.discoveryId,
+                    treasureId: job.treasureId,
+                    user: {
+                        userId: job.userId?._id || job.userId,
+                        username: job.userId?.username
+                    },
+                    status: job.status,
+                    attempts: job.attempts,
+                    maxAttempts: job.maxAttempts,
+                    nextAttemptAt: job.nextAttemptAt,
+                    lastAttemptAt: job.lastAttemptAt,
+                    lastError: job.lastError,
+                    result: job.result,
+                    createdAt: job.createdAt
+                })),
+                summary: statusCounts.reduce((map, item) => {
+                    map[item._id] = item.count;
+                    return map;
+                }, {}),
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Failed to get mint queue:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get mint queue',
+            error: error.message
+        });
+    }
+}));
+
+// Queue existing offline discoveries that have no mint job yet
+router.post('/mint-queue/enqueue-offline', adminAuth, asyncHandler(async (req, res) => {
+    try {
+        const queuedIds = await MintJob.distinct('discoveryId');
+        const offlineDiscoveries = await TreasureDiscovery.find({
+            _id: { $nin: queuedIds },
+            nftObjectId: /^offline_/
+        });
+
+        const mintQueue = new MintQueue();
+        const jobs = [];
+        for (const discovery of offlineDiscoveries) {
+            jobs.push(await mintQueue.enqueue(discovery));
+        }
+
+        await logAdminAction(req.user.userId, 'retry_mint', 'mint_queue', 'offline_backfill', {
+            queued: jobs.length
+        }, req);
+
+        res.json({
+            success: true,
+            message: `Queued ${jobs.length} offline discoveries for minting`,
+            data: {
+                queued: jobs.length,
+                jobIds: jobs.map(job => job._id)
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Failed to queue offline discoveries:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to queue offline discoveries',
+            error: error.message
+        });
+    }
+}));
+
+// Re-trigger a queued or failed mint immediately
+router.post('/mint-queue/:jobId/retry', adminAuth, asyncHandler(async (req, res) => {
+    const { jobId } = req.params;
+
+    try {
+        const existingJob = await MintJob.findById(jobId);
+        if (!existingJob) {
+            return res.status(404).json({
+                success: false,
+                message: 'Mint job not found'
+            });
+        }
+
+        const job = await new MintQueue().retry(jobId);
+        if (!job) {
+            return res.status(400).json({
+                success: false,
+                message: `Mint job cannot be retried while ${existingJob.status}`
+            });
+        }
+
+        await logAdminAction(req.user.userId, 'retry_mint', 'mint_job', jobId, {
+            discoveryId: job.discoveryId,
+            treasureId: job.treasureId,
+            status: job.status,
+            attempts: job.attempts
+        }, req);
+
+        res.json({
+            success: job.status === 'succeeded',
+            message: job.status === 'succeeded' ? 'NFT minted successfully' : 'Mint attempt failed',
+            data: {
+                jobId: job._id,
+                status: job.status,
+                attempts: job.attempts,
+                nextAttemptAt: job.status === 'queued' ? job.nextAttemptAt : null,
+                lastError: job.lastError || null,
+                result: job.result
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Failed to retry mint:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retry mint',
+            error: error.message
+        });
+    }
+}));
+
+// On-chain achievement badges and their mint status
+router.get('/achievement-badges', [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('status').optional().isIn(['queued', 'processing', 'minted', 'failed'])
+], adminAuth, asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation errors',
+            errors: errors.array()
+        });
+    }
+
+    const { page = 1, limit = 20, status } = req.query;
+
+    try {
+        const query = status ? { 'badge.status': status } : { 'badge.status': { $exists: true } };
+
+        const [badges, total, statusCounts] = await Promise.all([
+            UserAchievement.find(query)
+                .populate('userId', 'username')
+                .populate('achievementId', 'achievementId name')
+                .sort({ 'badge.nextAttemptAt': 1, unlockedAt: -1 })
+                .limit(limit * 1)
+                .skip((page - 1) * limit),
+            UserAchievement.countDocuments(query),
+            UserAchievement.aggregate([
+                { $match: { 'badge.status': { $exists: true } } },
+                { $group: { _id: '$badge.status', count: { $sum: 1 } } }
+            ])
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                enabled: new BadgeMinter().enabled,
+                badges: badges.map(userAchievement => ({
+                    userAchievementId: userAchievement._id,
+                    user: {
+                        userId: userAchievement.userId?._id || userAchievement.userId,
+                        username: userAchievement.userId?.username
+                    },
+                    achievementId: userAchievement.achievementId?.achievementId,
+                    achievementName: userAchievement.achievementId?.name,
+                    unlockedAt: userAchievement.unlockedAt,
+                    status: userAchievement.badge.status,
+                    attempts: userAchievement.badge.attempts,
+                    nextAttemptAt: userAchievement.badge.nextAttemptAt || null,
+                    lastError: userAchievement.badge.lastError || null,
+                    nftObjectId: userAchievement.badge.nftObjectId || null,
+                    transactionDigest: userAchievement.badge.transactionDigest || null,
+                    mintedAt: userAchievement.badge.mintedAt || null
+                })),
+                summary: statusCounts.reduce((map, item) => {
+                    map[item._id] = item.count;
+                    return map;
+                }, {}),
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Failed to get achievement badges:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get achievement badges',
+            error: error.message
+        });
+    }
+}));
+
+// Queue badges for achievements unlocked before badges were enabled
+router.post('/achievement-badges/enqueue-missing', adminAuth, asyncHandler(async (req, res) => {
+    try {
+        const badgeMinter = new BadgeMinter();
+        if (!badgeMinter.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'On-chain achievement badges are disabled (ACHIEVEMENT_BADGES_ENABLED)'
+            });
+        }
+
+        const queued = await badgeMinter.enqueueMissing();
+
+        await logAdminAction(req.user.userId, 'retry_badge_mint', 'achievement_badges', 'backfill', {
+            queued
+        }, req);
+
+        res.json({
+            success: true,
+            message: `Queued ${queued} achievement badges for minting`,
+            data: { queued }
+        });
+
+    } catch (error) {
+        console.error('❌ Failed to queue achievement badges:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to create treasure',
+            message: 'Failed to queue achievement badges',
             error: error.message
         });
     }
 }));
 
-// Update treasure
-router.put('/treasures/:treasureId', [
-    body('name').optional().isLength({ min: 3, max: 100 }),
-    body('description').optional().isString(),
-    body('rarity').optional().isInt({ min: 1, max: 3 }),
-    body('rewardPoints').optional().isInt({ min: 1 }),
-    body('requiredRank').optional().isInt({ min: 1, max: 4 }),
-    body('isActive').optional().isBoolean(),
-    body('imageUrl').optional().isURL()
-], adminAuth, asyncHandler(async (req, res) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-        return res.status(400).json({
-            success: false,
-            message: 'Validation errors',
-            errors: errors.array()
-        });
-    }
-
-    const { treasureId } = req.params;
-    const updateData = req.body;
+// Re-trigger a queued or failed badge mint immediately
+router.post('/achievement-badges/:userAchievementId/retry', adminAuth, asyncHandler(async (req, res) => {
+    const { userAchievementId } = req.params;
 
     try {
-        const treasure = await Treasure.findOne({ treasureId });
-        if (!treasure) {
+        const existing = await UserAchievement.findById(userAchievementId);
+        if (!existing || !existing.badge?.status) {
             return res.status(404).json({
                 success: false,
-                message: 'Treasure not found'
+                message: 'Achievement badge not found'
             });
         }
 
-        // Check if treasure has been discovered
-        const isDiscovered = await TreasureDiscovery.exists({ treasureId });
-        if (isDiscovered && (updateData.rarity || updateData.rewardPoints)) {
+        const userAchievement = await new BadgeMinter().retry(userAchievementId);
+        if (!userAchievement) {
             return res.status(400).json({
                 success: false,
-                message: 'Cannot modify rarity or reward points of discovered treasure'
+                message: `Badge cannot be retried while ${existing.badge.status}`
             });
         }
 
-        // Update treasure
-        const updatedTreasure = await Treasure.findOneAndUpdate(
-            { treasureId },
-            updateData,
-            { new: true, runValidators: true }
-        );
-
-        // Log admin action
-        await logAdminAction(req.user.userId, 'update_treasure', 'treasure', treasureId, {
-            updatedFields: Object.keys(updateData),
-            changes: updateData
+        const { badge } = userAchievement;
+        await logAdminAction(req.user.userId, 'retry_badge_mint', 'user_achievement', userAchievementId, {
+            userId: userAchievement.userId,
+            status: badge.status,
+            attempts: badge.attempts
         }, req);
 
-        console.log(`✅ Treasure updated: ${treasureId} by admin ${req.user.userId}`);
+        res.json({
+            success: badge.status === 'minted',
+            message: badge.status === 'minted' ? 'Badge minted successfully' : 'Badge mint attempt failed',
+            data: {
+                userAchievementId: userAchievement._id,
+                status: badge.status,
+                attempts: badge.attempts,
+                nextAttemptAt: badge.status === 'queued' ? badge.nextAttemptAt : null,
+                lastError: badge.lastError || null,
+                nftObjectId: badge.nftObjectId || null,
+                transactionDigest: badge.transactionDigest || null
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Failed to retry badge mint:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retry badge mint',
+            error: error.message
+        });
+    }
+}));
+
+// Marketplace sales whose NFT was not delivered, and sales or delists stuck in settling
+router.get('/marketplace/failed-settlements', adminAuth, asyncHandler(async (req, res) => {
+    try {
+        const listings = await Listing.find({
+            $or: [{ status: 'settlement_failed' }, new MarketplaceService().staleSettlingFilter()]
+        })
+            .populate('buyerId', 'username')
+            .populate('sellerId', 'username')
+            .sort({ updatedAt: 1 });
 
         res.json({
             success: true,
-            message: 'Treasure updated successfully',
             data: {
-                treasure: {
-                    id: updatedTreasure._id,
-                    treasureId: updatedTreasure.treasureId,
-                    name: updatedTreasure.name,
-                    description: updatedTreasure.description,
-                    latitude: updatedTreasure.latitude,
-                    longitude: updatedTreasure.longitude,
-                    rarity: updatedTreasure.rarity,
-                    rarityName: getRarityName(updatedTreasure.rarity),
-                    rewardPoints: updatedTreasure.rewardPoints,
-                    requiredRank: updatedTreasure.requiredRank,
-                    imageUrl: updatedTreasure.imageUrl,
-                    isActive: updatedTreasure.isActive,
-                    updatedAt: updatedTreasure.updatedAt
-                }
+                listings: listings.map(listing => ({
+                    listingId: listing._id,
+                    status: listing.status,
+                    settlingAction: listing.settlingAction,
+                    nftObjectId: listing.nftObjectId,
+                    treasureId: listing.treasureId,
+                    seller: { userId: listing.sellerId?._id, username: listing.sellerId?.username },
+                    buyer: { userId: listing.buyerId?._id, username: listing.buyerId?.username },
+                    salePrice: listing.salePrice / 1000000000,
+                    paymentDigest: listing.paymentDigest,
+                    error: listing.error,
+                    updatedAt: listing.updatedAt
+                }))
             }
         });
 
     } catch (error) {
-        console.error('❌ Failed to update treasure:', error);
+        console.error('❌ Failed to get failed settlements:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to update treasure',
+            message: 'Failed to get failed settlements',
             error: error.message
         });
     }
 }));
 
-// Delete treasure
-router.delete('/treasures/:treasureId', adminAuth, asyncHandler(async (req, res) => {
-    const { treasureId } = req.params;
+// Retry delivering a paid marketplace NFT from escrow, or resolve a stuck sale or delist from the chain
+router.post('/marketplace/:listingId/retry-settlement', adminAuth, asyncHandler(async (req, res) => {
+    const { listingId } = req.params;
 
     try {
-        const treasure = await Treasure.findOne({ treasureId });
-        if (!treasure) {
-            return res.status(404).json({
-                success: false,
-                message: 'Treasure not found'
-            });
-        }
-
-        // Check if treasure has been discovered
-        const isDiscovered = await TreasureDiscovery.exists({ treasureId });
-        if (isDiscovered) {
-            return res.status(400).json({
-                success: false,
-                message: 'Cannot delete discovered treasure. Set as inactive instead.'
-            });
-        }
-
-        // Delete treasure
-        await Treasure.findOneAndDelete({ treasureId });
+        const listing = await new MarketplaceService().retrySettlement(listingId);
 
-        // Log admin action
-        await logAdminAction(req.user.userId, 'delete_treasure', 'treasure', treasureId, {
-            name: treasure.name,
-            rarity: treasure.rarity
+        await logAdminAction(req.user.userId, 'retry_marketplace_settlement', 'listing', listingId, {
+            status: listing.status,
+            deliveryDigest: listing.deliveryDigest,
+            error: listing.error
         }, req);
 
-        console.log(`✅ Treasure deleted: ${treasureId} by admin ${req.user.userId}`);
+        const messages = {
+            sold: 'NFT delivered to the buyer',
+            cancelled: 'NFT returned to the seller',
+            active: 'The NFT is in escrow and the listing is on sale',
+            failed: 'The NFT never reached escrow, the listing was withdrawn'
+        };
 
         res.json({
-            success: true,
-            message: 'Treasure deleted successfully'
+            success: listing.status !== 'settlement_failed',
+            message: messages[listing.status] || 'Delivery failed again',
+            data: {
+                listingId: listing._id,
+                status: listing.status,
+                deliveryDigest: listing.deliveryDigest,
+                error: listing.error || null
+            }
         });
 
     } catch (error) {
-        console.error('❌ Failed to delete treasure:', error);
+        if (error.isOperational) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                error: error.code
+            });
+        }
+
+        console.error('❌ Failed to retry settlement:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to delete treasure',
+            message: 'Failed to retry settlement',
             error: error.message
         });
     }
 }));
 
-// Manage user (ban/unban/update)
-router.put('/users/:userId', [
-    body('isActive').optional().isBoolean(),
-    body('rank').optional().isIn(['beginner', 'explorer', 'hunter', 'master']),
-    body('action').optional().isIn(['ban', 'unban', 'update'])
+// Gas sponsor balance and spend
+router.get('/gas-sponsor', [
+    query('days').optional().isInt({ min: 1, max: 90 })
 ], adminAuth, asyncHandler(async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -497,137 +2035,51 @@ router.put('/users/:userId', [
         });
     }
 
-    const { userId } = req.params;
-    const { isActive, rank, action } = req.body;
-
     try {
-        const user = await User.findById(userId);
-        if (!user) {
-            return res.status(404).json({
-                success: false,
-                message: 'User not found'
-            });
-        }
-
-        let updateData = {};
-        let actionType = action || 'update';
-
-        // Handle specific actions
-        if (action === 'ban') {
-            updateData.isActive = false;
-            actionType = 'ban_user';
-        } else if (action === 'unban') {
-            updateData.isActive = true;
-            actionType = 'unban_user';
-        } else {
-            if (isActive !== undefined) updateData.isActive = isActive;
-        }
-
-        // Update user
-        const updatedUser = await User.findByIdAndUpdate(
-            userId,
-            updateData,
-            { new: true, runValidators: true }
-        );
-
-        // Update hunter profile if rank specified
-        let updatedProfile = null;
-        if (rank) {
-            updatedProfile = await HunterProfile.findOneAndUpdate(
-                { userId },
-                { rank },
-                { new: true }
-            );
-        }
-
-        // Log admin action
-        await logAdminAction(req.user.userId, actionType, 'user', userId, {
-            username: user.username,
-            changes: { ...updateData, rank },
-            reason: req.body.reason || 'Admin action'
-        }, req);
-
-        console.log(`✅ User ${actionType}: ${user.username} by admin ${req.user.userId}`);
+        const suiService = new SuiService();
+        const status = await suiService.getGasSponsor().getStatus(parseInt(req.query.days || '7'));
 
         res.json({
             success: true,
-            message: `User ${actionType} successfully`,
-            data: {
-                user: {
-                    userId: updatedUser._id,
-                    username: updatedUser.username,
-                    email: updatedUser.email,
-                    isActive: updatedUser.isActive,
-                    rank: updatedProfile?.rank || null,
-                    updatedAt: updatedUser.updatedAt
-                }
-            }
+            data: status
         });
 
     } catch (error) {
-        console.error('❌ Failed to manage user:', error);
+        console.error('❌ Failed to get gas sponsor status:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to manage user',
+            message: 'Failed to get gas sponsor status',
             error: error.message
         });
     }
 }));
 
-// Get admin logs
-router.get('/logs', [
-    query('page').optional().isInt({ min: 1 }),
-    query('limit').optional().isInt({ min: 1, max: 100 }),
-    query('action').optional().isString(),
-    query('adminId').optional().isString()
+// Faucet usage report
+router.get('/faucet', [
+    query('days').optional().isInt({ min: 1, max: 90 })
 ], adminAuth, asyncHandler(async (req, res) => {
-    const { page = 1, limit = 50, action, adminId } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation errors',
+            errors: errors.array()
+        });
+    }
 
     try {
-        // Build query
-        const query = {};
-        if (action) query.action = action;
-        if (adminId) query.adminUserId = adminId;
-
-        const logs = await AdminLog.find(query)
-            .populate('adminUserId', 'username email')
-            .sort({ createdAt: -1 })
-            .limit(limit * 1)
-            .skip((page - 1) * limit);
-
-        const total = await AdminLog.countDocuments(query);
+        const report = await new FaucetService().getReport(parseInt(req.query.days || '7'));
 
         res.json({
             success: true,
-            data: {
-                logs: logs.map(log => ({
-                    id: log._id,
-                    action: log.action,
-                    actionDisplay: formatAdminAction(log.action),
-                    targetType: log.targetType,
-                    targetId: log.targetId,
-                    details: log.details,
-                    admin: {
-                        userId: log.adminUserId._id,
-                        username: log.adminUserId.username
-                    },
-                    ipAddress: log.ipAddress,
-                    createdAt: log.createdAt
-                })),
-                pagination: {
-                    page: parseInt(page),
-                    limit: parseInt(limit),
-                    total,
-                    pages: Math.ceil(total / limit)
-                }
-            }
+            data: report
         });
 
     } catch (error) {
-        console.error('❌ Failed to get admin logs:', error);
+        console.error('❌ Failed to get faucet report:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to get admin logs',
+            message: 'Failed to get faucet report',
             error: error.message
         });
     }
@@ -855,6 +2307,104 @@ function getRarityName(rarity) {
     return rarities[rarity] || 'Common';
 }
 
+// Validators for availability windows and recurring schedules (shared by create and update)
+function scheduleValidators() {
+    return [
+        body('availableFrom').optional({ nullable: true }).isISO8601().withMessage('availableFrom must be an ISO 8601 date'),
+        body('availableUntil').optional({ nullable: true }).isISO8601().withMessage('availableUntil must be an ISO 8601 date')
+            .custom((value, { req }) => {
+                if (value && req.body.availableFrom && new Date(value) <= new Date(req.body.availableFrom)) {
+                    throw new Error('availableUntil must be after availableFrom');
+                }
+                return true;
+            }),
+        body('schedule.timezone').optional().custom(value => {
+            try {
+                new Intl.DateTimeFormat('en-US', { timeZone: value });
+                return true;
+            } catch (error) {
+                throw new Error('Unknown timezone');
+            }
+        }),
+        body('schedule.daysOfWeek').optional().isArray().withMessage('daysOfWeek must be an array'),
+        body('schedule.daysOfWeek.*').isInt({ min: 0, max: 6 }).withMessage('Days of week are 0 (Sunday) to 6'),
+        body('schedule.startTime').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('startTime must be HH:mm'),
+        body('schedule.endTime').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('endTime must be HH:mm')
+    ];
+}
+
+// Never expose the SDM keys
+function formatNfcTag(tag) {
+    return {
+        tagId: tag._id,
+        treasureId: tag.treasureId,
+        uid: tag.uid,
+        label: tag.label,
+        isActive: tag.isActive,
+        lastCounter: tag.lastCounter,
+        tapCount: tag.tapCount,
+        lastTapAt: tag.lastTapAt,
+        createdAt: tag.createdAt
+    };
+}
+
+async function findMissingHuntTreasures(steps) {
+    const treasureIds = steps.map(step => step.treasureId);
+    const existing = await Treasure.find({ treasureId: { $in: treasureIds } }).select('treasureId');
+    const existingIds = new Set(existing.map(treasure => treasure.treasureId));
+    return treasureIds.filter(treasureId => !existingIds.has(treasureId));
+}
+
+function formatHunt(hunt) {
+    return {
+        huntId: hunt._id,
+        name: hunt.name,
+        description: hunt.description,
+        imageUrl: hunt.imageUrl,
+        steps: hunt.steps.map((step, index) => ({
+            stepNumber: index + 1,
+            treasureId: step.treasureId,
+            clue: step.clue || null
+        })),
+        completionBonus: hunt.completionBonus,
+        completionNft: hunt.completionNft,
+        status: hunt.status,
+        publishedAt: hunt.publishedAt || null,
+        createdBy: hunt.createdBy,
+        createdAt: hunt.createdAt,
+        updatedAt: hunt.updatedAt
+    };
+}
+
+// Rule problems for a new or updated achievement; a legacy requirementType must map to a rule
+function validateAchievementRule(rule, requirementType, requirementValue) {
+    const rules = new AchievementRules();
+    if (rule) {
+        return rules.validate(rule);
+    }
+    if (!rules.fromRequirement(requirementType, requirementValue)) {
+        return ['rule: a rule or a supported requirementType is required'];
+    }
+    return [];
+}
+
+function formatAchievement(achievement) {
+    return {
+        achievementId: achievement.achievementId,
+        name: achievement.name,
+        description: achievement.description,
+        icon: achievement.icon,
+        category: achievement.category,
+        points: achievement.points,
+        rule: achievement.rule || null,
+        requirementType: achievement.requirementType || null,
+        requirementValue: achievement.requirementValue || null,
+        isActive: achievement.isActive,
+        createdAt: achievement.createdAt,
+        updatedAt: achievement.updatedAt
+    };
+}
+
 function formatAdminAction(action) {
     const actions = {
         'create_treasure': 'Create Treasure',
@@ -862,7 +2412,19 @@ function formatAdminAction(action) {
         'delete_treasure': 'Delete Treasure',
         'ban_user': 'Ban User',
         'unban_user': 'Unban User',
-        'system_update': 'System Update'
+        'system_update': 'System Update',
+        'retry_mint': 'Retry NFT Mint',
+        'register_nfc_tag': 'Register NFC Tag',
+        'deactivate_nfc_tag': 'Deactivate NFC Tag',
+        'generate_qr_code': 'Generate QR Code',
+        'sync_registry': 'Sync Treasure Registry',
+        'create_hunt': 'Create Hunt',
+        'update_hunt': 'Update Hunt',
+        'publish_hunt': 'Publish Hunt',
+        'retry_marketplace_settlement': 'Retry Marketplace Settlement',
+        'create_achievement': 'Create Achievement',
+        'update_achievement': 'Update Achievement',
+        'retry_badge_mint': 'Retry Badge Mint'
     };
     return actions[action] || action;
 }
@@ -2,8 +2,10 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const SuiService = require('../services/SuiService');
+const SessionService = require('../services/SessionService');
+const WalletAuthService = require('../services/WalletAuthService');
+const FaucetService = require('../services/FaucetService');
 const { User, HunterProfile } = require('../models');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { auth } = require('../middleware/auth'); // ← ADD THIS MISSING IMPORT
@@ -31,7 +33,8 @@ router.post('/register', [
   body('password')
     .optional()
     .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters')
+    .withMessage('Password must be at least 6 characters'),
+  body('deviceName').optional().isString().isLength({ max: 100 })
 ], asyncHandler(async (req, res) => {
   // 1. Validate input
   const errors = validationResult(req);
@@ -119,13 +122,13 @@ router.post('/register', [
     // 8. Try to create blockchain profile (optional - don't fail if this fails)
     console.log(`⛓️ Attempting to create hunter profile on blockchain...`);
     try {
-      // Check if user has some SUI first
+      // Check if user has some SUI first (not needed when the gas sponsor pays)
       const balance = await suiService.getBalance(walletData.address);
       const suiBalance = Number(balance) / 1000000000;
       
-      if (suiBalance >= 0.02) {
+      if (suiBalance >= 0.02 || suiService.getGasSponsor().enabled) {
         const profileResult = await suiService.createHunterProfile(
-          walletData.encryptedPrivateKey,
+          suiService.signerFor(user),
           username
         );
 
@@ -142,21 +145,8 @@ router.post('/register', [
       // Continue without blockchain profile - can be created later
     }
 
-    // 9. Generate JWT token
-    const token = jwt.sign(
-      { 
-        userId: user._id, 
-        suiAddress: user.suiAddress,
-        username: user.username,
-        role: 'user'
-      },
-      process.env.JWT_SECRET,
-      { 
-        expiresIn: process.env.JWT_EXPIRES_IN || '7d',
-        issuer: 'treasure-hunt-api',
-        audience: 'treasure-hunt-app'
-      }
-    );
+    // 9. Open a device session (short-lived access token + refresh token)
+    const { tokens } = await new SessionService().createSession(user, getDeviceInfo(req));
 
     // 10. Get wallet balance
     let walletBalance = '0';
@@ -186,12 +176,12 @@ router.post('/register', [
           suiBalance: (parseFloat(walletBalance) / 1000000000).toFixed(4),
           verified: true // We verified the wallet works
         },
-        token,
-        tokenExpiresIn: process.env.JWT_EXPIRES_IN || '7d',
+        ...tokens,
         notes: {
           walletVerified: true,
           blockchainProfileCreated: !!user.profileObjectId,
-          needsFaucet: parseFloat(walletBalance) === 0
+          needsFaucet: parseFloat(walletBalance) === 0 && !suiService.getGasSponsor().enabled,
+          gasSponsored: suiService.getGasSponsor().enabled
         }
       }
     });
@@ -248,7 +238,8 @@ router.post('/register', [
 // Login user
 router.post('/login', [
   body('email').isEmail().normalizeEmail(),
-  body('password').optional()
+  body('password').optional(),
+  body('deviceName').optional().isString().isLength({ max: 100 })
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -262,7 +253,7 @@ router.post('/login', [
   const { email, password } = req.body;
 
   // Find user
-  const user = await User.findOne({ email, isActive: true });
+  const user = await User.findOne({ email, isActive: true }).select('+password');
   if (!user) {
     return res.status(401).json({
       success: false,
@@ -270,6 +261,15 @@ router.post('/login', [
     });
   }
 
+  // Wallet accounts have no password; only a wallet signature proves who is logging in
+  if (!user.password && (user.signUpMethod === 'wallet' || user.linkedWallets?.length > 0)) {
+    return res.status(401).json({
+      success: false,
+      message: 'This account signs in with its wallet, use /auth/wallet/challenge and /auth/wallet/login',
+      error: 'WALLET_SIGNIN_REQUIRED'
+    });
+  }
+
   // Check password
   if (user.password && password) {
     // If user has password and password provided, check it
@@ -294,21 +294,8 @@ router.post('/login', [
   // Get hunter profile
   const hunterProfile = await HunterProfile.findOne({ userId: user._id });
 
-  // Generate token
-  const token = jwt.sign(
-    {
-      userId: user._id,
-      suiAddress: user.suiAddress,
-      username: user.username,
-      role: 'user'
-    },
-    process.env.JWT_SECRET,
-    {
-      expiresIn: process.env.JWT_EXPIRES_IN || '7d',
-      issuer: 'treasure-hunt-api',
-      audience: 'treasure-hunt-app'
-    }
-  );
+  // Open a device session
+  const { tokens } = await new SessionService().createSession(user, getDeviceInfo(req));
 
   // Get wallet balance
   let walletBalance = '0';
@@ -343,8 +330,7 @@ router.post('/login', [
         totalScore: hunterProfile.totalScore,
         currentStreak: hunterProfile.currentStreak
       } : null,
-      token,
-      tokenExpiresIn: process.env.JWT_EXPIRES_IN || '7d'
+      ...tokens
     }
   });
 }));
@@ -447,6 +433,311 @@ router.post('/verify-wallet', auth, asyncHandler(async (req, res) => {
   }
 }));
 
+// Sign in with Sui - step 1: get the message to sign
+router.post('/wallet/challenge', [
+  body('address').isString().notEmpty().withMessage('Sui address is required')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const challenge = await new WalletAuthService().createChallenge(req.body.address, 'login');
+
+    res.status(201).json({
+      success: true,
+      data: {
+        challengeId: challenge._id,
+        address: challenge.address,
+        message: challenge.message,
+        expiresAt: challenge.expiresAt
+      }
+    });
+
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        error: error.code
+      });
+    }
+
+    console.error('❌ Wallet challenge failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create wallet challenge',
+      error: error.message
+    });
+  }
+}));
+
+// Sign in with Sui - step 2: verify the personal message signature and open a session
+// Unknown wallets can register by also sending username and email
+router.post('/wallet/login', [
+  body('challengeId').isString().notEmpty().withMessage('Challenge ID is required'),
+  body('signature').isString().notEmpty().withMessage('Signature is required'),
+  body('username')
+    .optional()
+    .isLength({ min: 3, max: 50 })
+    .matches(/^[a-zA-Z0-9_]+$/)
+    .withMessage('Username must be 3-50 characters and contain only letters, numbers, and underscores'),
+  body('email').optional().isEmail().normalizeEmail(),
+  body('deviceName').optional().isString().isLength({ max: 100 })
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+  }
+
+  const { challengeId, signature, username, email } = req.body;
+
+  try {
+    const walletAuthService = new WalletAuthService();
+    const challenge = await walletAuthService.verifyChallenge(challengeId, signature, 'login');
+
+    let user = await walletAuthService.findUserByWallet(challenge.address);
+    let created = false;
+
+    if (!user) {
+      if (!username || !email) {
+        return res.status(404).json({
+          success: false,
+          message: 'This wallet is not linked to an account. Send username and email to register, or link it from an existing account.',
+          error: 'WALLET_NOT_LINKED',
+          data: { address: challenge.address }
+        });
+      }
+
+      user = await walletAuthService.createWalletUser(challenge.address, { username, email });
+      created = true;
+      console.log(`✅ User registered with Sui wallet: ${user.username} (${challenge.address})`);
+    }
+
+    if (!user.isActive) {
+      return res.status(403).json({
+        success: false,
+        message: 'Account is disabled',
+        error: 'ACCOUNT_DISABLED'
+      });
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    const hunterProfile = await HunterProfile.findOne({ userId: user._id });
+    const { tokens } = await new SessionService().createSession(user, getDeviceInfo(req));
+
+    console.log(`🔑 Wallet login: ${user.username} via ${challenge.address}`);
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Account created with your Sui wallet' : 'Login successful',
+      data: {
+        user: {
+          userId: user._id,
+          username: user.username,
+          email: user.email,
+          suiAddress: user.suiAddress,
+          profileObjectId: user.profileObjectId,
+          linkedWallets: user.linkedWallets,
+          lastLoginAt: user.lastLoginAt
+        },
+        signedInWith: challenge.address,
+        created,
+        profile: hunterProfile ? {
+          rank: hunterProfile.rank,
+          totalTreasuresFound: hunterProfile.totalTreasuresFound,
+          totalScore: hunterProfile.totalScore,
+          currentStreak: hunterProfile.currentStreak
+        } : null,
+        ...tokens
+      }
+    });
+
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        error: error.code
+      });
+    }
+
+    console.error('❌ Wallet login failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Wallet login failed',
+      error: error.message
+    });
+  }
+}));
+
+// List the external wallets linked to this account
+router.get('/wallets', auth, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.userId).select('suiAddress linkedWallets');
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      custodialAddress: user.suiAddress,
+      linkedWallets: user.linkedWallets
+    }
+  });
+}));
+
+// Link an external wallet - step 1: get the message to sign
+router.post('/wallet/link/challenge', [
+  body('address').isString().notEmpty().withMessage('Sui address is required')
+], auth, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const challenge = await new WalletAuthService().createChallenge(req.body.address, 'link', req.user.userId);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        challengeId: challenge._id,
+        address: challenge.address,
+        message: challenge.message,
+        expiresAt: challenge.expiresAt
+      }
+    });
+
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        error: error.code
+      });
+    }
+
+    console.error('❌ Wallet link challenge failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create wallet challenge',
+      error: error.message
+    });
+  }
+}));
+
+// Link an external wallet - step 2: verify the signature and attach the address
+router.post('/wallet/link', [
+  body('challengeId').isString().notEmpty().withMessage('Challenge ID is required'),
+  body('signature').isString().notEmpty().withMessage('Signature is required'),
+  body('label').optional().isString().isLength({ max: 50 })
+], auth, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+  }
+
+  const { challengeId, signature, label } = req.body;
+  const userId = req.user.userId;
+
+  try {
+    const walletAuthService = new WalletAuthService();
+    const challenge = await walletAuthService.verifyChallenge(challengeId, signature, 'link', userId);
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await walletAuthService.linkWallet(user, challenge.address, label);
+    console.log(`🔗 Wallet ${challenge.address} linked to ${user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Wallet linked successfully',
+      data: {
+        linkedWallets: user.linkedWallets
+      }
+    });
+
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        error: error.code
+      });
+    }
+
+    console.error('❌ Wallet link failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to link wallet',
+      error: error.message
+    });
+  }
+}));
+
+// Unlink an external wallet
+router.delete('/wallet/link/:address', auth, asyncHandler(async (req, res) => {
+  try {
+    const removed = await new WalletAuthService().unlinkWallet(req.user.userId, req.params.address);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Wallet is not linked to this account'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Wallet unlinked successfully'
+    });
+
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        error: error.code
+      });
+    }
+
+    console.error('❌ Wallet unlink failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlink wallet',
+      error: error.message
+    });
+  }
+}));
+
 // Verify token
 router.get('/verify', auth, (req, res) => {
   res.json({
@@ -458,25 +749,103 @@ router.get('/verify', auth, (req, res) => {
   });
 });
 
-// Logout (for completeness)
-router.post('/logout', (req, res) => {
-  // In a stateless JWT system, logout is handled client-side
-  // You could maintain a blacklist of tokens if needed
+// Exchange a refresh token for a new token pair
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const { tokens } = await new SessionService().refresh(req.body.refreshToken);
+
+    res.json({
+      success: true,
+      message: 'Token refreshed',
+      data: tokens
+    });
+
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        error: error.code
+      });
+    }
+
+    console.error('❌ Token refresh failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Token refresh failed',
+      error: error.message
+    });
+  }
+}));
+
+// Logout - revokes the current session, or every session with allDevices
+router.post('/logout', [
+  body('allDevices').optional().isBoolean()
+], auth, asyncHandler(async (req, res) => {
+  const { userId, sessionId } = req.user;
+  const allDevices = req.body.allDevices === true || req.body.allDevices === 'true';
+
+  const sessionService = new SessionService();
+  const revokedCount = allDevices ?
+    await sessionService.revokeAll(userId, 'logout_all') :
+    (await sessionService.revoke(userId, sessionId, 'logout') ? 1 : 0);
+
+  console.log(`👋 User ${userId} logged out (${allDevices ? 'all devices' : 'this device'})`);
+
   res.json({
     success: true,
-    message: 'Logout successful. Please remove token from client.'
+    message: allDevices ? 'Logged out from all devices' : 'Logout successful',
+    data: { revokedSessions: revokedCount }
   });
-});
+}));
 
-// Request SUI from faucet (testnet only)
-router.post('/faucet', auth, asyncHandler(async (req, res) => {
-  if (process.env.SUI_NETWORK === 'mainnet') {
-    return res.status(400).json({
+// List active sessions (devices)
+router.get('/sessions', auth, asyncHandler(async (req, res) => {
+  const sessionService = new SessionService();
+  const sessions = await sessionService.listSessions(req.user.userId);
+
+  res.json({
+    success: true,
+    data: {
+      sessions: sessions.map(session => sessionService.formatSession(session, req.user.sessionId))
+    }
+  });
+}));
+
+// Revoke one session, e.g. a lost phone
+router.delete('/sessions/:sessionId', auth, asyncHandler(async (req, res) => {
+  const { sessionId } = req.params;
+  const revoked = await new SessionService().revoke(req.user.userId, sessionId, 'user_revoked');
+
+  if (!revoked) {
+    return res.status(404).json({
       success: false,
-      message: 'Faucet not available on mainnet'
+      message: 'Session not found or already revoked'
     });
   }
 
+  console.log(`🔒 User ${req.user.userId} revoked session ${sessionId}`);
+
+  res.json({
+    success: true,
+    message: 'Session revoked',
+    data: { sessionId, current: sessionId === req.user.sessionId }
+  });
+}));
+
+// Request SUI from faucet (testnet only) - same limits as /wallet/faucet
+router.post('/faucet', auth, asyncHandler(async (req, res) => {
   const user = await User.findById(req.user.userId);
   if (!user) {
     return res.status(404).json({
@@ -486,29 +855,28 @@ router.post('/faucet', auth, asyncHandler(async (req, res) => {
   }
 
   try {
-    const suiService = new SuiService();
-    const faucetResult = await suiService.requestFaucet(user.suiAddress);
+    const { transaction, transactionDigests, newBalance } = await new FaucetService().request(user, req.ip);
 
-    if (faucetResult.success) {
-      // Get updated balance
-      const newBalance = await suiService.getBalance(user.suiAddress);
-
-      res.json({
-        success: true,
-        message: 'SUI tokens requested successfully',
-        data: {
-          transactionDigests: faucetResult.transactionDigests,
-          newBalance,
-          suiBalance: (parseFloat(newBalance) / 1000000000).toFixed(4)
-        }
-      });
-    } else {
-      res.status(400).json({
+    res.json({
+      success: true,
+      message: 'SUI tokens requested successfully',
+      data: {
+        transactionDigests,
+        newBalance,
+        suiBalance: (parseFloat(newBalance) / 1000000000).toFixed(4),
+        transactionId: transaction._id
+      }
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
         success: false,
-        message: faucetResult.message
+        message: error.message,
+        error: error.code,
+        ...(error.data ? { data: error.data } : {})
       });
     }
-  } catch (error) {
+
     console.error('Faucet request error:', error);
     res.status(500).json({
       success: false,
@@ -518,4 +886,13 @@ router.post('/faucet', auth, asyncHandler(async (req, res) => {
   }
 }));
 
+// Helper functions
+function getDeviceInfo(req) {
+  return {
+    deviceName: req.body.deviceName,
+    userAgent: req.get('User-Agent'),
+    ipAddress: req.ip
+  };
+}
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,263 @@
+// src/routes/hunts.js - Hunts: ordered treasure trails with clue progression
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { auth } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { Hunt, HuntProgress } = require('../models');
+const HuntService = require('../services/HuntService');
+const AchievementService = require('../services/AchievementService');
+const router = express.Router();
+
+// Health check
+router.get('/health', (req, res) => {
+    res.json({
+        message: 'Hunts routes working',
+        timestamp: new Date().toISOString(),
+        service: 'hunts'
+    });
+});
+
+// List published hunts with the hunter's progress
+router.get('/', [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 50 })
+], auth, asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation errors',
+            errors: errors.array()
+        });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const userId = req.user.userId;
+
+    try {
+        const [hunts, total] = await Promise.all([
+            Hunt.find({ status: 'published' })
+                .sort({ publishedAt: -1 })
+                .limit(limit * 1)
+                .skip((page - 1) * limit),
+            Hunt.countDocuments({ status: 'published' })
+        ]);
+
+        const progressList = await HuntProgress.find({
+            userId,
+            huntId: { $in: hunts.map(hunt => hunt._id) }
+        });
+        const progressByHunt = new Map(progressList.map(progress => [progress.huntId, progress]));
+
+        res.json({
+            success: true,
+            data: {
+                hunts: hunts.map(hunt => {
+                    const progress = progressByHunt.get(hunt._id);
+                    return {
+                        ...formatHunt(hunt),
+                        progress: progress ? {
+                            status: progress.status,
+                            stepsCompleted: progress.completedSteps.length,
+                            totalSteps: hunt.steps.length
+                        } : null
+                    };
+                }),
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Failed to get hunts:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get hunts',
+            error: error.message
+        });
+    }
+}));
+
+// Get a single hunt (locked steps are not revealed)
+router.get('/:huntId', auth, asyncHandler(async (req, res) => {
+    const { huntId } = req.params;
+
+    try {
+        const hunt = await Hunt.findOne({ _id: huntId, status: 'published' });
+        if (!hunt) {
+            return res.status(404).json({
+                success: false,
+                message: 'Hunt not found'
+            });
+        }
+
+        const progress = await HuntProgress.findOne({ userId: req.user.userId, huntId });
+
+        res.json({
+            success: true,
+            data: {
+                hunt: formatHunt(hunt),
+                progress: progress ? await new HuntService().formatProgress(hunt, progress) : null
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Failed to get hunt:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get hunt',
+            error: error.message
+        });
+    }
+}));
+
+// Start (or resume) a hunt - unlocks the first clue
+router.post('/:huntId/start', auth, asyncHandler(async (req, res) => {
+    const { huntId } = req.params;
+    const userId = req.user.userId;
+
+    try {
+        const huntService = new HuntService();
+        const { hunt, progress, resumed } = await huntService.startHunt(userId, huntId);
+
+        console.log(`🧭 User ${userId} ${resumed ? 'resumed' : 'started'} hunt: ${hunt.name}`);
+
+        // Steps found before starting can complete the hunt straight away
+        let unlockedAchievements = [];
+        if (!resumed && progress.status === 'completed') {
+            try {
+                unlockedAchievements = await new AchievementService().processEvents(userId, [
+                    { type: 'hunt_completed', huntId: hunt._id }
+                ]);
+            } catch (achievementError) {
+                console.warn(`⚠️ Failed to evaluate achievements:`, achievementError.message);
+            }
+        }
+
+        res.status(resumed ? 200 : 201).json({
+            success: true,
+            message: resumed ? 'Hunt resumed' : 'Hunt started! Follow the first clue 🧭',
+            data: {
+                hunt: formatHunt(hunt),
+                progress: await huntService.formatProgress(hunt, progress),
+                achievements: unlockedAchievements.map(AchievementService.format)
+            }
+        });
+
+    } catch (error) {
+        if (error.isOperational) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                error: error.code
+            });
+        }
+
+        console.error('❌ Failed to start hunt:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to start hunt',
+            error: error.message
+        });
+    }
+}));
+
+// Get the hunter's progress in a hunt
+router.get('/:huntId/progress', auth, asyncHandler(async (req, res) => {
+    const { huntId } = req.params;
+
+    try {
+        const [hunt, progress] = await Promise.all([
+            Hunt.findById(huntId),
+            HuntProgress.findOne({ userId: req.user.userId, huntId })
+        ]);
+
+        if (!hunt || !progress) {
+            return res.status(404).json({
+                success: false,
+                message: 'You have not started this hunt'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                progress: await new HuntService().formatProgress(hunt, progress)
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Failed to get hunt progress:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get hunt progress',
+            error: error.message
+        });
+    }
+}));
+
+// Get the currently unlocked clue
+router.get('/:huntId/clue', auth, asyncHandler(async (req, res) => {
+    const { huntId } = req.params;
+
+    try {
+        const [hunt, progress] = await Promise.all([
+            Hunt.findById(huntId),
+            HuntProgress.findOne({ userId: req.user.userId, huntId })
+        ]);
+
+        if (!hunt || !progress) {
+            return res.status(404).json({
+                success: false,
+                message: 'You have not started this hunt'
+            });
+        }
+
+        if (progress.status === 'completed') {
+            return res.json({
+                success: true,
+                message: 'Hunt already completed 🏆',
+                data: { clue: null, completed: true }
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                clue: await new HuntService().getClue(hunt, progress.currentStep),
+                completed: false
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Failed to get hunt clue:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get hunt clue',
+            error: error.message
+        });
+    }
+}));
+
+// Helper functions
+function formatHunt(hunt) {
+    return {
+        huntId: hunt._id,
+        name: hunt.name,
+        description: hunt.description,
+        imageUrl: hunt.imageUrl,
+        totalSteps: hunt.steps.length,
+        completionBonus: hunt.completionBonus,
+        completionNft: hunt.completionNft?.name ? {
+            name: hunt.completionNft.name,
+            imageUrl: hunt.completionNft.imageUrl
+        } : null,
+        publishedAt: hunt.publishedAt
+    };
+}
+
+module.exports = router;
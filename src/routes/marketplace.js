@@ -0,0 +1,427 @@
+// src/routes/marketplace.js - Buy, sell and make offers on treasure NFTs
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { auth } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { User, Treasure, Listing } = require('../models');
+const MarketplaceService = require('../services/MarketplaceService');
+const router = express.Router();
+
+const MIST_PER_SUI = 1000000000;
+
+// Health check
+router.get('/health', (req, res) => {
+    res.json({
+        message: 'Marketplace routes working',
+        timestamp: new Date().toISOString(),
+        service: 'marketplace'
+    });
+});
+
+// Browse active listings
+router.get('/listings', [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 50 }),
+    query('rarity').optional().isInt({ min: 1, max: 3 }),
+    query('treasureId').optional().isString(),
+    query('sort').optional().isIn(['newest', 'price_asc', 'price_desc'])
+], auth, asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation errors',
+            errors: errors.array()
+        });
+    }
+
+    const { page = 1, limit = 20, rarity, treasureId, sort = 'newest' } = req.query;
+
+    try {
+        const filter = { status: 'active' };
+        if (rarity) filter.rarity = parseInt(rarity);
+        if (treasureId) filter.treasureId = treasureId;
+
+        const sortOrder = {
+            newest: { createdAt: -1 },
+            price_asc: { price: 1 },
+            price_desc: { price: -1 }
+        }[sort];
+
+        const [listings, total] = await Promise.all([
+            Listing.find(filter)
+                .sort(sortOrder)
+                .limit(limit * 1)
+                .skip((page - 1) * limit),
+            Listing.countDocuments(filter)
+        ]);
+
+        const details = await loadListingDetails(listings);
+
+        res.json({
+            success: true,
+            data: {
+                listings: listings.map(listing => formatListing(listing, details, req.user.userId)),
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Failed to get listings:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get listings',
+            error: error.message
+        });
+    }
+}));
+
+// Sale price history per rarity
+router.get('/price-history', [
+    query('rarity').optional().isInt({ min: 1, max: 3 }),
+    query('treasureId').optional().isString(),
+    query('days').optional().isInt({ min: 1, max: 365 })
+], auth, asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation errors',
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const history = await new MarketplaceService().getPriceHistory({
+            rarity: req.query.rarity ? parseInt(req.query.rarity) : undefined,
+            treasureId: req.query.treasureId,
+            days: parseInt(req.query.days || '30')
+        });
+
+        res.json({
+            success: true,
+            data: { history }
+        });
+
+    } catch (error) {
+        console.error('❌ Failed to get price history:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get price history',
+            error: error.message
+        });
+    }
+}));
+
+// My listings and the offers I made
+router.get('/mine', auth, asyncHandler(async (req, res) => {
+    const userId = req.user.userId;
+
+    try {
+        const [listings, offered] = await Promise.all([
+            Listing.find({ sellerId: userId }).sort({ createdAt: -1 }).limit(100),
+            Listing.find({ 'offers.buyerId': userId }).sort({ updatedAt: -1 }).limit(100)
+        ]);
+
+        const details = await loadListingDetails([...listings, ...offered]);
+        const marketplaceService = new MarketplaceService();
+
+        res.json({
+            success: true,
+            data: {
+                listings: listings.map(listing => formatListing(listing, details, userId)),
+                offers: offered.flatMap(listing => listing.offers
+                    .filter(offer => offer.buyerId === userId)
+                    .map(offer => ({
+                        ...formatOffer(offer, marketplaceService),
+                        listing: formatListing(listing, details, userId)
+                    })))
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Failed to get my marketplace activity:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get marketplace activity',
+            error: error.message
+        });
+    }
+}));
+
+// Get one listing
+router.get('/listings/:listingId', auth, asyncHandler(async (req, res) => {
+    try {
+        const listing = await Listing.findById(req.params.listingId);
+        if (!listing) {
+            return res.status(404).json({
+                success: false,
+                message: 'Listing not found'
+            });
+        }
+
+        const details = await loadListingDetails([listing]);
+
+        res.json({
+            success: true,
+            data: { listing: formatListing(listing, details, req.user.userId) }
+        });
+
+    } catch (error) {
+        console.error('❌ Failed to get listing:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get listing',
+            error: error.message
+        });
+    }
+}));
+
+// List an NFT for sale (moves it into escrow)
+router.post('/listings', [
+    body('nftObjectId')
+        .matches(/^0x[a-fA-F0-9]{64}$/)
+        .withMessage('Invalid NFT object ID'),
+    body('price')
+        .isFloat({ gt: 0 })
+        .withMessage('Price in SUI is required')
+], auth, asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation errors',
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const user = await getWalletUser(req.user.userId);
+        const price = Math.floor(parseFloat(req.body.price) * MIST_PER_SUI);
+
+        console.log(`🏷️ ${user.username} listing ${req.body.nftObjectId} for ${req.body.price} SUI`);
+
+        const { listing } = await new MarketplaceService().createListing(user, req.body.nftObjectId, price);
+        const details = await loadListingDetails([listing]);
+
+        res.status(201).json({
+            success: true,
+            message: 'NFT listed for sale',
+            data: { listing: formatListing(listing, details, user._id) }
+        });
+
+    } catch (error) {
+        handleMarketplaceError(res, error, 'Failed to create listing');
+    }
+}));
+
+// Delist (escrow returns the NFT)
+router.delete('/listings/:listingId', auth, asyncHandler(async (req, res) => {
+    try {
+        const user = await getWalletUser(req.user.userId);
+        const listing = await new MarketplaceService().cancelListing(user, req.params.listingId);
+
+        res.json({
+            success: true,
+            message: 'Listing cancelled, the NFT is back in your wallet',
+            data: { listingId: listing._id, status: listing.status }
+        });
+
+    } catch (error) {
+        handleMarketplaceError(res, error, 'Failed to cancel listing');
+    }
+}));
+
+// Buy at the asking price
+router.post('/listings/:listingId/buy', auth, asyncHandler(async (req, res) => {
+    try {
+        const user = await getWalletUser(req.user.userId);
+
+        console.log(`🛒 ${user.username} buying listing ${req.params.listingId}`);
+
+        const listing = await new MarketplaceService().buy(user, req.params.listingId);
+        res.status(listing.status === 'sold' ? 200 : 202).json(formatSaleResponse(listing));
+
+    } catch (error) {
+        handleMarketplaceError(res, error, 'Purchase failed');
+    }
+}));
+
+// Make an offer below (or above) the asking price
+router.post('/listings/:listingId/offers', [
+    body('price')
+        .isFloat({ gt: 0 })
+        .withMessage('Offer price in SUI is required')
+], auth, asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation errors',
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const user = await getWalletUser(req.user.userId);
+        const price = Math.floor(parseFloat(req.body.price) * MIST_PER_SUI);
+        const marketplaceService = new MarketplaceService();
+        const { offer } = await marketplaceService.makeOffer(user, req.params.listingId, price);
+
+        res.status(201).json({
+            success: true,
+            message: 'Offer sent to the seller',
+            data: { offer: formatOffer(offer, marketplaceService) }
+        });
+
+    } catch (error) {
+        handleMarketplaceError(res, error, 'Failed to make offer');
+    }
+}));
+
+// Withdraw my offer
+router.delete('/listings/:listingId/offers/:offerId', auth, asyncHandler(async (req, res) => {
+    try {
+        const user = await getWalletUser(req.user.userId);
+        await new MarketplaceService().withdrawOffer(user, req.params.listingId, req.params.offerId);
+
+        res.json({
+            success: true,
+            message: 'Offer withdrawn'
+        });
+
+    } catch (error) {
+        handleMarketplaceError(res, error, 'Failed to withdraw offer');
+    }
+}));
+
+// Seller accepts an offer - the buyer's wallet pays the offered price
+router.post('/listings/:listingId/offers/:offerId/accept', auth, asyncHandler(async (req, res) => {
+    try {
+        const user = await getWalletUser(req.user.userId);
+
+        console.log(`🤝 ${user.username} accepting offer ${req.params.offerId} on ${req.params.listingId}`);
+
+        const listing = await new MarketplaceService().acceptOffer(user, req.params.listingId, req.params.offerId);
+        res.status(listing.status === 'sold' ? 200 : 202).json(formatSaleResponse(listing));
+
+    } catch (error) {
+        handleMarketplaceError(res, error, 'Failed to accept offer');
+    }
+}));
+
+// Helper functions
+async function getWalletUser(userId) {
+    const user = await User.findById(userId);
+    if (!user || !user.encryptedPrivateKey) {
+        throw new AppError('User wallet not found or not properly configured', 400, 'WALLET_NOT_CONFIGURED');
+    }
+    return user;
+}
+
+async function loadListingDetails(listings) {
+    const treasureIds = [...new Set(listings.map(listing => listing.treasureId))];
+    const userIds = [...new Set(listings.flatMap(listing => [listing.sellerId, listing.buyerId]).filter(Boolean))];
+
+    const [treasures, users] = await Promise.all([
+        Treasure.find({ treasureId: { $in: treasureIds } }).select('treasureId name imageUrl rarity'),
+        User.find({ _id: { $in: userIds } }).select('username')
+    ]);
+
+    return {
+        treasures: new Map(treasures.map(treasure => [treasure.treasureId, treasure])),
+        users: new Map(users.map(user => [user._id, user.username]))
+    };
+}
+
+function formatListing(listing, details, viewerId) {
+    const treasure = details.treasures.get(listing.treasureId);
+    const marketplaceService = new MarketplaceService();
+    const isSeller = listing.sellerId === viewerId;
+
+    return {
+        listingId: listing._id,
+        nftObjectId: listing.nftObjectId,
+        treasure: {
+            treasureId: listing.treasureId,
+            name: treasure?.name || 'Unknown Treasure',
+            imageUrl: treasure?.imageUrl || '',
+            rarity: listing.rarity
+        },
+        seller: {
+            userId: listing.sellerId,
+            username: details.users.get(listing.sellerId)
+        },
+        price: listing.price / MIST_PER_SUI,
+        priceMist: listing.price,
+        royaltyPercent: listing.royaltyBps / 100,
+        status: listing.status,
+        isSeller,
+        // Sellers see every offer, buyers only their own
+        offers: listing.offers
+            .filter(offer => isSeller || offer.buyerId === viewerId)
+            .map(offer => formatOffer(offer, marketplaceService)),
+        sale: listing.salePrice ? {
+            buyer: { userId: listing.buyerId, username: details.users.get(listing.buyerId) },
+            price: listing.salePrice / MIST_PER_SUI,
+            royalty: (listing.royaltyAmount || 0) / MIST_PER_SUI,
+            paymentDigest: listing.paymentDigest,
+            deliveryDigest: listing.deliveryDigest,
+            soldAt: listing.soldAt
+        } : null,
+        createdAt: listing.createdAt
+    };
+}
+
+function formatOffer(offer, marketplaceService) {
+    return {
+        offerId: offer._id,
+        buyerId: offer.buyerId,
+        price: offer.price / MIST_PER_SUI,
+        priceMist: offer.price,
+        status: marketplaceService.getOfferStatus(offer),
+        expiresAt: offer.expiresAt,
+        createdAt: offer.createdAt
+    };
+}
+
+function formatSaleResponse(listing) {
+    const sold = listing.status === 'sold';
+    return {
+        success: true,
+        message: sold ? 'Purchase complete, the NFT is in the buyer\'s wallet' : 'Payment received, NFT delivery is pending',
+        data: {
+            listingId: listing._id,
+            nftObjectId: listing.nftObjectId,
+            status: listing.status,
+            price: listing.salePrice / MIST_PER_SUI,
+            royalty: (listing.royaltyAmount || 0) / MIST_PER_SUI,
+            paymentDigest: listing.paymentDigest,
+            deliveryDigest: listing.deliveryDigest
+        }
+    };
+}
+
+function handleMarketplaceError(res, error, message) {
+    if (error.isOperational) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message,
+            error: error.code
+        });
+    }
+
+    console.error(`❌ ${message}:`, error);
+    res.status(500).json({
+        success: false,
+        message,
+        error: error.message
+    });
+}
+
+module.exports = router;
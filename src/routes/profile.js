@@ -5,6 +5,9 @@ const { auth } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { User, HunterProfile, TreasureDiscovery, Transaction, Achievement, UserAchievement } = require('../models');
 const SuiService = require('../services/SuiService');
+const AchievementService = require('../services/AchievementService');
+const LeaderboardService = require('../services/LeaderboardService');
+const RankIndex = require('../services/RankIndex');
 const router = express.Router();
 
 // Health check
@@ -112,8 +115,9 @@ router.get('/stats', auth, asyncHandler(async (req, res) => {
           totalPoints: achievements.reduce((sum, ach) => sum + (ach.achievementId?.points || 0), 0)
         },
         leaderboard: {
-          position: leaderboardPosition,
-          percentile: leaderboardPosition ? calculatePercentile(leaderboardPosition) : null
+          position: leaderboardPosition?.position ?? null,
+          total: leaderboardPosition?.total ?? null,
+          percentile: leaderboardPosition?.percentile ?? null
         },
         recentActivity: {
           discoveries: recentDiscoveries.map(discovery => ({
@@ -362,7 +366,7 @@ router.post('/create-blockchain-profile', [
     // Create hunter profile on blockchain
     const suiService = new SuiService();
     const profileResult = await suiService.createHunterProfile(
-      user.encryptedPrivateKey,
+      suiService.signerFor(user),
       username || user.username
     );
 
@@ -526,14 +530,22 @@ router.get('/achievements', [
       if (userAch.achievementId) {
         map[userAch.achievementId.achievementId] = {
           unlockedAt: userAch.unlockedAt,
-          points: userAch.achievementId.points
+          points: userAch.achievementId.points,
+          badge: userAch.badge
         };
       }
       return map;
     }, {});
 
+    // Progress shares one load of the hunter's stats across all achievements
+    const achievementService = new AchievementService();
+    const stats = achievementService.createStats(userId);
+    const progress = await Promise.all(allAchievements.map(achievement =>
+      calculateAchievementProgress(achievementService, stats, achievement)
+    ));
+
     // Format achievements
-    let formattedAchievements = allAchievements.map(achievement => ({
+    let formattedAchievements = allAchievements.map((achievement, index) => ({
       achievementId: achievement.achievementId,
       name: achievement.name,
       description: achievement.description,
@@ -544,7 +556,8 @@ router.get('/achievements', [
       points: achievement.points,
       isUnlocked: !!unlockedMap[achievement.achievementId],
       unlockedAt: unlockedMap[achievement.achievementId]?.unlockedAt || null,
-      progress: calculateAchievementProgress(userId, achievement)
+      progress: progress[index],
+      badge: formatBadge(unlockedMap[achievement.achievementId]?.badge)
     }));
 
     // Filter by unlocked status if requested
@@ -586,15 +599,87 @@ router.get('/achievements', [
   }
 }));
 
-// Get leaderboard
+// Get leaderboard (all-time, or by period and region from discovery history)
 router.get('/leaderboard', [
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 100 }),
-  query('sortBy').optional().isIn(['score', 'treasures', 'streak'])
+  query('sortBy').optional().isIn(['score', 'treasures', 'streak']),
+  query('period').optional().isIn(['all', 'daily', 'weekly', 'monthly', 'season']),
+  query('periodKey').optional().isString().isLength({ max: 10 }),
+  query('district').optional().isString().isLength({ min: 1, max: 100 }),
+  query('geohash').optional().matches(/^[0-9b-hjkmnp-z]{1,9}$/i).withMessage('geohash must be 1-9 geohash characters')
 ], auth, asyncHandler(async (req, res) => {
-  const { page = 1, limit = 50, sortBy = 'score' } = req.query;
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+  }
+
+  const { page = 1, limit = 50, sortBy = 'score', period = 'all', periodKey, district, geohash } = req.query;
   const userId = req.user.userId;
 
+  // Period and regional boards are ranked from discoveries rather than profile totals
+  if (period !== 'all' || district || geohash) {
+    if (sortBy === 'streak') {
+      return res.status(400).json({
+        success: false,
+        message: 'Streak ranking is only available on the all-time leaderboard'
+      });
+    }
+
+    try {
+      const standings = await new LeaderboardService().getStandings({
+        period,
+        periodKey,
+        district,
+        geohash: geohash?.toLowerCase(),
+        sortBy,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        userId
+      });
+
+      if (!standings) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid periodKey for ${period} leaderboard`
+        });
+      }
+
+      return res.json({
+        success: true,
+        data: {
+          leaderboard: standings.entries,
+          currentUser: standings.currentUser,
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total: standings.total,
+            pages: Math.ceil(standings.total / limit),
+            hasNext: page * limit < standings.total,
+            hasPrev: page > 1
+          },
+          sortBy,
+          period: standings.period,
+          region: standings.region,
+          source: standings.source,
+          snapshotAt: standings.snapshotAt || null
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Failed to get leaderboard:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get leaderboard',
+        error: error.message
+      });
+    }
+  }
+
   try {
     // Build sort criteria
     let sortCriteria = {};
@@ -696,6 +781,109 @@ router.get('/leaderboard', [
   }
 }));
 
+// Hunters ranked directly above and below the current user on the all-time leaderboard
+router.get('/leaderboard/around', [
+  query('sortBy').optional().isIn(['score', 'treasures', 'streak']),
+  query('radius').optional().isInt({ min: 1, max: 25 })
+], auth, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+  }
+
+  const { sortBy = 'score', radius = 5 } = req.query;
+  const userId = req.user.userId;
+  const rankIndex = RankIndex.getInstance();
+
+  if (!rankIndex.ready) {
+    return res.status(503).json({
+      success: false,
+      message: 'Leaderboard ranking is still loading, please try again shortly'
+    });
+  }
+
+  try {
+    await rankIndex.ensure(userId);
+    const around = rankIndex.getAround(userId, sortBy, parseInt(radius));
+    if (!around) {
+      return res.status(404).json({
+        success: false,
+        message: 'Hunter profile not found'
+      });
+    }
+
+    const users = await User.find({ _id: { $in: around.entries.map(entry => entry.userId) } })
+      .select('username avatarUrl');
+    const usersById = new Map(users.map(user => [user._id, user]));
+
+    res.json({
+      success: true,
+      data: {
+        leaderboard: around.entries.map(entry => ({
+          ...entry,
+          username: usersById.get(entry.userId)?.username || null,
+          avatarUrl: usersById.get(entry.userId)?.avatarUrl || null
+        })),
+        position: around.position,
+        total: around.total,
+        percentile: rankIndex.getPercentile(around.position),
+        sortBy
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Failed to get leaderboard neighbours:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get leaderboard neighbours',
+      error: error.message
+    });
+  }
+}));
+
+// Past leaderboard winners from period-close snapshots
+router.get('/leaderboard/history', [
+  query('period').isIn(['daily', 'weekly', 'monthly', 'season']).withMessage('period must be daily, weekly, monthly or season'),
+  query('district').optional().isString().isLength({ min: 1, max: 100 }),
+  query('limit').optional().isInt({ min: 1, max: 50 })
+], auth, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+  }
+
+  const { period, district, limit = 10 } = req.query;
+
+  try {
+    const history = await new LeaderboardService().getHistory({ period, district, limit: parseInt(limit) });
+
+    res.json({
+      success: true,
+      data: {
+        period,
+        region: district ? { type: 'district', name: district } : { type: 'global', name: 'global' },
+        history
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Failed to get leaderboard history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get leaderboard history',
+      error: error.message
+    });
+  }
+}));
+
 // Get discovery history
 router.get('/discoveries', [
   query('page').optional().isInt({ min: 1 }),
@@ -738,6 +926,10 @@ router.get('/discoveries', [
         rewardPoints: discovery.treasureId.rewardPoints,
         imageUrl: discovery.treasureId.imageUrl
       },
+      finderNumber: discovery.finderNumber,
+      pointsEarned: discovery.rewardPoints ?? discovery.treasureId.rewardPoints,
+      hintsUsed: discovery.hintsUsed || 0,
+      hintPenalty: discovery.hintPenalty || 0,
       location: discovery.locationProof,
       explorerUrl: discovery.nftObjectId ? 
         `https://explorer.sui.io/object/${discovery.nftObjectId}?network=${process.env.SUI_NETWORK || 'testnet'}` : 
@@ -788,6 +980,13 @@ router.get('/discoveries', [
 
 // Helper functions
 async function getLeaderboardPosition(userId) {
+  const rankIndex = RankIndex.getInstance();
+  if (rankIndex.ready) {
+    await rankIndex.ensure(userId);
+    return rankIndex.getPosition(userId, 'score');
+  }
+
+  // Index not loaded yet (e.g. right after startup): count directly
   try {
     const userProfile = await HunterProfile.findOne({ userId });
     if (!userProfile) return null;
@@ -801,8 +1000,13 @@ async function getLeaderboardPosition(userId) {
         }
       ]
     });
+    const total = await HunterProfile.countDocuments({});
 
-    return position + 1;
+    return {
+      position: position + 1,
+      total,
+      percentile: calculatePercentile(position + 1, total)
+    };
   } catch (error) {
     console.error('Failed to get leaderboard position:', error);
     return null;
@@ -814,6 +1018,12 @@ async function getUserLeaderboardPosition(userId, sortBy) {
     const userProfile = await HunterProfile.findOne({ userId }).populate('userId', 'username avatarUrl');
     if (!userProfile) return null;
 
+    const rankIndex = RankIndex.getInstance();
+    if (rankIndex.ready) {
+      await rankIndex.ensure(userId);
+    }
+    const indexed = rankIndex.ready ? rankIndex.getPosition(userId, sortBy) : null;
+
     let countQuery = {};
     switch (sortBy) {
       case 'treasures':
@@ -850,7 +1060,7 @@ async function getUserLeaderboardPosition(userId, sortBy) {
         };
     }
 
-    const position = await HunterProfile.countDocuments(countQuery) + 1;
+    const position = indexed ? indexed.position : await HunterProfile.countDocuments(countQuery) + 1;
 
     return {
       userId: userProfile.userId._id,
@@ -919,47 +1129,15 @@ function getRankInfo(rank, treasuresFound) {
   };
 }
 
-function calculatePercentile(position) {
-  // Simplified percentile calculation
-  return Math.max(100 - Math.floor((position / 1000) * 100), 1);
+function calculatePercentile(position, total) {
+  // Share of hunters ranked below, same as RankIndex.getPercentile
+  if (!total) return null;
+  return Math.round(((total - position) / total) * 1000) / 10;
 }
 
-async function calculateAchievementProgress(userId, achievement) {
+async function calculateAchievementProgress(achievementService, stats, achievement) {
   try {
-    switch (achievement.requirementType) {
-      case 'treasures_found':
-        const treasureCount = await TreasureDiscovery.countDocuments({ userId });
-        return {
-          current: treasureCount,
-          required: achievement.requirementValue,
-          percentage: Math.min((treasureCount / achievement.requirementValue) * 100, 100)
-        };
-      
-      case 'streak_days':
-        const profile = await HunterProfile.findOne({ userId });
-        const streakCount = profile?.longestStreak || 0;
-        return {
-          current: streakCount,
-          required: achievement.requirementValue,
-          percentage: Math.min((streakCount / achievement.requirementValue) * 100, 100)
-        };
-      
-      case 'score_points':
-        const scoreProfile = await HunterProfile.findOne({ userId });
-        const score = scoreProfile?.totalScore || 0;
-        return {
-          current: score,
-          required: achievement.requirementValue,
-          percentage: Math.min((score / achievement.requirementValue) * 100, 100)
-        };
-      
-      default:
-        return {
-          current: 0,
-          required: achievement.requirementValue,
-          percentage: 0
-        };
-    }
+    return await achievementService.getProgress(stats.userId, achievement, stats);
   } catch (error) {
     console.error('Failed to calculate achievement progress:', error);
     return {
@@ -970,6 +1148,24 @@ async function calculateAchievementProgress(userId, achievement) {
   }
 }
 
+// On-chain badge of an unlocked achievement; null when badges were not enabled for it
+function formatBadge(badge) {
+  if (!badge?.status) {
+    return null;
+  }
+
+  return {
+    status: badge.status === 'processing' ? 'queued' : badge.status,
+    onChain: badge.status === 'minted',
+    nftObjectId: badge.nftObjectId || null,
+    transactionDigest: badge.transactionDigest || null,
+    mintedAt: badge.mintedAt || null,
+    explorerUrl: badge.nftObjectId ?
+      `https://explorer.sui.io/object/${badge.nftObjectId}?network=${process.env.SUI_NETWORK || 'testnet'}` :
+      null
+  };
+}
+
 function getRarityName(rarity) {
   const rarities = {
     1: 'Common',
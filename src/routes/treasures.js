@@ -1,10 +1,18 @@
 // src/routes/treasures.js - Real Implementation
 const express = require('express');
 const { query, body, validationResult } = require('express-validator');
+const { v4: uuidv4 } = require('uuid');
 const { auth } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
-const { Treasure, TreasureDiscovery, User, HunterProfile } = require('../models');
+const { Treasure, TreasureDiscovery, User, HunterProfile, LocationDevice } = require('../models');
 const SuiService = require('../services/SuiService');
+const MintQueue = require('../services/MintQueue');
+const LocationProofService = require('../services/LocationProofService');
+const NfcTagService = require('../services/NfcTagService');
+const QrCodeService = require('../services/QrCodeService');
+const HuntService = require('../services/HuntService');
+const HintService = require('../services/HintService');
+const AchievementService = require('../services/AchievementService');
 const router = express.Router();
 
 // Health check
@@ -45,7 +53,8 @@ router.get('/nearby', [
     console.log(`🗺️ Finding treasures near: ${lat}, ${lng} within ${radius}m`);
 
     try {
-        // 1. Find treasures using MongoDB geospatial query
+        // 1. Find treasures using MongoDB geospatial query (inside their availability window)
+        const now = new Date();
         const treasures = await Treasure.find({
             location: {
                 $near: {
@@ -56,19 +65,30 @@ router.get('/nearby', [
                     $maxDistance: parseInt(radius)
                 }
             },
-            isActive: true
+            isActive: true,
+            $and: [
+                { $or: [{ availableFrom: null }, { availableFrom: { $lte: now } }] },
+                { $or: [{ availableUntil: null }, { availableUntil: { $gt: now } }] }
+            ]
         }).limit(20); // Limit results
 
         console.log(`📍 Found ${treasures.length} treasures in database`);
 
-        // 2. Get list of already discovered treasure IDs
-        const discoveredTreasureIds = await TreasureDiscovery.distinct('treasureId');
+        // 2. Get treasures already found by anyone (single-winner) and by this hunter
+        const treasureIds = treasures.map(treasure => treasure.treasureId);
+        const [discoveredTreasureIds, userTreasureIds] = await Promise.all([
+            TreasureDiscovery.distinct('treasureId', { treasureId: { $in: treasureIds } }),
+            TreasureDiscovery.distinct('treasureId', { treasureId: { $in: treasureIds }, userId })
+        ]);
         console.log(`🔍 ${discoveredTreasureIds.length} treasures already discovered`);
 
-        // 3. Filter out discovered treasures
-        const availableTreasures = treasures.filter(
-            treasure => !discoveredTreasureIds.includes(treasure.treasureId)
-        );
+        // 3. Filter out sold-out and off-schedule treasures and ones this hunter already found
+        const availableTreasures = treasures.filter(treasure => {
+            if (!treasure.getAvailability(now).available) return false;
+            if (userTreasureIds.includes(treasure.treasureId)) return false;
+            if ((!treasure.mode || treasure.mode === 'single') && discoveredTreasureIds.includes(treasure.treasureId)) return false;
+            return !treasure.isSoldOut();
+        });
 
         console.log(`✅ ${availableTreasures.length} treasures available to hunt`);
 
@@ -84,6 +104,8 @@ router.get('/nearby', [
             );
 
             const canHunt = userRank >= treasure.requiredRank;
+            const supply = treasure.getSupply();
+            const nextFinder = (treasure.findersCount || 0) + 1;
 
             return {
                 treasureId: treasure.treasureId,
@@ -94,6 +116,11 @@ router.get('/nearby', [
                 rarity: treasure.rarity,
                 rarityName: getRarityName(treasure.rarity),
                 rewardPoints: treasure.rewardPoints,
+                currentReward: treasure.getRewardForFinder(nextFinder),
+                mode: treasure.mode || 'single',
+                findersCount: treasure.findersCount || 0,
+                remainingSupply: supply === Infinity ? null : supply - (treasure.findersCount || 0),
+                availableUntil: treasure.availableUntil,
                 requiredRank: treasure.requiredRank,
                 requiredRankName: getRankName(treasure.requiredRank),
                 distance: Math.round(distance),
@@ -138,17 +165,38 @@ router.get('/nearby', [
 
 router.get('/verify/:treasureId', auth, asyncHandler(async (req, res) => {
     const { treasureId } = req.params;
+    const { qr } = req.query;
 
     try {
         // Check database
         const dbTreasure = await Treasure.findOne({ treasureId, isActive: true });
 
+        // Check the scanned QR payload, if any
+        let qrVerification = null;
+        if (qr) {
+            try {
+                qrVerification = new QrCodeService().verify(dbTreasure || { treasureId }, qr);
+            } catch (qrError) {
+                if (!qrError.isOperational) throw qrError;
+                return res.status(qrError.statusCode).json({
+                    success: false,
+                    message: qrError.message,
+                    error: qrError.code
+                });
+            }
+        }
+
         // 🆕 CHECK: Verify in blockchain registry
         const suiService = new SuiService();
         const blockchainVerification = await suiService.verifyTreasureInRegistry(treasureId);
 
-        // Check if already discovered
-        const discovery = await TreasureDiscovery.findOne({ treasureId });
+        // Check if already discovered (first finder) and whether this hunter found it
+        const [discovery, userDiscovery] = await Promise.all([
+            TreasureDiscovery.findOne({ treasureId }).sort({ discoveredAt: 1 }),
+            TreasureDiscovery.findOne({ treasureId, userId: req.user.userId })
+        ]);
+        const soldOut = dbTreasure ? dbTreasure.isSoldOut() || (dbTreasure.mode === 'single' && !!discovery) : !!discovery;
+        const availability = dbTreasure ? dbTreasure.getAvailability() : { available: false, reason: 'not_found' };
 
         res.json({
             success: true,
@@ -158,7 +206,10 @@ router.get('/verify/:treasureId', auth, asyncHandler(async (req, res) => {
                     exists: !!dbTreasure,
                     active: dbTreasure?.isActive || false,
                     name: dbTreasure?.name || null,
-                    rarity: dbTreasure?.rarity || null
+                    rarity: dbTreasure?.rarity || null,
+                    registrySynced: !!dbTreasure?.registrySyncedAt,
+                    registrySyncedAt: dbTreasure?.registrySyncedAt || null,
+                    missingFromRegistryAt: dbTreasure?.missingFromRegistryAt || null
                 },
                 blockchain: {
                     exists: blockchainVerification.exists,
@@ -169,9 +220,27 @@ router.get('/verify/:treasureId', auth, asyncHandler(async (req, res) => {
                     discovered: !!discovery,
                     discoveredBy: discovery?.userId || null,
                     discoveredAt: discovery?.discoveredAt || null,
-                    nftObjectId: discovery?.nftObjectId || null
+                    nftObjectId: discovery?.nftObjectId || null,
+                    mode: dbTreasure?.mode || 'single',
+                    findersCount: dbTreasure?.findersCount || 0,
+                    maxFinders: dbTreasure && dbTreasure.getSupply() !== Infinity ? dbTreasure.getSupply() : null,
+                    foundByYou: !!userDiscovery,
+                    soldOut
+                },
+                availability: {
+                    available: availability.available,
+                    reason: availability.reason,
+                    availableFrom: dbTreasure?.availableFrom || null,
+                    availableUntil: dbTreasure?.availableUntil || null,
+                    schedule: dbTreasure?.schedule || null
                 },
-                canHunt: !!(dbTreasure && blockchainVerification.exists && !discovery)
+                qr: qrVerification ? {
+                    verified: true,
+                    version: qrVerification.version,
+                    expiresAt: qrVerification.expiresAt
+                } : null,
+                canHunt: !!(dbTreasure && blockchainVerification.exists && !soldOut && !userDiscovery && availability.available &&
+                    (dbTreasure.registrySyncedAt || process.env.ALLOW_ALL_TREASURES === 'true'))
             }
         });
 
@@ -185,136 +254,241 @@ router.get('/verify/:treasureId', auth, asyncHandler(async (req, res) => {
     }
 }));
 
-// Helper function to parse treasure ID and determine defaults
-function parseBlockchainTreasure(treasureId, coordinates = "21.0285,105.8542") {
-    // Parse coordinates
-    const [lat, lng] = coordinates.split(',').map(coord => parseFloat(coord.trim()));
-
-    // Determine rarity and requirements based on treasure ID patterns
-    let rarity = 1; // Default: Common
-    let requiredRank = 1; // Default: Beginner
-    let baseReward = 100; // Default reward
-
-    // Smart parsing based on treasure ID patterns
-    if (treasureId.includes('LEGENDARY') || treasureId.includes('DRAGON') || treasureId.includes('EPIC')) {
-        rarity = 3; // Legendary
-        requiredRank = 3; // Hunter
-        baseReward = 500;
-    } else if (treasureId.includes('RARE') || treasureId.includes('GOLDEN') || treasureId.includes('ROYAL')) {
-        rarity = 2; // Rare
-        requiredRank = 2; // Explorer
-        baseReward = 300;
-    } else if (treasureId.includes('COMMON') || treasureId.includes('BRONZE') || treasureId.includes('BASIC')) {
-        rarity = 1; // Common
-        requiredRank = 1; // Beginner
-        baseReward = 150;
+// Get unlocked hints - reveal=true unlocks the next one, which is deducted from the reward
+router.get('/:treasureId/hints', [
+    query('reveal').optional().isBoolean()
+], auth, asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation errors',
+            errors: errors.array()
+        });
     }
 
-    // Check for specific treasure IDs we know about
-    const knownTreasures = {
-        'TREASURE_001': {
-            name: 'Golden Dragon Statue',
-            description: 'An ancient golden dragon statue hidden in the mountains',
-            rarity: 3,
-            requiredRank: 2,
-            rewardPoints: 500,
-            imageUrl: 'https://example.com/images/golden_dragon.jpg'
-        },
-        'VN_COMMON_001': {
-            name: 'Ancient Bronze Mirror',
-            description: 'A bronze mirror from the Tran Dynasty, reflecting the soul of old Hanoi',
-            rarity: 1,
-            requiredRank: 1,
-            rewardPoints: 150,
-            imageUrl: 'https://ipfs.io/ipfs/QmBronzeMirror001'
+    const { treasureId } = req.params;
+    const userId = req.user.userId;
+    const reveal = req.query.reveal === 'true';
+
+    try {
+        const treasure = await Treasure.findOne({ treasureId, isActive: true });
+        if (!treasure) {
+            return res.status(404).json({
+                success: false,
+                message: 'Treasure not found'
+            });
         }
-        // Add more known treasures here if needed
-    };
 
-    // Use known data if available, otherwise generate defaults
-    const knownData = knownTreasures[treasureId];
-
-    return {
-        treasureId,
-        name: knownData?.name || generateTreasureName(treasureId),
-        description: knownData?.description || generateTreasureDescription(treasureId),
-        rarity: knownData?.rarity || rarity,
-        rewardPoints: knownData?.rewardPoints || baseReward,
-        requiredRank: knownData?.requiredRank || requiredRank,
-        latitude: lat,
-        longitude: lng,
-        location: {
-            coordinates: [lng, lat] // [longitude, latitude] for MongoDB
-        },
-        imageUrl: knownData?.imageUrl || generateImageUrl(treasureId, rarity),
-        isActive: true,
-        fromBlockchain: true
-    };
-}
+        const hintService = new HintService();
+        const revealed = reveal ? await hintService.revealNext(userId, treasure) : null;
+        if (revealed) {
+            console.log(`💡 User ${userId} revealed hint ${revealed.hintNumber} for ${treasureId} (-${revealed.cost} points)`);
+        }
 
-// Helper function to generate treasure name from ID
-function generateTreasureName(treasureId) {
-    // Convert ID to readable name
-    let name = treasureId
-        .replace(/_/g, ' ')
-        .toLowerCase()
-        .replace(/\b\w/g, l => l.toUpperCase());
-
-    // Add descriptive words based on patterns
-    if (treasureId.includes('VN_')) {
-        name = name.replace('Vn ', 'Vietnamese ');
+        const [unlocked, { penalty }] = await Promise.all([
+            hintService.getUnlocked(userId, treasure),
+            hintService.getPenalty(userId, treasureId)
+        ]);
+        const totalHints = hintService.getHints(treasure).length;
+        const nextReward = treasure.getRewardForFinder((treasure.findersCount || 0) + 1);
+
+        res.json({
+            success: true,
+            message: revealed ? `Hint ${revealed.hintNumber} revealed 💡` : undefined,
+            data: {
+                treasureId,
+                revealed,
+                hints: unlocked,
+                totalHints,
+                remainingHints: totalHints - unlocked.length,
+                nextHintCost: unlocked.length < totalHints ? hintService.getHintCost(treasure) : null,
+                hintPenalty: penalty,
+                estimatedReward: Math.max(0, nextReward - penalty)
+            }
+        });
+
+    } catch (error) {
+        if (error.isOperational) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                error: error.code
+            });
+        }
+
+        console.error('❌ Failed to get hints:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get hints',
+            error: error.message
+        });
     }
-    if (treasureId.includes('DRAGON')) {
-        name += ' Dragon Artifact';
-    } else if (treasureId.includes('MIRROR')) {
-        name += ' Ancient Mirror';
-    } else if (treasureId.includes('COMMON')) {
-        name = name.replace('Common', 'Common');
-    } else {
-        name += ' Treasure';
+}));
+
+const formatDevice = (device) => ({
+    deviceId: device._id,
+    name: device.name || null,
+    publicKey: device.publicKey,
+    status: device.status,
+    registeredAt: device.createdAt,
+    lastUsedAt: device.lastUsedAt || null
+});
+
+// Register the device key that signs location proofs
+router.post('/devices', [
+    body('publicKey').isBase64().withMessage('Device public key (base64 Ed25519) is required'),
+    body('signature').isBase64().withMessage('Signature over the registration message is required'),
+    body('name').optional().isString().isLength({ max: 100 })
+], auth, asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation errors',
+            errors: errors.array()
+        });
     }
 
-    return name;
-}
+    const { publicKey, signature, name } = req.body;
+    const userId = req.user.userId;
 
-// Helper function to generate treasure description
-function generateTreasureDescription(treasureId) {
-    const prefixes = [
-        'A mysterious artifact',
-        'An ancient relic',
-        'A legendary treasure',
-        'A sacred object',
-        'A precious item'
-    ];
-
-    const suffixes = [
-        'hidden in the depths of time',
-        'waiting to be discovered',
-        'from a forgotten era',
-        'blessed with ancient power',
-        'containing untold secrets'
-    ];
-
-    const prefix = prefixes[Math.abs(treasureId.length) % prefixes.length];
-    const suffix = suffixes[Math.abs(treasureId.charCodeAt(0)) % suffixes.length];
-
-    return `${prefix} ${suffix}.`;
-}
+    try {
+        const device = await new LocationProofService().registerDevice(userId, publicKey, signature, name);
 
-// Helper function to generate image URL
-function generateImageUrl(treasureId, rarity) {
-    const baseUrl = 'https://via.placeholder.com/400x400';
-    const colors = {
-        1: 'green', // Common
-        2: 'purple', // Rare  
-        3: 'gold' // Legendary
-    };
+        console.log(`📱 Location device registered: ${device._id} (user ${userId})`);
 
-    const color = colors[rarity] || 'gray';
-    const text = encodeURIComponent(treasureId.replace(/_/g, ' '));
+        res.status(201).json({
+            success: true,
+            message: 'Device registered',
+            data: formatDevice(device)
+        });
 
-    return `${baseUrl}/${color}/white?text=${text}`;
-}
+    } catch (error) {
+        if (error.isOperational) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                error: error.code
+            });
+        }
+
+        console.error('❌ Failed to register device:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to register device',
+            error: error.message
+        });
+    }
+}));
+
+// List the current user's registered devices
+router.get('/devices', auth, asyncHandler(async (req, res) => {
+    try {
+        const devices = await LocationDevice.find({ userId: req.user.userId }).sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            data: {
+                devices: devices.map(formatDevice)
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Failed to get devices:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get devices',
+            error: error.message
+        });
+    }
+}));
+
+// Revoke a registered device (lost or replaced phone)
+router.delete('/devices/:deviceId', auth, asyncHandler(async (req, res) => {
+    try {
+        const device = await new LocationProofService().revokeDevice(req.user.userId, req.params.deviceId);
+        if (!device) {
+            return res.status(404).json({
+                success: false,
+                message: 'Active device not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Device revoked',
+            data: formatDevice(device)
+        });
+
+    } catch (error) {
+        console.error('❌ Failed to revoke device:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to revoke device',
+            error: error.message
+        });
+    }
+}));
+
+// Start a hunt session - issues the nonce that signed GPS readings must be bound to
+router.post('/proof-session', [
+    body('treasureId').notEmpty().withMessage('Treasure ID is required'),
+    body('publicKey').isBase64().withMessage('Device public key (base64 Ed25519) is required')
+], auth, asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation errors',
+            errors: errors.array()
+        });
+    }
+
+    const { treasureId, publicKey } = req.body;
+    const userId = req.user.userId;
+
+    try {
+        const proofService = new LocationProofService();
+        const session = await proofService.createSession(userId, treasureId, publicKey);
+
+        console.log(`🔐 Location proof session issued: ${session._id} (${treasureId})`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Hunt session started',
+            data: {
+                sessionId: session._id,
+                nonce: session.nonce,
+                treasureId,
+                expiresAt: session.expiresAt,
+                requirements: {
+                    signatureScheme: 'ed25519',
+                    signedPayload: 'JSON of { sessionId, nonce, treasureId, readings: [{ latitude, longitude, accuracy, timestamp }] } in this key order',
+                    maxReadingAgeMs: proofService.maxReadingAgeMs,
+                    maxAccuracyMeters: proofService.maxAccuracyMeters,
+                    maxSpeedMps: proofService.maxSpeedMps
+                }
+            }
+        });
+
+    } catch (error) {
+        if (error.isOperational) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                error: error.code
+            });
+        }
+
+        console.error('❌ Failed to start hunt session:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to start hunt session',
+            error: error.message
+        });
+    }
+}));
 
 router.post('/discover', [
     body('treasureId').notEmpty().withMessage('Treasure ID is required'),
@@ -331,43 +505,59 @@ router.post('/discover', [
         });
     }
 
-    const { treasureId, location, nfcData, qrData, locationProof } = req.body;
+    const { treasureId, nfcData, qrData, locationProof } = req.body;
     const userId = req.user.userId;
+    let location = req.body.location;
+    let proofVerification = null;
+    let finderNumber = null;
+    let discoverySaved = false;
 
     console.log(`🏴‍☠️ User ${userId} attempting to discover treasure: ${treasureId}`);
 
     try {
-        // 1. Try to find treasure in database first
-        let treasure = await Treasure.findOne({
+        // 1. Treasure must come from the synced on-chain registry
+        const treasure = await Treasure.findOne({
             treasureId,
             isActive: true
         });
 
-        // 🆕 SIMPLIFIED BYPASS: If not found, create it automatically
-        if (!treasure) {
-            console.log(`⚠️ Treasure ${treasureId} not found in database`);
-            console.log(`🔄 Auto-generating treasure data (skipping blockchain verification)...`);
-
-            // Parse coordinates from location proof or request
-            const coordinates = locationProof || `${location.latitude},${location.longitude}`;
+        if (!treasure || (!treasure.registrySyncedAt && process.env.ALLOW_ALL_TREASURES !== 'true')) {
+            console.warn(`🚫 Treasure ${treasureId} is not in the synced registry`);
+            return res.status(404).json({
+                success: false,
+                message: 'Treasure not found in the treasure registry',
+                error: 'TREASURE_NOT_REGISTERED'
+            });
+        }
 
-            // Create treasure using the parseBlockchainTreasure function
-            treasure = parseBlockchainTreasure(treasureId, coordinates);
+        console.log(`✅ Treasure found in registry: ${treasure.name}`);
 
-            console.log(`✅ Auto-generated treasure: ${treasure.name}`);
-            console.log(`   Rarity: ${treasure.rarity} (${getRarityName(treasure.rarity)})`);
-            console.log(`   Reward: ${treasure.rewardPoints} points`);
-            console.log(`   Required Rank: ${treasure.requiredRank} (${getRankName(treasure.requiredRank)})`);
-        } else {
-            console.log(`✅ Treasure found in database: ${treasure.name}`);
+        const availability = treasure.getAvailability();
+        if (!availability.available) {
+            return res.status(400).json({
+                success: false,
+                message: availability.reason === 'outside_schedule' ?
+                    'This treasure can only be found during its scheduled hours' :
+                    availability.reason === 'not_started' ? 'This treasure is not available yet' : 'This treasure is no longer available',
+                error: 'TREASURE_NOT_AVAILABLE',
+                data: {
+                    reason: availability.reason,
+                    availableFrom: treasure.availableFrom,
+                    availableUntil: treasure.availableUntil,
+                    schedule: treasure.schedule
+                }
+            });
         }
 
-        // 2. Check if already discovered
-        const existingDiscovery = await TreasureDiscovery.findOne({ treasureId });
+        // 2. Check if already discovered (by anyone for single-winner treasures, by this hunter otherwise)
+        const singleWinner = !treasure.mode || treasure.mode === 'single';
+        const existingDiscovery = await TreasureDiscovery.findOne(
+            singleWinner ? { treasureId } : { treasureId, userId }
+        );
         if (existingDiscovery) {
             return res.status(400).json({
                 success: false,
-                message: 'Treasure already discovered',
+                message: singleWinner ? 'Treasure already discovered' : 'You have already discovered this treasure',
                 data: {
                     discoveredBy: existingDiscovery.userId,
                     discoveredAt: existingDiscovery.discoveredAt,
@@ -376,7 +566,53 @@ router.post('/discover', [
             });
         }
 
-        // 3. Verify user location vs treasure location
+        if (treasure.isSoldOut()) {
+            return res.status(400).json({
+                success: false,
+                message: 'All finder slots for this treasure have been claimed',
+                error: 'TREASURE_SOLD_OUT',
+                data: {
+                    mode: treasure.mode,
+                    maxFinders: treasure.getSupply(),
+                    findersCount: treasure.findersCount
+                }
+            });
+        }
+
+        // Hunt steps unlock in order - a later step cannot be claimed before the current one
+        const lockedStep = await new HuntService().findLockedStep(userId, treasureId);
+        if (lockedStep) {
+            return res.status(400).json({
+                success: false,
+                message: `This treasure is step ${lockedStep.stepNumber} of "${lockedStep.name}" - solve step ${lockedStep.currentStep} first`,
+                error: 'HUNT_STEP_LOCKED',
+                data: lockedStep
+            });
+        }
+
+        // 3. Verify the signed location proof - the signed reading replaces the client-supplied location
+        if (process.env.LOCATION_PROOF_REQUIRED !== 'false') {
+            try {
+                proofVerification = await new LocationProofService().verifyProof(userId, treasureId, locationProof);
+            } catch (proofError) {
+                if (!proofError.isOperational) throw proofError;
+
+                console.warn(`🚫 Location proof rejected for user ${userId}: ${proofError.message}`);
+                return res.status(proofError.statusCode).json({
+                    success: false,
+                    message: proofError.message,
+                    error: proofError.code
+                });
+            }
+
+            location = {
+                latitude: proofVerification.reading.latitude,
+                longitude: proofVerification.reading.longitude
+            };
+            console.log(`🔐 Location proof verified (${proofVerification.readings.length} readings, max ${proofVerification.maxObservedSpeed} m/s)`);
+        }
+
+        // Verify user location vs treasure location
         const distance = calculateDistance(
             location.latitude, location.longitude,
             treasure.latitude, treasure.longitude
@@ -434,6 +670,78 @@ router.post('/discover', [
             });
         }
 
+        // Verify the scanned QR code - unsigned, expired or foreign codes are rejected
+        let qrVerification = null;
+        if (qrData) {
+            try {
+                qrVerification = new QrCodeService().verify(treasure, qrData);
+                console.log(`🔳 QR code verified (version ${qrVerification.version})`);
+            } catch (qrError) {
+                if (!qrError.isOperational) throw qrError;
+
+                console.warn(`🚫 QR code rejected for user ${userId}: ${qrError.message}`);
+                return res.status(qrError.statusCode).json({
+                    success: false,
+                    message: qrError.message,
+                    error: qrError.code
+                });
+            }
+        }
+
+        // Verify the NFC tap - required for NFC-protected treasures
+        let nfcVerification = null;
+        if (treasure.requiresNfc || nfcData) {
+            try {
+                nfcVerification = await new NfcTagService().verifyTap(treasureId, nfcData);
+                console.log(`📡 NFC tap verified: tag ${nfcVerification.uid} (counter ${nfcVerification.counter})`);
+            } catch (nfcError) {
+                if (!nfcError.isOperational) throw nfcError;
+
+                if (treasure.requiresNfc) {
+                    console.warn(`🚫 NFC tap rejected for user ${userId}: ${nfcError.message}`);
+                    return res.status(nfcError.statusCode).json({
+                        success: false,
+                        message: nfcError.message,
+                        error: nfcError.code
+                    });
+                }
+                console.warn(`⚠️ Optional NFC tap not verified: ${nfcError.message}`);
+            }
+        }
+
+        // Burn the proof session before minting so the same proof cannot be replayed
+        if (proofVerification) {
+            try {
+                await new LocationProofService().consumeSession(proofVerification.session, {
+                    reading: proofVerification.reading,
+                    readingsCount: proofVerification.readings.length,
+                    maxObservedSpeed: proofVerification.maxObservedSpeed,
+                    distance: Math.round(distance)
+                });
+            } catch (proofError) {
+                if (!proofError.isOperational) throw proofError;
+                return res.status(proofError.statusCode).json({
+                    success: false,
+                    message: proofError.message,
+                    error: proofError.code
+                });
+            }
+        }
+
+        // Claim a finder slot before minting so concurrent hunters cannot exceed the supply
+        finderNumber = await claimFinderSlot(treasureId);
+        if (!finderNumber) {
+            return res.status(400).json({
+                success: false,
+                message: 'All finder slots for this treasure have been claimed',
+                error: 'TREASURE_SOLD_OUT'
+            });
+        }
+        const baseReward = treasure.getRewardForFinder(finderNumber);
+        const { hintsUsed, penalty: hintPenalty } = await new HintService().getPenalty(userId, treasureId);
+        const rewardPoints = Math.max(0, baseReward - hintPenalty);
+        console.log(`🎟️ Finder #${finderNumber} (${treasure.mode || 'single'}) earns ${rewardPoints} points${hintsUsed ? ` (${hintsUsed} hints, -${hintPenalty})` : ''}`);
+
         // 6. Call Sui smart contract (if user has blockchain profile)
         let discoveryResult = null;
         let nftObjectId = null;
@@ -446,7 +754,7 @@ router.post('/discover', [
                 const suiService = new SuiService();
 
                 discoveryResult = await suiService.discoverTreasure(
-                    user.encryptedPrivateKey,
+                    suiService.signerFor(user),
                     user.profileObjectId,
                     treasureId,
                     `${location.latitude},${location.longitude}`
@@ -461,6 +769,12 @@ router.post('/discover', [
             } catch (blockchainError) {
                 console.warn(`⚠️ Blockchain mint failed: ${blockchainError.message}`);
 
+                // These errors abort the discovery - give the finder slot back
+                if (['E_TREASURE_ALREADY_FOUND', 'E_INVALID_LOCATION', 'Insufficient SUI balance']
+                    .some(code => blockchainError.message?.includes(code))) {
+                    await releaseFinderSlot(treasureId);
+                }
+
                 // 🆕 Check for specific blockchain errors
                 if (blockchainError.message?.includes('E_TREASURE_ALREADY_FOUND')) {
                     return res.status(400).json({
@@ -495,41 +809,66 @@ router.post('/discover', [
         }
 
         // 7. Save discovery to database
+        // Offline placeholders sit in unique indexes, so they need a random part
+        const offlineId = uuidv4();
         const treasureDiscovery = new TreasureDiscovery({
             userId,
             treasureId,
-            nftObjectId: nftObjectId || `offline_${treasureId}_${Date.now()}`,
-            transactionDigest: transactionDigest || `offline_tx_${Date.now()}`,
+            nftObjectId: nftObjectId || `offline_${treasureId}_${offlineId}`,
+            transactionDigest: transactionDigest || `offline_tx_${offlineId}`,
             locationProof: {
                 latitude: location.latitude,
                 longitude: location.longitude,
                 nfcData,
                 qrData,
+                nfcVerified: !!nfcVerification,
+                nfcTagId: nfcVerification?.tagId,
+                nfcCounter: nfcVerification?.counter,
+                qrVerified: !!qrVerification,
                 timestamp: new Date(),
-                distance: Math.round(distance)
+                distance: Math.round(distance),
+                signed: !!proofVerification,
+                sessionId: proofVerification?.session._id,
+                accuracy: proofVerification?.reading.accuracy,
+                readingAt: proofVerification ? new Date(proofVerification.reading.timestamp) : undefined,
+                readingsCount: proofVerification?.readings.length,
+                maxObservedSpeed: proofVerification?.maxObservedSpeed
             },
+            finderNumber,
+            rewardPoints,
+            hintsUsed,
+            hintPenalty,
             verificationData: {
                 blockHeight: discoveryResult?.blockHeight,
                 gasUsed: discoveryResult?.gasUsed,
                 blockchainSuccess,
-                offline: !blockchainSuccess,
-                autoGeneratedTreasure: treasure.fromBlockchain || false
+                offline: !blockchainSuccess
             },
+            status: blockchainSuccess ? 'pending' : 'offline',
             discoveredAt: new Date()
         });
 
         await treasureDiscovery.save();
+        discoverySaved = true;
         console.log(`✅ Discovery saved to database: ${treasureDiscovery._id}`);
 
+        // Queue offline discoveries so the NFT is minted once the chain is reachable
+        // (not possible for exported, non-custodial wallets)
+        let mintJob = null;
+        if (!blockchainSuccess && user.encryptedPrivateKey) {
+            try {
+                mintJob = await new MintQueue().enqueue(treasureDiscovery);
+            } catch (queueError) {
+                console.warn(`⚠️ Failed to queue NFT mint:`, queueError.message);
+            }
+        }
+
         // 8. Update hunter profile
         const oldRank = hunterProfile.rank;
         const oldScore = hunterProfile.totalScore;
+        const oldStreak = hunterProfile.currentStreak;
 
-        hunterProfile.totalTreasuresFound += 1;
-        hunterProfile.totalScore += treasure.rewardPoints;
-        hunterProfile.lastHuntTimestamp = new Date();
-
-        // Update streak
+        // Update streak (measured from the previous hunt, before it is overwritten)
         const timeDiff = Date.now() - (hunterProfile.lastHuntTimestamp?.getTime() || 0);
         if (timeDiff <= 86400000) { // 24 hours
             hunterProfile.currentStreak += 1;
@@ -537,6 +876,10 @@ router.post('/discover', [
             hunterProfile.currentStreak = 1;
         }
 
+        hunterProfile.totalTreasuresFound += 1;
+        hunterProfile.totalScore += rewardPoints;
+        hunterProfile.lastHuntTimestamp = new Date();
+
         if (hunterProfile.currentStreak > hunterProfile.longestStreak) {
             hunterProfile.longestStreak = hunterProfile.currentStreak;
         }
@@ -549,44 +892,34 @@ router.post('/discover', [
         await hunterProfile.save();
         console.log(`✅ Hunter profile updated: ${hunterProfile.rank} (${hunterProfile.totalTreasuresFound} treasures)`);
 
-        // 9. Save auto-generated treasure to database for future reference
-        if (treasure.fromBlockchain) {
-            console.log(`💾 Saving auto-generated treasure to database...`);
-
-            const newTreasure = new Treasure({
-                treasureId: treasure.treasureId,
-                name: treasure.name,
-                description: treasure.description,
-                location: {
-                    type: 'Point',
-                    coordinates: [treasure.longitude, treasure.latitude]
-                },
-                rarity: treasure.rarity,
-                rewardPoints: treasure.rewardPoints,
-                requiredRank: treasure.requiredRank,
-                imageUrl: treasure.imageUrl,
-                isActive: true,
-                metadata: {
-                    source: 'auto_generated_on_discovery',
-                    syncedAt: new Date(),
-                    discoveredBy: userId,
-                    discoveryId: treasureDiscovery._id,
-                    blockchainSuccess,
-                    originalCoordinates: locationProof
-                },
-                createdBy: userId
-            });
+        // Advance any hunts this treasure is the current step of
+        let huntResults = [];
+        try {
+            huntResults = await new HuntService().recordDiscovery(userId, treasureDiscovery);
+        } catch (huntError) {
+            console.warn(`⚠️ Failed to update hunt progress:`, huntError.message);
+        }
 
-            try {
-                await newTreasure.save();
-                console.log(`✅ Auto-generated treasure saved to database: ${treasureId}`);
-            } catch (saveError) {
-                console.warn(`⚠️ Failed to save auto-generated treasure:`, saveError.message);
-                // Continue anyway - discovery still works
+        // Unlock achievements earned by this discovery
+        let unlockedAchievements = [];
+        try {
+            const events = [{ type: 'treasure_discovered', discoveryId: treasureDiscovery._id }];
+            if (rankUpgraded) {
+                events.push({ type: 'rank_up', from: previousRank, to: hunterProfile.rank });
+            }
+            if (hunterProfile.currentStreak !== oldStreak) {
+                events.push({ type: 'streak_changed', streak: hunterProfile.currentStreak });
             }
+            huntResults.filter(hunt => hunt.completed).forEach(hunt =>
+                events.push({ type: 'hunt_completed', huntId: hunt.huntId }));
+
+            unlockedAchievements = await new AchievementService().processEvents(userId, events);
+        } catch (achievementError) {
+            console.warn(`⚠️ Failed to evaluate achievements:`, achievementError.message);
         }
+        const achievementPoints = unlockedAchievements.reduce((sum, achievement) => sum + (achievement.points || 0), 0);
 
-        // 10. Success response
+        // 9. Success response
         res.json({
             success: true,
             message: 'Treasure discovered successfully! 🎉',
@@ -595,7 +928,14 @@ router.post('/discover', [
                     discoveryId: treasureDiscovery._id,
                     discoveredAt: treasureDiscovery.discoveredAt,
                     distance: Math.round(distance),
-                    method: blockchainSuccess ? 'blockchain' : 'offline'
+                    method: blockchainSuccess ? 'blockchain' : 'offline',
+                    mode: treasure.mode || 'single',
+                    finderNumber,
+                    locationVerified: !!proofVerification,
+                    nfcVerified: !!nfcVerification,
+                    qrVerified: !!qrVerification,
+                    mintQueued: !!mintJob,
+                    mintJobId: mintJob?._id || null
                 },
                 nft: nftObjectId ? {
                     objectId: nftObjectId,
@@ -613,26 +953,36 @@ router.post('/discover', [
                     rarityName: getRarityName(treasure.rarity),
                     rewardPoints: treasure.rewardPoints,
                     imageUrl: treasure.imageUrl,
-                    source: treasure.fromBlockchain ? 'auto_generated' : 'database',
-                    wasAutoGenerated: treasure.fromBlockchain || false
+                    source: treasure.registrySyncedAt ? 'registry' : 'database'
                 },
                 profile: {
                     oldRank,
                     newRank: hunterProfile.rank,
                     rankUpgraded,
                     oldScore,
-                    newScore: hunterProfile.totalScore,
-                    pointsEarned: treasure.rewardPoints,
+                    newScore: hunterProfile.totalScore + achievementPoints,
+                    pointsEarned: rewardPoints,
+                    achievementPoints,
+                    baseReward,
+                    hintsUsed,
+                    hintPenalty,
                     totalTreasures: hunterProfile.totalTreasuresFound,
                     currentStreak: hunterProfile.currentStreak,
                     longestStreak: hunterProfile.longestStreak
-                }
+                },
+                hunts: huntResults,
+                achievements: unlockedAchievements.map(AchievementService.format)
             }
         });
 
     } catch (error) {
         console.error('❌ Treasure discovery failed:', error);
 
+        if (finderNumber && !discoverySaved) {
+            await releaseFinderSlot(treasureId).catch(releaseError =>
+                console.error('❌ Failed to release finder slot:', releaseError.message));
+        }
+
         res.status(500).json({
             success: false,
             message: 'Failed to discover treasure',
@@ -685,12 +1035,13 @@ router.get('/', auth, asyncHandler(async (req, res) => {
     // Add discovery status
     const treasuresWithStatus = await Promise.all(
         treasures.map(async (treasure) => {
-            const discovery = await TreasureDiscovery.findOne({ treasureId: treasure.treasureId });
+            const discovery = await TreasureDiscovery.findOne({ treasureId: treasure.treasureId }).sort({ discoveredAt: 1 });
             return {
                 ...treasure.toObject(),
                 discovered: !!discovery,
                 discoveredAt: discovery?.discoveredAt,
-                discoveredBy: discovery?.userId
+                discoveredBy: discovery?.userId,
+                soldOut: treasure.isSoldOut()
             };
         })
     );
@@ -710,6 +1061,33 @@ router.get('/', auth, asyncHandler(async (req, res) => {
 }));
 
 // Helper functions
+
+// Atomically take the next finder slot; returns the finder number or null when the supply is exhausted
+async function claimFinderSlot(treasureId) {
+    const claimed = await Treasure.findOneAndUpdate(
+        {
+            treasureId,
+            isActive: true,
+            $or: [
+                { mode: 'unlimited' },
+                { mode: { $in: ['single', null] }, findersCount: { $not: { $gte: 1 } } },
+                { mode: 'limited', $expr: { $lt: [{ $ifNull: ['$findersCount', 0] }, '$maxFinders'] } }
+            ]
+        },
+        { $inc: { findersCount: 1 } },
+        { new: true }
+    );
+
+    return claimed ? claimed.findersCount : null;
+}
+
+async function releaseFinderSlot(treasureId) {
+    await Treasure.updateOne(
+        { treasureId, findersCount: { $gt: 0 } },
+        { $inc: { findersCount: -1 } }
+    );
+}
+
 function calculateDistance(lat1, lng1, lat2, lng2) {
     const R = 6371e3; // Earth radius in meters
     const φ1 = lat1 * Math.PI / 180;
@@ -755,17 +1133,7 @@ function getRarityName(rarity) {
 }
 
 function updateHunterRank(profile) {
-    const treasuresFound = profile.totalTreasuresFound;
-
-    if (treasuresFound >= 50) {
-        profile.rank = 'master';
-    } else if (treasuresFound >= 20) {
-        profile.rank = 'hunter';
-    } else if (treasuresFound >= 5) {
-        profile.rank = 'explorer';
-    } else {
-        profile.rank = 'beginner';
-    }
+    profile.rank = HunterProfile.rankFor(profile.totalTreasuresFound);
 }
 
 module.exports = router;
\ No newline at end of file
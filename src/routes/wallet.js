@@ -1,10 +1,14 @@
 // src/routes/wallet.js - Real Implementation
 const express = require('express');
-const { query, body, validationResult } = require('express-validator');
+const { query, body, param, validationResult } = require('express-validator');
+const { v4: uuidv4 } = require('uuid');
 const { auth } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
-const { User, Transaction, TreasureDiscovery } = require('../models');
+const { User, Transaction, TreasureDiscovery, WalletExport } = require('../models');
 const SuiService = require('../services/SuiService');
+const WalletExportService = require('../services/WalletExportService');
+const FaucetService = require('../services/FaucetService');
+const NftTransferService = require('../services/NftTransferService');
 const router = express.Router();
 
 // Health check
@@ -120,7 +124,7 @@ router.get('/address', auth, asyncHandler(async (req, res) => {
 router.get('/transactions', [
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 100 }),
-  query('type').optional().isIn(['treasure_reward', 'transfer', 'faucet', 'admin'])
+  query('type').optional().isIn(['treasure_reward', 'transfer', 'nft_transfer', 'marketplace', 'faucet', 'admin'])
 ], auth, asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -135,8 +139,14 @@ router.get('/transactions', [
   const { page = 1, limit = 20, type } = req.query;
 
   try {
-    // Build query
-    const query = { userId };
+    // Build query - NFTs gifted to this user and marketplace sales show up in their history too
+    const query = {
+      $or: [
+        { userId },
+        { type: 'nft_transfer', 'metadata.recipientUserId': userId },
+        { type: 'marketplace', 'metadata.sellerUserId': userId }
+      ]
+    };
     if (type) query.type = type;
 
     // Get transactions from database
@@ -216,8 +226,9 @@ router.get('/nfts', auth, asyncHandler(async (req, res) => {
       });
     }
 
-    // Get discoveries from database
-    const discoveries = await TreasureDiscovery.find({ userId })
+    // Get discoveries from database - own finds not given away plus NFTs received
+    const nftTransferService = new NftTransferService();
+    const discoveries = await TreasureDiscovery.find(nftTransferService.ownedBy(userId))
       .populate('treasureId', 'name description rarity imageUrl')
       .sort({ discoveredAt: -1 });
 
@@ -229,7 +240,7 @@ router.get('/nfts', auth, asyncHandler(async (req, res) => {
         let blockchainDetails = null;
         
         try {
-          if (discovery.nftObjectId && discovery.nftObjectId !== `offline_${discovery.discoveredAt?.getTime()}`) {
+          if (discovery.nftObjectId && !discovery.nftObjectId.startsWith('offline_')) {
             blockchainDetails = await suiService.getTreasureDetails(discovery.nftObjectId);
           }
         } catch (error) {
@@ -248,6 +259,11 @@ router.get('/nfts', auth, asyncHandler(async (req, res) => {
             imageUrl: discovery.treasureId?.imageUrl || '',
             discoveredAt: discovery.discoveredAt
           },
+          // Gifting
+          received: discovery.userId !== userId,
+          transferable: !nftTransferService.isSoulbound(discovery.treasureId?.rarity || 1),
+          transferCount: discovery.transferCount || 0,
+          listingId: discovery.listingId || null,
           // Blockchain data
           blockchain: blockchainDetails ? {
             name: blockchainDetails.treasureDetails.name,
@@ -301,90 +317,119 @@ router.get('/nfts', auth, asyncHandler(async (req, res) => {
   }
 }));
 
-// Request SUI from faucet (testnet only)
-router.post('/faucet', auth, asyncHandler(async (req, res) => {
-  if (process.env.SUI_NETWORK === 'mainnet') {
+// Transfer (gift) a treasure NFT to another hunter
+router.post('/nfts/:objectId/transfer', [
+  param('objectId')
+    .matches(/^0x[a-fA-F0-9]{64}$/)
+    .withMessage('Invalid NFT object ID'),
+  body('recipient')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Recipient username or address is required'),
+  body('note').optional().isString().isLength({ max: 200 })
+], auth, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
     return res.status(400).json({
       success: false,
-      message: 'Faucet not available on mainnet'
+      message: 'Validation errors',
+      errors: errors.array()
     });
   }
 
-  const userId = req.user.userId;
+  const { objectId } = req.params;
+  const { recipient, note } = req.body;
 
   try {
-    const user = await User.findById(userId);
-    if (!user) {
-      return res.status(404).json({
+    const user = await User.findById(req.user.userId);
+    if (!user || !user.encryptedPrivateKey) {
+      return res.status(400).json({
         success: false,
-        message: 'User not found'
+        message: 'User wallet not found or not properly configured'
       });
     }
 
-    console.log(`🚰 Requesting SUI from faucet for: ${user.suiAddress}`);
+    console.log(`🎁 Transferring NFT ${objectId} from ${user.username} to ${recipient}`);
 
-    // Check recent faucet requests to prevent spam
-    const recentFaucetRequest = await Transaction.findOne({
-      userId,
-      type: 'faucet',
-      createdAt: { $gt: new Date(Date.now() - 60 * 60 * 1000) } // Last hour
+    const result = await new NftTransferService().transfer(user, objectId, recipient, note);
+
+    res.json({
+      success: true,
+      message: `NFT sent to ${result.recipient.username}`,
+      data: {
+        transactionId: result.transaction._id,
+        transactionDigest: result.transaction.digest,
+        nftObjectId: objectId,
+        treasureName: result.treasure?.name,
+        recipient: {
+          userId: result.recipient._id,
+          username: result.recipient.username,
+          address: result.recipientAddress
+        },
+        gasUsed: result.transaction.gasUsed,
+        explorerUrl: `https://explorer.sui.io/txblock/${result.transaction.digest}?network=${process.env.SUI_NETWORK || 'testnet'}`
+      }
     });
 
-    if (recentFaucetRequest) {
-      return res.status(429).json({
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
         success: false,
-        message: 'Please wait before requesting more SUI from faucet',
-        data: {
-          lastRequest: recentFaucetRequest.createdAt,
-          nextRequestAvailable: new Date(recentFaucetRequest.createdAt.getTime() + 60 * 60 * 1000)
-        }
+        message: error.message,
+        error: error.code
       });
     }
 
-    // Request from faucet
-    const suiService = new SuiService();
-    const faucetResult = await suiService.requestFaucet(user.suiAddress);
-
-    if (faucetResult.success) {
-      // Record faucet transaction
-      const faucetTransaction = new Transaction({
-        userId,
-        digest: faucetResult.transactionDigests?.[0] || `faucet_${Date.now()}`,
-        type: 'faucet',
-        amount: 1000000000, // 1 SUI in MIST
-        status: 'success',
-        fromAddress: 'faucet',
-        toAddress: user.suiAddress,
-        metadata: {
-          faucetResponse: faucetResult,
-          network: process.env.SUI_NETWORK
-        }
-      });
-      await faucetTransaction.save();
+    console.error('❌ NFT transfer failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'NFT transfer failed',
+      error: error.message
+    });
+  }
+}));
 
-      // Get updated balance
-      const newBalance = await suiService.getBalance(user.suiAddress);
-      
-      console.log(`✅ Faucet request successful. New balance: ${(parseFloat(newBalance) / 1000000000).toFixed(4)} SUI`);
+// Request SUI from faucet (testnet only)
+router.post('/faucet', auth, asyncHandler(async (req, res) => {
+  const userId = req.user.userId;
 
-      res.json({
-        success: true,
-        message: 'SUI tokens received from faucet!',
-        data: {
-          transactionDigests: faucetResult.transactionDigests,
-          newBalance,
-          newBalanceSui: (parseFloat(newBalance) / 1000000000).toFixed(4),
-          transactionId: faucetTransaction._id
-        }
-      });
-    } else {
-      res.status(400).json({
+  try {
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
         success: false,
-        message: faucetResult.message || 'Faucet request failed'
+        message: 'User not found'
       });
     }
 
+    console.log(`🚰 Requesting SUI from faucet for: ${user.suiAddress}`);
+
+    const { transaction, transactionDigests, newBalance } = await new FaucetService().request(user, req.ip);
+
+    console.log(`✅ Faucet request successful. New balance: ${(parseFloat(newBalance) / 1000000000).toFixed(4)} SUI`);
+
+    res.json({
+      success: true,
+      message: 'SUI tokens received from faucet!',
+      data: {
+        transactionDigests,
+        newBalance,
+        newBalanceSui: (parseFloat(newBalance) / 1000000000).toFixed(4),
+        transactionId: transaction._id
+      }
+    });
+
   } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        error: error.code,
+        ...(error.data ? { data: error.data } : {})
+      });
+    }
+
     console.error('❌ Faucet request failed:', error);
     res.status(500).json({
       success: false,
@@ -445,11 +490,10 @@ router.post('/transfer', [
 
     console.log(`💸 Transferring ${amount} SUI from ${user.suiAddress} to ${toAddress}`);
 
-    // Execute transfer (this would need to be implemented in SuiService)
-    // For now, we'll create a pending transaction
+    // Record the transfer as pending before touching the chain
     const transferTransaction = new Transaction({
       userId,
-      digest: `transfer_${Date.now()}`, // Will be updated with real digest
+      digest: `pending_transfer_${uuidv4()}`, // Replaced with the real digest once signed
       type: 'transfer',
       amount: amountInMist,
       status: 'pending',
@@ -463,24 +507,85 @@ router.post('/transfer', [
 
     await transferTransaction.save();
 
-    // TODO: Implement actual transfer in SuiService
-    // const transferResult = await suiService.transferSui(
-    //   user.encryptedPrivateKey,
-    //   toAddress,
-    //   amountInMist
-    // );
+    // Execute transfer on chain
+    let transferResult;
+    try {
+      transferResult = await suiService.transferSui(
+        suiService.signerFor(user),
+        toAddress,
+        amountInMist,
+        {
+          // Stored before submission, so the reconciler can resolve a transfer whose response is lost
+          onSigned: digest => {
+            transferTransaction.digest = digest;
+            return transferTransaction.save();
+          }
+        }
+      );
+    } catch (transferError) {
+      if (!transferTransaction.digest.startsWith('pending_')) {
+        // Signed and possibly executed: stays pending until the reconciler finds the digest on chain
+        transferTransaction.metadata.set('error', transferError.message);
+        await transferTransaction.save();
+
+        console.error('⚠️ Transfer submitted but not confirmed:', transferError.message);
+        return res.status(202).json({
+          success: true,
+          message: 'Transfer submitted, waiting for confirmation',
+          data: {
+            transactionId: transferTransaction._id,
+            transactionDigest: transferTransaction.digest,
+            status: 'pending'
+          }
+        });
+      }
 
-    res.json({
-      success: true,
-      message: 'Transfer initiated successfully',
+      transferTransaction.status = 'failed';
+      transferTransaction.metadata.set('error', transferError.message);
+      transferTransaction.metadata.set('failedAt', new Date());
+      await transferTransaction.save();
+
+      console.error('❌ On-chain transfer failed:', transferError.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Transfer failed',
+        error: transferError.message,
+        data: {
+          transactionId: transferTransaction._id,
+          status: 'failed'
+        }
+      });
+    }
+
+    // Update record with the real digest, gas and final status
+    transferTransaction.digest = transferResult.transactionDigest;
+    transferTransaction.status = transferResult.status;
+    transferTransaction.gasUsed = transferResult.gasUsed;
+    transferTransaction.blockHeight = transferResult.blockHeight;
+    transferTransaction.metadata.set('completedAt', new Date());
+    if (transferResult.error) {
+      transferTransaction.metadata.set('error', transferResult.error);
+    }
+    await transferTransaction.save();
+
+    const transferSucceeded = transferResult.status === 'success';
+    console.log(`${transferSucceeded ? '✅' : '❌'} Transfer ${transferResult.status}: ${transferResult.transactionDigest}`);
+
+    res.status(transferSucceeded ? 200 : 400).json({
+      success: transferSucceeded,
+      message: transferSucceeded ? 'Transfer completed successfully' : 'Transfer failed on chain',
+      error: transferResult.error || undefined,
       data: {
         transactionId: transferTransaction._id,
+        transactionDigest: transferResult.transactionDigest,
         fromAddress: user.suiAddress,
         toAddress,
         amount: parseFloat(amount),
         amountMist: amountInMist,
-        status: 'pending',
-        note: note || ''
+        gasUsed: transferResult.gasUsed,
+        status: transferResult.status,
+        note: note || '',
+        explorerUrl: `https://explorer.sui.io/txblock/${transferResult.transactionDigest}?network=${process.env.SUI_NETWORK || 'testnet'}`
       }
     });
 
@@ -570,11 +675,217 @@ router.get('/stats', auth, asyncHandler(async (req, res) => {
   }
 }));
 
+// Export the custodial wallet - step 1: re-authenticate and request a confirmation token
+router.post('/export', [
+  body('method').isIn(['reveal_key', 'transfer']).withMessage('Method must be reveal_key or transfer'),
+  body('destinationAddress')
+    .if(body('method').equals('transfer'))
+    .matches(/^0x[a-fA-F0-9]{64}$/)
+    .withMessage('Invalid Sui address format'),
+  body('password').optional().isString()
+], auth, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+  }
+
+  const { method, destinationAddress, password } = req.body;
+
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const exportService = new WalletExportService();
+    const walletExport = await exportService.requestExport(user, {
+      method,
+      destinationAddress,
+      password,
+      sessionId: req.user.sessionId,
+      ipAddress: req.ip
+    });
+
+    console.log(`📤 Wallet export requested by ${user.username} (${method})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Check your email for the confirmation token',
+      data: {
+        walletExport: formatWalletExport(walletExport)
+      }
+    });
+
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        error: error.code
+      });
+    }
+
+    console.error('❌ Wallet export request failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to request wallet export',
+      error: error.message
+    });
+  }
+}));
+
+// Export status
+router.get('/export', auth, asyncHandler(async (req, res) => {
+  const walletExports = await WalletExport.find({ userId: req.user.userId })
+    .sort({ createdAt: -1 })
+    .limit(10);
+
+  res.json({
+    success: true,
+    data: {
+      exports: walletExports.map(formatWalletExport)
+    }
+  });
+}));
+
+// Export step 2: confirm with the token, which starts the waiting period
+router.post('/export/:exportId/confirm', [
+  body('token').isString().notEmpty().withMessage('Confirmation token is required')
+], auth, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const walletExport = await new WalletExportService().confirm(req.user.userId, req.params.exportId, req.body.token);
+
+    res.json({
+      success: true,
+      message: `Wallet export confirmed. It can be completed after ${walletExport.availableAt.toISOString()}`,
+      data: {
+        walletExport: formatWalletExport(walletExport)
+      }
+    });
+
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        error: error.code
+      });
+    }
+
+    console.error('❌ Wallet export confirmation failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to confirm wallet export',
+      error: error.message
+    });
+  }
+}));
+
+// Cancel a pending export
+router.post('/export/:exportId/cancel', auth, asyncHandler(async (req, res) => {
+  try {
+    const walletExport = await new WalletExportService().cancel(req.user.userId, req.params.exportId);
+
+    res.json({
+      success: true,
+      message: 'Wallet export cancelled',
+      data: {
+        walletExport: formatWalletExport(walletExport)
+      }
+    });
+
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        error: error.code
+      });
+    }
+
+    console.error('❌ Wallet export cancel failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel wallet export',
+      error: error.message
+    });
+  }
+}));
+
+// Export step 3: reveal the key once or transfer everything, then the account becomes non-custodial
+router.post('/export/:exportId/complete', [
+  body('password').optional().isString()
+], auth, asyncHandler(async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { walletExport, result } = await new WalletExportService().complete(user, req.params.exportId, {
+      password: req.body.password,
+      sessionId: req.user.sessionId
+    });
+
+    console.log(`✅ Wallet exported by ${user.username} (${walletExport.method})`);
+
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      message: walletExport.method === 'reveal_key' ?
+        'Import this key into your wallet now. It will not be shown again.' :
+        'All NFTs and SUI were transferred to your wallet',
+      data: {
+        walletExport: formatWalletExport(walletExport),
+        ...result,
+        custodial: false
+      }
+    });
+
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        error: error.code
+      });
+    }
+
+    console.error('❌ Wallet export failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export wallet',
+      error: error.message
+    });
+  }
+}));
+
 // Helper functions
 function formatTransactionType(type) {
   const types = {
     'treasure_reward': 'Treasure Reward',
     'transfer': 'Transfer',
+    'nft_transfer': 'NFT Transfer',
+    'marketplace': 'Marketplace',
     'faucet': 'Faucet',
     'admin': 'Admin'
   };
@@ -599,4 +910,20 @@ function getRarityName(rarity) {
   return rarities[rarity] || 'Common';
 }
 
+function formatWalletExport(walletExport) {
+  return {
+    exportId: walletExport._id,
+    method: walletExport.method,
+    destinationAddress: walletExport.destinationAddress || null,
+    status: walletExport.status,
+    confirmationExpiresAt: walletExport.confirmationExpiresAt,
+    confirmedAt: walletExport.confirmedAt || null,
+    availableAt: walletExport.availableAt || null,
+    completedAt: walletExport.completedAt || null,
+    transactionDigest: walletExport.result?.transactionDigest || null,
+    error: walletExport.error || null,
+    createdAt: walletExport.createdAt
+  };
+}
+
 module.exports = router;
\ No newline at end of file
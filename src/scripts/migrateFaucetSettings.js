@@ -0,0 +1,44 @@
+// src/scripts/migrateFaucetSettings.js - Add the faucet balance ceiling setting to existing databases
+// The faucet used to read new_user_bonus_sui as its ceiling; it now has its own key
+require('dotenv').config();
+const { connect, disconnect } = require('../database/connection');
+const { AppSettings } = require('../models');
+const logger = require('../utils/logger');
+
+async function migrateFaucetSettings() {
+  try {
+    await connect();
+    logger.info('🔗 Connected to MongoDB successfully');
+
+    // Leaves a value an admin already set untouched
+    const result = await AppSettings.updateOne(
+      { key: 'faucet_max_balance_sui' },
+      {
+        $setOnInsert: {
+          value: 0.1,
+          description: 'Wallets holding at least this much SUI are not topped up by the faucet',
+          isPublic: false
+        }
+      },
+      { upsert: true }
+    );
+
+    console.log('\n🚰 FAUCET SETTINGS MIGRATION');
+    console.log('=====================================');
+    console.log(`💧 faucet_max_balance_sui: ${result.upsertedCount ? 'added with default 0.1' : 'already present'}`);
+    console.log('=====================================\n');
+  } catch (error) {
+    logger.error('error during faucet settings migration:', error);
+    throw error;
+  } finally {
+    await disconnect();
+  }
+}
+
+if (require.main === module) {
+  migrateFaucetSettings()
+    .then(() => process.exit(0))
+    .catch(() => process.exit(1));
+}
+
+module.exports = migrateFaucetSettings;
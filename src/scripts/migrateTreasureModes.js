@@ -0,0 +1,78 @@
+// src/scripts/migrateTreasureModes.js - Prepare existing data for multi-finder treasures
+// Drops the old one-discovery-per-treasure index and backfills Treasure.findersCount
+require('dotenv').config();
+const { connect, disconnect } = require('../database/connection');
+const { Treasure, TreasureDiscovery } = require('../models');
+const logger = require('../utils/logger');
+
+async function migrateTreasureModes() {
+  try {
+    await connect();
+    logger.info('🔗 Connected to MongoDB successfully');
+
+    // 1. Replace the global unique treasureId index with the per-hunter one
+    const indexes = await TreasureDiscovery.collection.indexes();
+    const legacyIndex = indexes.find(index =>
+      index.unique && Object.keys(index.key).length === 1 && index.key.treasureId === 1
+    );
+
+    if (legacyIndex) {
+      await TreasureDiscovery.collection.dropIndex(legacyIndex.name);
+      logger.info(`🗑️ Dropped legacy index ${legacyIndex.name}`);
+    }
+    await TreasureDiscovery.syncIndexes();
+
+    // 2. Default mode and finder counts from existing discoveries
+    const modeResult = await Treasure.updateMany(
+      { mode: { $exists: false } },
+      { $set: { mode: 'single' } }
+    );
+
+    const counts = await TreasureDiscovery.aggregate([
+      { $group: { _id: '$treasureId', count: { $sum: 1 } } }
+    ]);
+
+    for (const { _id: treasureId, count } of counts) {
+      await Treasure.updateOne({ treasureId }, { $set: { findersCount: count } });
+    }
+
+    await Treasure.updateMany(
+      { findersCount: { $exists: false } },
+      { $set: { findersCount: 0 } }
+    );
+
+    // 3. Number existing finders by discovery time
+    let numbered = 0;
+    for (const { _id: treasureId } of counts) {
+      const discoveries = await TreasureDiscovery.find({ treasureId }).sort({ discoveredAt: 1 });
+      for (let i = 0; i < discoveries.length; i++) {
+        await TreasureDiscovery.updateOne(
+          { _id: discoveries[i]._id },
+          { $set: { finderNumber: i + 1 } }
+        );
+        numbered += 1;
+      }
+    }
+
+    console.log('\n🎟️ TREASURE MODES MIGRATION');
+    console.log('=====================================');
+    console.log(`🗑️ Legacy index dropped: ${legacyIndex ? legacyIndex.name : 'not present'}`);
+    console.log(`🏴‍☠️ Treasures defaulted to single mode: ${modeResult.modifiedCount}`);
+    console.log(`🔢 Treasures with finder counts: ${counts.length}`);
+    console.log(`💎 Discoveries numbered: ${numbered}`);
+    console.log('=====================================\n');
+  } catch (error) {
+    logger.error('error during treasure modes migration:', error);
+    throw error;
+  } finally {
+    await disconnect();
+  }
+}
+
+if (require.main === module) {
+  migrateTreasureModes()
+    .then(() => process.exit(0))
+    .catch(() => process.exit(1));
+}
+
+module.exports = migrateTreasureModes;
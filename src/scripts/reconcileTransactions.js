@@ -0,0 +1,37 @@
+// src/scripts/reconcileTransactions.js - Run one reconciliation pass from the command line
+// Point SUI_RPC_URL at a local mock RPC to exercise the reconciler without a real network.
+require('dotenv').config();
+const { connect, disconnect } = require('../database/connection');
+const TransactionReconciler = require('../services/TransactionReconciler');
+const logger = require('../utils/logger');
+
+async function reconcileTransactions() {
+  try {
+    await connect();
+    logger.info('🔗 Connected to MongoDB successfully');
+
+    const reconciler = new TransactionReconciler();
+    const summary = await reconciler.runOnce();
+
+    console.log('\n🔁 RECONCILIATION SUMMARY');
+    console.log('=====================================');
+    console.log(`💸 Transactions: ${JSON.stringify(summary.transactions)}`);
+    console.log(`💎 Discoveries: ${JSON.stringify(summary.discoveries)}`);
+    console.log('=====================================\n');
+
+    return summary;
+  } catch (error) {
+    logger.error('error during reconciliation:', error);
+    throw error;
+  } finally {
+    await disconnect();
+  }
+}
+
+if (require.main === module) {
+  reconcileTransactions()
+    .then(() => process.exit(0))
+    .catch(() => process.exit(1));
+}
+
+module.exports = reconcileTransactions;
@@ -0,0 +1,116 @@
+// src/scripts/rotateEncryptionKeys.js - Re-encrypt stored wallet and NFC keys under the active encryption key
+// Usage: npm run keys:rotate -- [--dry-run]
+require('dotenv').config();
+const { connect, disconnect } = require('../database/connection');
+const { User, NfcTag } = require('../models');
+const SuiService = require('../services/SuiService');
+const logger = require('../utils/logger');
+
+const NFC_KEY_FIELDS = ['encryptedMetaReadKey', 'encryptedFileReadKey'];
+
+async function rotateEncryptionKeys(args = process.argv.slice(2)) {
+  const dryRun = args.includes('--dry-run');
+
+  try {
+    await connect();
+    logger.info('🔗 Connected to MongoDB successfully');
+
+    const suiService = new SuiService(process.env.SUI_NETWORK || 'testnet');
+    const keyVault = suiService.keyVault;
+
+    const report = {
+      activeKeyId: keyVault.activeKeyId,
+      users: { scanned: 0, rotated: 0, current: 0, failed: [] },
+      nfcTags: { scanned: 0, rotated: 0, current: 0, failed: [] },
+      keyIdsBefore: {}
+    };
+
+    // Users - each document is updated only if its ciphertext did not change meanwhile
+    const users = User.find({ encryptedPrivateKey: { $exists: true, $ne: null } })
+      .select('encryptedPrivateKey suiAddress username')
+      .cursor();
+
+    for await (const user of users) {
+      report.users.scanned += 1;
+      const keyId = keyVault.keyIdOf(user.encryptedPrivateKey);
+      report.keyIdsBefore[keyId] = (report.keyIdsBefore[keyId] || 0) + 1;
+
+      if (!keyVault.needsRotation(user.encryptedPrivateKey)) {
+        report.users.current += 1;
+        continue;
+      }
+
+      try {
+        const rotated = suiService.reencryptPrivateKey(user.encryptedPrivateKey, user.suiAddress);
+        if (!dryRun) {
+          const result = await User.updateOne(
+            { _id: user._id, encryptedPrivateKey: user.encryptedPrivateKey },
+            { $set: { encryptedPrivateKey: rotated } }
+          );
+          if (result.modifiedCount === 0) {
+            throw new Error('Key changed during rotation, run again');
+          }
+        }
+        report.users.rotated += 1;
+      } catch (error) {
+        report.users.failed.push({ id: user._id, name: user.username, error: error.message });
+      }
+    }
+
+    // NFC tag SDM keys
+    const tags = NfcTag.find({}).select(NFC_KEY_FIELDS.join(' ') + ' uid').cursor();
+
+    for await (const tag of tags) {
+      report.nfcTags.scanned += 1;
+
+      if (NFC_KEY_FIELDS.every(field => !keyVault.needsRotation(tag[field]))) {
+        report.nfcTags.current += 1;
+        continue;
+      }
+
+      try {
+        const update = {};
+        const filter = { _id: tag._id };
+        for (const field of NFC_KEY_FIELDS) {
+          update[field] = keyVault.rewrap(tag[field]);
+          filter[field] = tag[field];
+        }
+        if (!dryRun) {
+          const result = await NfcTag.updateOne(filter, { $set: update });
+          if (result.modifiedCount === 0) {
+            throw new Error('Keys changed during rotation, run again');
+          }
+        }
+        report.nfcTags.rotated += 1;
+      } catch (error) {
+        report.nfcTags.failed.push({ id: tag._id, name: tag.uid, error: error.message });
+      }
+    }
+
+    console.log(`\n🔑 ENCRYPTION KEY ROTATION${dryRun ? ' (DRY RUN)' : ''}`);
+    console.log('=====================================');
+    console.log(`🎯 Active key: ${report.activeKeyId}`);
+    console.log(`📊 Wallet keys by key id before: ${Object.entries(report.keyIdsBefore).map(([id, count]) => `${id}=${count}`).join(', ') || 'none'}`);
+    for (const [label, stats] of [['👤 Wallet keys', report.users], ['📡 NFC tags', report.nfcTags]]) {
+      console.log(`${label}: ${stats.scanned} scanned, ${stats.rotated} rotated, ${stats.current} already current, ${stats.failed.length} failed`);
+      stats.failed.forEach(item => console.log(`   ❌ ${item.name || item.id}: ${item.error}`));
+    }
+    console.log('=====================================\n');
+
+    logger.info(`Key rotation${dryRun ? ' (dry run)' : ''} to ${report.activeKeyId}: ${report.users.rotated} wallet keys, ${report.nfcTags.rotated} NFC tags`);
+    return report;
+  } catch (error) {
+    logger.error('error during key rotation:', error);
+    throw error;
+  } finally {
+    await disconnect();
+  }
+}
+
+if (require.main === module) {
+  rotateEncryptionKeys()
+    .then(report => process.exit(report.users.failed.length + report.nfcTags.failed.length > 0 ? 1 : 0))
+    .catch(() => process.exit(1));
+}
+
+module.exports = rotateEncryptionKeys;
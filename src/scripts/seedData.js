@@ -96,7 +96,7 @@ const hanoiTreasures = [
       difficulty: 'easy',
       estimatedTime: '20 minutes',
       historicalPeriod: 'Medieval Period',
-      tags: ['trade', 'streets', 'guilds', 'market'],
+      tags: ['trade', 'streets', 'guilds', 'market', 'old_quarter'],
       hints: [
         'Where 36 guilds once traded their wares',
         'Follow the street of silver craftsmen',
@@ -216,7 +216,7 @@ const hanoiTreasures = [
       difficulty: 'easy',
       estimatedTime: '15 minutes',
       historicalPeriod: 'Modern Era',
-      tags: ['market', 'trade', 'commerce', 'crowds'],
+      tags: ['market', 'trade', 'commerce', 'crowds', 'old_quarter'],
       hints: [
         'Where wholesale meets retail chaos',
         'Navigate between fabric and food stalls',
@@ -483,6 +483,21 @@ const achievements = [
     requirementValue: 10,
     points: 800,
     isActive: true
+  },
+  {
+    achievementId: 'hoan_kiem_regular',
+    name: 'Hoan Kiem Regular',
+    description: 'Find 3 treasures in Hoan Kiem, including a legendary one',
+    icon: 'temple',
+    category: 'location',
+    rule: {
+      all: [
+        { metric: 'discoveries', where: { district: 'Hoan Kiem' }, min: 3 },
+        { metric: 'discoveries', where: { district: 'Hoan Kiem', rarity: 3 }, min: 1 }
+      ]
+    },
+    points: 700,
+    isActive: true
   }
 ];
 
@@ -580,6 +595,42 @@ const appSettings = [
     description: 'Bonus SUI for new user registration',
     isPublic: false
   },
+  {
+    key: 'faucet_enabled',
+    value: true,
+    description: 'Allow testnet faucet requests',
+    isPublic: false
+  },
+  {
+    key: 'faucet_user_cooldown_minutes',
+    value: 60,
+    description: 'Minutes between faucet requests per user',
+    isPublic: false
+  },
+  {
+    key: 'faucet_ip_cooldown_minutes',
+    value: 10,
+    description: 'Minutes between faucet requests per IP address',
+    isPublic: false
+  },
+  {
+    key: 'faucet_user_lifetime_requests',
+    value: 5,
+    description: 'Maximum successful faucet requests per user',
+    isPublic: false
+  },
+  {
+    key: 'faucet_ip_lifetime_requests',
+    value: 20,
+    description: 'Maximum successful faucet requests per IP address',
+    isPublic: false
+  },
+  {
+    key: 'faucet_max_balance_sui',
+    value: 0.1,
+    description: 'Wallets holding at least this much SUI are not topped up by the faucet',
+    isPublic: false
+  },
   {
     key: 'treasure_creation_enabled',
     value: true,
@@ -683,7 +734,7 @@ async function createIndexes() {
     await User.collection.createIndex({ suiAddress: 1 }, { unique: true });
     
     // Discovery indexes
-    await TreasureDiscovery.collection.createIndex({ treasureId: 1 }, { unique: true });
+    await TreasureDiscovery.collection.createIndex({ treasureId: 1, userId: 1 }, { unique: true });
     await TreasureDiscovery.collection.createIndex({ userId: 1, discoveredAt: -1 });
     
     // Transaction indexes
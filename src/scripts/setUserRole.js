@@ -0,0 +1,57 @@
+// src/scripts/setUserRole.js - Grant or remove the admin role
+// Usage: npm run users:set-role -- <username|email> <admin|user>
+require('dotenv').config();
+const { connect, disconnect } = require('../database/connection');
+const { User } = require('../models');
+const SessionService = require('../services/SessionService');
+const logger = require('../utils/logger');
+
+const ROLES = ['user', 'admin'];
+
+async function setUserRole(identifier, role) {
+  if (!identifier || !ROLES.includes(role)) {
+    throw new Error(`Usage: npm run users:set-role -- <username|email> <${ROLES.join('|')}>`);
+  }
+
+  try {
+    await connect();
+    logger.info('🔗 Connected to MongoDB successfully');
+
+    const user = await User.findOne({ $or: [{ username: identifier }, { email: identifier.toLowerCase() }] });
+    if (!user) {
+      throw new Error(`User not found: ${identifier}`);
+    }
+
+    const previousRole = user.role || 'user';
+    let revoked = 0;
+    if (previousRole !== role) {
+      user.role = role;
+      await user.save();
+      // Tokens carry the role, so open sessions would keep the old one until they expire
+      revoked = await new SessionService().revokeAll(user._id, 'role_changed');
+    }
+
+    console.log('\n🛡️ USER ROLE');
+    console.log('=====================================');
+    console.log(`👤 ${user.username} (${user.email})`);
+    console.log(`🔑 Role: ${previousRole} → ${role}${previousRole === role ? ' (unchanged)' : ''}`);
+    console.log(`🚪 Sessions revoked: ${revoked}`);
+    console.log('=====================================\n');
+
+    return { userId: user._id, previousRole, role, revoked };
+  } finally {
+    await disconnect();
+  }
+}
+
+if (require.main === module) {
+  const [identifier, role] = process.argv.slice(2);
+  setUserRole(identifier, role)
+    .then(() => process.exit(0))
+    .catch(error => {
+      logger.error('Failed to set user role:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = setUserRole;
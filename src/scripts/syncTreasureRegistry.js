@@ -0,0 +1,49 @@
+// src/scripts/syncTreasureRegistry.js - Import the on-chain treasure registry from the command line
+// Usage: npm run sync:registry -- [--dry-run] [--deactivate-missing]
+require('dotenv').config();
+const { connect, disconnect } = require('../database/connection');
+const TreasureRegistrySync = require('../services/TreasureRegistrySync');
+const logger = require('../utils/logger');
+
+async function syncTreasureRegistry(args = process.argv.slice(2)) {
+  const dryRun = args.includes('--dry-run');
+  const deactivateMissing = args.includes('--deactivate-missing');
+
+  try {
+    await connect();
+    logger.info('🔗 Connected to MongoDB successfully');
+
+    const report = await new TreasureRegistrySync().sync({ dryRun, deactivateMissing });
+
+    console.log(`\n🏛️ REGISTRY SYNC REPORT${dryRun ? ' (DRY RUN)' : ''}`);
+    console.log('=====================================');
+    console.log(`📦 On chain: ${report.registryTotal}`);
+    console.log(`➕ Added: ${report.added.length}`);
+    report.added.forEach(item => console.log(`   ${item.treasureId} - ${item.name}`));
+    console.log(`✏️ Updated: ${report.updated.length}`);
+    report.updated.forEach(item => console.log(`   ${item.treasureId}: ${Object.keys(item.changes).join(', ')}`));
+    console.log(`✅ Unchanged: ${report.unchanged}`);
+    console.log(`⚠️ Invalid: ${report.invalid.length}`);
+    report.invalid.forEach(item => console.log(`   ${item.treasureId || '(no id)'}: ${item.reason}`));
+    console.log(`❓ Missing from registry: ${report.missingFromRegistry.join(', ') || 'none'}`);
+    if (deactivateMissing) {
+      console.log(`🚫 Deactivated: ${report.deactivated.join(', ') || 'none'}`);
+    }
+    console.log('=====================================\n');
+
+    return report;
+  } catch (error) {
+    logger.error('error during registry sync:', error);
+    throw error;
+  } finally {
+    await disconnect();
+  }
+}
+
+if (require.main === module) {
+  syncTreasureRegistry()
+    .then(() => process.exit(0))
+    .catch(() => process.exit(1));
+}
+
+module.exports = syncTreasureRegistry;
@@ -50,6 +50,11 @@ const app = express();
 const PORT = process.env.PORT || 3000;
 const HOST = process.env.HOST || '0.0.0.0';
 
+// Behind Vercel (or any proxy) req.ip would be the proxy for every caller, which breaks per-IP limits
+// TRUST_PROXY is a hop count or a list of trusted proxy addresses, as accepted by Express
+const TRUST_PROXY = process.env.TRUST_PROXY || '1';
+app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? parseInt(TRUST_PROXY) : TRUST_PROXY);
+
 // Basic error handler for unhandled errors
 process.on('uncaughtException', (error) => {
   console.error('💥 UNCAUGHT EXCEPTION! Shutting down...');
@@ -233,6 +238,24 @@ try {
   console.error('  ❌ Failed to load profile routes:', error.message);
 }
 
+try {
+  console.log('  Loading hunt routes...');
+  const huntRoutes = require('./routes/hunts');
+  app.use(`/api/${API_VERSION}/hunts`, huntRoutes);
+  console.log('  ✅ Hunt routes loaded');
+} catch (error) {
+  console.error('  ❌ Failed to load hunt routes:', error.message);
+}
+
+try {
+  console.log('  Loading marketplace routes...');
+  const marketplaceRoutes = require('./routes/marketplace');
+  app.use(`/api/${API_VERSION}/marketplace`, marketplaceRoutes);
+  console.log('  ✅ Marketplace routes loaded');
+} catch (error) {
+  console.error('  ❌ Failed to load marketplace routes:', error.message);
+}
+
 try {
   console.log('  Loading admin routes...');
   const adminRoutes = require('./routes/admin');
@@ -271,9 +294,79 @@ try {
   });
 }
 
+// Background workers (started once the database is connected)
+const backgroundWorkers = [];
+
+const startBackgroundWorkers = () => {
+  if (process.env.BACKGROUND_WORKERS_ENABLED === 'false') {
+    console.log('⏸️ Background workers disabled');
+    return;
+  }
+
+  try {
+    const TransactionReconciler = require('./services/TransactionReconciler');
+    const reconciler = new TransactionReconciler();
+    reconciler.start();
+    backgroundWorkers.push(reconciler);
+    console.log('✅ Transaction reconciler started');
+  } catch (error) {
+    console.error('❌ Failed to start transaction reconciler:', error.message);
+  }
+
+  try {
+    const MintQueue = require('./services/MintQueue');
+    const mintQueue = new MintQueue();
+    mintQueue.start();
+    backgroundWorkers.push(mintQueue);
+    console.log('✅ Mint queue started');
+  } catch (error) {
+    console.error('❌ Failed to start mint queue:', error.message);
+  }
+
+  try {
+    const HuntNftMinter = require('./services/HuntNftMinter');
+    const huntNftMinter = new HuntNftMinter();
+    huntNftMinter.start();
+    backgroundWorkers.push(huntNftMinter);
+    console.log('✅ Hunt NFT minter started');
+  } catch (error) {
+    console.error('❌ Failed to start hunt NFT minter:', error.message);
+  }
+
+  try {
+    const LeaderboardService = require('./services/LeaderboardService');
+    const leaderboardSnapshots = new LeaderboardService();
+    leaderboardSnapshots.start();
+    backgroundWorkers.push(leaderboardSnapshots);
+    console.log('✅ Leaderboard snapshots started');
+  } catch (error) {
+    console.error('❌ Failed to start leaderboard snapshots:', error.message);
+  }
+
+  // Leaderboard positions fall back to count queries until the index has loaded
+  const RankIndex = require('./services/RankIndex');
+  RankIndex.getInstance().load()
+    .then(rankIndex => console.log(`✅ Rank index loaded (${rankIndex.total} hunters)`))
+    .catch(error => console.error('❌ Failed to load rank index:', error.message));
+
+  if (process.env.ACHIEVEMENT_BADGES_ENABLED === 'true') {
+    try {
+      const BadgeMinter = require('./services/BadgeMinter');
+      const badgeMinter = new BadgeMinter();
+      badgeMinter.start();
+      backgroundWorkers.push(badgeMinter);
+      console.log('✅ Badge minter started');
+    } catch (error) {
+      console.error('❌ Failed to start badge minter:', error.message);
+    }
+  }
+};
+
 // Graceful shutdown handling
 const gracefulShutdown = (signal) => {
   console.log(`\n📡 Received ${signal}. Starting graceful shutdown...`);
+
+  backgroundWorkers.forEach(worker => worker.stop());
   
   server.close(async () => {
     console.log('🔌 HTTP server closed.');
@@ -327,6 +420,8 @@ const server = app.listen(PORT, HOST, async () => {
         port: connectionStatus.port,
         database: connectionStatus.name
       });
+
+      startBackgroundWorkers();
     } else {
       console.log('⚠️ Database connection module not available');
     }
@@ -338,7 +433,7 @@ const server = app.listen(PORT, HOST, async () => {
   
   // Log important configurations
   console.log('\n⚙️ Configuration:');
-  console.log(`🔐 JWT expires in: ${process.env.JWT_EXPIRES_IN || '7d'}`);
+  console.log(`🔐 JWT expires in: ${process.env.JWT_EXPIRES_IN || '15m'} (refresh tokens: ${process.env.REFRESH_TOKEN_TTL_DAYS || '30'} days)`);
   console.log(`⛓️ Sui Network: ${process.env.SUI_NETWORK || 'testnet'}`);
   console.log(`📦 Package ID: ${process.env.SUI_PACKAGE_ID || 'Not set'}`);
   console.log(`🗃️ Registry ID: ${process.env.TREASURE_REGISTRY_ID || 'Not set'}`);
@@ -0,0 +1,369 @@
+// src/services/AchievementRules.js - Declarative achievement rules: validation, evaluation and progress
+//
+// A rule is either a condition or an all/any combination of rules:
+//   { metric: 'discoveries', where: { rarity: 3, district: 'Hoan Kiem' }, min: 3 }
+//   { all: [ruleA, ruleB] }   { any: [ruleA, ruleB] }
+// `where` narrows discovery metrics by rarity, district, tag and local hours ({ from, to }).
+
+// Metrics computed from the hunter's discoveries (these accept `where`)
+const DISCOVERY_METRICS = [
+  'discoveries',
+  'distinct_districts',
+  'distinct_rarities',
+  'distinct_treasures',
+  'discoveries_per_day',
+  // Every active treasure matching `where` has been found; `min` is not used
+  'complete_set'
+];
+
+// Metrics read from the hunter profile and related collections
+const STAT_METRICS = [
+  'treasures_found',
+  'total_score',
+  'longest_streak',
+  'current_streak',
+  'rank',
+  'hunts_completed',
+  'nfts_minted',
+  'nfts_owned'
+];
+
+// Domain events that can change each metric
+const METRIC_TRIGGERS = {
+  total_score: ['treasure_discovered', 'hunt_completed', 'score_changed'],
+  longest_streak: ['streak_changed'],
+  current_streak: ['streak_changed'],
+  rank: ['rank_up'],
+  hunts_completed: ['hunt_completed']
+};
+
+// The original requirementType/requirementValue achievements expressed as rules
+const LEGACY_REQUIREMENTS = {
+  treasures_found: min => ({ metric: 'treasures_found', min }),
+  score_points: min => ({ metric: 'total_score', min }),
+  consecutive_days: min => ({ metric: 'longest_streak', min }),
+  streak_days: min => ({ metric: 'longest_streak', min }),
+  rank_reached: min => ({ metric: 'rank', min }),
+  common_treasures: min => ({ metric: 'discoveries', where: { rarity: 1 }, min }),
+  rare_treasures: min => ({ metric: 'discoveries', where: { rarity: 2 }, min }),
+  legendary_treasures: min => ({ metric: 'discoveries', where: { rarity: 3 }, min }),
+  all_rarities: min => ({ metric: 'distinct_rarities', min }),
+  districts_visited: min => ({ metric: 'distinct_districts', min }),
+  lake_treasures: min => ({ metric: 'discoveries', where: { tag: 'lake' }, min }),
+  old_quarter_complete: () => ({ metric: 'complete_set', where: { tag: 'old_quarter' } }),
+  early_morning_hunt: min => ({ metric: 'discoveries', where: { hours: { from: 0, to: 7 } }, min }),
+  late_night_hunt: min => ({ metric: 'discoveries', where: { hours: { from: 22, to: 24 } }, min }),
+  daily_treasure_count: min => ({ metric: 'discoveries_per_day', min }),
+  nft_minted: min => ({ metric: 'nfts_minted', min }),
+  nfts_owned: min => ({ metric: 'nfts_owned', min }),
+  hunts_completed: min => ({ metric: 'hunts_completed', min })
+};
+
+const RANKS = { beginner: 1, explorer: 2, hunter: 3, master: 4 };
+const MAX_DEPTH = 4;
+const MAX_CONDITIONS = 10;
+
+class AchievementRules {
+  constructor(options = {}) {
+    // Hour conditions and per-day counts are judged in this timezone
+    this.timezone = options.timezone || process.env.ACHIEVEMENT_TIMEZONE || 'UTC';
+  }
+
+  /**
+   * The rule an achievement is judged by: its own rule, else its legacy requirement.
+   * Returns null when the achievement has neither.
+   */
+  forAchievement(achievement) {
+    if (achievement.rule) {
+      return achievement.rule;
+    }
+    return this.fromRequirement(achievement.requirementType, achievement.requirementValue);
+  }
+
+  fromRequirement(requirementType, requirementValue) {
+    const toRule = LEGACY_REQUIREMENTS[requirementType];
+    return toRule ? toRule(requirementValue || 1) : null;
+  }
+
+  /**
+   * Problems with a rule as "path: message" strings; empty when the rule is valid
+   */
+  validate(rule, path = 'rule', depth = 0) {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      return [`${path}: must be an object`];
+    }
+    if (depth > MAX_DEPTH) {
+      return [`${path}: rules can be nested at most ${MAX_DEPTH} levels deep`];
+    }
+
+    const combinator = ['all', 'any'].find(key => rule[key] !== undefined);
+    if (combinator) {
+      const conditions = rule[combinator];
+      if (Object.keys(rule).length !== 1) {
+        return [`${path}: "${combinator}" cannot be combined with other keys`];
+      }
+      if (!Array.isArray(conditions) || conditions.length === 0 || conditions.length > MAX_CONDITIONS) {
+        return [`${path}.${combinator}: must be an array of 1-${MAX_CONDITIONS} rules`];
+      }
+      return conditions.flatMap((condition, index) =>
+        this.validate(condition, `${path}.${combinator}[${index}]`, depth + 1));
+    }
+
+    const errors = [];
+    const { metric, where, min } = rule;
+    const unknownKeys = Object.keys(rule).filter(key => !['metric', 'where', 'min'].includes(key));
+    if (unknownKeys.length > 0) {
+      errors.push(`${path}: unknown keys ${unknownKeys.join(', ')}`);
+    }
+
+    const isDiscoveryMetric = DISCOVERY_METRICS.includes(metric);
+    if (!isDiscoveryMetric && !STAT_METRICS.includes(metric)) {
+      errors.push(`${path}.metric: must be one of ${[...DISCOVERY_METRICS, ...STAT_METRICS].join(', ')}`);
+    }
+    if (metric !== 'complete_set' && !(Number.isInteger(min) && min >= 1)) {
+      errors.push(`${path}.min: must be a positive integer`);
+    }
+
+    if (where !== undefined) {
+      if (!isDiscoveryMetric) {
+        errors.push(`${path}.where: only discovery metrics can be filtered`);
+      } else {
+        errors.push(...this.validateWhere(where, `${path}.where`));
+      }
+    } else if (metric === 'complete_set') {
+      errors.push(`${path}.where: complete_set needs a filter`);
+    }
+
+    return errors;
+  }
+
+  validateWhere(where, path) {
+    if (!where || typeof where !== 'object' || Array.isArray(where)) {
+      return [`${path}: must be an object`];
+    }
+
+    const errors = [];
+    const list = value => (Array.isArray(value) ? value : [value]);
+
+    for (const [key, value] of Object.entries(where)) {
+      switch (key) {
+        case 'rarity':
+          if (!list(value).every(rarity => [1, 2, 3].includes(rarity))) {
+            errors.push(`${path}.rarity: must be 1, 2, 3 or an array of them`);
+          }
+          break;
+
+        case 'district':
+        case 'tag':
+          if (!list(value).every(item => typeof item === 'string' && item.trim())) {
+            errors.push(`${path}.${key}: must be a string or an array of strings`);
+          }
+          break;
+
+        case 'hours': {
+          const { from, to } = value || {};
+          if (!Number.isInteger(from) || !Number.isInteger(to) || from < 0 || from > 23 || to < 1 || to > 24 || from === to) {
+            errors.push(`${path}.hours: needs integer from (0-23) and to (1-24) that differ`);
+          }
+          break;
+        }
+
+        default:
+          errors.push(`${path}: unknown filter ${key}`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Event types that can change the outcome of a rule
+   */
+  triggers(rule) {
+    if (!rule) {
+      return [];
+    }
+    if (rule.all || rule.any) {
+      return [...new Set((rule.all || rule.any).flatMap(condition => this.triggers(condition)))];
+    }
+    return METRIC_TRIGGERS[rule.metric] || ['treasure_discovered'];
+  }
+
+  /**
+   * Whether the hunter meets the rule, with progress. Composite rules report how many
+   * of their conditions are met and include each condition's progress.
+   */
+  async evaluate(rule, stats) {
+    if (!rule) {
+      return { satisfied: false, current: 0, required: 1, percentage: 0 };
+    }
+
+    if (rule.all || rule.any) {
+      const conditions = [];
+      for (const condition of rule.all || rule.any) {
+        conditions.push(await this.evaluate(condition, stats));
+      }
+
+      const met = conditions.filter(condition => condition.satisfied).length;
+      const percentages = conditions.map(condition => condition.percentage);
+
+      if (rule.all) {
+        return {
+          satisfied: met === conditions.length,
+          current: met,
+          required: conditions.length,
+          percentage: percentages.reduce((sum, percentage) => sum + percentage, 0) / conditions.length,
+          conditions
+        };
+      }
+      return {
+        satisfied: met > 0,
+        current: Math.min(met, 1),
+        required: 1,
+        percentage: Math.max(...percentages),
+        conditions
+      };
+    }
+
+    const { current, required } = await this.measure(rule, stats);
+    return {
+      satisfied: current >= required,
+      current,
+      required,
+      percentage: Math.min((current / required) * 100, 100)
+    };
+  }
+
+  /**
+   * Current value and target of a single condition
+   */
+  async measure(condition, stats) {
+    const { metric, where = {} } = condition;
+    const required = condition.min || 1;
+
+    if (DISCOVERY_METRICS.includes(metric)) {
+      const discoveries = (await stats.discoveries()).filter(discovery => this.matches(discovery, where));
+
+      switch (metric) {
+        case 'discoveries':
+          return { current: discoveries.length, required };
+
+        case 'distinct_districts':
+          return { current: this.countDistinct(discoveries, discovery => this.getField(discovery.treasure, 'district')), required };
+
+        case 'distinct_rarities':
+          return { current: this.countDistinct(discoveries, discovery => discovery.treasure?.rarity), required };
+
+        case 'distinct_treasures':
+          return { current: this.countDistinct(discoveries, discovery => discovery.treasureId), required };
+
+        case 'discoveries_per_day': {
+          const perDay = {};
+          for (const discovery of discoveries) {
+            const day = this.getLocalTime(discovery.discoveredAt).date;
+            perDay[day] = (perDay[day] || 0) + 1;
+          }
+          return { current: Math.max(0, ...Object.values(perDay)), required };
+        }
+
+        case 'complete_set': {
+          const { hours, ...treasureFilter } = where;
+          const set = (await stats.activeTreasures()).filter(treasure => this.matchesTreasure(treasure, treasureFilter));
+          const found = new Set(discoveries.map(discovery => discovery.treasureId));
+          return {
+            current: set.filter(treasure => found.has(treasure.treasureId)).length,
+            // An empty set can never be completed
+            required: Math.max(set.length, 1)
+          };
+        }
+      }
+    }
+
+    const profile = await stats.profile();
+    switch (metric) {
+      case 'treasures_found':
+        return { current: profile?.totalTreasuresFound || 0, required };
+      case 'total_score':
+        return { current: profile?.totalScore || 0, required };
+      case 'longest_streak':
+        return { current: profile?.longestStreak || 0, required };
+      case 'current_streak':
+        return { current: profile?.currentStreak || 0, required };
+      case 'rank':
+        return { current: RANKS[profile?.rank] || 1, required };
+      case 'hunts_completed':
+        return { current: await stats.huntsCompleted(), required };
+      case 'nfts_minted':
+        return {
+          current: (await stats.discoveries()).filter(discovery => /^0x/.test(discovery.nftObjectId || '')).length,
+          required
+        };
+      case 'nfts_owned':
+        return { current: await stats.nftsOwned(), required };
+      default:
+        return { current: 0, required };
+    }
+  }
+
+  matches(discovery, where) {
+    const { hours, ...treasureFilter } = where;
+    if (!this.matchesTreasure(discovery.treasure, treasureFilter)) {
+      return false;
+    }
+    if (hours) {
+      const { hour } = this.getLocalTime(discovery.discoveredAt);
+      // A window with from > to wraps past midnight
+      return hours.from < hours.to ?
+        hour >= hours.from && hour < hours.to :
+        hour >= hours.from || hour < hours.to;
+    }
+    return true;
+  }
+
+  matchesTreasure(treasure, { rarity, district, tag }) {
+    const list = value => (Array.isArray(value) ? value : [value]);
+
+    if (rarity !== undefined && !list(rarity).includes(treasure?.rarity)) {
+      return false;
+    }
+    if (district !== undefined && !list(district).includes(this.getField(treasure, 'district'))) {
+      return false;
+    }
+    if (tag !== undefined) {
+      const tags = this.getField(treasure, 'tags');
+      if (!Array.isArray(tags) || !list(tag).some(item => tags.includes(item))) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  getField(treasure, key) {
+    return treasure?.metadata?.[key];
+  }
+
+  countDistinct(discoveries, getValue) {
+    return new Set(discoveries.map(getValue).filter(value => value !== undefined && value !== null)).size;
+  }
+
+  /**
+   * Local hour and calendar day of a timestamp in the rules timezone
+   */
+  getLocalTime(date) {
+    const parts = new Intl.DateTimeFormat('en-CA', {
+      timeZone: this.timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(new Date(date)).reduce((map, part) => ({ ...map, [part.type]: part.value }), {});
+
+    return {
+      hour: parseInt(parts.hour),
+      date: `${parts.year}-${parts.month}-${parts.day}`
+    };
+  }
+}
+
+module.exports = AchievementRules;
@@ -0,0 +1,175 @@
+// src/services/AchievementService.js - Unlocks achievements from hunter activity events
+const { Achievement, UserAchievement, HunterProfile, Treasure, TreasureDiscovery, HuntProgress } = require('../models');
+const NftTransferService = require('./NftTransferService');
+const AchievementRules = require('./AchievementRules');
+const BadgeMinter = require('./BadgeMinter');
+const { transaction } = require('../database/connection');
+const logger = require('../utils/logger');
+
+class AchievementService {
+  constructor(options = {}) {
+    this.rules = options.rules || new AchievementRules(options);
+    this.badgeMinter = options.badgeMinter || new BadgeMinter();
+  }
+
+  /**
+   * Evaluate the achievements the given events can affect and unlock the ones now earned.
+   * Returns the newly unlocked achievements.
+   */
+  async processEvents(userId, events) {
+    const eventTypes = events.map(event => event.type);
+    const unlocked = await this.evaluate(userId, eventTypes);
+
+    // Achievement points raise the score, which can earn score achievements in turn
+    if (unlocked.some(achievement => achievement.points > 0)) {
+      unlocked.push(...await this.evaluate(userId, ['score_changed']));
+    }
+
+    if (unlocked.length > 0) {
+      logger.info(`User ${userId} unlocked achievements: ${unlocked.map(achievement => achievement.achievementId).join(', ')}`);
+    }
+    return unlocked;
+  }
+
+  /**
+   * Unlock every active, not yet unlocked achievement whose rule these events can affect
+   * and the hunter now meets
+   */
+  async evaluate(userId, eventTypes) {
+    const [achievements, userAchievements] = await Promise.all([
+      Achievement.find({ isActive: true }),
+      UserAchievement.find({ userId }).select('achievementId')
+    ]);
+
+    const unlockedIds = new Set(userAchievements.map(userAchievement => userAchievement.achievementId));
+    const candidates = achievements
+      .filter(achievement => !unlockedIds.has(achievement._id))
+      .map(achievement => ({ achievement, rule: this.rules.forAchievement(achievement) }))
+      .filter(({ rule }) => this.rules.triggers(rule).some(type => eventTypes.includes(type)));
+    if (candidates.length === 0) {
+      return [];
+    }
+
+    const stats = this.createStats(userId);
+    const unlocked = [];
+
+    for (const { achievement, rule } of candidates) {
+      const result = await this.rules.evaluate(rule, stats);
+      if (!result.satisfied) {
+        continue;
+      }
+
+      if (await this.unlock(userId, achievement)) {
+        unlocked.push(achievement);
+      }
+    }
+
+    return unlocked;
+  }
+
+  /**
+   * Insert the UserAchievement row and credit its points. Only the request that creates
+   * the row credits the points, so concurrent evaluations cannot award an achievement twice.
+   * With on-chain badges enabled the row is also queued for the badge minter.
+   */
+  async unlock(userId, achievement) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        // The unlock and its points commit together or not at all
+        return await transaction(async (session) => {
+          const result = await UserAchievement.updateOne(
+            { userId, achievementId: achievement._id },
+            { $setOnInsert: { unlockedAt: new Date(), ...this.badgeMinter.queuedBadge() } },
+            { upsert: true, session }
+          );
+          if (!result.upsertedCount) {
+            return false;
+          }
+
+          await HunterProfile.updateOne(
+            { userId },
+            {
+              $inc: { totalScore: achievement.points || 0 },
+              $addToSet: { achievements: achievement.achievementId }
+            },
+            { session }
+          );
+          return true;
+        });
+      } catch (error) {
+        // Lost the race on the unique userId/achievementId index
+        if (error.code === 11000) {
+          return false;
+        }
+        // A concurrent write to the same documents; the whole transaction can be rerun
+        if (attempt < 3 && error.hasErrorLabel?.('TransientTransactionError')) {
+          continue;
+        }
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Newly unlocked achievement as returned by the API
+   */
+  static format(achievement) {
+    return {
+      achievementId: achievement.achievementId,
+      name: achievement.name,
+      description: achievement.description,
+      icon: achievement.icon,
+      category: achievement.category,
+      points: achievement.points
+    };
+  }
+
+  /**
+   * Progress towards one achievement, computed from the same rule that unlocks it
+   */
+  async getProgress(userId, achievement, stats = this.createStats(userId)) {
+    const { satisfied, ...progress } = await this.rules.evaluate(this.rules.forAchievement(achievement), stats);
+    return progress;
+  }
+
+  /**
+   * Lazily loaded hunter data shared by all rules in one evaluation
+   */
+  createStats(userId) {
+    const cache = {};
+    const load = (key, loader) => {
+      if (!cache[key]) {
+        cache[key] = loader();
+      }
+      return cache[key];
+    };
+
+    return {
+      userId,
+      profile: () => load('profile', () => HunterProfile.findOne({ userId }).lean()),
+      discoveries: () => load('discoveries', async () => {
+        const discoveries = await TreasureDiscovery.find({ userId }).lean();
+        const treasures = await Treasure.find({
+          treasureId: { $in: discoveries.map(discovery => discovery.treasureId) }
+        }).lean();
+        const treasuresById = new Map(treasures.map(treasure => [treasure.treasureId, treasure]));
+
+        return discoveries.map(discovery => ({
+          ...discovery,
+          treasure: treasuresById.get(discovery.treasureId) || null
+        }));
+      }),
+      activeTreasures: () => load('activeTreasures', () =>
+        Treasure.find({ isActive: true }).select('treasureId rarity metadata').lean()
+      ),
+      huntsCompleted: () => load('huntsCompleted', () =>
+        HuntProgress.countDocuments({ userId, status: 'completed' })
+      ),
+      nftsOwned: () => load('nftsOwned', () =>
+        TreasureDiscovery.countDocuments({ ...new NftTransferService().ownedBy(userId), nftObjectId: /^0x/ })
+      )
+    };
+  }
+}
+
+module.exports = AchievementService;
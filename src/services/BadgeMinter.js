@@ -0,0 +1,304 @@
+// src/services/BadgeMinter.js - Mints unlocked achievements as soulbound on-chain badges, with retries
+const { UserAchievement, Achievement, User } = require('../models');
+const SuiService = require('./SuiService');
+const { LocalKeySigner, RemoteSigner } = require('./Signer');
+const logger = require('../utils/logger');
+
+class BadgeMinter {
+  constructor(options = {}) {
+    this.suiService = options.suiService || null;
+    this.enabled = options.enabled ?? process.env.ACHIEVEMENT_BADGES_ENABLED === 'true';
+    this.encryptedKey = options.encryptedKey || process.env.BADGE_ISSUER_ENCRYPTED_KEY;
+    this.address = options.address || process.env.BADGE_ISSUER_ADDRESS;
+    this.intervalMs = options.intervalMs || parseInt(process.env.BADGE_MINT_INTERVAL_MS) || 60000;
+    this.batchSize = options.batchSize || parseInt(process.env.BADGE_MINT_BATCH_SIZE) || 10;
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.BADGE_MINT_MAX_ATTEMPTS) || 8;
+    this.baseDelayMs = options.baseDelayMs || parseInt(process.env.BADGE_MINT_BASE_DELAY_MS) || 60000;
+    this.maxDelayMs = options.maxDelayMs || 6 * 60 * 60 * 1000; // 6 hours
+    // A badge left in processing this long (e.g. the server restarted mid-mint) is picked up again
+    this.leaseMs = options.leaseMs || parseInt(process.env.BADGE_MINT_LEASE_MS) || 10 * 60 * 1000;
+    this.signer = null;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * The issuer wallet signs and pays for every badge
+   */
+  getSigner() {
+    if (!this.signer) {
+      if ((process.env.SUI_SIGNER || 'local') === 'remote') {
+        if (!this.address) {
+          throw new Error('BADGE_ISSUER_ADDRESS is required for remote signing');
+        }
+        this.signer = new RemoteSigner(this.address);
+      } else {
+        if (!this.encryptedKey) {
+          throw new Error('BADGE_ISSUER_ENCRYPTED_KEY is not configured');
+        }
+        this.signer = new LocalKeySigner(this.encryptedKey, this.getSuiService());
+      }
+    }
+    return this.signer;
+  }
+
+  /**
+   * Start periodic processing of due badges
+   */
+  start() {
+    if (this.timer || !this.enabled) {
+      return;
+    }
+
+    logger.info(`Badge minter started (every ${this.intervalMs}ms)`);
+    this.timer = setInterval(() => {
+      this.runOnce().catch(error => logger.error('Badge minter run failed:', error));
+    }, this.intervalMs);
+
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Stop periodic processing
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Badge minter stopped');
+    }
+  }
+
+  /**
+   * Badge fields for a newly unlocked achievement; empty when badges are off
+   */
+  queuedBadge() {
+    if (!this.enabled) {
+      return {};
+    }
+    return {
+      'badge.status': 'queued',
+      'badge.attempts': 0,
+      'badge.nextAttemptAt': new Date()
+    };
+  }
+
+  /**
+   * Queue badges for achievements unlocked before badges were enabled
+   */
+  async enqueueMissing() {
+    const result = await UserAchievement.updateMany(
+      { 'badge.status': { $exists: false } },
+      { $set: { 'badge.status': 'queued', 'badge.attempts': 0, 'badge.nextAttemptAt': new Date() } }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Mint all badges that are due
+   */
+  async runOnce() {
+    if (this.running) {
+      return { skipped: true };
+    }
+
+    this.running = true;
+    const counts = { processed: 0, minted: 0, retrying: 0, failed: 0 };
+
+    try {
+      for (let i = 0; i < this.batchSize; i++) {
+        // Claim one badge at a time so concurrent workers never double-mint
+        const userAchievement = await UserAchievement.findOneAndUpdate(
+          {
+            $or: [
+              { 'badge.status': 'queued', 'badge.nextAttemptAt': { $lte: new Date() } },
+              this.expiredLeaseFilter()
+            ]
+          },
+          { $set: { 'badge.status': 'processing', 'badge.claimedAt': new Date() } },
+          { sort: { 'badge.nextAttemptAt': 1 }, new: true }
+        );
+
+        if (!userAchievement) {
+          break;
+        }
+
+        const result = await this.processBadge(userAchievement);
+        counts.processed += 1;
+        counts[result.badge.status === 'queued' ? 'retrying' : result.badge.status] += 1;
+      }
+
+      if (counts.processed > 0) {
+        logger.info(`Badge minter run: ${JSON.stringify(counts)}`);
+      }
+      return counts;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Attempt to mint one claimed badge and record the outcome
+   */
+  async processBadge(userAchievement) {
+    const badge = userAchievement.badge;
+    badge.attempts = (badge.attempts || 0) + 1;
+
+    try {
+      const [user, achievement] = await Promise.all([
+        User.findById(userAchievement.userId),
+        Achievement.findById(userAchievement.achievementId)
+      ]);
+      if (!user?.suiAddress) {
+        throw new Error('User has no Sui address');
+      }
+      if (!achievement) {
+        throw new Error('Achievement no longer exists');
+      }
+
+      // An earlier attempt may have minted and then failed to record it (crash, timeout, DB error)
+      let mintResult = badge.nftObjectId
+        ? { nftObjectId: badge.nftObjectId, transactionDigest: badge.transactionDigest }
+        : await this.findRecordedMint(badge.transactionDigest);
+
+      if (mintResult) {
+        logger.info(`Badge for user achievement ${userAchievement._id} was already minted: ${mintResult.nftObjectId}`);
+      } else {
+        mintResult = await this.getSuiService().mintAchievementBadge(this.getSigner(), user.suiAddress, {
+          achievementId: achievement.achievementId,
+          name: achievement.name,
+          description: achievement.description,
+          imageUrl: achievement.icon,
+          points: achievement.points
+        }, {
+          // Stored before submission, so no retry mints a second badge for a lost response
+          onSigned: digest => this.recordDigest(userAchievement, digest)
+        });
+      }
+
+      badge.status = 'minted';
+      badge.nftObjectId = mintResult.nftObjectId;
+      badge.transactionDigest = mintResult.transactionDigest;
+      badge.mintedAt = new Date();
+      badge.lastError = undefined;
+      badge.nextAttemptAt = undefined;
+      await userAchievement.save();
+
+      logger.info(`Badge ${achievement.achievementId} minted for user ${user._id}: ${mintResult.nftObjectId}`);
+      return userAchievement;
+    } catch (error) {
+      badge.lastError = error.message;
+
+      if (badge.attempts >= this.maxAttempts) {
+        badge.status = 'failed';
+        badge.nextAttemptAt = undefined;
+        await userAchievement.save();
+
+        logger.warn(`Badge mint for user achievement ${userAchievement._id} permanently failed: ${error.message}`);
+        return userAchievement;
+      }
+
+      badge.status = 'queued';
+      badge.nextAttemptAt = new Date(Date.now() + this.getBackoffDelay(badge.attempts));
+      await userAchievement.save();
+
+      logger.warn(`Badge mint failed (attempt ${badge.attempts}), retrying at ${badge.nextAttemptAt.toISOString()}: ${error.message}`);
+      return userAchievement;
+    }
+  }
+
+  async recordDigest(userAchievement, digest) {
+    await UserAchievement.updateOne(
+      { _id: userAchievement._id },
+      { $set: { 'badge.transactionDigest': digest } }
+    );
+    userAchievement.badge.transactionDigest = digest;
+  }
+
+  /**
+   * The badge created by a recorded mint transaction, or null when that transaction never succeeded
+   */
+  async findRecordedMint(digest) {
+    if (!digest) {
+      return null;
+    }
+
+    let details;
+    try {
+      details = await this.getSuiService().getTransactionDetails(digest);
+    } catch (error) {
+      // Signed but never executed, so minting again cannot create a second badge
+      if (/could not find/i.test(error.message)) {
+        return null;
+      }
+      throw error;
+    }
+
+    if (details?.effects?.status?.status !== 'success') {
+      return null;
+    }
+
+    const badgeObject = details.objectChanges?.find(change =>
+      change.type === 'created' && change.objectType?.includes('AchievementBadge')
+    );
+    if (!badgeObject?.objectId) {
+      throw new Error(`Badge transaction ${digest} created no badge`);
+    }
+    return { nftObjectId: badgeObject.objectId, transactionDigest: digest };
+  }
+
+  /**
+   * Badges claimed by a worker that stopped before finishing
+   */
+  expiredLeaseFilter() {
+    const cutoff = new Date(Date.now() - this.leaseMs);
+    return {
+      'badge.status': 'processing',
+      // Badges claimed before claimedAt existed fall back to updatedAt
+      $or: [{ 'badge.claimedAt': { $lte: cutoff } }, { 'badge.claimedAt': null, updatedAt: { $lte: cutoff } }]
+    };
+  }
+
+  /**
+   * Reset a badge so it is minted again immediately
+   */
+  async retry(userAchievementId) {
+    const userAchievement = await UserAchievement.findOneAndUpdate(
+      {
+        _id: userAchievementId,
+        $or: [{ 'badge.status': { $in: ['queued', 'failed'] } }, this.expiredLeaseFilter()]
+      },
+      { $set: { 'badge.status': 'processing', 'badge.claimedAt': new Date() } },
+      { new: true }
+    );
+
+    if (!userAchievement) {
+      return null;
+    }
+
+    // Give permanently failed badges a fresh set of attempts
+    if (userAchievement.badge.attempts >= this.maxAttempts) {
+      userAchievement.badge.attempts = 0;
+    }
+
+    return this.processBadge(userAchievement);
+  }
+
+  /**
+   * Exponential backoff capped at maxDelayMs
+   */
+  getBackoffDelay(attempts) {
+    return Math.min(this.baseDelayMs * Math.pow(2, attempts - 1), this.maxDelayMs);
+  }
+
+  getSuiService() {
+    if (!this.suiService) {
+      this.suiService = new SuiService(process.env.SUI_NETWORK || 'testnet');
+    }
+    return this.suiService;
+  }
+}
+
+module.exports = BadgeMinter;
@@ -0,0 +1,289 @@
+// src/services/FaucetService.js - Testnet faucet with per-user and per-IP cooldowns and lifetime caps
+const { v4: uuidv4 } = require('uuid');
+const { AppSettings, FaucetUsage, Transaction } = require('../models');
+const SuiService = require('./SuiService');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+// AppSettings keys and the values used when a key is not set
+const SETTING_DEFAULTS = {
+  faucet_enabled: true,
+  faucet_user_cooldown_minutes: 60,
+  faucet_ip_cooldown_minutes: 10,
+  faucet_user_lifetime_requests: 5,
+  faucet_ip_lifetime_requests: 20,
+  // Wallets already holding this much are not topped up
+  faucet_max_balance_sui: 0.1
+};
+
+class FaucetService {
+  constructor(options = {}) {
+    this.suiService = options.suiService || null;
+    this.network = options.network || process.env.SUI_NETWORK || 'testnet';
+  }
+
+  async getSettings() {
+    const stored = await AppSettings.find({ key: { $in: Object.keys(SETTING_DEFAULTS) } });
+    const settings = { ...SETTING_DEFAULTS };
+    for (const setting of stored) {
+      settings[setting.key] = setting.value;
+    }
+    return settings;
+  }
+
+  /**
+   * Throws AppError with a FAUCET_* code when the request is not allowed
+   */
+  async assertAllowed(user, ipAddress, settings) {
+    if (this.network === 'mainnet') {
+      throw new AppError('Faucet not available on mainnet', 400, 'FAUCET_UNAVAILABLE');
+    }
+    if (!settings.faucet_enabled) {
+      throw new AppError('Faucet is currently disabled', 503, 'FAUCET_DISABLED');
+    }
+
+    const [lastUserRequest, lastIpRequest, userCount, ipCount] = await Promise.all([
+      Transaction.findOne({ userId: user._id, type: 'faucet' }).sort({ createdAt: -1 }),
+      ipAddress ? Transaction.findOne({ type: 'faucet', 'metadata.ipAddress': ipAddress }).sort({ createdAt: -1 }) : null,
+      Transaction.countDocuments({ userId: user._id, type: 'faucet', status: 'success' }),
+      ipAddress ? Transaction.countDocuments({ type: 'faucet', status: 'success', 'metadata.ipAddress': ipAddress }) : 0
+    ]);
+
+    if (userCount >= settings.faucet_user_lifetime_requests) {
+      throw new AppError('Faucet limit reached for this account', 429, 'FAUCET_LIMIT_REACHED');
+    }
+    if (ipCount >= settings.faucet_ip_lifetime_requests) {
+      throw new AppError('Faucet limit reached for this network', 429, 'FAUCET_LIMIT_REACHED');
+    }
+
+    // Failed attempts count towards the cooldown too, so the faucet cannot be hammered
+    const cooldowns = [
+      [lastUserRequest, settings.faucet_user_cooldown_minutes],
+      [lastIpRequest, settings.faucet_ip_cooldown_minutes]
+    ];
+    for (const [lastRequest, minutes] of cooldowns) {
+      const nextRequestAvailable = lastRequest && new Date(lastRequest.createdAt.getTime() + minutes * 60 * 1000);
+      if (nextRequestAvailable && nextRequestAvailable > new Date()) {
+        const error = new AppError('Please wait before requesting more SUI from faucet', 429, 'FAUCET_COOLDOWN');
+        error.data = { lastRequest: lastRequest.createdAt, nextRequestAvailable };
+        throw error;
+      }
+    }
+
+    const balance = await this.getSuiService().getBalance(user.suiAddress);
+    if (Number(balance) / 1000000000 >= settings.faucet_max_balance_sui) {
+      throw new AppError(
+        `Faucet is only available while your wallet holds less than ${settings.faucet_max_balance_sui} SUI`,
+        400,
+        'FAUCET_NOT_NEEDED'
+      );
+    }
+  }
+
+  /**
+   * Claim the cooldown and one lifetime request for the user and the IP, one conditional upsert each.
+   * assertAllowed reads history and can be passed by parallel requests; only one of them wins here.
+   */
+  async reserve(user, ipAddress, settings) {
+    const reservedAt = new Date();
+    const limits = [[`user:${user._id}`, settings.faucet_user_cooldown_minutes, settings.faucet_user_lifetime_requests]];
+    if (ipAddress) {
+      limits.push([`ip:${ipAddress}`, settings.faucet_ip_cooldown_minutes, settings.faucet_ip_lifetime_requests]);
+    }
+
+    const reservation = { reservedAt, slots: [] };
+    for (const [key, minutes, lifetimeRequests] of limits) {
+      try {
+        const previous = await FaucetUsage.findOneAndUpdate(
+          {
+            _id: key,
+            lastRequestAt: { $lte: new Date(reservedAt.getTime() - minutes * 60 * 1000) },
+            requests: { $lt: lifetimeRequests }
+          },
+          { $set: { lastRequestAt: reservedAt }, $inc: { requests: 1 } },
+          { upsert: true }
+        );
+        reservation.slots.push({ key, previous });
+      } catch (error) {
+        await this.release(reservation, { keepCooldown: false });
+        if (error.code !== 11000) {
+          throw error;
+        }
+
+        // The usage document exists but is cooling down or used up, so the upsert collided with it
+        const current = await FaucetUsage.findById(key);
+        if (current?.requests >= lifetimeRequests) {
+          throw new AppError('Faucet limit reached', 429, 'FAUCET_LIMIT_REACHED');
+        }
+        throw new AppError('Please wait before requesting more SUI from faucet', 429, 'FAUCET_COOLDOWN');
+      }
+    }
+    return reservation;
+  }
+
+  /**
+   * Give back the lifetime request; the cooldown stays unless the request never reached the faucet
+   */
+  async release(reservation, { keepCooldown }) {
+    await Promise.all(reservation.slots.map(({ key, previous }) => {
+      const filter = { _id: key, lastRequestAt: reservation.reservedAt };
+      if (keepCooldown) {
+        return FaucetUsage.updateOne(filter, { $inc: { requests: -1 } });
+      }
+      return previous
+        ? FaucetUsage.updateOne(filter, { $set: { lastRequestAt: previous.lastRequestAt }, $inc: { requests: -1 } })
+        : FaucetUsage.deleteOne(filter);
+    }));
+  }
+
+  /**
+   * Request SUI for the user's wallet and record it as a faucet Transaction
+   */
+  async request(user, ipAddress) {
+    const settings = await this.getSettings();
+    await this.assertAllowed(user, ipAddress, settings);
+    const reservation = await this.reserve(user, ipAddress, settings);
+
+    // Recorded before calling the faucet, so a request that never returns still shows up in the history
+    const faucetTransaction = new Transaction({
+      userId: user._id,
+      digest: `pending_faucet_${uuidv4()}`,
+      type: 'faucet',
+      amount: 0,
+      status: 'pending',
+      fromAddress: 'faucet',
+      toAddress: user.suiAddress,
+      metadata: {
+        ipAddress,
+        network: this.network
+      }
+    });
+    try {
+      await faucetTransaction.save();
+    } catch (error) {
+      await this.release(reservation, { keepCooldown: false });
+      throw error;
+    }
+
+    const suiService = this.getSuiService();
+    let faucetResult;
+    try {
+      faucetResult = await suiService.requestFaucet(user.suiAddress);
+    } catch (error) {
+      faucetTransaction.status = 'failed';
+      faucetTransaction.metadata.set('error', error.message);
+      await Promise.all([faucetTransaction.save(), this.release(reservation, { keepCooldown: true })]);
+      logger.warn(`Faucet request errored for user ${user._id}: ${error.message}`);
+      throw error;
+    }
+
+    faucetTransaction.status = faucetResult.success ? 'success' : 'failed';
+    faucetTransaction.amount = faucetResult.amount || 0;
+    if (faucetResult.transactionDigests?.[0]) {
+      faucetTransaction.digest = faucetResult.transactionDigests[0];
+    }
+    faucetTransaction.metadata.set('faucetResponse', faucetResult);
+    await faucetTransaction.save();
+
+    if (!faucetResult.success) {
+      await this.release(reservation, { keepCooldown: true });
+      logger.warn(`Faucet request failed for user ${user._id}: ${faucetResult.message}`);
+      throw new AppError(faucetResult.message || 'Faucet request failed', 502, 'FAUCET_FAILED');
+    }
+
+    const newBalance = await suiService.getBalance(user.suiAddress);
+    logger.info(`Faucet sent ${faucetTransaction.amount} MIST to user ${user._id}`);
+
+    return {
+      transaction: faucetTransaction,
+      transactionDigests: faucetResult.transactionDigests,
+      newBalance
+    };
+  }
+
+  /**
+   * Faucet usage for the admin report
+   */
+  async getReport(days = 7) {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const match = { type: 'faucet', createdAt: { $gte: since } };
+
+    const [settings, totals, daily, topUsers, topIps] = await Promise.all([
+      this.getSettings(),
+      Transaction.aggregate([
+        { $match: match },
+        { $group: { _id: '$status', requests: { $sum: 1 }, amount: { $sum: '$amount' } } }
+      ]),
+      Transaction.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+            requests: { $sum: 1 },
+            succeeded: { $sum: { $cond: [{ $eq: ['$status', 'success'] }, 1, 0] } },
+            amount: { $sum: '$amount' },
+            users: { $addToSet: '$userId' }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ]),
+      Transaction.aggregate([
+        { $match: match },
+        { $group: { _id: '$userId', requests: { $sum: 1 }, amount: { $sum: '$amount' }, lastRequest: { $max: '$createdAt' } } },
+        { $sort: { requests: -1 } },
+        { $limit: 10 },
+        { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } }
+      ]),
+      Transaction.aggregate([
+        { $match: match },
+        { $group: { _id: '$metadata.ipAddress', requests: { $sum: 1 }, users: { $addToSet: '$userId' } } },
+        { $sort: { requests: -1 } },
+        { $limit: 10 }
+      ])
+    ]);
+
+    const byStatus = totals.reduce((map, item) => {
+      map[item._id] = item;
+      return map;
+    }, {});
+
+    return {
+      settings,
+      period: { days, since },
+      totals: {
+        requests: totals.reduce((sum, item) => sum + item.requests, 0),
+        succeeded: byStatus.success?.requests || 0,
+        failed: byStatus.failed?.requests || 0,
+        suiDispensed: (byStatus.success?.amount || 0) / 1000000000
+      },
+      daily: daily.map(day => ({
+        date: day._id,
+        requests: day.requests,
+        succeeded: day.succeeded,
+        suiDispensed: day.amount / 1000000000,
+        uniqueUsers: day.users.length
+      })),
+      topUsers: topUsers.map(item => ({
+        userId: item._id,
+        username: item.user[0]?.username,
+        requests: item.requests,
+        suiDispensed: item.amount / 1000000000,
+        lastRequest: item.lastRequest
+      })),
+      topIps: topIps.map(item => ({
+        ipAddress: item._id || 'unknown',
+        requests: item.requests,
+        uniqueUsers: item.users.length
+      }))
+    };
+  }
+
+  getSuiService() {
+    if (!this.suiService) {
+      this.suiService = new SuiService(process.env.SUI_NETWORK || 'testnet');
+    }
+    return this.suiService;
+  }
+}
+
+module.exports = FaucetService;
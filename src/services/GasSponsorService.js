@@ -0,0 +1,317 @@
+// src/services/GasSponsorService.js - Treasury account that pays gas for whitelisted player transactions
+const { User, GasSponsorship, GasSponsorBudget, GasCoinLease } = require('../models');
+const { LocalKeySigner, RemoteSigner } = require('./Signer');
+const logger = require('../utils/logger');
+
+const DEFAULT_ALLOWED_CALLS = [
+  'treasure_nft::create_hunter_profile',
+  'treasure_nft::find_treasure',
+  'treasure_nft::complete_hunt'
+];
+
+class GasSponsorService {
+  constructor(options = {}) {
+    this.suiService = options.suiService;
+    this.enabled = options.enabled ?? process.env.GAS_SPONSOR_ENABLED === 'true';
+    this.encryptedKey = options.encryptedKey || process.env.GAS_SPONSOR_ENCRYPTED_KEY;
+    this.address = options.address || process.env.GAS_SPONSOR_ADDRESS;
+    this.dailyBudgetMist = options.dailyBudgetMist || parseInt(process.env.GAS_SPONSOR_DAILY_BUDGET_MIST || '200000000');
+    this.coinLeaseMs = options.coinLeaseMs || parseInt(process.env.GAS_SPONSOR_COIN_LEASE_MS || '120000');
+    this.allowedCalls = options.allowedCalls || (process.env.GAS_SPONSOR_ALLOWED_CALLS
+      ? process.env.GAS_SPONSOR_ALLOWED_CALLS.split(',').map(item => item.trim()).filter(Boolean)
+      : DEFAULT_ALLOWED_CALLS);
+    this.signer = null;
+  }
+
+  /**
+   * Sponsor key stays with the signing service in remote mode, otherwise it is stored encrypted in the env
+   */
+  getSigner() {
+    if (!this.signer) {
+      if ((process.env.SUI_SIGNER || 'local') === 'remote') {
+        if (!this.address) {
+          throw new Error('GAS_SPONSOR_ADDRESS is required for remote signing');
+        }
+        this.signer = new RemoteSigner(this.address);
+      } else {
+        if (!this.encryptedKey) {
+          throw new Error('GAS_SPONSOR_ENCRYPTED_KEY is not configured');
+        }
+        this.signer = new LocalKeySigner(this.encryptedKey, this.suiService);
+      }
+    }
+    return this.signer;
+  }
+
+  async getAddress() {
+    return this.getSigner().getAddress();
+  }
+
+  /**
+   * module::function - accepts a full package::module::function target
+   */
+  isAllowed(moveCall) {
+    const call = moveCall.split('::').slice(-2).join('::');
+    return this.allowedCalls.includes(call);
+  }
+
+  startOfDay() {
+    const now = new Date();
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  }
+
+  budgetKey(sender, day) {
+    return `${sender}:${day}`;
+  }
+
+  /**
+   * MIST sponsored for a sender since 00:00 UTC, reserved transactions included
+   */
+  async getSpentToday(sender) {
+    const budget = await GasSponsorBudget.findById(this.budgetKey(sender, this.startOfDay().toISOString().slice(0, 10)));
+    return budget?.spentMist || 0;
+  }
+
+  async getRemainingBudget(sender) {
+    return Math.max(0, this.dailyBudgetMist - await this.getSpentToday(sender));
+  }
+
+  /**
+   * Count gasBudget against the sender's day in one conditional update, so parallel requests
+   * cannot overspend. Returns the budget day, or null when the budget is used up
+   */
+  async reserveBudget(sender, gasBudget) {
+    if (gasBudget > this.dailyBudgetMist) {
+      return null;
+    }
+
+    const day = this.startOfDay().toISOString().slice(0, 10);
+    try {
+      await GasSponsorBudget.findOneAndUpdate(
+        { _id: this.budgetKey(sender, day), spentMist: { $lte: this.dailyBudgetMist - gasBudget } },
+        { $inc: { spentMist: gasBudget }, $setOnInsert: { sender, day } },
+        { upsert: true }
+      );
+      return day;
+    } catch (error) {
+      // The counter exists but has no room left, so the upsert collided with it
+      if (error.code === 11000) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async adjustBudget(sender, day, deltaMist) {
+    if (!day || deltaMist === 0) {
+      return;
+    }
+    await GasSponsorBudget.updateOne({ _id: this.budgetKey(sender, day) }, { $inc: { spentMist: deltaMist } });
+  }
+
+  /**
+   * Hold one of the sponsor's coins for a single transaction, so parallel sponsored
+   * transactions never pick the same gas coin. Returns the coin reference or null
+   */
+  async leaseGasCoin(sponsor, gasBudget, sponsorshipId) {
+    const { data: coins } = await this.suiService.client.getCoins({ owner: sponsor, coinType: '0x2::sui::SUI' });
+
+    for (const coin of coins.filter(item => BigInt(item.balance) >= BigInt(gasBudget))) {
+      try {
+        await GasCoinLease.findOneAndUpdate(
+          { _id: coin.coinObjectId, leasedUntil: { $lte: new Date() } },
+          { $set: { sponsor, sponsorshipId, leasedUntil: new Date(Date.now() + this.coinLeaseMs) } },
+          { upsert: true }
+        );
+        return { objectId: coin.coinObjectId, version: coin.version, digest: coin.digest };
+      } catch (error) {
+        // Leased by another transaction
+        if (error.code !== 11000) {
+          throw error;
+        }
+      }
+    }
+    return null;
+  }
+
+  async releaseGasCoin(reservation) {
+    if (!reservation.gasCoin) {
+      return;
+    }
+    await GasCoinLease.deleteOne({ _id: reservation.gasCoin.objectId, sponsorshipId: reservation.sponsorship._id });
+  }
+
+  /**
+   * Reserve gas for a transaction, or null when the player pays it themselves
+   */
+  async reserve(sender, moveCall, gasBudget) {
+    if (!this.enabled || !this.isAllowed(moveCall)) {
+      return null;
+    }
+
+    let budgetDay = null;
+    let reservation = null;
+    try {
+      budgetDay = await this.reserveBudget(sender, gasBudget);
+      if (!budgetDay) {
+        logger.info(`Gas sponsorship declined for ${sender}: daily budget used up`);
+        return null;
+      }
+
+      const sponsor = await this.getAddress();
+      const user = await User.findOne({ suiAddress: sender }).select('_id');
+      const sponsorship = new GasSponsorship({
+        userId: user?._id,
+        sender,
+        sponsor,
+        moveCall: moveCall.split('::').slice(-2).join('::'),
+        amount: gasBudget,
+        gasBudget,
+        budgetDay
+      });
+
+      const gasCoin = await this.leaseGasCoin(sponsor, gasBudget, sponsorship._id);
+      if (!gasCoin) {
+        logger.warn(`Gas sponsor ${sponsor} has no free coin holding ${gasBudget} MIST`);
+        await this.adjustBudget(sender, budgetDay, -gasBudget);
+        return null;
+      }
+      reservation = { sponsorship, signer: this.getSigner(), gasCoin };
+
+      sponsorship.gasCoinId = gasCoin.objectId;
+      await sponsorship.save();
+
+      return reservation;
+    } catch (error) {
+      // The player can still pay for gas, so a broken sponsor never blocks the transaction
+      logger.error('Gas sponsorship unavailable:', error);
+      if (budgetDay) {
+        await this.adjustBudget(sender, budgetDay, -gasBudget).catch(() => {});
+      }
+      if (reservation) {
+        await this.releaseGasCoin(reservation).catch(() => {});
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Replace the reserved budget with the gas actually charged
+   */
+  async settle(reservation, result) {
+    const { sponsorship } = reservation;
+    const success = result.effects?.status?.status === 'success';
+
+    sponsorship.status = success ? 'success' : 'failed';
+    sponsorship.amount = Math.max(0, this.suiService.calculateGasUsed(result.effects));
+    sponsorship.transactionDigest = result.digest;
+    if (!success) {
+      sponsorship.error = result.effects?.status?.error || 'Unknown error';
+    }
+    await Promise.all([
+      sponsorship.save(),
+      this.adjustBudget(sponsorship.sender, sponsorship.budgetDay, sponsorship.amount - sponsorship.gasBudget),
+      this.releaseGasCoin(reservation)
+    ]);
+
+    logger.info(`Sponsored ${sponsorship.moveCall} for ${sponsorship.sender}: ${sponsorship.amount} MIST (${result.digest})`);
+  }
+
+  /**
+   * The transaction never reached the chain, so nothing was spent
+   * The coin lease is left to expire: if the transaction was submitted after all, reusing
+   * its gas coin right away would lock the coin with two transactions at the same version
+   */
+  async release(reservation, error) {
+    const { sponsorship } = reservation;
+    sponsorship.status = 'failed';
+    sponsorship.amount = 0;
+    sponsorship.error = error.message;
+    await Promise.all([
+      sponsorship.save(),
+      this.adjustBudget(sponsorship.sender, sponsorship.budgetDay, -sponsorship.gasBudget)
+    ]);
+  }
+
+  /**
+   * Sponsor balance and spend for the admin dashboard
+   */
+  async getStatus(days = 7) {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const today = this.startOfDay();
+
+    let sponsor = null;
+    let balance = null;
+    try {
+      sponsor = await this.getAddress();
+      balance = await this.suiService.getBalance(sponsor);
+    } catch (error) {
+      logger.error('Failed to load gas sponsor account:', error);
+    }
+
+    const [daily, byCall, topUsers, spentToday] = await Promise.all([
+      GasSponsorship.aggregate([
+        { $match: { createdAt: { $gte: since } } },
+        {
+          $group: {
+            _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+            spentMist: { $sum: '$amount' },
+            transactions: { $sum: 1 },
+            failed: { $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] } }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ]),
+      GasSponsorship.aggregate([
+        { $match: { createdAt: { $gte: since } } },
+        { $group: { _id: '$moveCall', spentMist: { $sum: '$amount' }, transactions: { $sum: 1 } } },
+        { $sort: { spentMist: -1 } }
+      ]),
+      GasSponsorship.aggregate([
+        { $match: { createdAt: { $gte: today } } },
+        { $group: { _id: '$userId', sender: { $first: '$sender' }, spentMist: { $sum: '$amount' }, transactions: { $sum: 1 } } },
+        { $sort: { spentMist: -1 } },
+        { $limit: 10 },
+        { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } }
+      ]),
+      GasSponsorship.aggregate([
+        { $match: { createdAt: { $gte: today } } },
+        { $group: { _id: null, total: { $sum: '$amount' }, users: { $addToSet: '$sender' } } }
+      ])
+    ]);
+
+    return {
+      enabled: this.enabled,
+      sponsorAddress: sponsor,
+      balanceMist: balance,
+      balanceSui: balance !== null ? Number(balance) / 1000000000 : null,
+      dailyBudgetPerUserMist: this.dailyBudgetMist,
+      allowedCalls: this.allowedCalls,
+      today: {
+        spentMist: spentToday[0]?.total || 0,
+        sponsoredUsers: spentToday[0]?.users.length || 0
+      },
+      daily: daily.map(day => ({
+        date: day._id,
+        spentMist: day.spentMist,
+        transactions: day.transactions,
+        failed: day.failed
+      })),
+      byMoveCall: byCall.map(call => ({
+        moveCall: call._id,
+        spentMist: call.spentMist,
+        transactions: call.transactions
+      })),
+      topUsersToday: topUsers.map(item => ({
+        userId: item._id,
+        username: item.user[0]?.username,
+        sender: item.sender,
+        spentMist: item.spentMist,
+        remainingMist: Math.max(0, this.dailyBudgetMist - item.spentMist),
+        transactions: item.transactions
+      }))
+    };
+  }
+}
+
+module.exports = GasSponsorService;
@@ -0,0 +1,83 @@
+// src/services/HintService.js - Progressive treasure hints paid for out of the eventual reward
+const { HintUnlock, TreasureDiscovery } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+class HintService {
+  constructor(options = {}) {
+    // Each hint costs this share of the treasure's base reward
+    this.costPercent = options.costPercent ?? parseFloat(process.env.HINT_COST_PERCENT || '15');
+  }
+
+  getHints(treasure) {
+    const hints = treasure.metadata?.get('hints');
+    return Array.isArray(hints) ? hints : [];
+  }
+
+  getHintCost(treasure) {
+    return Math.max(1, Math.round(treasure.rewardPoints * this.costPercent / 100));
+  }
+
+  /**
+   * Hints this hunter has revealed for a treasure, in order
+   */
+  async getUnlocked(userId, treasure) {
+    const hints = this.getHints(treasure);
+    const unlocks = await HintUnlock.find({ userId, treasureId: treasure.treasureId }).sort({ hintIndex: 1 });
+
+    return unlocks
+      .filter(unlock => unlock.hintIndex < hints.length)
+      .map(unlock => ({
+        hintNumber: unlock.hintIndex + 1,
+        text: hints[unlock.hintIndex],
+        cost: unlock.cost,
+        unlockedAt: unlock.unlockedAt
+      }));
+  }
+
+  /**
+   * Reveal the next hint - hints unlock one at a time and are charged once
+   */
+  async revealNext(userId, treasure) {
+    const hints = this.getHints(treasure);
+    if (hints.length === 0) {
+      throw new AppError('This treasure has no hints', 404, 'NO_HINTS');
+    }
+
+    const hintIndex = await HintUnlock.countDocuments({ userId, treasureId: treasure.treasureId });
+    if (hintIndex >= hints.length) {
+      throw new AppError('All hints for this treasure are already revealed', 400, 'HINTS_EXHAUSTED');
+    }
+
+    // Hints are free once the hunter has found the treasure
+    const alreadyFound = await TreasureDiscovery.exists({ userId, treasureId: treasure.treasureId });
+    const cost = alreadyFound ? 0 : this.getHintCost(treasure);
+
+    try {
+      await HintUnlock.create({ userId, treasureId: treasure.treasureId, hintIndex, cost });
+    } catch (error) {
+      // A concurrent request revealed the same hint - return it without charging twice
+      if (error.code !== 11000) throw error;
+    }
+
+    logger.info(`User ${userId} revealed hint ${hintIndex + 1} of treasure ${treasure.treasureId} (-${cost} points)`);
+    return { hintNumber: hintIndex + 1, text: hints[hintIndex], cost };
+  }
+
+  /**
+   * Total reward reduction from the hints a hunter used on a treasure
+   */
+  async getPenalty(userId, treasureId) {
+    const [result] = await HintUnlock.aggregate([
+      { $match: { userId, treasureId } },
+      { $group: { _id: null, hintsUsed: { $sum: 1 }, penalty: { $sum: '$cost' } } }
+    ]);
+
+    return {
+      hintsUsed: result?.hintsUsed || 0,
+      penalty: result?.penalty || 0
+    };
+  }
+}
+
+module.exports = HintService;
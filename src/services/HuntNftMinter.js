@@ -0,0 +1,262 @@
+// src/services/HuntNftMinter.js - Mints hunt completion NFTs in the background, with retries
+const { Hunt, HuntProgress, User } = require('../models');
+const SuiService = require('./SuiService');
+const logger = require('../utils/logger');
+
+class HuntNftMinter {
+  constructor(options = {}) {
+    this.suiService = options.suiService || null;
+    this.intervalMs = options.intervalMs || parseInt(process.env.HUNT_NFT_MINT_INTERVAL_MS) || 60000;
+    this.batchSize = options.batchSize || parseInt(process.env.HUNT_NFT_MINT_BATCH_SIZE) || 10;
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.HUNT_NFT_MINT_MAX_ATTEMPTS) || 8;
+    this.baseDelayMs = options.baseDelayMs || parseInt(process.env.HUNT_NFT_MINT_BASE_DELAY_MS) || 60000;
+    this.maxDelayMs = options.maxDelayMs || 6 * 60 * 60 * 1000; // 6 hours
+    // A mint left in processing this long (e.g. the server restarted mid-mint) is picked up again
+    this.leaseMs = options.leaseMs || parseInt(process.env.HUNT_NFT_MINT_LEASE_MS) || 10 * 60 * 1000;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start periodic processing of due completion NFTs
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    logger.info(`Hunt NFT minter started (every ${this.intervalMs}ms)`);
+    this.timer = setInterval(() => {
+      this.runOnce().catch(error => logger.error('Hunt NFT minter run failed:', error));
+    }, this.intervalMs);
+
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Stop periodic processing
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Hunt NFT minter stopped');
+    }
+  }
+
+  /**
+   * Completion NFT fields for a hunt that was just completed
+   */
+  static queuedNft() {
+    return { status: 'queued', attempts: 0, nextAttemptAt: new Date() };
+  }
+
+  /**
+   * Mint all completion NFTs that are due
+   */
+  async runOnce() {
+    if (this.running) {
+      return { skipped: true };
+    }
+
+    this.running = true;
+    const counts = { processed: 0, minted: 0, retrying: 0, failed: 0 };
+
+    try {
+      for (let i = 0; i < this.batchSize; i++) {
+        // Claim one mint at a time so concurrent workers never double-mint
+        const progress = await HuntProgress.findOneAndUpdate(
+          {
+            $or: [
+              { 'completionNft.status': 'queued', 'completionNft.nextAttemptAt': { $lte: new Date() } },
+              this.expiredLeaseFilter()
+            ]
+          },
+          { $set: { 'completionNft.status': 'processing', 'completionNft.claimedAt': new Date() } },
+          { sort: { 'completionNft.nextAttemptAt': 1 }, new: true }
+        );
+
+        if (!progress) {
+          break;
+        }
+
+        const result = await this.processNft(progress);
+        counts.processed += 1;
+        counts[result.completionNft.status === 'queued' ? 'retrying' : result.completionNft.status] += 1;
+      }
+
+      if (counts.processed > 0) {
+        logger.info(`Hunt NFT minter run: ${JSON.stringify(counts)}`);
+      }
+      return counts;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Attempt to mint one claimed completion NFT and record the outcome
+   */
+  async processNft(progress) {
+    const nft = progress.completionNft;
+    nft.attempts = (nft.attempts || 0) + 1;
+
+    try {
+      const [user, hunt] = await Promise.all([
+        User.findById(progress.userId),
+        Hunt.findById(progress.huntId)
+      ]);
+      if (!user?.encryptedPrivateKey || !user.profileObjectId) {
+        throw new Error('User has no blockchain profile');
+      }
+      if (!hunt) {
+        throw new Error('Hunt no longer exists');
+      }
+
+      // An earlier attempt may have minted and then failed to record it (crash, timeout, DB error)
+      let mintResult = nft.nftObjectId
+        ? { nftObjectId: nft.nftObjectId, transactionDigest: nft.transactionDigest }
+        : await this.findRecordedMint(nft.transactionDigest);
+
+      if (mintResult) {
+        logger.info(`Completion NFT for hunt progress ${progress._id} was already minted: ${mintResult.nftObjectId}`);
+      } else {
+        const suiService = this.getSuiService();
+        mintResult = await suiService.mintHuntCompletionNft(suiService.signerFor(user), user.profileObjectId, {
+          huntId: hunt._id,
+          name: hunt.completionNft?.name || `${hunt.name} Completed`,
+          description: hunt.completionNft?.description || hunt.description,
+          imageUrl: hunt.completionNft?.imageUrl || hunt.imageUrl,
+          treasureIds: hunt.steps.map(step => step.treasureId)
+        }, {
+          // Stored before submission, so no retry mints a second NFT for a lost response
+          onSigned: digest => this.recordDigest(progress, digest)
+        });
+      }
+
+      nft.status = 'minted';
+      nft.nftObjectId = mintResult.nftObjectId;
+      nft.transactionDigest = mintResult.transactionDigest;
+      nft.mintedAt = new Date();
+      nft.lastError = undefined;
+      nft.error = undefined;
+      nft.nextAttemptAt = undefined;
+      await progress.save();
+
+      logger.info(`Hunt ${hunt._id} completion NFT minted for user ${user._id}: ${mintResult.nftObjectId}`);
+      return progress;
+    } catch (error) {
+      nft.lastError = error.message;
+
+      if (nft.attempts >= this.maxAttempts) {
+        nft.status = 'failed';
+        nft.nextAttemptAt = undefined;
+        await progress.save();
+
+        logger.warn(`Completion NFT for hunt progress ${progress._id} permanently failed: ${error.message}`);
+        return progress;
+      }
+
+      nft.status = 'queued';
+      nft.nextAttemptAt = new Date(Date.now() + this.getBackoffDelay(nft.attempts));
+      await progress.save();
+
+      logger.warn(`Hunt completion NFT mint failed (attempt ${nft.attempts}), retrying at ${nft.nextAttemptAt.toISOString()}: ${error.message}`);
+      return progress;
+    }
+  }
+
+  async recordDigest(progress, digest) {
+    await HuntProgress.updateOne(
+      { _id: progress._id },
+      { $set: { 'completionNft.transactionDigest': digest } }
+    );
+    progress.completionNft.transactionDigest = digest;
+  }
+
+  /**
+   * The NFT created by a recorded mint transaction, or null when that transaction never succeeded
+   */
+  async findRecordedMint(digest) {
+    if (!digest) {
+      return null;
+    }
+
+    let details;
+    try {
+      details = await this.getSuiService().getTransactionDetails(digest);
+    } catch (error) {
+      // Signed but never executed, so minting again cannot create a second NFT
+      if (/could not find/i.test(error.message)) {
+        return null;
+      }
+      throw error;
+    }
+
+    if (details?.effects?.status?.status !== 'success') {
+      return null;
+    }
+
+    const nftObject = details.objectChanges?.find(change =>
+      change.type === 'created' && change.objectType?.includes('HuntCompletionNFT')
+    );
+    if (!nftObject?.objectId) {
+      throw new Error(`Hunt completion transaction ${digest} created no NFT`);
+    }
+    return { nftObjectId: nftObject.objectId, transactionDigest: digest };
+  }
+
+  /**
+   * Mints claimed by a worker that stopped before finishing
+   */
+  expiredLeaseFilter() {
+    const cutoff = new Date(Date.now() - this.leaseMs);
+    return {
+      'completionNft.status': 'processing',
+      'completionNft.claimedAt': { $lte: cutoff }
+    };
+  }
+
+  /**
+   * Reset a completion NFT so it is minted again immediately
+   */
+  async retry(progressId) {
+    const progress = await HuntProgress.findOneAndUpdate(
+      {
+        _id: progressId,
+        $or: [{ 'completionNft.status': { $in: ['queued', 'failed'] } }, this.expiredLeaseFilter()]
+      },
+      { $set: { 'completionNft.status': 'processing', 'completionNft.claimedAt': new Date() } },
+      { new: true }
+    );
+
+    if (!progress) {
+      return null;
+    }
+
+    // Give permanently failed mints (and ones that failed inline before the queue) a fresh set of attempts
+    if (!(progress.completionNft.attempts < this.maxAttempts)) {
+      progress.completionNft.attempts = 0;
+    }
+
+    return this.processNft(progress);
+  }
+
+  /**
+   * Exponential backoff capped at maxDelayMs
+   */
+  getBackoffDelay(attempts) {
+    return Math.min(this.baseDelayMs * Math.pow(2, attempts - 1), this.maxDelayMs);
+  }
+
+  getSuiService() {
+    if (!this.suiService) {
+      this.suiService = new SuiService(process.env.SUI_NETWORK || 'testnet');
+    }
+    return this.suiService;
+  }
+}
+
+module.exports = HuntNftMinter;
@@ -0,0 +1,211 @@
+// src/services/HuntService.js - Hunt progression: step unlocking, completion bonus and NFT
+const { Hunt, HuntProgress, Treasure, TreasureDiscovery, HunterProfile } = require('../models');
+const HuntNftMinter = require('./HuntNftMinter');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+class HuntService {
+  /**
+   * Start (or resume) a published hunt for a hunter
+   */
+  async startHunt(userId, huntId) {
+    const hunt = await Hunt.findOne({ _id: huntId, status: 'published' });
+    if (!hunt) {
+      throw new AppError('Hunt not found', 404, 'HUNT_NOT_FOUND');
+    }
+
+    let progress = await HuntProgress.findOne({ userId, huntId });
+    if (progress) {
+      if (progress.status === 'abandoned') {
+        progress.status = 'active';
+        await progress.save();
+      }
+      return { hunt, progress, resumed: true };
+    }
+
+    progress = new HuntProgress({ userId, huntId });
+
+    // Steps found before the hunt started count straight away
+    await this.fastForward(progress, hunt);
+    await progress.save();
+
+    if (progress.currentStep >= hunt.steps.length) {
+      await this.completeHunt(progress, hunt);
+    }
+
+    logger.info(`User ${userId} started hunt ${huntId}`);
+    return { hunt, progress, resumed: false };
+  }
+
+  /**
+   * Advance the hunter's active hunts after a discovery
+   */
+  async recordDiscovery(userId, discovery) {
+    const activeProgress = await HuntProgress.find({ userId, status: 'active' });
+    const results = [];
+
+    for (const progress of activeProgress) {
+      const hunt = await Hunt.findById(progress.huntId);
+      const step = hunt?.steps[progress.currentStep];
+      if (!step || step.treasureId !== discovery.treasureId) {
+        continue;
+      }
+
+      progress.completedSteps.push({
+        treasureId: step.treasureId,
+        discoveryId: discovery._id,
+        completedAt: discovery.discoveredAt || new Date()
+      });
+      progress.currentStep += 1;
+      await this.fastForward(progress, hunt);
+      await progress.save();
+
+      const completed = progress.currentStep >= hunt.steps.length;
+      if (completed) {
+        await this.completeHunt(progress, hunt);
+      }
+
+      console.log(`🧭 Hunt ${hunt.name}: step ${progress.currentStep}/${hunt.steps.length}${completed ? ' - completed!' : ''}`);
+      results.push({
+        huntId: hunt._id,
+        name: hunt.name,
+        stepsCompleted: progress.completedSteps.length,
+        totalSteps: hunt.steps.length,
+        completed,
+        bonusAwarded: progress.bonusAwarded,
+        nextClue: completed ? null : await this.getClue(hunt, progress.currentStep)
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Find an active hunt in which this treasure is a step the hunter has not unlocked yet
+   */
+  async findLockedStep(userId, treasureId) {
+    const activeProgress = await HuntProgress.find({ userId, status: 'active' });
+
+    for (const progress of activeProgress) {
+      const hunt = await Hunt.findById(progress.huntId);
+      const stepIndex = hunt ? hunt.steps.findIndex(step => step.treasureId === treasureId) : -1;
+      if (stepIndex > progress.currentStep) {
+        return { huntId: hunt._id, name: hunt.name, stepNumber: stepIndex + 1, currentStep: progress.currentStep + 1 };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Skip over steps the hunter has already discovered
+   */
+  async fastForward(progress, hunt) {
+    while (progress.currentStep < hunt.steps.length) {
+      const step = hunt.steps[progress.currentStep];
+      const discovery = await TreasureDiscovery.findOne({ userId: progress.userId, treasureId: step.treasureId });
+      if (!discovery) {
+        break;
+      }
+
+      progress.completedSteps.push({
+        treasureId: step.treasureId,
+        discoveryId: discovery._id,
+        completedAt: discovery.discoveredAt
+      });
+      progress.currentStep += 1;
+    }
+  }
+
+  /**
+   * Award the completion bonus and queue the hunt NFT for HuntNftMinter
+   */
+  async completeHunt(progress, hunt) {
+    // Only the first caller to flip the status awards the bonus
+    const claimed = await HuntProgress.findOneAndUpdate(
+      { _id: progress._id, status: 'active' },
+      {
+        $set: {
+          status: 'completed',
+          completedAt: new Date(),
+          bonusAwarded: hunt.completionBonus,
+          completionNft: HuntNftMinter.queuedNft()
+        }
+      },
+      { new: true }
+    );
+    if (!claimed) {
+      return progress;
+    }
+
+    progress.status = claimed.status;
+    progress.completedAt = claimed.completedAt;
+    progress.bonusAwarded = claimed.bonusAwarded;
+    progress.completionNft = claimed.completionNft;
+
+    if (hunt.completionBonus > 0) {
+      await HunterProfile.updateOne(
+        { userId: progress.userId },
+        { $inc: { totalScore: hunt.completionBonus } }
+      );
+    }
+
+    logger.info(`User ${progress.userId} completed hunt ${hunt._id} (+${hunt.completionBonus} points)`);
+    return progress;
+  }
+
+  /**
+   * Clue for a step: the hunt's own clue, otherwise the treasure's first hint
+   */
+  async getClue(hunt, stepIndex) {
+    const step = hunt.steps[stepIndex];
+    if (!step) {
+      return null;
+    }
+
+    let text = step.clue;
+    if (!text) {
+      const treasure = await Treasure.findOne({ treasureId: step.treasureId });
+      const hints = treasure?.metadata?.get('hints');
+      text = Array.isArray(hints) && hints.length > 0 ? hints[0] : 'No clue available for this step';
+    }
+
+    return {
+      stepNumber: stepIndex + 1,
+      totalSteps: hunt.steps.length,
+      clue: text
+    };
+  }
+
+  /**
+   * Progress summary returned to players (never reveals locked steps)
+   */
+  async formatProgress(hunt, progress) {
+    return {
+      progressId: progress._id,
+      huntId: hunt._id,
+      status: progress.status,
+      stepsCompleted: progress.completedSteps.length,
+      totalSteps: hunt.steps.length,
+      percentage: hunt.steps.length > 0 ? Math.round((progress.completedSteps.length / hunt.steps.length) * 100) : 0,
+      completedSteps: progress.completedSteps.map((step, index) => ({
+        stepNumber: index + 1,
+        treasureId: step.treasureId,
+        discoveryId: step.discoveryId,
+        completedAt: step.completedAt
+      })),
+      currentClue: progress.status === 'active' ? await this.getClue(hunt, progress.currentStep) : null,
+      startedAt: progress.startedAt,
+      completedAt: progress.completedAt || null,
+      bonusAwarded: progress.bonusAwarded,
+      completionNft: progress.completionNft?.status && progress.completionNft.status !== 'none' ? {
+        status: progress.completionNft.status,
+        nftObjectId: progress.completionNft.nftObjectId || null,
+        transactionDigest: progress.completionNft.transactionDigest || null,
+        mintedAt: progress.completionNft.mintedAt || null
+      } : null
+    };
+  }
+}
+
+module.exports = HuntService;
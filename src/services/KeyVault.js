@@ -0,0 +1,158 @@
+// src/services/KeyVault.js - Versioned envelope encryption for secrets stored in MongoDB
+const crypto = require('crypto');
+const CryptoJS = require('crypto-js');
+
+const ENVELOPE_VERSION = 'v1';
+// Key ID of the key-encryption key derived from ENCRYPTION_MASTER_KEY
+const MASTER_KEY_ID = 'k0';
+
+/**
+ * Payload format: v1.<keyId>.<wrappedDataKey>.<iv>.<ciphertext>.<tag> (base64url parts)
+ * Each secret gets its own AES-256-GCM data key, wrapped by the key-encryption key <keyId>.
+ * Ciphertexts without the v1 prefix are legacy CryptoJS passphrase blobs.
+ */
+class KeyVault {
+  constructor(options = {}) {
+    this.keys = new Map();
+    this.legacyPassphrase = options.masterKey ?? process.env.ENCRYPTION_MASTER_KEY;
+
+    if (this.legacyPassphrase) {
+      this.keys.set(MASTER_KEY_ID, this.deriveKey(this.legacyPassphrase, MASTER_KEY_ID));
+    }
+
+    // ENCRYPTION_KEYS="2025-06:secret,2026-01:secret" - older keys stay listed until rotation finishes
+    const configured = options.keys ?? process.env.ENCRYPTION_KEYS ?? '';
+    for (const entry of configured.split(',').map(item => item.trim()).filter(Boolean)) {
+      const separator = entry.indexOf(':');
+      if (separator <= 0) {
+        throw new Error('ENCRYPTION_KEYS entries must look like <keyId>:<secret>');
+      }
+      const keyId = entry.substring(0, separator);
+      if (!/^[A-Za-z0-9_-]+$/.test(keyId)) {
+        throw new Error(`Invalid encryption key id: ${keyId}`);
+      }
+      this.keys.set(keyId, this.deriveKey(entry.substring(separator + 1), keyId));
+    }
+
+    this.activeKeyId = options.activeKeyId || process.env.ENCRYPTION_ACTIVE_KEY_ID || [...this.keys.keys()].pop();
+    if (!this.activeKeyId || !this.keys.has(this.activeKeyId)) {
+      throw new Error('No active encryption key configured (set ENCRYPTION_MASTER_KEY or ENCRYPTION_KEYS)');
+    }
+  }
+
+  static isEnvelope(payload) {
+    return typeof payload === 'string' && payload.startsWith(`${ENVELOPE_VERSION}.`);
+  }
+
+  /**
+   * Key ID a payload was encrypted under ('legacy' for CryptoJS blobs)
+   */
+  keyIdOf(payload) {
+    return KeyVault.isEnvelope(payload) ? payload.split('.')[1] : 'legacy';
+  }
+
+  needsRotation(payload) {
+    return this.keyIdOf(payload) !== this.activeKeyId;
+  }
+
+  encrypt(plaintext) {
+    const dataKey = crypto.randomBytes(32);
+    const { iv, ciphertext, tag } = this.seal(dataKey, Buffer.from(plaintext, 'utf8'));
+    return this.format(this.activeKeyId, this.wrapDataKey(this.activeKeyId, dataKey), iv, ciphertext, tag);
+  }
+
+  decrypt(payload) {
+    if (!KeyVault.isEnvelope(payload)) {
+      return this.decryptLegacy(payload);
+    }
+
+    const { keyId, wrappedKey, iv, ciphertext, tag } = this.parse(payload);
+    const dataKey = this.unwrapDataKey(keyId, wrappedKey);
+    return this.open(dataKey, iv, ciphertext, tag).toString('utf8');
+  }
+
+  /**
+   * Move a payload to the active key
+   * Envelopes only re-wrap their data key; legacy blobs are fully re-encrypted
+   */
+  rewrap(payload) {
+    if (!KeyVault.isEnvelope(payload)) {
+      return this.encrypt(this.decryptLegacy(payload));
+    }
+
+    const { keyId, wrappedKey, iv, ciphertext, tag } = this.parse(payload);
+    if (keyId === this.activeKeyId) {
+      return payload;
+    }
+
+    const dataKey = this.unwrapDataKey(keyId, wrappedKey);
+    return this.format(this.activeKeyId, this.wrapDataKey(this.activeKeyId, dataKey), iv, ciphertext, tag);
+  }
+
+  decryptLegacy(payload) {
+    if (!this.legacyPassphrase) {
+      throw new Error('Legacy ciphertext needs ENCRYPTION_MASTER_KEY');
+    }
+    const decrypted = CryptoJS.AES.decrypt(payload, this.legacyPassphrase).toString(CryptoJS.enc.Utf8);
+    if (!decrypted) {
+      throw new Error('Decryption failed - empty result. Wrong master key?');
+    }
+    return decrypted;
+  }
+
+  wrapDataKey(keyId, dataKey) {
+    const { iv, ciphertext, tag } = this.seal(this.keys.get(keyId), dataKey);
+    return Buffer.concat([iv, tag, ciphertext]);
+  }
+
+  unwrapDataKey(keyId, wrappedKey) {
+    const kek = this.keys.get(keyId);
+    if (!kek) {
+      throw new Error(`Encryption key ${keyId} is not configured`);
+    }
+    return this.open(kek, wrappedKey.subarray(0, 12), wrappedKey.subarray(28), wrappedKey.subarray(12, 28));
+  }
+
+  seal(key, plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return { iv, ciphertext, tag: cipher.getAuthTag() };
+  }
+
+  open(key, iv, ciphertext, tag) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+  }
+
+  format(keyId, wrappedKey, iv, ciphertext, tag) {
+    return [ENVELOPE_VERSION, keyId, wrappedKey, iv, ciphertext, tag]
+      .map(part => (Buffer.isBuffer(part) ? part.toString('base64url') : part))
+      .join('.');
+  }
+
+  parse(payload) {
+    const parts = payload.split('.');
+    if (parts.length !== 6) {
+      throw new Error('Malformed encrypted payload');
+    }
+    const [, keyId, wrappedKey, iv, ciphertext, tag] = parts;
+    return {
+      keyId,
+      wrappedKey: Buffer.from(wrappedKey, 'base64url'),
+      iv: Buffer.from(iv, 'base64url'),
+      ciphertext: Buffer.from(ciphertext, 'base64url'),
+      tag: Buffer.from(tag, 'base64url')
+    };
+  }
+
+  /**
+   * 256-bit key-encryption key from a configured secret of any length
+   */
+  deriveKey(secret, keyId) {
+    return Buffer.from(crypto.hkdfSync('sha256', secret, 'treasure-hunt-kek', keyId, 32));
+  }
+}
+
+module.exports = KeyVault;
@@ -0,0 +1,460 @@
+// src/services/LeaderboardService.js - Time-scoped and regional leaderboards with period-close snapshots
+const { Treasure, TreasureDiscovery, LeaderboardSnapshot } = require('../models');
+const logger = require('../utils/logger');
+
+const PERIODS = ['daily', 'weekly', 'monthly', 'season'];
+const GEOHASH_BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class LeaderboardService {
+  constructor(options = {}) {
+    // Seasons are consecutive blocks of this many months starting in January
+    const seasonMonths = options.seasonMonths || parseInt(process.env.LEADERBOARD_SEASON_MONTHS) || 3;
+    this.seasonMonths = 12 % seasonMonths === 0 ? seasonMonths : 3;
+    this.snapshotSize = options.snapshotSize || parseInt(process.env.LEADERBOARD_SNAPSHOT_SIZE) || 100;
+    this.intervalMs = options.intervalMs || parseInt(process.env.LEADERBOARD_SNAPSHOT_INTERVAL_MS) || 10 * 60 * 1000;
+    // Closed periods checked on each run, so snapshots missed during downtime are still taken
+    this.backfillPeriods = options.backfillPeriods || 3;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * The period (UTC) containing a date: key, start (inclusive) and end (exclusive)
+   */
+  getPeriod(period, date = new Date()) {
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+    const pad = value => String(value).padStart(2, '0');
+
+    switch (period) {
+      case 'daily': {
+        const startsAt = new Date(Date.UTC(year, month, date.getUTCDate()));
+        return { period, key: `${year}-${pad(month + 1)}-${pad(date.getUTCDate())}`, startsAt, endsAt: new Date(startsAt.getTime() + DAY_MS) };
+      }
+
+      case 'weekly': {
+        // ISO weeks start on Monday; the week belongs to the year of its Thursday
+        const startsAt = new Date(Date.UTC(year, month, date.getUTCDate() - ((date.getUTCDay() + 6) % 7)));
+        const thursday = new Date(startsAt.getTime() + 3 * DAY_MS);
+        const isoYear = thursday.getUTCFullYear();
+        const week = Math.floor((thursday - Date.UTC(isoYear, 0, 1)) / (7 * DAY_MS)) + 1;
+        return { period, key: `${isoYear}-W${pad(week)}`, startsAt, endsAt: new Date(startsAt.getTime() + 7 * DAY_MS) };
+      }
+
+      case 'monthly':
+        return { period, key: `${year}-${pad(month + 1)}`, startsAt: new Date(Date.UTC(year, month, 1)), endsAt: new Date(Date.UTC(year, month + 1, 1)) };
+
+      case 'season': {
+        const index = Math.floor(month / this.seasonMonths);
+        return {
+          period,
+          key: `${year}-S${index + 1}`,
+          startsAt: new Date(Date.UTC(year, index * this.seasonMonths, 1)),
+          endsAt: new Date(Date.UTC(year, (index + 1) * this.seasonMonths, 1))
+        };
+      }
+
+      default:
+        throw new Error(`Unknown leaderboard period: ${period}`);
+    }
+  }
+
+  /**
+   * The period a key such as 2025-06-01, 2025-W23, 2025-06 or 2025-S2 names; null when invalid
+   */
+  parsePeriodKey(period, key) {
+    let date = null;
+    let match;
+
+    if (period === 'daily' && (match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(key))) {
+      date = new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+    } else if (period === 'weekly' && (match = /^(\d{4})-W(\d{2})$/.exec(key))) {
+      // Week 1 is the week containing January 4th
+      const january4 = new Date(Date.UTC(+match[1], 0, 4));
+      date = new Date(january4.getTime() + (+match[2] - 1) * 7 * DAY_MS);
+    } else if (period === 'monthly' && (match = /^(\d{4})-(\d{2})$/.exec(key))) {
+      date = new Date(Date.UTC(+match[1], +match[2] - 1, 1));
+    } else if (period === 'season' && (match = /^(\d{4})-S(\d{1,2})$/.exec(key))) {
+      date = new Date(Date.UTC(+match[1], (+match[2] - 1) * this.seasonMonths, 1));
+    }
+
+    if (!date || isNaN(date)) {
+      return null;
+    }
+    const range = this.getPeriod(period, date);
+    return range.key === key ? range : null;
+  }
+
+  /**
+   * Standings for a period (or all time when period is 'all') and optional region.
+   * Closed periods are served from their snapshot when one exists.
+   */
+  async getStandings({ period = 'all', periodKey, district, geohash, sortBy = 'score', page = 1, limit = 50, userId }) {
+    let range;
+    if (period === 'all') {
+      range = { period, key: 'all', startsAt: new Date(0), endsAt: new Date(8640000000000000) };
+    } else {
+      range = periodKey ? this.parsePeriodKey(period, periodKey) : this.getPeriod(period);
+      if (!range) {
+        return null;
+      }
+    }
+
+    const closed = range.endsAt <= new Date();
+    const region = geohash ? { type: 'geohash', name: geohash } : district ? { type: 'district', name: district } : { type: 'global', name: 'global' };
+
+    if (closed && period !== 'all' && region.type !== 'geohash' && sortBy === 'score') {
+      const snapshot = await LeaderboardSnapshot.findOne({
+        period,
+        periodKey: range.key,
+        regionType: region.type,
+        region: region.name
+      });
+      if (snapshot) {
+        return this.formatSnapshot(snapshot, { page, limit, userId });
+      }
+    }
+
+    const match = await this.buildMatch(range, region);
+    const [result] = await TreasureDiscovery.aggregate([
+      ...this.rankingPipeline(match, sortBy),
+      {
+        $facet: {
+          entries: [
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            { $project: this.entryProjection() }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const startPosition = (page - 1) * limit + 1;
+    const entries = result.entries.map((entry, index) => ({
+      ...entry,
+      position: startPosition + index,
+      isCurrentUser: entry.userId === userId
+    }));
+
+    let currentUser = entries.find(entry => entry.isCurrentUser) || null;
+    if (!currentUser && userId) {
+      currentUser = await this.getPosition(match, sortBy, userId);
+    }
+
+    return {
+      period: { period, key: range.key, startsAt: period === 'all' ? null : range.startsAt, endsAt: period === 'all' ? null : range.endsAt, closed: period !== 'all' && closed },
+      region,
+      source: 'live',
+      entries,
+      currentUser,
+      total: result.total[0]?.count || 0
+    };
+  }
+
+  /**
+   * Discovery filter for a period and region
+   */
+  async buildMatch(range, region) {
+    const match = { discoveredAt: { $gte: range.startsAt, $lt: range.endsAt } };
+
+    if (region.type === 'district') {
+      match.treasureId = { $in: await Treasure.distinct('treasureId', { 'metadata.district': region.name }) };
+    } else if (region.type === 'geohash') {
+      const { minLat, maxLat, minLng, maxLng } = this.geohashBounds(region.name);
+      match.treasureId = {
+        $in: await Treasure.distinct('treasureId', {
+          location: {
+            $geoWithin: {
+              $geometry: {
+                type: 'Polygon',
+                coordinates: [[[minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]]]
+              }
+            }
+          }
+        })
+      };
+    }
+
+    return match;
+  }
+
+  /**
+   * Per-hunter totals for the matched discoveries, best first
+   */
+  rankingPipeline(match, sortBy) {
+    return [
+      { $match: match },
+      {
+        $lookup: {
+          from: 'treasures',
+          localField: 'treasureId',
+          foreignField: 'treasureId',
+          as: 'treasure'
+        }
+      },
+      {
+        $group: {
+          _id: '$userId',
+          // Points actually earned (finder curve and hint penalty), else the treasure's base reward
+          score: { $sum: { $ifNull: ['$rewardPoints', { $ifNull: [{ $first: '$treasure.rewardPoints' }, 0] }] } },
+          treasuresFound: { $sum: 1 },
+          lastDiscoveryAt: { $max: '$discoveredAt' }
+        }
+      },
+      {
+        $lookup: {
+          from: 'users',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'user'
+        }
+      },
+      { $unwind: '$user' },
+      { $match: { 'user.isActive': true } },
+      { $sort: this.getSort(sortBy) }
+    ];
+  }
+
+  // Ties go to whoever got there first
+  getSort(sortBy) {
+    return sortBy === 'treasures' ?
+      { treasuresFound: -1, score: -1, lastDiscoveryAt: 1, _id: 1 } :
+      { score: -1, treasuresFound: -1, lastDiscoveryAt: 1, _id: 1 };
+  }
+
+  entryProjection() {
+    return {
+      _id: 0,
+      userId: '$_id',
+      username: '$user.username',
+      avatarUrl: '$user.avatarUrl',
+      score: 1,
+      treasuresFound: 1,
+      lastDiscoveryAt: 1
+    };
+  }
+
+  /**
+   * A hunter's position when they are not on the requested page
+   */
+  async getPosition(match, sortBy, userId) {
+    const [mine] = await TreasureDiscovery.aggregate([
+      ...this.rankingPipeline({ ...match, userId }, sortBy),
+      { $project: this.entryProjection() }
+    ]);
+    if (!mine) {
+      return null;
+    }
+
+    const [primary, secondary] = sortBy === 'treasures' ? ['treasuresFound', 'score'] : ['score', 'treasuresFound'];
+    const [ahead] = await TreasureDiscovery.aggregate([
+      ...this.rankingPipeline(match, sortBy).slice(0, -1),
+      {
+        $match: {
+          $or: [
+            { [primary]: { $gt: mine[primary] } },
+            { [primary]: mine[primary], [secondary]: { $gt: mine[secondary] } },
+            { [primary]: mine[primary], [secondary]: mine[secondary], lastDiscoveryAt: { $lt: mine.lastDiscoveryAt } }
+          ]
+        }
+      },
+      { $count: 'count' }
+    ]);
+
+    return { ...mine, position: (ahead?.count || 0) + 1, isCurrentUser: true };
+  }
+
+  formatSnapshot(snapshot, { page, limit, userId }) {
+    const entries = snapshot.entries.slice((page - 1) * limit, page * limit).map(entry => ({
+      ...entry.toObject(),
+      isCurrentUser: entry.userId === userId
+    }));
+    const mine = snapshot.entries.find(entry => entry.userId === userId);
+
+    return {
+      period: { period: snapshot.period, key: snapshot.periodKey, startsAt: snapshot.startsAt, endsAt: snapshot.endsAt, closed: true },
+      region: { type: snapshot.regionType, name: snapshot.region },
+      source: 'snapshot',
+      snapshotAt: snapshot.createdAt,
+      entries,
+      currentUser: mine ? { ...mine.toObject(), isCurrentUser: true } : null,
+      total: snapshot.entries.length,
+      totalParticipants: snapshot.totalParticipants
+    };
+  }
+
+  /**
+   * Record final standings of recently closed periods, globally and per district
+   */
+  async snapshotClosedPeriods(now = new Date()) {
+    const created = [];
+
+    for (const period of PERIODS) {
+      let range = this.getPeriod(period, now);
+      for (let i = 0; i < this.backfillPeriods; i++) {
+        range = this.getPeriod(period, new Date(range.startsAt.getTime() - 1));
+
+        const districts = await TreasureDiscovery.aggregate([
+          { $match: { discoveredAt: { $gte: range.startsAt, $lt: range.endsAt } } },
+          { $lookup: { from: 'treasures', localField: 'treasureId', foreignField: 'treasureId', as: 'treasure' } },
+          { $group: { _id: { $first: '$treasure.metadata.district' } } }
+        ]);
+        const regions = [
+          { type: 'global', name: 'global' },
+          ...districts.filter(item => item._id).map(item => ({ type: 'district', name: item._id }))
+        ];
+
+        for (const region of regions) {
+          const snapshot = await this.createSnapshot(range, region);
+          if (snapshot) {
+            created.push(snapshot);
+          }
+        }
+      }
+    }
+
+    if (created.length > 0) {
+      logger.info(`Leaderboard snapshots taken: ${created.map(snapshot => `${snapshot.period} ${snapshot.periodKey} ${snapshot.region}`).join(', ')}`);
+    }
+    return created;
+  }
+
+  async createSnapshot(range, region) {
+    const exists = await LeaderboardSnapshot.exists({
+      period: range.period,
+      periodKey: range.key,
+      regionType: region.type,
+      region: region.name
+    });
+    if (exists) {
+      return null;
+    }
+
+    const match = await this.buildMatch(range, region);
+    const [result] = await TreasureDiscovery.aggregate([
+      ...this.rankingPipeline(match, 'score'),
+      {
+        $facet: {
+          entries: [{ $limit: this.snapshotSize }, { $project: this.entryProjection() }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    try {
+      return await LeaderboardSnapshot.create({
+        period: range.period,
+        periodKey: range.key,
+        regionType: region.type,
+        region: region.name,
+        startsAt: range.startsAt,
+        endsAt: range.endsAt,
+        entries: result.entries.map((entry, index) => ({ ...entry, position: index + 1 })),
+        totalParticipants: result.total[0]?.count || 0
+      });
+    } catch (error) {
+      // Another worker took this snapshot first
+      if (error.code === 11000) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Past winners: the top of each snapshot, newest first
+   */
+  async getHistory({ period, district, limit = 10, top = 3 }) {
+    const snapshots = await LeaderboardSnapshot.find({
+      period,
+      regionType: district ? 'district' : 'global',
+      region: district || 'global'
+    })
+      .sort({ endsAt: -1 })
+      .limit(limit);
+
+    return snapshots.map(snapshot => ({
+      periodKey: snapshot.periodKey,
+      startsAt: snapshot.startsAt,
+      endsAt: snapshot.endsAt,
+      totalParticipants: snapshot.totalParticipants,
+      winners: snapshot.entries.slice(0, top).map(entry => entry.toObject())
+    }));
+  }
+
+  /**
+   * Latitude/longitude box of a geohash cell
+   */
+  geohashBounds(hash) {
+    let minLat = -90, maxLat = 90, minLng = -180, maxLng = 180;
+    let isLng = true;
+
+    for (const char of hash.toLowerCase()) {
+      const value = GEOHASH_BASE32.indexOf(char);
+      if (value === -1) {
+        throw new Error(`Invalid geohash: ${hash}`);
+      }
+
+      for (let bit = 4; bit >= 0; bit--) {
+        const set = (value >> bit) & 1;
+        if (isLng) {
+          const mid = (minLng + maxLng) / 2;
+          if (set) minLng = mid; else maxLng = mid;
+        } else {
+          const mid = (minLat + maxLat) / 2;
+          if (set) minLat = mid; else maxLat = mid;
+        }
+        isLng = !isLng;
+      }
+    }
+
+    return { minLat, maxLat, minLng, maxLng };
+  }
+
+  /**
+   * Start periodic snapshotting of closed periods
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    logger.info(`Leaderboard snapshots started (every ${this.intervalMs}ms)`);
+    this.timer = setInterval(() => {
+      this.runOnce().catch(error => logger.error('Leaderboard snapshot run failed:', error));
+    }, this.intervalMs);
+
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Stop periodic snapshotting
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Leaderboard snapshots stopped');
+    }
+  }
+
+  async runOnce() {
+    if (this.running) {
+      return { skipped: true };
+    }
+
+    this.running = true;
+    try {
+      const created = await this.snapshotClosedPeriods();
+      return { created: created.length };
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = LeaderboardService;
@@ -0,0 +1,326 @@
+// src/services/LocationProofService.js - Nonce-bound, device-signed GPS proofs for discoveries
+const crypto = require('crypto');
+const { Ed25519PublicKey } = require('@mysten/sui/keypairs/ed25519');
+const { LocationProofSession, LocationDevice, TreasureDiscovery, calculateDistance } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+class LocationProofService {
+  constructor(options = {}) {
+    this.sessionTtlMs = options.sessionTtlMs || parseInt(process.env.LOCATION_PROOF_SESSION_TTL_MS) || 30 * 60 * 1000;
+    this.maxReadingAgeMs = options.maxReadingAgeMs || parseInt(process.env.LOCATION_PROOF_MAX_AGE_MS) || 60 * 1000;
+    this.maxSpeedMps = options.maxSpeedMps || parseFloat(process.env.LOCATION_PROOF_MAX_SPEED_MPS) || 50;
+    this.maxAccuracyMeters = options.maxAccuracyMeters || parseFloat(process.env.LOCATION_PROOF_MAX_ACCURACY_M) || 50;
+    this.maxReadings = options.maxReadings || 100;
+    this.clockSkewMs = options.clockSkewMs || 5000;
+    this.maxDevices = options.maxDevices || parseInt(process.env.LOCATION_PROOF_MAX_DEVICES) || 3;
+  }
+
+  /**
+   * Canonical bytes a device signs to prove it holds the key it registers
+   */
+  buildRegistrationMessage(userId, publicKey) {
+    return new TextEncoder().encode(JSON.stringify({
+      purpose: 'location-proof-device',
+      userId,
+      publicKey
+    }));
+  }
+
+  /**
+   * Register a device signing key for a hunter
+   * Only registered keys can open hunt sessions, so a throwaway key cannot sign readings
+   */
+  async registerDevice(userId, publicKey, signature, name) {
+    const key = this.parsePublicKey(publicKey);
+
+    let signatureValid = false;
+    try {
+      signatureValid = await key.verify(
+        this.buildRegistrationMessage(userId, publicKey),
+        Buffer.from(signature || '', 'base64')
+      );
+    } catch (error) {
+      signatureValid = false;
+    }
+    if (!signatureValid) {
+      throw this.reject('Device registration signature is invalid', 'LOCATION_PROOF_BAD_SIGNATURE');
+    }
+
+    const existing = await LocationDevice.findOne({ publicKey });
+    if (existing) {
+      if (existing.userId !== userId) {
+        throw new AppError('This device key is registered to another account', 409, 'LOCATION_DEVICE_TAKEN');
+      }
+      if (existing.status === 'revoked') {
+        throw new AppError('This device key was revoked, generate a new one', 409, 'LOCATION_DEVICE_REVOKED');
+      }
+      return existing;
+    }
+
+    const activeDevices = await LocationDevice.countDocuments({ userId, status: 'active' });
+    if (activeDevices >= this.maxDevices) {
+      throw new AppError(
+        `At most ${this.maxDevices} devices can be registered, remove one first`,
+        409,
+        'LOCATION_DEVICE_LIMIT'
+      );
+    }
+
+    const device = new LocationDevice({ userId, publicKey, name });
+    await device.save();
+
+    logger.info(`Location device ${device._id} registered for user ${userId}`);
+    return device;
+  }
+
+  /**
+   * Revoke one of a hunter's devices; open sessions signed by it stop verifying
+   */
+  async revokeDevice(userId, deviceId) {
+    const device = await LocationDevice.findOneAndUpdate(
+      { _id: deviceId, userId, status: 'active' },
+      { $set: { status: 'revoked', revokedAt: new Date() } },
+      { new: true }
+    );
+
+    if (device) {
+      await LocationProofSession.updateMany(
+        { deviceId, status: 'active' },
+        { $set: { status: 'expired' } }
+      );
+      logger.info(`Location device ${deviceId} revoked for user ${userId}`);
+    }
+    return device;
+  }
+
+  /**
+   * Active registered device for a key, or an AppError when there is none
+   */
+  async getActiveDevice(userId, publicKey) {
+    const device = await LocationDevice.findOne({ userId, publicKey, status: 'active' });
+    if (!device) {
+      throw new AppError(
+        'Device key is not registered for this account, register the device first',
+        403,
+        'LOCATION_PROOF_DEVICE_UNREGISTERED'
+      );
+    }
+    return device;
+  }
+
+  /**
+   * Issue a short-lived nonce for a hunt session on one treasure
+   */
+  async createSession(userId, treasureId, publicKey) {
+    this.parsePublicKey(publicKey);
+    const device = await this.getActiveDevice(userId, publicKey);
+
+    // Only one open session per user and treasure
+    await LocationProofSession.updateMany(
+      { userId, treasureId, status: 'active' },
+      { $set: { status: 'expired' } }
+    );
+
+    const session = new LocationProofSession({
+      userId,
+      treasureId,
+      nonce: crypto.randomBytes(32).toString('hex'),
+      publicKey,
+      deviceId: device._id,
+      expiresAt: new Date(Date.now() + this.sessionTtlMs)
+    });
+    await session.save();
+
+    logger.info(`Location proof session ${session._id} issued for user ${userId} on treasure ${treasureId}`);
+    return session;
+  }
+
+  /**
+   * Canonical bytes the device signs: session, nonce, treasure and readings in a fixed field order
+   */
+  buildMessage(session, readings) {
+    return new TextEncoder().encode(JSON.stringify({
+      sessionId: session._id,
+      nonce: session.nonce,
+      treasureId: session.treasureId,
+      readings: readings.map(reading => ({
+        latitude: reading.latitude,
+        longitude: reading.longitude,
+        accuracy: reading.accuracy,
+        timestamp: reading.timestamp
+      }))
+    }));
+  }
+
+  /**
+   * Verify a signed proof and return the final (trusted) reading
+   * Throws AppError with a LOCATION_PROOF_* code when the proof is rejected
+   */
+  async verifyProof(userId, treasureId, proof) {
+    if (!proof || typeof proof !== 'object' || !proof.sessionId || !proof.signature) {
+      throw this.reject('Signed location proof is required', 'LOCATION_PROOF_MISSING');
+    }
+
+    const session = await LocationProofSession.findById(proof.sessionId);
+    if (!session || session.userId !== userId || session.treasureId !== treasureId) {
+      throw this.reject('Location proof session not found for this treasure', 'LOCATION_PROOF_SESSION_INVALID');
+    }
+    if (session.status !== 'active') {
+      throw this.reject('Location proof session has already been used', 'LOCATION_PROOF_REPLAYED');
+    }
+    if (session.expiresAt.getTime() < Date.now()) {
+      session.status = 'expired';
+      await session.save();
+      throw this.reject('Location proof session has expired, start a new one', 'LOCATION_PROOF_EXPIRED');
+    }
+
+    // The device may have been revoked since the session started
+    await this.getActiveDevice(userId, session.publicKey);
+
+    const readings = this.normalizeReadings(proof.readings);
+
+    // 1. Signature over the nonce-bound readings
+    const publicKey = this.parsePublicKey(session.publicKey);
+    let signatureValid = false;
+    try {
+      signatureValid = await publicKey.verify(
+        this.buildMessage(session, readings),
+        Buffer.from(proof.signature, 'base64')
+      );
+    } catch (error) {
+      signatureValid = false;
+    }
+    if (!signatureValid) {
+      throw this.reject('Location proof signature is invalid', 'LOCATION_PROOF_BAD_SIGNATURE');
+    }
+
+    // 2. Freshness - readings must fall inside the session and the last one must be recent
+    const now = Date.now();
+    const sessionStart = session.createdAt.getTime() - this.clockSkewMs;
+    for (const reading of readings) {
+      if (reading.timestamp < sessionStart || reading.timestamp > now + this.clockSkewMs) {
+        throw this.reject('Location reading is outside the hunt session window', 'LOCATION_PROOF_STALE');
+      }
+    }
+
+    const finalReading = readings[readings.length - 1];
+    if (now - finalReading.timestamp > this.maxReadingAgeMs) {
+      throw this.reject('Location proof is too old, take a fresh reading', 'LOCATION_PROOF_STALE');
+    }
+    if (finalReading.accuracy > this.maxAccuracyMeters) {
+      throw this.reject(`GPS accuracy must be within ${this.maxAccuracyMeters}m`, 'LOCATION_PROOF_INACCURATE');
+    }
+
+    // 3. Plausible movement - across the trail and since the user's previous discovery
+    const trail = [...readings];
+    const lastDiscovery = await TreasureDiscovery.findOne({ userId }).sort({ discoveredAt: -1 });
+    if (lastDiscovery?.locationProof?.latitude !== undefined) {
+      trail.unshift({
+        latitude: lastDiscovery.locationProof.latitude,
+        longitude: lastDiscovery.locationProof.longitude,
+        accuracy: 0,
+        timestamp: new Date(lastDiscovery.locationProof.timestamp || lastDiscovery.discoveredAt).getTime()
+      });
+    }
+
+    const maxObservedSpeed = this.checkMovement(trail);
+
+    return {
+      session,
+      readings,
+      reading: finalReading,
+      maxObservedSpeed
+    };
+  }
+
+  /**
+   * Mark the session as used so the same proof cannot be submitted twice
+   */
+  async consumeSession(session, verification = {}) {
+    const consumed = await LocationProofSession.findOneAndUpdate(
+      { _id: session._id, status: 'active' },
+      { $set: { status: 'used', usedAt: new Date(), verification } },
+      { new: true }
+    );
+
+    if (!consumed) {
+      throw this.reject('Location proof session has already been used', 'LOCATION_PROOF_REPLAYED');
+    }
+
+    await LocationDevice.updateOne({ _id: consumed.deviceId }, { $set: { lastUsedAt: new Date() } });
+    return consumed;
+  }
+
+  /**
+   * Validate reading shape and order; returns readings sorted by timestamp
+   */
+  normalizeReadings(readings) {
+    if (!Array.isArray(readings) || readings.length === 0) {
+      throw this.reject('At least one signed GPS reading is required', 'LOCATION_PROOF_MISSING');
+    }
+    if (readings.length > this.maxReadings) {
+      throw this.reject(`A proof may contain at most ${this.maxReadings} readings`, 'LOCATION_PROOF_INVALID');
+    }
+
+    let previousTimestamp = 0;
+    return readings.map(reading => {
+      const { latitude, longitude, accuracy, timestamp } = reading || {};
+      const valid = Number.isFinite(latitude) && latitude >= -90 && latitude <= 90 &&
+        Number.isFinite(longitude) && longitude >= -180 && longitude <= 180 &&
+        Number.isFinite(accuracy) && accuracy >= 0 &&
+        Number.isInteger(timestamp);
+
+      if (!valid) {
+        throw this.reject('GPS readings need numeric latitude, longitude, accuracy and a millisecond timestamp', 'LOCATION_PROOF_INVALID');
+      }
+      if (timestamp < previousTimestamp) {
+        throw this.reject('GPS readings must be in chronological order', 'LOCATION_PROOF_INVALID');
+      }
+
+      previousTimestamp = timestamp;
+      return { latitude, longitude, accuracy, timestamp };
+    });
+  }
+
+  /**
+   * Reject trails that imply travelling faster than maxSpeedMps
+   * GPS accuracy is subtracted from each hop so jitter on a stationary device is not flagged
+   */
+  checkMovement(trail) {
+    let maxObservedSpeed = 0;
+
+    for (let i = 1; i < trail.length; i++) {
+      const from = trail[i - 1];
+      const to = trail[i];
+      const distance = calculateDistance(from.latitude, from.longitude, to.latitude, to.longitude);
+      const adjustedDistance = Math.max(0, distance - from.accuracy - to.accuracy);
+      const seconds = Math.max((to.timestamp - from.timestamp) / 1000, 1);
+      const speed = adjustedDistance / seconds;
+
+      maxObservedSpeed = Math.max(maxObservedSpeed, speed);
+      if (speed > this.maxSpeedMps) {
+        throw this.reject(
+          `Implausible movement detected (${Math.round(speed)} m/s)`,
+          'LOCATION_PROOF_IMPLAUSIBLE_SPEED'
+        );
+      }
+    }
+
+    return Math.round(maxObservedSpeed * 100) / 100;
+  }
+
+  parsePublicKey(publicKey) {
+    try {
+      return new Ed25519PublicKey(publicKey);
+    } catch (error) {
+      throw this.reject('Device public key must be a base64 Ed25519 key', 'LOCATION_PROOF_BAD_KEY');
+    }
+  }
+
+  reject(message, code) {
+    return new AppError(message, 400, code);
+  }
+}
+
+module.exports = LocationProofService;
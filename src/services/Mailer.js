@@ -0,0 +1,46 @@
+// src/services/Mailer.js - Outgoing email over SMTP
+const nodemailer = require('nodemailer');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+class Mailer {
+  constructor(options = {}) {
+    this.transport = options.transport || null;
+    this.host = options.host || process.env.SMTP_HOST;
+    this.port = options.port || parseInt(process.env.SMTP_PORT) || 587;
+    this.secure = options.secure ?? process.env.SMTP_SECURE === 'true';
+    this.user = options.user || process.env.SMTP_USER;
+    this.pass = options.pass || process.env.SMTP_PASS;
+    this.from = options.from || process.env.MAIL_FROM;
+  }
+
+  isConfigured() {
+    return !!(this.transport || this.host) && !!this.from;
+  }
+
+  getTransport() {
+    if (!this.transport) {
+      if (!this.isConfigured()) {
+        throw new AppError('Email delivery is not configured', 503, 'MAIL_NOT_CONFIGURED');
+      }
+      this.transport = nodemailer.createTransport({
+        host: this.host,
+        port: this.port,
+        secure: this.secure,
+        auth: this.user ? { user: this.user, pass: this.pass } : undefined
+      });
+    }
+    return this.transport;
+  }
+
+  /**
+   * Send one message; resolves once the SMTP server accepted it
+   */
+  async send({ to, subject, text }) {
+    const info = await this.getTransport().sendMail({ from: this.from, to, subject, text });
+    logger.info(`Email "${subject}" accepted for ${to} (${info.messageId})`);
+    return info;
+  }
+}
+
+module.exports = Mailer;
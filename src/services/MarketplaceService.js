@@ -0,0 +1,667 @@
+// src/services/MarketplaceService.js - Escrow marketplace for treasure NFTs with creator royalties
+const { User, Treasure, TreasureDiscovery, Transaction, Listing } = require('../models');
+const SuiService = require('./SuiService');
+const NftTransferService = require('./NftTransferService');
+const { LocalKeySigner, RemoteSigner } = require('./Signer');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Listing flow: the seller sends the NFT to the escrow wallet, the buyer pays seller and creator
+ * in one transaction, then escrow delivers the NFT. A failed delivery leaves the listing in
+ * settlement_failed so an admin can retry it; the payment is never taken twice. Every digest is
+ * stored before submission, so a listing, sale or delist interrupted mid-way stays in settling
+ * and is resolved from the chain instead of being reverted.
+ */
+class MarketplaceService {
+  constructor(options = {}) {
+    this.suiService = options.suiService || null;
+    this.nftTransferService = options.nftTransferService || new NftTransferService();
+    this.royaltyBps = options.royaltyBps ?? parseInt(process.env.MARKETPLACE_ROYALTY_BPS || '500');
+    this.minPriceMist = options.minPriceMist || parseInt(process.env.MARKETPLACE_MIN_PRICE_MIST || '10000000');
+    this.offerTtlMs = options.offerTtlMs || parseInt(process.env.MARKETPLACE_OFFER_TTL_HOURS || '72') * 60 * 60 * 1000;
+    this.escrowKey = options.escrowKey || process.env.MARKETPLACE_ESCROW_ENCRYPTED_KEY;
+    this.escrowAddress = options.escrowAddress || process.env.MARKETPLACE_ESCROW_ADDRESS;
+    this.settlingTimeoutMs = options.settlingTimeoutMs || parseInt(process.env.MARKETPLACE_SETTLING_TIMEOUT_MS || '600000');
+    this.escrowSigner = null;
+  }
+
+  getEscrowSigner() {
+    if (!this.escrowSigner) {
+      if ((process.env.SUI_SIGNER || 'local') === 'remote') {
+        if (!this.escrowAddress) {
+          throw new Error('MARKETPLACE_ESCROW_ADDRESS is required for remote signing');
+        }
+        this.escrowSigner = new RemoteSigner(this.escrowAddress);
+      } else {
+        if (!this.escrowKey) {
+          throw new Error('MARKETPLACE_ESCROW_ENCRYPTED_KEY is not configured');
+        }
+        this.escrowSigner = new LocalKeySigner(this.escrowKey, this.getSuiService());
+      }
+    }
+    return this.escrowSigner;
+  }
+
+  /**
+   * List an owned NFT: it moves into escrow until it is sold or delisted
+   */
+  async createListing(seller, nftObjectId, price) {
+    if (price < this.minPriceMist) {
+      throw new AppError(`Price must be at least ${this.minPriceMist / 1000000000} SUI`, 400, 'PRICE_TOO_LOW');
+    }
+
+    const discovery = await TreasureDiscovery.findOne({ nftObjectId, ...this.nftTransferService.ownedBy(seller._id) });
+    if (!discovery) {
+      throw new AppError('NFT not found in your collection', 404, 'NFT_NOT_FOUND');
+    }
+    if (!/^0x/.test(discovery.nftObjectId) || ['offline', 'failed'].includes(discovery.status)) {
+      throw new AppError('This NFT has not been minted on chain yet', 400, 'NFT_NOT_MINTED');
+    }
+    if (discovery.listingId) {
+      throw new AppError('This NFT is already listed', 409, 'NFT_ALREADY_LISTED');
+    }
+
+    const treasure = await Treasure.findOne({ treasureId: discovery.treasureId });
+    if (!treasure) {
+      throw new AppError('Treasure not found', 404, 'TREASURE_NOT_FOUND');
+    }
+    if (this.nftTransferService.isSoulbound(treasure.rarity)) {
+      throw new AppError(`${treasure.name} is soulbound and cannot be sold`, 403, 'NFT_SOULBOUND');
+    }
+
+    const escrowAddress = await this.getEscrowSigner().getAddress();
+    const royaltyRecipientId = treasure.createdBy && treasure.createdBy !== seller._id ? treasure.createdBy : undefined;
+
+    const listing = new Listing({
+      sellerId: seller._id,
+      discoveryId: discovery._id,
+      nftObjectId,
+      treasureId: treasure.treasureId,
+      rarity: treasure.rarity,
+      price,
+      royaltyBps: royaltyRecipientId ? this.royaltyBps : 0,
+      royaltyRecipientId,
+      escrowAddress
+    });
+    await listing.save();
+
+    // Only one open listing (or gift) per NFT
+    const claimed = await TreasureDiscovery.findOneAndUpdate(
+      { _id: discovery._id, listingId: null, transferStartedAt: null },
+      { $set: { listingId: listing._id } }
+    );
+    if (!claimed) {
+      await Listing.deleteOne({ _id: listing._id });
+      throw new AppError('This NFT is already listed or being transferred', 409, 'NFT_ALREADY_LISTED');
+    }
+
+    let result;
+    try {
+      const suiService = this.getSuiService();
+      result = await suiService.transferNft(suiService.signerFor(seller), nftObjectId, escrowAddress, {
+        onSigned: digest => this.recordDigest(listing, {
+          escrowDigest: digest,
+          status: 'settling',
+          settlingAt: new Date(),
+          settlingAction: 'list'
+        })
+      });
+    } catch (error) {
+      if (listing.escrowDigest) {
+        // The NFT may still reach escrow, so the listing keeps it until retrySettlement resolves it
+        await Listing.updateOne({ _id: listing._id }, { $set: { error: error.message } });
+        throw new AppError('The NFT was sent to escrow but the transfer is not confirmed yet', 502, 'LISTING_UNCONFIRMED');
+      }
+      result = { status: 'failed', error: error.message };
+    }
+
+    if (result.status !== 'success') {
+      listing.status = 'failed';
+      listing.error = result.error;
+      await listing.save();
+      await TreasureDiscovery.updateOne({ _id: discovery._id }, { $unset: { listingId: 1 } });
+      throw new AppError(`Could not move the NFT into escrow: ${result.error}`, 400, 'LISTING_FAILED');
+    }
+
+    listing.status = 'active';
+    listing.escrowDigest = result.transactionDigest;
+    listing.settlingAt = undefined;
+    listing.settlingAction = undefined;
+    await listing.save();
+
+    logger.info(`Listing ${listing._id}: ${nftObjectId} for ${price} MIST by user ${seller._id}`);
+    return { listing, treasure };
+  }
+
+  /**
+   * Delist: escrow returns the NFT to the seller
+   */
+  async cancelListing(seller, listingId) {
+    const listing = await Listing.findOneAndUpdate(
+      { _id: listingId, sellerId: seller._id, status: 'active' },
+      { $set: { status: 'settling', settlingAt: new Date(), settlingAction: 'delist' }, $unset: { deliveryDigest: 1 } },
+      { new: true }
+    );
+    if (!listing) {
+      throw new AppError('Active listing not found', 404, 'LISTING_NOT_FOUND');
+    }
+
+    let result;
+    try {
+      result = await this.getSuiService().transferNft(this.getEscrowSigner(), listing.nftObjectId, seller.suiAddress, {
+        onSigned: digest => this.recordDigest(listing, { deliveryDigest: digest })
+      });
+    } catch (error) {
+      if (listing.deliveryDigest) {
+        // The NFT may already be back with the seller, so the listing must not go back on sale
+        await Listing.updateOne({ _id: listing._id }, { $set: { error: error.message } });
+        throw new AppError('The NFT was sent back but the transfer is not confirmed yet', 502, 'DELIST_UNCONFIRMED');
+      }
+      result = { status: 'failed', error: error.message };
+    }
+
+    if (result.status !== 'success') {
+      await Listing.updateOne(
+        { _id: listing._id },
+        { $set: { status: 'active' }, $unset: { settlingAt: 1, settlingAction: 1, deliveryDigest: 1 } }
+      );
+      throw new AppError(`Could not return the NFT from escrow: ${result.error}`, 400, 'DELIST_FAILED');
+    }
+
+    return this.completeCancel(listing, result.transactionDigest);
+  }
+
+  async completeCancel(listing, deliveryDigest) {
+    listing.status = 'cancelled';
+    listing.cancelledAt = new Date();
+    listing.deliveryDigest = deliveryDigest;
+    listing.offers.forEach(offer => {
+      if (offer.status === 'open') offer.status = 'declined';
+    });
+    await listing.save();
+    await TreasureDiscovery.updateOne({ _id: listing.discoveryId }, { $unset: { listingId: 1 } });
+
+    logger.info(`Listing ${listing._id} cancelled by seller`);
+    return listing;
+  }
+
+  async buy(buyer, listingId) {
+    const listing = await Listing.findById(listingId);
+    if (!listing || listing.status !== 'active') {
+      throw new AppError('Active listing not found', 404, 'LISTING_NOT_FOUND');
+    }
+    if (listing.sellerId === buyer._id) {
+      throw new AppError('You cannot buy your own listing', 400, 'OWN_LISTING');
+    }
+
+    const claimed = await Listing.findOneAndUpdate(
+      { _id: listingId, status: 'active' },
+      { $set: { status: 'settling', settlingAt: new Date(), settlingAction: 'sale', buyerId: buyer._id } },
+      { new: true }
+    );
+    if (!claimed) {
+      throw new AppError('This listing was just sold or delisted', 409, 'LISTING_UNAVAILABLE');
+    }
+
+    return this.executeSale(claimed, buyer, claimed.price);
+  }
+
+  async makeOffer(buyer, listingId, price) {
+    if (price < this.minPriceMist) {
+      throw new AppError(`Offer must be at least ${this.minPriceMist / 1000000000} SUI`, 400, 'PRICE_TOO_LOW');
+    }
+
+    const listing = await Listing.findById(listingId);
+    if (!listing || listing.status !== 'active') {
+      throw new AppError('Active listing not found', 404, 'LISTING_NOT_FOUND');
+    }
+    if (listing.sellerId === buyer._id) {
+      throw new AppError('You cannot make an offer on your own listing', 400, 'OWN_LISTING');
+    }
+
+    // Funds are not locked, but an offer the buyer cannot pay for is pointless
+    const balance = await this.getSuiService().getBalance(buyer.suiAddress);
+    if (BigInt(balance) < BigInt(price)) {
+      throw new AppError('Insufficient SUI balance for this offer', 400, 'INSUFFICIENT_BALANCE');
+    }
+
+    // A newer offer replaces the buyer's previous one
+    await Listing.updateOne(
+      { _id: listingId },
+      { $set: { 'offers.$[offer].status': 'withdrawn' } },
+      { arrayFilters: [{ 'offer.buyerId': buyer._id, 'offer.status': 'open' }] }
+    );
+
+    const offer = {
+      buyerId: buyer._id,
+      price,
+      expiresAt: new Date(Date.now() + this.offerTtlMs)
+    };
+    const updated = await Listing.findOneAndUpdate(
+      { _id: listingId, status: 'active' },
+      { $push: { offers: offer } },
+      { new: true }
+    );
+    if (!updated) {
+      throw new AppError('This listing was just sold or delisted', 409, 'LISTING_UNAVAILABLE');
+    }
+
+    logger.info(`Offer of ${price} MIST on listing ${listingId} by user ${buyer._id}`);
+    return { listing: updated, offer: updated.offers[updated.offers.length - 1] };
+  }
+
+  async withdrawOffer(buyer, listingId, offerId) {
+    const result = await Listing.updateOne(
+      { _id: listingId, offers: { $elemMatch: { _id: offerId, buyerId: buyer._id, status: 'open' } } },
+      { $set: { 'offers.$.status': 'withdrawn' } }
+    );
+    if (result.modifiedCount === 0) {
+      throw new AppError('Open offer not found', 404, 'OFFER_NOT_FOUND');
+    }
+  }
+
+  async acceptOffer(seller, listingId, offerId) {
+    const listing = await Listing.findOne({ _id: listingId, sellerId: seller._id, status: 'active' });
+    if (!listing) {
+      throw new AppError('Active listing not found', 404, 'LISTING_NOT_FOUND');
+    }
+
+    const offer = listing.offers.id(offerId);
+    if (!offer || this.getOfferStatus(offer) !== 'open') {
+      throw new AppError('Open offer not found', 404, 'OFFER_NOT_FOUND');
+    }
+
+    const buyer = await User.findById(offer.buyerId);
+    if (!buyer || !buyer.isActive) {
+      throw new AppError('The buyer is no longer available', 400, 'OFFER_NOT_FOUND');
+    }
+
+    const claimed = await Listing.findOneAndUpdate(
+      { _id: listingId, status: 'active', offers: { $elemMatch: { _id: offerId, status: 'open' } } },
+      {
+        $set: {
+          status: 'settling',
+          settlingAt: new Date(),
+          settlingAction: 'sale',
+          buyerId: buyer._id,
+          'offers.$.status': 'accepted'
+        }
+      },
+      { new: true }
+    );
+    if (!claimed) {
+      throw new AppError('This listing was just sold or delisted', 409, 'LISTING_UNAVAILABLE');
+    }
+
+    return this.executeSale(claimed, buyer, offer.price);
+  }
+
+  /**
+   * Buyer pays seller and creator, then escrow delivers the NFT
+   */
+  async executeSale(listing, buyer, price) {
+    const [seller, creator] = await Promise.all([
+      User.findById(listing.sellerId),
+      listing.royaltyRecipientId ? User.findById(listing.royaltyRecipientId) : null
+    ]);
+
+    const royaltyAmount = creator?.suiAddress ? Math.floor(price * listing.royaltyBps / 10000) : 0;
+    const payments = [
+      { address: seller.suiAddress, amountInMist: price - royaltyAmount },
+      ...(royaltyAmount > 0 ? [{ address: creator.suiAddress, amountInMist: royaltyAmount }] : [])
+    ];
+
+    let payment;
+    try {
+      const suiService = this.getSuiService();
+      payment = await suiService.paySui(suiService.signerFor(buyer), payments, {
+        // Stored before submission, so a payment whose response is lost can still be found on chain
+        onSigned: digest => this.recordPaymentDigest(listing, digest, price, royaltyAmount)
+      });
+    } catch (error) {
+      payment = listing.paymentDigest
+        ? await this.lookupPayment(listing.paymentDigest)
+        : { status: 'failed', error: error.message };
+    }
+
+    if (payment.status === 'failed') {
+      await this.reopenListing(listing);
+      throw new AppError(`Payment failed: ${payment.error}`, 400, 'PAYMENT_FAILED');
+    }
+    if (payment.status !== 'success') {
+      // The payment may still land, so the listing stays settling until retrySettlement resolves it
+      await Listing.updateOne({ _id: listing._id }, { $set: { error: payment.error } });
+      throw new AppError('Payment was submitted but is not confirmed yet', 502, 'PAYMENT_UNCONFIRMED');
+    }
+
+    await this.recordPayment(listing, buyer, seller, payment);
+
+    logger.info(`Listing ${listing._id} paid by user ${buyer._id}: ${payment.transactionDigest}`);
+    return this.deliver(listing, buyer);
+  }
+
+  async recordPaymentDigest(listing, digest, price, royaltyAmount) {
+    await this.recordDigest(listing, { paymentDigest: digest, salePrice: price, royaltyAmount });
+  }
+
+  /**
+   * Store a signed transaction's digest (and related fields) before it is submitted
+   */
+  async recordDigest(listing, fields) {
+    await Listing.updateOne({ _id: listing._id }, { $set: fields });
+    Object.assign(listing, fields);
+  }
+
+  /**
+   * Store the buyer's payment; recovery may get here for a payment that was already recorded
+   */
+  async recordPayment(listing, buyer, seller, payment) {
+    const recorded = await Transaction.findOne({ digest: payment.transactionDigest });
+    if (!recorded) {
+      await new Transaction({
+        userId: buyer._id,
+        digest: payment.transactionDigest,
+        type: 'marketplace',
+        amount: listing.salePrice,
+        status: 'success',
+        fromAddress: buyer.suiAddress,
+        toAddress: seller.suiAddress,
+        gasUsed: payment.gasUsed,
+        blockHeight: payment.blockHeight,
+        metadata: {
+          listingId: listing._id,
+          nftObjectId: listing.nftObjectId,
+          treasureId: listing.treasureId,
+          sellerUserId: seller._id,
+          royaltyAmount: listing.royaltyAmount,
+          royaltyRecipientId: listing.royaltyAmount > 0 ? listing.royaltyRecipientId : null
+        }
+      }).save();
+    }
+
+    listing.paymentDigest = payment.transactionDigest;
+    listing.error = undefined;
+    await listing.save();
+  }
+
+  /**
+   * Put an unpaid listing back on sale, reopening the offer that was being accepted
+   */
+  async reopenListing(listing) {
+    const revert = {
+      $set: { status: 'active' },
+      $unset: { buyerId: 1, settlingAt: 1, settlingAction: 1, paymentDigest: 1, salePrice: 1, royaltyAmount: 1, error: 1 }
+    };
+    const filter = { _id: listing._id };
+    const accepted = listing.offers.find(offer => offer.status === 'accepted');
+    if (accepted) {
+      filter['offers._id'] = accepted._id;
+      revert.$set['offers.$.status'] = 'open';
+    }
+    await Listing.updateOne(filter, revert);
+  }
+
+  /**
+   * On-chain outcome of a payment digest: success, failed, not_found or unknown (RPC trouble)
+   */
+  async lookupPayment(digest) {
+    const suiService = this.getSuiService();
+    let details;
+    try {
+      details = await suiService.getTransactionDetails(digest);
+    } catch (error) {
+      const status = /could not find/i.test(error.message) ? 'not_found' : 'unknown';
+      return { status, transactionDigest: digest, error: error.message };
+    }
+
+    const effects = details?.effects;
+    if (!effects?.status) {
+      return { status: 'unknown', transactionDigest: digest, error: 'Payment has no effects yet' };
+    }
+
+    const success = effects.status.status === 'success';
+    return {
+      transactionDigest: digest,
+      status: success ? 'success' : 'failed',
+      error: success ? null : (effects.status.error || 'Unknown error'),
+      gasUsed: suiService.calculateGasUsed(effects),
+      blockHeight: details.checkpoint ? Number(details.checkpoint) : undefined
+    };
+  }
+
+  /**
+   * Escrow sends the NFT to the buyer and ownership moves over
+   */
+  async deliver(listing, buyer) {
+    let result;
+    try {
+      result = await this.getSuiService().transferNft(this.getEscrowSigner(), listing.nftObjectId, buyer.suiAddress, {
+        onSigned: digest => this.recordDigest(listing, { deliveryDigest: digest })
+      });
+    } catch (error) {
+      result = { status: 'failed', error: error.message };
+    }
+
+    if (result.status !== 'success') {
+      // retrySettlement checks where the NFT is before delivering again
+      listing.status = 'settlement_failed';
+      listing.error = result.error;
+      await listing.save();
+      logger.error(`Listing ${listing._id} paid but NFT delivery failed: ${result.error}`);
+      return listing;
+    }
+
+    return this.completeSale(listing, buyer, result.transactionDigest);
+  }
+
+  async completeSale(listing, buyer, deliveryDigest) {
+    listing.status = 'sold';
+    listing.soldAt = new Date();
+    listing.deliveryDigest = deliveryDigest;
+    listing.error = undefined;
+    listing.offers.forEach(offer => {
+      if (offer.status === 'open') offer.status = 'declined';
+    });
+    await listing.save();
+
+    // Only the first completion moves ownership and stats
+    const discovery = await TreasureDiscovery.findOneAndUpdate(
+      { _id: listing.discoveryId, listingId: listing._id },
+      {
+        $set: { ownerId: buyer._id, ownerAddress: buyer.suiAddress, lastTransferredAt: new Date() },
+        $inc: { transferCount: 1 },
+        $unset: { listingId: 1 }
+      }
+    );
+    if (discovery) {
+      await this.nftTransferService.applyStatsPolicy(listing.sellerId, buyer._id, discovery.rewardPoints || 0);
+    }
+
+    logger.info(`Listing ${listing._id} sold to user ${buyer._id} for ${listing.salePrice} MIST`);
+    return listing;
+  }
+
+  /**
+   * Settling listings whose sale or delist was interrupted (crash, lost response, failed write)
+   */
+  staleSettlingFilter() {
+    const cutoff = new Date(Date.now() - this.settlingTimeoutMs);
+    return {
+      status: 'settling',
+      // Listings that started settling before settlingAt existed fall back to updatedAt
+      $or: [{ settlingAt: { $lte: cutoff } }, { settlingAt: null, updatedAt: { $lte: cutoff } }]
+    };
+  }
+
+  /**
+   * Admin: retry a failed NFT delivery, or resolve a listing stuck in settling from what is on chain
+   */
+  async retrySettlement(listingId) {
+    const listing = await Listing.findOneAndUpdate(
+      { _id: listingId, $or: [{ status: 'settlement_failed' }, this.staleSettlingFilter()] },
+      { $set: { status: 'settling', settlingAt: new Date() } },
+      { new: true }
+    );
+    if (!listing) {
+      throw new AppError('No failed or stuck settlement for this listing', 404, 'LISTING_NOT_FOUND');
+    }
+
+    if (listing.settlingAction === 'list') {
+      return this.recoverListing(listing);
+    }
+    if (!listing.buyerId) {
+      return this.recoverCancel(listing);
+    }
+
+    const [buyer, seller] = await Promise.all([
+      User.findById(listing.buyerId),
+      User.findById(listing.sellerId)
+    ]);
+    if (!buyer || !seller) {
+      await Listing.updateOne({ _id: listing._id }, { $set: { status: 'settlement_failed' } });
+      throw new AppError('Buyer or seller not found', 404, 'USER_NOT_FOUND');
+    }
+
+    // Without a digest the payment was never signed, so the buyer was not charged
+    const payment = listing.paymentDigest
+      ? await this.lookupPayment(listing.paymentDigest)
+      : { status: 'not_found' };
+
+    if (payment.status === 'failed' || payment.status === 'not_found') {
+      // Past the timeout a payment that is not on chain was never submitted
+      await this.reopenListing(listing);
+      logger.info(`Listing ${listing._id} reopened: the buyer's payment did not go through`);
+      return Listing.findById(listing._id);
+    }
+    if (payment.status !== 'success') {
+      await Listing.updateOne({ _id: listing._id }, { $set: { error: payment.error } });
+      throw new AppError(`Could not check the payment on chain: ${payment.error}`, 502, 'PAYMENT_UNCONFIRMED');
+    }
+
+    await this.recordPayment(listing, buyer, seller, payment);
+
+    // The delivery may have gone through before the listing could be updated
+    const owner = await this.getSuiService().getObjectOwner(listing.nftObjectId);
+    if (owner === buyer.suiAddress) {
+      return this.completeSale(listing, buyer, listing.deliveryDigest);
+    }
+    return this.deliver(listing, buyer);
+  }
+
+  /**
+   * Finish or undo a delist from where the NFT is now
+   */
+  async recoverCancel(listing) {
+    const [seller, owner] = await Promise.all([
+      User.findById(listing.sellerId),
+      this.getSuiService().getObjectOwner(listing.nftObjectId)
+    ]);
+
+    if (seller && owner === seller.suiAddress) {
+      return this.completeCancel(listing, listing.deliveryDigest);
+    }
+    if (owner === listing.escrowAddress) {
+      return this.activate(listing);
+    }
+
+    return this.markStranded(listing);
+  }
+
+  /**
+   * Finish or fail a new listing from whether its NFT reached escrow
+   */
+  async recoverListing(listing) {
+    const [seller, owner] = await Promise.all([
+      User.findById(listing.sellerId),
+      this.getSuiService().getObjectOwner(listing.nftObjectId)
+    ]);
+
+    if (owner === listing.escrowAddress) {
+      return this.activate(listing);
+    }
+    if (seller && owner === seller.suiAddress) {
+      listing.status = 'failed';
+      listing.error = listing.error || 'The NFT never reached escrow';
+      await listing.save();
+      await TreasureDiscovery.updateOne({ _id: listing.discoveryId }, { $unset: { listingId: 1 } });
+      return listing;
+    }
+
+    return this.markStranded(listing);
+  }
+
+  async activate(listing) {
+    await Listing.updateOne(
+      { _id: listing._id },
+      { $set: { status: 'active' }, $unset: { settlingAt: 1, settlingAction: 1, deliveryDigest: 1, error: 1 } }
+    );
+    return Listing.findById(listing._id);
+  }
+
+  async markStranded(listing) {
+    listing.status = 'settlement_failed';
+    listing.error = 'NFT is neither in escrow nor with the seller';
+    await listing.save();
+    return listing;
+  }
+
+  /**
+   * Offers past their expiry are reported as expired without a write
+   */
+  getOfferStatus(offer) {
+    return offer.status === 'open' && offer.expiresAt <= new Date() ? 'expired' : offer.status;
+  }
+
+  /**
+   * Daily sale prices per rarity (SUI)
+   */
+  async getPriceHistory({ rarity, treasureId, days = 30 } = {}) {
+    const match = { status: 'sold', soldAt: { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) } };
+    if (rarity) match.rarity = rarity;
+    if (treasureId) match.treasureId = treasureId;
+
+    const history = await Listing.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { rarity: '$rarity', date: { $dateToString: { format: '%Y-%m-%d', date: '$soldAt' } } },
+          sales: { $sum: 1 },
+          average: { $avg: '$salePrice' },
+          low: { $min: '$salePrice' },
+          high: { $max: '$salePrice' },
+          volume: { $sum: '$salePrice' }
+        }
+      },
+      { $sort: { '_id.rarity': 1, '_id.date': 1 } }
+    ]);
+
+    const byRarity = {};
+    for (const point of history) {
+      const key = point._id.rarity;
+      byRarity[key] = byRarity[key] || [];
+      byRarity[key].push({
+        date: point._id.date,
+        sales: point.sales,
+        averagePrice: point.average / 1000000000,
+        lowPrice: point.low / 1000000000,
+        highPrice: point.high / 1000000000,
+        volume: point.volume / 1000000000
+      });
+    }
+
+    return Object.entries(byRarity).map(([key, points]) => ({
+      rarity: parseInt(key),
+      points
+    }));
+  }
+
+  getSuiService() {
+    if (!this.suiService) {
+      this.suiService = new SuiService(process.env.SUI_NETWORK || 'testnet');
+    }
+    return this.suiService;
+  }
+}
+
+module.exports = MarketplaceService;
@@ -0,0 +1,306 @@
+// src/services/MintQueue.js - Durable retry queue for minting NFTs of offline discoveries
+const { MintJob, TreasureDiscovery, User } = require('../models');
+const SuiService = require('./SuiService');
+const logger = require('../utils/logger');
+
+// Errors that will never succeed on retry
+const PERMANENT_ERRORS = ['E_TREASURE_ALREADY_FOUND', 'E_INVALID_LOCATION', 'E_INSUFFICIENT_RANK'];
+
+class MintQueue {
+  constructor(options = {}) {
+    this.suiService = options.suiService || null;
+    this.intervalMs = options.intervalMs || parseInt(process.env.MINT_QUEUE_INTERVAL_MS) || 60000;
+    this.batchSize = options.batchSize || parseInt(process.env.MINT_QUEUE_BATCH_SIZE) || 10;
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.MINT_QUEUE_MAX_ATTEMPTS) || 8;
+    this.baseDelayMs = options.baseDelayMs || parseInt(process.env.MINT_QUEUE_BASE_DELAY_MS) || 60000;
+    this.maxDelayMs = options.maxDelayMs || 6 * 60 * 60 * 1000; // 6 hours
+    // A job still 'processing' after this long was claimed by a worker that died
+    this.leaseMs = options.leaseMs || parseInt(process.env.MINT_QUEUE_LEASE_MS) || 10 * 60 * 1000;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start periodic processing of due jobs
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    logger.info(`Mint queue started (every ${this.intervalMs}ms)`);
+    this.timer = setInterval(() => {
+      this.runOnce().catch(error => logger.error('Mint queue run failed:', error));
+    }, this.intervalMs);
+
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Stop periodic processing
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Mint queue stopped');
+    }
+  }
+
+  /**
+   * Queue an offline discovery for minting
+   */
+  async enqueue(discovery) {
+    const locationProof = `${discovery.locationProof?.latitude},${discovery.locationProof?.longitude}`;
+
+    const job = await MintJob.findOneAndUpdate(
+      { discoveryId: discovery._id },
+      {
+        $setOnInsert: {
+          discoveryId: discovery._id,
+          userId: discovery.userId,
+          treasureId: discovery.treasureId,
+          locationProof,
+          status: 'queued',
+          attempts: 0,
+          maxAttempts: this.maxAttempts,
+          nextAttemptAt: new Date(Date.now() + this.baseDelayMs)
+        }
+      },
+      { upsert: true, new: true }
+    );
+
+    logger.info(`Discovery ${discovery._id} queued for minting (job ${job._id})`);
+    return job;
+  }
+
+  /**
+   * Process all jobs that are due
+   */
+  async runOnce() {
+    if (this.running) {
+      return { skipped: true };
+    }
+
+    this.running = true;
+    const counts = { processed: 0, succeeded: 0, retrying: 0, failed: 0 };
+
+    try {
+      for (let i = 0; i < this.batchSize; i++) {
+        // Claim one job at a time so concurrent workers never double-mint
+        const job = await MintJob.findOneAndUpdate(
+          {
+            $or: [
+              { status: 'queued', nextAttemptAt: { $lte: new Date() } },
+              this.expiredLeaseFilter()
+            ]
+          },
+          { $set: { status: 'processing', lastAttemptAt: new Date() } },
+          { sort: { nextAttemptAt: 1 }, new: true }
+        );
+
+        if (!job) {
+          break;
+        }
+
+        const result = await this.processJob(job);
+        counts.processed += 1;
+        counts[result.status === 'queued' ? 'retrying' : result.status] += 1;
+      }
+
+      if (counts.processed > 0) {
+        logger.info(`Mint queue run: ${JSON.stringify(counts)}`);
+      }
+      return counts;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Attempt to mint a single job and record the outcome
+   */
+  async processJob(job) {
+    const discovery = await TreasureDiscovery.findById(job.discoveryId);
+    if (!discovery) {
+      return this.markFailed(job, 'Discovery no longer exists', null);
+    }
+
+    job.attempts += 1;
+
+    try {
+      const user = await User.findById(job.userId);
+      if (!user || !user.encryptedPrivateKey) {
+        throw new Error('User wallet not found');
+      }
+      if (!user.profileObjectId) {
+        throw new Error('User has no blockchain profile');
+      }
+
+      // An earlier attempt may have minted and then failed to record it (crash, timeout, DB error)
+      let mintResult = job.result?.nftObjectId ? job.result : await this.findExistingMint(user, job.treasureId);
+
+      if (mintResult) {
+        console.log(`♻️ Discovery ${discovery._id} was already minted: ${mintResult.nftObjectId}`);
+      } else {
+        console.log(`⛓️ Retrying mint for discovery ${discovery._id} (attempt ${job.attempts}/${job.maxAttempts})`);
+
+        const suiService = this.getSuiService();
+        const minted = await suiService.discoverTreasure(
+          suiService.signerFor(user),
+          user.profileObjectId,
+          job.treasureId,
+          job.locationProof
+        );
+
+        // Record the mint before anything else can fail, so no retry mints it again
+        mintResult = {
+          nftObjectId: minted.nftObjectId,
+          transactionDigest: minted.transactionDigest,
+          blockHeight: minted.blockHeight
+        };
+        job.result = mintResult;
+        await job.save();
+      }
+
+      // Replace the offline placeholders with the real on-chain IDs
+      discovery.nftObjectId = mintResult.nftObjectId;
+      discovery.transactionDigest = mintResult.transactionDigest;
+      discovery.status = 'pending'; // Confirmed later by the reconciler
+      discovery.verificationData = {
+        ...(discovery.verificationData || {}),
+        blockHeight: mintResult.blockHeight,
+        blockchainSuccess: true,
+        offline: false,
+        mintedLaterAt: new Date(),
+        mintJobId: job._id,
+        mintAttempts: job.attempts
+      };
+      discovery.markModified('verificationData');
+      await discovery.save();
+
+      job.status = 'succeeded';
+      job.completedAt = new Date();
+      job.lastError = undefined;
+      job.result = mintResult;
+      await job.save();
+
+      console.log(`✅ Queued mint succeeded: ${mintResult.nftObjectId}`);
+      return job;
+    } catch (error) {
+      const permanent = PERMANENT_ERRORS.some(code => error.message?.includes(code));
+
+      if (permanent || job.attempts >= job.maxAttempts) {
+        return this.markFailed(job, error.message, discovery);
+      }
+
+      job.status = 'queued';
+      job.lastError = error.message;
+      job.nextAttemptAt = new Date(Date.now() + this.getBackoffDelay(job.attempts));
+      await job.save();
+
+      console.warn(`⚠️ Queued mint failed (attempt ${job.attempts}), retrying at ${job.nextAttemptAt.toISOString()}: ${error.message}`);
+      return job;
+    }
+  }
+
+  /**
+   * Mark a job and its discovery as permanently failed
+   */
+  async markFailed(job, reason, discovery) {
+    job.status = 'failed';
+    job.lastError = reason;
+    job.completedAt = new Date();
+    await job.save();
+
+    if (discovery) {
+      discovery.status = 'failed';
+      discovery.verificationData = {
+        ...(discovery.verificationData || {}),
+        mintFailed: true,
+        mintFailureReason: reason,
+        mintJobId: job._id
+      };
+      discovery.markModified('verificationData');
+      await discovery.save();
+    }
+
+    logger.warn(`Mint job ${job._id} permanently failed: ${reason}`);
+    return job;
+  }
+
+  /**
+   * The NFT a user minted for the job's treasure and still holds, as a mint result
+   */
+  async findExistingMint(user, treasureId) {
+    if (!user.suiAddress) {
+      return null;
+    }
+
+    const nft = await this.getSuiService().findTreasureNft(user.suiAddress, treasureId);
+    if (!nft) {
+      return null;
+    }
+    return {
+      nftObjectId: nft.objectId,
+      transactionDigest: nft.previousTransaction,
+      blockHeight: null
+    };
+  }
+
+  /**
+   * Jobs whose worker stopped before recording an outcome
+   */
+  expiredLeaseFilter() {
+    return { status: 'processing', lastAttemptAt: { $lte: new Date(Date.now() - this.leaseMs) } };
+  }
+
+  /**
+   * Reset a job so it runs again immediately
+   */
+  async retry(jobId) {
+    const job = await MintJob.findOneAndUpdate(
+      { _id: jobId, $or: [{ status: { $in: ['queued', 'failed'] } }, this.expiredLeaseFilter()] },
+      {
+        $set: { status: 'processing', lastAttemptAt: new Date() },
+        $unset: { completedAt: 1 }
+      },
+      { new: true }
+    );
+
+    if (!job) {
+      return null;
+    }
+
+    // Give permanently failed jobs a fresh set of attempts
+    if (job.attempts >= job.maxAttempts) {
+      job.attempts = 0;
+    }
+
+    const discovery = await TreasureDiscovery.findById(job.discoveryId);
+    if (discovery && discovery.status === 'failed') {
+      discovery.status = 'offline';
+      await discovery.save();
+    }
+
+    return this.processJob(job);
+  }
+
+  /**
+   * Exponential backoff capped at maxDelayMs
+   */
+  getBackoffDelay(attempts) {
+    return Math.min(this.baseDelayMs * Math.pow(2, attempts - 1), this.maxDelayMs);
+  }
+
+  getSuiService() {
+    if (!this.suiService) {
+      this.suiService = new SuiService(process.env.SUI_NETWORK || 'testnet');
+    }
+    return this.suiService;
+  }
+}
+
+module.exports = MintQueue;
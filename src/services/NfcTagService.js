@@ -0,0 +1,214 @@
+// src/services/NfcTagService.js - NTAG 424 DNA SUN/SDM tap verification for treasures
+const crypto = require('crypto');
+const { NfcTag } = require('../models');
+const KeyVault = require('./KeyVault');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+// PICCDataTag with UID and read counter mirrored, 7 byte UID
+const PICC_DATA_TAG = 0xC7;
+// Session vector prefix for K_SesSDMFileReadMAC (AN12196)
+const SV2_PREFIX = Buffer.from('3CC300010080', 'hex');
+
+class NfcTagService {
+  constructor(options = {}) {
+    this.keyVault = options.keyVault || new KeyVault();
+  }
+
+  /**
+   * Register a tag's SDM keys against a treasure
+   */
+  async registerTag(treasureId, { uid, metaReadKey, fileReadKey, label }, registeredBy) {
+    const normalizedUid = uid.toUpperCase();
+
+    const existing = await NfcTag.findOne({ uid: normalizedUid });
+    if (existing) {
+      throw new AppError('An NFC tag with this UID is already registered', 409, 'NFC_TAG_EXISTS');
+    }
+
+    const tag = new NfcTag({
+      treasureId,
+      uid: normalizedUid,
+      label,
+      encryptedMetaReadKey: this.encryptKey(metaReadKey.toUpperCase()),
+      encryptedFileReadKey: this.encryptKey(fileReadKey.toUpperCase()),
+      registeredBy
+    });
+    await tag.save();
+
+    logger.info(`NFC tag ${normalizedUid} registered for treasure ${treasureId}`);
+    return tag;
+  }
+
+  /**
+   * Verify a tapped SUN payload against the treasure's tags
+   * Throws AppError with an NFC_* code when the tap is rejected
+   */
+  async verifyTap(treasureId, nfcData) {
+    const payload = this.parsePayload(nfcData);
+    if (!payload) {
+      throw new AppError('NFC tap data is missing or malformed', 400, 'NFC_INVALID_PAYLOAD');
+    }
+
+    const tags = await NfcTag.find({ treasureId, isActive: true });
+    if (tags.length === 0) {
+      throw new AppError('No NFC tag is registered for this treasure', 400, 'NFC_TAG_NOT_REGISTERED');
+    }
+
+    for (const tag of tags) {
+      const picc = this.decryptPiccData(this.decryptKey(tag.encryptedMetaReadKey), payload.piccData);
+      if (!picc || picc.uid !== tag.uid) {
+        continue;
+      }
+
+      const expectedMac = this.calculateSdmMac(this.decryptKey(tag.encryptedFileReadKey), picc.uidBytes, picc.counterBytes);
+      if (!crypto.timingSafeEqual(expectedMac, payload.cmac)) {
+        throw new AppError('NFC tag signature is invalid', 400, 'NFC_BAD_MAC');
+      }
+
+      // The tag counter only ever increases - accept each value once
+      const updated = await NfcTag.findOneAndUpdate(
+        { _id: tag._id, lastCounter: { $lt: picc.counter } },
+        { $set: { lastCounter: picc.counter, lastTapAt: new Date() }, $inc: { tapCount: 1 } },
+        { new: true }
+      );
+
+      if (!updated) {
+        throw new AppError('This NFC tap has already been used, tap the tag again', 400, 'NFC_REPLAYED');
+      }
+
+      return {
+        tagId: tag._id,
+        uid: tag.uid,
+        counter: picc.counter
+      };
+    }
+
+    throw new AppError('NFC tag does not belong to this treasure', 400, 'NFC_TAG_MISMATCH');
+  }
+
+  /**
+   * Accept the tapped URL, its query string, or { piccData, cmac }
+   */
+  parsePayload(nfcData) {
+    if (!nfcData) {
+      return null;
+    }
+
+    let piccData;
+    let cmac;
+
+    if (typeof nfcData === 'string') {
+      const queryString = nfcData.includes('?') ? nfcData.split('?')[1] : nfcData;
+      const params = new URLSearchParams(queryString);
+      piccData = params.get('picc_data') || params.get('e');
+      cmac = params.get('cmac') || params.get('c');
+    } else if (typeof nfcData === 'object') {
+      piccData = nfcData.piccData;
+      cmac = nfcData.cmac;
+    }
+
+    if (!/^[0-9a-fA-F]{32}$/.test(piccData || '') || !/^[0-9a-fA-F]{16}$/.test(cmac || '')) {
+      return null;
+    }
+
+    return {
+      piccData: Buffer.from(piccData, 'hex'),
+      cmac: Buffer.from(cmac, 'hex')
+    };
+  }
+
+  /**
+   * Decrypt PICCData (AES-128-CBC, zero IV) into UID and read counter
+   */
+  decryptPiccData(metaReadKey, piccData) {
+    const decipher = crypto.createDecipheriv('aes-128-cbc', Buffer.from(metaReadKey, 'hex'), Buffer.alloc(16));
+    decipher.setAutoPadding(false);
+    const plain = Buffer.concat([decipher.update(piccData), decipher.final()]);
+
+    if (plain[0] !== PICC_DATA_TAG) {
+      return null;
+    }
+
+    const uidBytes = plain.subarray(1, 8);
+    const counterBytes = plain.subarray(8, 11);
+
+    return {
+      uid: uidBytes.toString('hex').toUpperCase(),
+      uidBytes,
+      counterBytes,
+      counter: counterBytes.readUIntLE(0, 3)
+    };
+  }
+
+  /**
+   * Truncated SDMMAC over an empty MAC input (UID and counter mirroring only)
+   */
+  calculateSdmMac(fileReadKey, uidBytes, counterBytes) {
+    const sessionVector = Buffer.concat([SV2_PREFIX, uidBytes, counterBytes]);
+    const sessionKey = this.aesCmac(Buffer.from(fileReadKey, 'hex'), sessionVector);
+    const fullMac = this.aesCmac(sessionKey, Buffer.alloc(0));
+
+    // Keep the odd-indexed bytes
+    return Buffer.from(fullMac.filter((_, index) => index % 2 === 1));
+  }
+
+  /**
+   * AES-128 CMAC (RFC 4493)
+   */
+  aesCmac(key, message) {
+    const encryptBlock = (block) => {
+      const cipher = crypto.createCipheriv('aes-128-ecb', key, null);
+      cipher.setAutoPadding(false);
+      return Buffer.concat([cipher.update(block), cipher.final()]);
+    };
+
+    const shiftLeft = (buffer) => {
+      const shifted = Buffer.alloc(16);
+      for (let i = 0; i < 16; i++) {
+        shifted[i] = ((buffer[i] << 1) | (i < 15 ? buffer[i + 1] >> 7 : 0)) & 0xff;
+      }
+      if (buffer[0] & 0x80) {
+        shifted[15] ^= 0x87;
+      }
+      return shifted;
+    };
+
+    const k1 = shiftLeft(encryptBlock(Buffer.alloc(16)));
+    const k2 = shiftLeft(k1);
+
+    const blockCount = Math.max(1, Math.ceil(message.length / 16));
+    const complete = message.length > 0 && message.length % 16 === 0;
+
+    const lastBlock = Buffer.alloc(16);
+    message.copy(lastBlock, 0, (blockCount - 1) * 16);
+    if (!complete) {
+      lastBlock[message.length - (blockCount - 1) * 16] = 0x80;
+    }
+    const subkey = complete ? k1 : k2;
+    for (let i = 0; i < 16; i++) {
+      lastBlock[i] ^= subkey[i];
+    }
+
+    let state = Buffer.alloc(16);
+    for (let b = 0; b < blockCount; b++) {
+      const block = b === blockCount - 1 ? lastBlock : message.subarray(b * 16, b * 16 + 16);
+      for (let i = 0; i < 16; i++) {
+        state[i] ^= block[i];
+      }
+      state = encryptBlock(state);
+    }
+
+    return state;
+  }
+
+  encryptKey(keyHex) {
+    return this.keyVault.encrypt(keyHex);
+  }
+
+  decryptKey(encryptedKey) {
+    return this.keyVault.decrypt(encryptedKey);
+  }
+}
+
+module.exports = NfcTagService;
@@ -0,0 +1,249 @@
+// src/services/NftTransferService.js - Gifting treasure NFTs between hunters
+const { v4: uuidv4 } = require('uuid');
+const { User, HunterProfile, Treasure, TreasureDiscovery, Transaction } = require('../models');
+const SuiService = require('./SuiService');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+// A transfer that never finished (e.g. the server restarted) releases the NFT after this long
+const TRANSFER_LOCK_MS = 10 * 60 * 1000;
+
+class NftTransferService {
+  constructor(options = {}) {
+    this.suiService = options.suiService || null;
+    // finder: stats stay with the hunter who found the treasure; owner: they move with the NFT
+    this.statsPolicy = options.statsPolicy || process.env.NFT_TRANSFER_STATS_POLICY || 'finder';
+    this.soulboundRarities = options.soulboundRarities || (process.env.NFT_SOULBOUND_RARITIES ?? '3')
+      .split(',')
+      .map(item => parseInt(item.trim()))
+      .filter(rarity => !isNaN(rarity));
+  }
+
+  /**
+   * NFTs a user's custodial wallet holds: their own finds that were not given away, plus gifts received.
+   * NFTs sent to a linked external wallet have an ownerAddress but no ownerId and belong to nobody here.
+   */
+  ownedBy(userId) {
+    return { $or: [{ ownerId: userId }, { userId, ownerId: null, ownerAddress: null }] };
+  }
+
+  isSoulbound(rarity) {
+    return this.soulboundRarities.includes(rarity);
+  }
+
+  /**
+   * Recipient by username or Sui address (custodial or linked wallet)
+   */
+  async resolveRecipient(recipient) {
+    const value = (recipient || '').trim();
+
+    if (SuiService.isValidAddress(value)) {
+      const user = await User.findOne({
+        $or: [{ suiAddress: value }, { 'linkedWallets.address': value }]
+      });
+      return user ? { user, address: value } : null;
+    }
+
+    const user = await User.findOne({ username: value });
+    return user ? { user, address: user.suiAddress } : null;
+  }
+
+  async transfer(sender, nftObjectId, recipientInput, note) {
+    const discovery = await TreasureDiscovery.findOne({ nftObjectId, ...this.ownedBy(sender._id) });
+    if (!discovery) {
+      throw new AppError('NFT not found in your collection', 404, 'NFT_NOT_FOUND');
+    }
+    if (!/^0x/.test(discovery.nftObjectId) || ['offline', 'failed'].includes(discovery.status)) {
+      throw new AppError('This NFT has not been minted on chain yet', 400, 'NFT_NOT_MINTED');
+    }
+    if (discovery.listingId) {
+      throw new AppError('This NFT is listed on the marketplace, delist it first', 400, 'NFT_LISTED');
+    }
+
+    const treasure = await Treasure.findOne({ treasureId: discovery.treasureId });
+    if (treasure && this.isSoulbound(treasure.rarity)) {
+      throw new AppError(`${treasure.name} is soulbound and cannot be transferred`, 403, 'NFT_SOULBOUND');
+    }
+
+    const recipient = await this.resolveRecipient(recipientInput);
+    if (!recipient || !recipient.user.isActive) {
+      throw new AppError('Recipient hunter not found', 404, 'RECIPIENT_NOT_FOUND');
+    }
+    if (recipient.user._id === sender._id) {
+      throw new AppError('You already own this NFT', 400, 'INVALID_RECIPIENT');
+    }
+
+    // Claim the NFT so a second request cannot send it again while this one runs
+    const transferStartedAt = new Date();
+    const claimed = await TreasureDiscovery.findOneAndUpdate(
+      {
+        _id: discovery._id,
+        ...this.ownedBy(sender._id),
+        listingId: null,
+        $and: [{
+          $or: [
+            { transferStartedAt: null },
+            { transferStartedAt: { $lt: new Date(Date.now() - TRANSFER_LOCK_MS) } }
+          ]
+        }]
+      },
+      { $set: { transferStartedAt } },
+      { new: true }
+    );
+    if (!claimed) {
+      throw new AppError('A transfer of this NFT is already in progress', 409, 'NFT_TRANSFER_IN_PROGRESS');
+    }
+
+    const transferTransaction = new Transaction({
+      userId: sender._id,
+      digest: `pending_nft_transfer_${uuidv4()}`,
+      type: 'nft_transfer',
+      amount: 0,
+      status: 'pending',
+      fromAddress: sender.suiAddress,
+      toAddress: recipient.address,
+      metadata: {
+        nftObjectId,
+        discoveryId: discovery._id,
+        treasureId: discovery.treasureId,
+        recipientUserId: recipient.user._id,
+        // Only the custodial wallet can be signed for; an NFT on a linked wallet is out of our hands
+        custodial: recipient.address === recipient.user.suiAddress,
+        rewardPoints: discovery.rewardPoints ?? treasure?.rewardPoints ?? 0,
+        transferStartedAt,
+        note: note || ''
+      }
+    });
+    await transferTransaction.save();
+
+    let result;
+    try {
+      const suiService = this.getSuiService();
+      result = await suiService.transferNft(suiService.signerFor(sender), nftObjectId, recipient.address, {
+        // Stored before submission, so a transfer whose response is lost can be resolved from the chain
+        onSigned: digest => {
+          transferTransaction.digest = digest;
+          return transferTransaction.save();
+        }
+      });
+    } catch (error) {
+      result = await this.resolveLostTransfer(transferTransaction, error);
+    }
+
+    if (result.transactionDigest) {
+      transferTransaction.digest = result.transactionDigest;
+    }
+    transferTransaction.status = result.status;
+    transferTransaction.gasUsed = result.gasUsed;
+    transferTransaction.blockHeight = result.blockHeight;
+    if (result.error) {
+      transferTransaction.metadata.set('error', result.error);
+    }
+    await transferTransaction.save();
+
+    if (result.status === 'pending') {
+      // The NFT stays locked; the reconciler finishes or releases the transfer once the digest resolves
+      throw new AppError('The NFT transfer was submitted but is not confirmed yet', 502, 'NFT_TRANSFER_UNCONFIRMED');
+    }
+    if (result.status !== 'success') {
+      await this.releaseTransfer(transferTransaction);
+      throw new AppError(`NFT transfer failed: ${result.error}`, 400, 'NFT_TRANSFER_FAILED');
+    }
+
+    await this.completeTransfer(transferTransaction);
+
+    logger.info(`NFT ${nftObjectId} transferred from user ${sender._id} to ${recipient.user._id}: ${result.transactionDigest}`);
+
+    return {
+      transaction: transferTransaction,
+      recipient: recipient.user,
+      recipientAddress: recipient.address,
+      treasure
+    };
+  }
+
+  /**
+   * A transfer call threw: unsigned means nothing was sent, otherwise the NFT's owner on chain decides
+   */
+  async resolveLostTransfer(transaction, error) {
+    if (/^pending_/.test(transaction.digest)) {
+      return { status: 'failed', error: error.message };
+    }
+
+    const owner = await this.getSuiService().getObjectOwner(transaction.metadata.get('nftObjectId')).catch(() => null);
+    if (owner === transaction.toAddress) {
+      return { status: 'success', transactionDigest: transaction.digest };
+    }
+    return { status: 'pending', transactionDigest: transaction.digest, error: error.message };
+  }
+
+  /**
+   * Hand the NFT to the recipient once its transfer is on chain; only the first call moves ownership and stats
+   */
+  async completeTransfer(transaction) {
+    const metadata = transaction.metadata;
+    const recipientUserId = metadata.get('recipientUserId');
+
+    const handedOver = await TreasureDiscovery.findOneAndUpdate(
+      { _id: metadata.get('discoveryId'), ...this.ownedBy(transaction.userId) },
+      {
+        $set: {
+          ownerId: metadata.get('custodial') ? recipientUserId : null,
+          ownerAddress: transaction.toAddress,
+          lastTransferredAt: new Date()
+        },
+        $inc: { transferCount: 1 },
+        $unset: { transferStartedAt: 1 }
+      }
+    );
+    if (handedOver) {
+      await this.applyStatsPolicy(transaction.userId, recipientUserId, metadata.get('rewardPoints') || 0);
+    }
+    return Boolean(handedOver);
+  }
+
+  /**
+   * Unlock the NFT after a transfer that did not happen, unless a newer transfer holds the lock
+   */
+  async releaseTransfer(transaction) {
+    const transferStartedAt = transaction.metadata.get('transferStartedAt');
+    await TreasureDiscovery.updateOne(
+      { _id: transaction.metadata.get('discoveryId'), ...(transferStartedAt ? { transferStartedAt } : {}) },
+      { $unset: { transferStartedAt: 1 } }
+    );
+  }
+
+  /**
+   * Move the find and its points to the new owner when the policy says so, re-ranking both hunters
+   */
+  async applyStatsPolicy(fromUserId, toUserId, points) {
+    if (this.statsPolicy !== 'owner') {
+      return;
+    }
+
+    const rerank = { $set: { rank: HunterProfile.rankExpression() } };
+    await Promise.all([
+      HunterProfile.updateOne({ userId: fromUserId }, [{
+        $set: {
+          totalTreasuresFound: { $max: [0, { $subtract: ['$totalTreasuresFound', 1] }] },
+          totalScore: { $max: [0, { $subtract: ['$totalScore', points] }] }
+        }
+      }, rerank]),
+      HunterProfile.updateOne({ userId: toUserId }, [{
+        $set: {
+          totalTreasuresFound: { $add: ['$totalTreasuresFound', 1] },
+          totalScore: { $add: ['$totalScore', points] }
+        }
+      }, rerank])
+    ]);
+  }
+
+  getSuiService() {
+    if (!this.suiService) {
+      this.suiService = new SuiService(process.env.SUI_NETWORK || 'testnet');
+    }
+    return this.suiService;
+  }
+}
+
+module.exports = NftTransferService;
@@ -0,0 +1,96 @@
+// src/services/QrCodeService.js - Server-signed, rotating QR payloads for treasures
+const crypto = require('crypto');
+const { AppError } = require('../middleware/errorHandler');
+
+const PAYLOAD_PREFIX = 'TH1';
+
+class QrCodeService {
+  constructor(options = {}) {
+    this.secret = options.secret || process.env.QR_SIGNING_SECRET;
+    this.clockSkewMs = options.clockSkewMs || 30 * 1000;
+  }
+
+  /**
+   * Create a signed payload for a treasure
+   * expiresInSeconds gives a fixed lifetime, rotationSeconds ties the code to the current rotation window
+   */
+  generate(treasure, { expiresInSeconds, rotationSeconds } = {}) {
+    const now = Date.now();
+    const claims = {
+      tid: treasure.treasureId,
+      ver: treasure.qrVersion || 1,
+      iat: Math.floor(now / 1000)
+    };
+
+    if (rotationSeconds) {
+      const windowMs = rotationSeconds * 1000;
+      claims.exp = Math.floor((Math.floor(now / windowMs) + 1) * windowMs / 1000);
+    } else if (expiresInSeconds) {
+      claims.exp = claims.iat + expiresInSeconds;
+    }
+
+    const body = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    return {
+      payload: `${PAYLOAD_PREFIX}.${body}.${this.sign(body)}`,
+      claims,
+      issuedAt: new Date(claims.iat * 1000),
+      expiresAt: claims.exp ? new Date(claims.exp * 1000) : null
+    };
+  }
+
+  /**
+   * Verify a scanned payload for the given treasure
+   * Throws AppError with a QR_* code when the payload is rejected
+   */
+  verify(treasure, qrData) {
+    const parts = typeof qrData === 'string' ? qrData.trim().split('.') : [];
+    if (parts.length !== 3 || parts[0] !== PAYLOAD_PREFIX) {
+      throw new AppError('QR code is not a signed treasure code', 400, 'QR_UNSIGNED');
+    }
+
+    const [, body, signature] = parts;
+    const expected = Buffer.from(this.sign(body));
+    const provided = Buffer.from(signature);
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+      throw new AppError('QR code signature is invalid', 400, 'QR_BAD_SIGNATURE');
+    }
+
+    let claims;
+    try {
+      claims = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new AppError('QR code payload is malformed', 400, 'QR_UNSIGNED');
+    }
+
+    if (claims.tid !== treasure.treasureId) {
+      throw new AppError('QR code belongs to a different treasure', 400, 'QR_WRONG_TREASURE');
+    }
+
+    const now = Date.now();
+    if (claims.iat * 1000 > now + this.clockSkewMs) {
+      throw new AppError('QR code issue time is in the future', 400, 'QR_BAD_SIGNATURE');
+    }
+    if (claims.exp && claims.exp * 1000 + this.clockSkewMs < now) {
+      throw new AppError('QR code has expired, scan the current code', 400, 'QR_EXPIRED');
+    }
+    if (claims.ver !== (treasure.qrVersion || 1)) {
+      throw new AppError('QR code has been rotated, scan the current code', 400, 'QR_REVOKED');
+    }
+
+    return {
+      treasureId: claims.tid,
+      version: claims.ver,
+      issuedAt: new Date(claims.iat * 1000),
+      expiresAt: claims.exp ? new Date(claims.exp * 1000) : null
+    };
+  }
+
+  sign(body) {
+    if (!this.secret) {
+      throw new AppError('QR signing is not configured', 503, 'SERVICE_UNAVAILABLE');
+    }
+    return crypto.createHmac('sha256', this.secret).update(`${PAYLOAD_PREFIX}.${body}`).digest('base64url');
+  }
+}
+
+module.exports = QrCodeService;
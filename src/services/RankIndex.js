@@ -0,0 +1,368 @@
+// src/services/RankIndex.js - In-memory leaderboard rank index kept in step with hunter profile writes
+// and resynced from the database, since other instances and scripts write profiles too
+const { HunterProfile } = require('../models');
+const logger = require('../utils/logger');
+
+// Ranking keys per leaderboard sort: primary value, then tie-breaker (both descending)
+const SORT_FIELDS = {
+  score: ['totalScore', 'totalTreasuresFound'],
+  treasures: ['totalTreasuresFound', 'totalScore'],
+  streak: ['currentStreak', 'totalScore']
+};
+const RANKED_FIELDS = ['totalScore', 'totalTreasuresFound', 'currentStreak'];
+
+/**
+ * Order-statistic treap: every node knows its subtree size, so rank and k-th lookups
+ * are O(log n). Entries are ordered best first; userId keeps equal values in a stable order.
+ */
+class RankTree {
+  constructor() {
+    this.root = null;
+  }
+
+  get size() {
+    return this.root ? this.root.size : 0;
+  }
+
+  // Negative when a ranks ahead of b
+  compare(a, b) {
+    if (a.primary !== b.primary) return b.primary - a.primary;
+    if (a.secondary !== b.secondary) return b.secondary - a.secondary;
+    if (a.userId === b.userId) return 0;
+    return a.userId < b.userId ? -1 : 1;
+  }
+
+  update(node) {
+    node.size = 1 + (node.left ? node.left.size : 0) + (node.right ? node.right.size : 0);
+    return node;
+  }
+
+  // Split into entries ranked ahead of key and the rest
+  split(node, key) {
+    if (!node) return [null, null];
+
+    if (this.compare(node.entry, key) < 0) {
+      const [left, right] = this.split(node.right, key);
+      node.right = left;
+      return [this.update(node), right];
+    }
+    const [left, right] = this.split(node.left, key);
+    node.left = right;
+    return [left, this.update(node)];
+  }
+
+  merge(left, right) {
+    if (!left || !right) return left || right;
+
+    if (left.priority > right.priority) {
+      left.right = this.merge(left.right, right);
+      return this.update(left);
+    }
+    right.left = this.merge(left, right.left);
+    return this.update(right);
+  }
+
+  insert(entry) {
+    const node = { entry, priority: Math.random(), size: 1, left: null, right: null };
+    const [left, right] = this.split(this.root, entry);
+    this.root = this.merge(this.merge(left, node), right);
+  }
+
+  remove(entry) {
+    const [left, rest] = this.split(this.root, entry);
+    // rest starts with the entry itself; drop its smallest node
+    const [, right] = this.split(rest, { ...entry, userId: `${entry.userId}\u0000` });
+    this.root = this.merge(left, right);
+  }
+
+  /**
+   * Number of entries ranked strictly ahead of key
+   */
+  countAhead(key) {
+    let node = this.root;
+    let count = 0;
+
+    while (node) {
+      if (this.compare(node.entry, key) < 0) {
+        count += 1 + (node.left ? node.left.size : 0);
+        node = node.right;
+      } else {
+        node = node.left;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Entry at a 0-based index in ranking order
+   */
+  at(index) {
+    let node = this.root;
+
+    while (node) {
+      const leftSize = node.left ? node.left.size : 0;
+      if (index < leftSize) {
+        node = node.left;
+      } else if (index === leftSize) {
+        return node.entry;
+      } else {
+        index -= leftSize + 1;
+        node = node.right;
+      }
+    }
+    return null;
+  }
+}
+
+class RankIndex {
+  constructor(options = {}) {
+    this.trees = Object.fromEntries(Object.keys(SORT_FIELDS).map(sortBy => [sortBy, new RankTree()]));
+    // userId -> last indexed values, needed to find the old entry on update
+    this.profiles = new Map();
+    this.resyncMs = options.resyncMs ?? (parseInt(process.env.RANK_INDEX_RESYNC_MS) || 60000);
+    this.ready = false;
+    this.loading = null;
+    this.rebuilding = null;
+    // Writes seen during a rebuild, replayed on top of the rows it read
+    this.pending = null;
+    this.stale = false;
+    this.timer = null;
+  }
+
+  static getInstance() {
+    if (!RankIndex.instance) {
+      RankIndex.instance = new RankIndex();
+    }
+    return RankIndex.instance;
+  }
+
+  /**
+   * Build the index from all hunter profiles, then follow profile writes and resync periodically
+   */
+  load() {
+    if (!this.loading) {
+      HunterProfile.onChange((userId, profile) => this.onProfileChange(userId, profile));
+      this.loading = this.rebuild()
+        .then(() => {
+          this.start();
+          return this;
+        })
+        .catch(error => {
+          this.loading = null;
+          throw error;
+        });
+    }
+    return this.loading;
+  }
+
+  onProfileChange(userId, profile) {
+    // A bulk write touched an unknown set of hunters
+    if (userId === null) {
+      this.markStale();
+      return;
+    }
+
+    if (this.pending) {
+      this.pending.set(userId, profile);
+    }
+    if (this.ready) {
+      this.set(userId, profile);
+    }
+  }
+
+  /**
+   * Rebuild as soon as possible; a rebuild already running may have missed the change
+   */
+  markStale() {
+    this.stale = true;
+    if (this.ready && !this.rebuilding) {
+      this.rebuild().catch(error => logger.error('Rank index rebuild failed:', error));
+    }
+  }
+
+  /**
+   * Periodic resync picks up writes this process never saw (other instances, scripts)
+   */
+  start() {
+    if (this.timer || !this.resyncMs) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.rebuild().catch(error => logger.error('Rank index resync failed:', error));
+    }, this.resyncMs);
+
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  rebuild() {
+    if (!this.rebuilding) {
+      this.rebuilding = this.build().finally(() => {
+        this.rebuilding = null;
+        if (this.stale && this.ready) {
+          this.markStale();
+        }
+      });
+    }
+    return this.rebuilding;
+  }
+
+  /**
+   * Read all profiles into a fresh index and swap it in; lookups keep using the old one meanwhile
+   */
+  async build() {
+    const startedAt = Date.now();
+    const fresh = new RankIndex();
+    const pending = new Map();
+    this.pending = pending;
+    this.stale = false;
+
+    try {
+      const cursor = HunterProfile.find({})
+        .select(['userId', ...RANKED_FIELDS])
+        .lean()
+        .cursor();
+
+      for await (const profile of cursor) {
+        if (!pending.has(profile.userId)) {
+          fresh.set(profile.userId, profile);
+        }
+      }
+      for (const [userId, profile] of pending) {
+        fresh.set(userId, profile);
+      }
+    } finally {
+      this.pending = null;
+    }
+
+    this.trees = fresh.trees;
+    this.profiles = fresh.profiles;
+    this.ready = true;
+    logger.info(`Rank index built: ${this.profiles.size} hunters in ${Date.now() - startedAt}ms`);
+    return this;
+  }
+
+  /**
+   * Fetch a hunter this process has not indexed yet, e.g. one created by another instance
+   */
+  async ensure(userId) {
+    if (this.profiles.has(userId)) {
+      return;
+    }
+
+    const profile = await HunterProfile.findOne({ userId }).select(['userId', ...RANKED_FIELDS]).lean();
+    if (profile && !this.profiles.has(userId)) {
+      this.set(userId, profile);
+    }
+  }
+
+  /**
+   * Insert, move or (with a null profile) remove a hunter
+   */
+  set(userId, profile) {
+    const previous = this.profiles.get(userId);
+    if (previous) {
+      for (const sortBy of Object.keys(SORT_FIELDS)) {
+        this.trees[sortBy].remove(this.entryFor(sortBy, userId, previous));
+      }
+      this.profiles.delete(userId);
+    }
+
+    if (!profile) {
+      return;
+    }
+
+    const values = {
+      totalScore: profile.totalScore || 0,
+      totalTreasuresFound: profile.totalTreasuresFound || 0,
+      currentStreak: profile.currentStreak || 0
+    };
+    for (const sortBy of Object.keys(SORT_FIELDS)) {
+      this.trees[sortBy].insert(this.entryFor(sortBy, userId, values));
+    }
+    this.profiles.set(userId, values);
+  }
+
+  entryFor(sortBy, userId, values) {
+    const [primaryField, secondaryField] = SORT_FIELDS[sortBy] || SORT_FIELDS.score;
+    return { userId, primary: values[primaryField], secondary: values[secondaryField] };
+  }
+
+  get total() {
+    return this.profiles.size;
+  }
+
+  /**
+   * Position shared by hunters with equal values (1 + hunters strictly ahead) and the
+   * share of hunters ranked below. Null when the hunter has no profile.
+   */
+  getPosition(userId, sortBy = 'score') {
+    const values = this.profiles.get(userId);
+    if (!values) {
+      return null;
+    }
+
+    const position = this.positionOf(sortBy, this.entryFor(sortBy, userId, values));
+    return {
+      position,
+      total: this.total,
+      percentile: this.getPercentile(position)
+    };
+  }
+
+  positionOf(sortBy, entry) {
+    // An empty userId sorts before every real one, so equal values are not counted as ahead
+    return this.trees[sortBy].countAhead({ ...entry, userId: '' }) + 1;
+  }
+
+  getPercentile(position) {
+    if (this.total === 0) {
+      return null;
+    }
+    return Math.round(((this.total - position) / this.total) * 1000) / 10;
+  }
+
+  /**
+   * The hunter plus up to `radius` hunters ranked directly above and below
+   */
+  getAround(userId, sortBy = 'score', radius = 5) {
+    const values = this.profiles.get(userId);
+    if (!values) {
+      return null;
+    }
+
+    const tree = this.trees[sortBy];
+    const entry = this.entryFor(sortBy, userId, values);
+    const index = tree.countAhead(entry);
+    const from = Math.max(0, index - radius);
+    const to = Math.min(tree.size - 1, index + radius);
+
+    const entries = [];
+    for (let i = from; i <= to; i++) {
+      const neighbour = tree.at(i);
+      entries.push({
+        userId: neighbour.userId,
+        ...this.profiles.get(neighbour.userId),
+        position: this.positionOf(sortBy, neighbour),
+        isCurrentUser: neighbour.userId === userId
+      });
+    }
+
+    return {
+      position: this.positionOf(sortBy, entry),
+      total: this.total,
+      entries
+    };
+  }
+}
+
+module.exports = RankIndex;
@@ -0,0 +1,226 @@
+// src/services/SessionService.js - Short-lived access tokens with rotating, revocable refresh tokens
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { AuthSession, User } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+// sessionId -> { revoked, checkedAt }; keeps the per-request revocation check off the database
+const revocationCache = new Map();
+
+class SessionService {
+  constructor(options = {}) {
+    this.accessTokenExpiresIn = options.accessTokenExpiresIn || process.env.JWT_EXPIRES_IN || '15m';
+    this.refreshTokenTtlMs = options.refreshTokenTtlMs ||
+      parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30') * 24 * 60 * 60 * 1000;
+    this.cacheTtlMs = options.cacheTtlMs ?? parseInt(process.env.SESSION_CACHE_TTL_MS || '10000');
+    // How long the token that was just rotated out may still be refreshed (parallel tabs)
+    this.reuseGraceMs = options.reuseGraceMs ?? parseInt(process.env.REFRESH_TOKEN_REUSE_GRACE_MS || '30000');
+  }
+
+  /**
+   * Open a session for a device and issue its first token pair
+   */
+  async createSession(user, { deviceName, userAgent, ipAddress } = {}) {
+    const refreshSecret = this.generateSecret();
+    const session = new AuthSession({
+      userId: user._id,
+      refreshTokenHash: this.hashToken(refreshSecret),
+      deviceName: deviceName || this.describeDevice(userAgent),
+      userAgent,
+      ipAddress,
+      expiresAt: new Date(Date.now() + this.refreshTokenTtlMs)
+    });
+    await session.save();
+
+    logger.info(`Session ${session._id} opened for user ${user._id}`);
+    return { session, tokens: this.issueTokens(user, session, refreshSecret) };
+  }
+
+  /**
+   * Exchange a refresh token for a new pair; the old refresh token stops working
+   * Presenting an already rotated token revokes the whole session, unless it was rotated
+   * less than reuseGraceMs ago - then it gets the same new refresh token as the first request
+   */
+  async refresh(refreshToken) {
+    const [sessionId, refreshSecret] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+    if (!sessionId || !refreshSecret) {
+      throw new AppError('Invalid refresh token', 401, 'INVALID_REFRESH_TOKEN');
+    }
+
+    const presentedHash = this.hashToken(refreshSecret);
+    // Derived rather than random, so concurrent refreshes of one token agree on the next one
+    const nextSecret = this.deriveNextSecret(sessionId, refreshSecret);
+    const nextHash = this.hashToken(nextSecret);
+
+    let session = await AuthSession.findOneAndUpdate(
+      { _id: sessionId, refreshTokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+      {
+        $set: {
+          refreshTokenHash: nextHash,
+          previousRefreshTokenHash: presentedHash,
+          rotatedAt: new Date(),
+          lastUsedAt: new Date()
+        },
+        $inc: { rotationCount: 1 }
+      },
+      { new: true }
+    );
+
+    if (!session && this.reuseGraceMs > 0) {
+      // Another tab refreshed with the same token a moment ago
+      session = await AuthSession.findOne({
+        _id: sessionId,
+        refreshTokenHash: nextHash,
+        previousRefreshTokenHash: presentedHash,
+        rotatedAt: { $gt: new Date(Date.now() - this.reuseGraceMs) },
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+      });
+    }
+
+    if (!session) {
+      await this.explainRefreshFailure(sessionId, presentedHash);
+    }
+
+    const user = await User.findById(session.userId);
+    if (!user || !user.isActive) {
+      await this.revoke(session.userId, session._id, 'admin');
+      throw new AppError('Account is disabled', 401, 'ACCOUNT_DISABLED');
+    }
+
+    return { user, session, tokens: this.issueTokens(user, session, nextSecret) };
+  }
+
+  async explainRefreshFailure(sessionId, presentedHash) {
+    const existing = await AuthSession.findById(sessionId);
+
+    if (!existing || (existing.refreshTokenHash !== presentedHash && existing.previousRefreshTokenHash !== presentedHash)) {
+      throw new AppError('Invalid refresh token', 401, 'INVALID_REFRESH_TOKEN');
+    }
+    if (existing.revokedAt) {
+      throw new AppError('Session has been revoked, please log in again', 401, 'SESSION_REVOKED');
+    }
+    if (existing.expiresAt <= new Date()) {
+      throw new AppError('Session has expired, please log in again', 401, 'SESSION_EXPIRED');
+    }
+
+    // An old token came back after rotation - someone else holds a copy
+    await this.revoke(existing.userId, existing._id, 'refresh_token_reuse');
+    logger.warn(`Refresh token reuse detected, session ${existing._id} of user ${existing.userId} revoked`);
+    throw new AppError('Refresh token was already used, session revoked', 401, 'REFRESH_TOKEN_REUSED');
+  }
+
+  async listSessions(userId) {
+    return AuthSession.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .sort({ lastUsedAt: -1 });
+  }
+
+  async revoke(userId, sessionId, reason = 'logout') {
+    const result = await AuthSession.updateOne(
+      { _id: sessionId, userId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    revocationCache.set(sessionId, { revoked: true, checkedAt: Date.now() });
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Revoke every open session of a user, optionally keeping the current one
+   */
+  async revokeAll(userId, reason = 'logout_all', exceptSessionId = null) {
+    const filter = { userId, revokedAt: null };
+    if (exceptSessionId) {
+      filter._id = { $ne: exceptSessionId };
+    }
+
+    const sessions = await AuthSession.find(filter).select('_id');
+    await AuthSession.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+    sessions.forEach(session => revocationCache.set(session._id, { revoked: true, checkedAt: Date.now() }));
+
+    logger.info(`Revoked ${sessions.length} sessions of user ${userId} (${reason})`);
+    return sessions.length;
+  }
+
+  /**
+   * Revocation check used by the auth middleware on every request
+   */
+  async isRevoked(sessionId) {
+    const cached = revocationCache.get(sessionId);
+    if (cached && (cached.revoked || Date.now() - cached.checkedAt < this.cacheTtlMs)) {
+      return cached.revoked;
+    }
+
+    if (revocationCache.size > 10000) {
+      revocationCache.clear();
+    }
+
+    const session = await AuthSession.findById(sessionId).select('revokedAt expiresAt');
+    const revoked = !session || !!session.revokedAt || session.expiresAt <= new Date();
+    revocationCache.set(sessionId, { revoked, checkedAt: Date.now() });
+    return revoked;
+  }
+
+  issueTokens(user, session, refreshSecret) {
+    const token = jwt.sign(
+      {
+        userId: user._id,
+        suiAddress: user.suiAddress,
+        username: user.username,
+        role: user.role || 'user',
+        sid: session._id
+      },
+      process.env.JWT_SECRET,
+      {
+        expiresIn: this.accessTokenExpiresIn,
+        issuer: 'treasure-hunt-api',
+        audience: 'treasure-hunt-app',
+        jwtid: uuidv4()
+      }
+    );
+
+    return {
+      token,
+      tokenExpiresIn: this.accessTokenExpiresIn,
+      refreshToken: `${session._id}.${refreshSecret}`,
+      refreshTokenExpiresAt: session.expiresAt,
+      sessionId: session._id
+    };
+  }
+
+  formatSession(session, currentSessionId) {
+    return {
+      sessionId: session._id,
+      deviceName: session.deviceName,
+      ipAddress: session.ipAddress,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: session._id === currentSessionId
+    };
+  }
+
+  describeDevice(userAgent) {
+    if (!userAgent) return 'Unknown device';
+    if (/iphone|ipad/i.test(userAgent)) return 'iOS device';
+    if (/android/i.test(userAgent)) return 'Android device';
+    return userAgent.substring(0, 100);
+  }
+
+  deriveNextSecret(sessionId, refreshSecret) {
+    return crypto.createHmac('sha256', process.env.JWT_SECRET)
+      .update(`${sessionId}.${refreshSecret}`)
+      .digest('base64url');
+  }
+
+  generateSecret() {
+    return crypto.randomBytes(32).toString('base64url');
+  }
+
+  hashToken(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+}
+
+module.exports = SessionService;
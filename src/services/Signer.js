@@ -0,0 +1,158 @@
+// src/services/Signer.js - Transaction signers: local encrypted key, remote signing service, in-memory test key
+const { Ed25519Keypair } = require('@mysten/sui/keypairs/ed25519');
+const { TransactionDataBuilder } = require('@mysten/sui/transactions');
+const { toB64 } = require('@mysten/bcs');
+const logger = require('../utils/logger');
+
+/**
+ * Base signer - implementations provide getAddress() and signTransaction(bytes)
+ * Building and executing the transaction stays here so every signer behaves the same
+ */
+class Signer {
+  async getAddress() {
+    throw new Error('Signer.getAddress() not implemented');
+  }
+
+  /**
+   * Sign serialized TransactionData, returns { signature } (serialized Sui signature, base64)
+   */
+  async signTransaction() {
+    throw new Error('Signer.signTransaction() not implemented');
+  }
+
+  /**
+   * onSigned(digest) runs before submission, so callers can record a digest whose response may get lost
+   */
+  async signAndExecute(client, tx, options = {}, { onSigned } = {}) {
+    tx.setSenderIfNotSet(await this.getAddress());
+    const bytes = await tx.build({ client });
+    const { signature } = await this.signTransaction(bytes);
+    if (onSigned) {
+      await onSigned(TransactionDataBuilder.getDigestFromBytes(bytes));
+    }
+
+    return client.executeTransactionBlock({
+      transactionBlock: bytes,
+      signature,
+      options
+    });
+  }
+
+  /**
+   * Sponsored transaction: gas is paid from the sponsor's coins and both parties sign the same bytes
+   */
+  async signAndExecuteSponsored(client, tx, sponsor, options = {}, { onSigned } = {}) {
+    tx.setSenderIfNotSet(await this.getAddress());
+    tx.setGasOwner(await sponsor.getAddress());
+    const bytes = await tx.build({ client });
+    const [{ signature }, { signature: sponsorSignature }] = await Promise.all([
+      this.signTransaction(bytes),
+      sponsor.signTransaction(bytes)
+    ]);
+    if (onSigned) {
+      await onSigned(TransactionDataBuilder.getDigestFromBytes(bytes));
+    }
+
+    return client.executeTransactionBlock({
+      transactionBlock: bytes,
+      signature: [signature, sponsorSignature],
+      options
+    });
+  }
+}
+
+/**
+ * Decrypts the stored key in-process (the original behaviour)
+ */
+class LocalKeySigner extends Signer {
+  constructor(encryptedPrivateKey, suiService) {
+    super();
+    this.encryptedPrivateKey = encryptedPrivateKey;
+    this.suiService = suiService;
+    this.keypair = null;
+  }
+
+  getKeypair() {
+    if (!this.keypair) {
+      this.keypair = this.suiService.loadKeypair(this.encryptedPrivateKey);
+    }
+    return this.keypair;
+  }
+
+  async getAddress() {
+    return this.getKeypair().getPublicKey().toSuiAddress();
+  }
+
+  async signTransaction(bytes) {
+    return this.getKeypair().signTransaction(bytes);
+  }
+}
+
+/**
+ * Delegates signing to a separate service over HTTP, so keys never enter the API process
+ * POST {url}/sign { address, bytes } -> { signature }
+ */
+class RemoteSigner extends Signer {
+  constructor(address, options = {}) {
+    super();
+    this.address = address;
+    this.url = (options.url || process.env.SIGNER_SERVICE_URL || '').replace(/\/$/, '');
+    this.token = options.token || process.env.SIGNER_SERVICE_TOKEN;
+    this.timeoutMs = options.timeoutMs || parseInt(process.env.SIGNER_SERVICE_TIMEOUT_MS || '10000');
+
+    if (!this.url) {
+      throw new Error('SIGNER_SERVICE_URL is required for remote signing');
+    }
+  }
+
+  async getAddress() {
+    return this.address;
+  }
+
+  async signTransaction(bytes) {
+    const response = await fetch(`${this.url}/sign`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.token ? { Authorization: `Bearer ${this.token}` } : {})
+      },
+      body: JSON.stringify({ address: this.address, bytes: toB64(bytes) }),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok || !body.signature) {
+      logger.error(`Remote signer rejected transaction for ${this.address}: ${response.status}`);
+      throw new Error(`Remote signing failed: ${body.message || response.statusText}`);
+    }
+
+    return { signature: body.signature };
+  }
+}
+
+/**
+ * In-memory key for tests and local scripts; records what it signed
+ */
+class TestSigner extends Signer {
+  constructor(keypair = new Ed25519Keypair()) {
+    super();
+    this.keypair = keypair;
+    this.signedTransactions = [];
+  }
+
+  async getAddress() {
+    return this.keypair.getPublicKey().toSuiAddress();
+  }
+
+  async signTransaction(bytes) {
+    this.signedTransactions.push(bytes);
+    return this.keypair.signTransaction(bytes);
+  }
+}
+
+module.exports = {
+  Signer,
+  LocalKeySigner,
+  RemoteSigner,
+  TestSigner
+};
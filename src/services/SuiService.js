@@ -2,8 +2,12 @@
 const { SuiClient, getFullnodeUrl } = require('@mysten/sui/client');
 const { Ed25519Keypair } = require('@mysten/sui/keypairs/ed25519');
 const { Transaction } = require('@mysten/sui/transactions');
-const { fromB64, toB64 } = require('@mysten/bcs');
-const CryptoJS = require('crypto-js');
+const { verifyPersonalMessageSignature } = require('@mysten/sui/verify');
+const { normalizeSuiAddress } = require('@mysten/sui/utils');
+const { fromB64 } = require('@mysten/bcs');
+const KeyVault = require('./KeyVault');
+const { Signer, LocalKeySigner, RemoteSigner } = require('./Signer');
+const GasSponsorService = require('./GasSponsorService');
 const logger = require('../utils/logger');
 
 class SuiService {
@@ -20,9 +24,10 @@ class SuiService {
       throw new Error('SUI_PACKAGE_ID environment variable is required');
     }
 
-    if (!this.masterKey) {
+    if (!this.masterKey && !process.env.ENCRYPTION_KEYS) {
       throw new Error('ENCRYPTION_MASTER_KEY environment variable is required');
     }
+    this.keyVault = new KeyVault();
 
     logger.info(`Sui Service initialized for ${network} network`);
   }
@@ -44,17 +49,15 @@ class SuiService {
       const keypair = Ed25519Keypair.fromSecretKey(randomBytes);
       const address = keypair.getPublicKey().toSuiAddress();
 
-      // Convert the 32-byte secret key to base64 for storage
-      const privateKeyForStorage = toB64(randomBytes);
+      // Store the secret key in Sui bech32 format (suiprivkey1...)
+      const privateKeyForStorage = keypair.getSecretKey();
 
       console.log('✅ Wallet generation details:');
       console.log('📍 Address:', address);
-      console.log('📝 Private key B64 length:', privateKeyForStorage.length, 'chars');
-      console.log('📝 Private key preview:', privateKeyForStorage.substring(0, 20) + '...');
+      console.log('📝 Private key length:', privateKeyForStorage.length, 'chars');
 
       // Test that we can recreate the keypair from stored data
-      const testBytes = fromB64(privateKeyForStorage);
-      const testKeypair = Ed25519Keypair.fromSecretKey(testBytes);
+      const testKeypair = Ed25519Keypair.fromSecretKey(privateKeyForStorage);
       const testAddress = testKeypair.getPublicKey().toSuiAddress();
 
       if (testAddress !== address) {
@@ -88,6 +91,23 @@ class SuiService {
     }
   }
 
+  /**
+   * Verify a personal message signature from an external wallet
+   * Returns false instead of throwing when the signature does not belong to the address
+   */
+  async verifyPersonalMessage(message, signature, address) {
+    try {
+      await verifyPersonalMessageSignature(new TextEncoder().encode(message), signature, {
+        address,
+        client: this.client
+      });
+      return true;
+    } catch (error) {
+      logger.warn(`Personal message signature rejected for ${address}: ${error.message}`);
+      return false;
+    }
+  }
+
   /**
    * Load keypair from encrypted private key
    */
@@ -101,13 +121,15 @@ class SuiService {
         throw new Error('No encrypted private key provided');
       }
 
-      if (!this.masterKey) {
-        throw new Error('ENCRYPTION_MASTER_KEY not configured');
-      }
-
       console.log('🔓 Attempting to decrypt private key...');
       const privateKey = this.decryptPrivateKey(encryptedPrivateKey);
       console.log('✅ Private key decrypted successfully');
+
+      // Envelope-encrypted keys are always stored in bech32 format - no format guessing
+      if (KeyVault.isEnvelope(encryptedPrivateKey)) {
+        return Ed25519Keypair.fromSecretKey(privateKey);
+      }
+
       console.log('📝 Decrypted key length:', privateKey?.length || 0);
       console.log('📝 Decrypted key preview:', privateKey.substring(0, 20) + '...');
 
@@ -164,47 +186,111 @@ class SuiService {
     }
   }
 
+  /**
+   * Signer for a user's wallet, chosen by SUI_SIGNER (local | remote)
+   */
+  signerFor(user) {
+    if ((process.env.SUI_SIGNER || 'local') === 'remote') {
+      return new RemoteSigner(user.suiAddress);
+    }
+    return new LocalKeySigner(user.encryptedPrivateKey, this);
+  }
+
+  /**
+   * Accept a Signer or, for older callers, an encrypted private key
+   */
+  resolveSigner(signerOrKey) {
+    if (signerOrKey instanceof Signer) {
+      return signerOrKey;
+    }
+    if (typeof signerOrKey === 'string') {
+      return new LocalKeySigner(signerOrKey, this);
+    }
+    throw new Error('A signer or encrypted private key is required');
+  }
+
+  getGasSponsor() {
+    if (!this.gasSponsor) {
+      this.gasSponsor = new GasSponsorService({ suiService: this });
+    }
+    return this.gasSponsor;
+  }
+
+  /**
+   * Reserve sponsored gas for whitelisted calls, otherwise the sender must cover the gas budget
+   */
+  async prepareGas(address, target, gasBudget) {
+    const sponsorship = await this.getGasSponsor().reserve(address, target, gasBudget);
+    if (sponsorship) {
+      return sponsorship;
+    }
+
+    const balance = await this.getBalance(address);
+    if (BigInt(balance) < BigInt(gasBudget)) {
+      throw new Error(`Insufficient SUI balance for transaction. Need at least ${gasBudget / 1000000000} SUI for gas.`);
+    }
+    return null;
+  }
+
+  /**
+   * Sign and execute, with the gas sponsor as co-signer when gas was reserved
+   * hooks.onSigned(digest) is called before submission (see Signer.signAndExecute)
+   */
+  async executeTransaction(signer, tx, options, sponsorship = null, hooks = {}) {
+    if (!sponsorship) {
+      return signer.signAndExecute(this.client, tx, options, hooks);
+    }
+
+    // Pay with the leased coin instead of letting the SDK pick one another transaction may be using
+    if (sponsorship.gasCoin) {
+      tx.setGasPayment([sponsorship.gasCoin]);
+    }
+
+    let result;
+    try {
+      result = await signer.signAndExecuteSponsored(this.client, tx, sponsorship.signer, options, hooks);
+    } catch (error) {
+      await this.getGasSponsor().release(sponsorship, error);
+      throw error;
+    }
+    // The transaction already executed, so bookkeeping errors must not fail it
+    await this.getGasSponsor().settle(sponsorship, result)
+      .catch(error => logger.error('Failed to record sponsored gas:', error));
+    return result;
+  }
+
   /**
    * Create hunter profile on blockchain
    */
-  async createHunterProfile(encryptedPrivateKey, username) {
+  async createHunterProfile(signerOrKey, username) {
     try {
-      const keypair = this.loadKeypair(encryptedPrivateKey);
-      const address = keypair.getPublicKey().toSuiAddress();
+      const signer = this.resolveSigner(signerOrKey);
+      const address = await signer.getAddress();
 
       logger.info(`Creating hunter profile for ${address} with username: ${username}`);
 
-      // Check balance first
-      const balance = await this.getBalance(address);
-      const suiBalance = Number(balance) / 1000000000;
-
-      if (suiBalance < 0.02) {
-        throw new Error('Insufficient SUI balance for transaction. Need at least 0.02 SUI for gas.');
-      }
+      const target = `${this.packageId}::treasure_nft::create_hunter_profile`;
+      const sponsorship = await this.prepareGas(address, target, 20_000_000);
 
       const tx = new Transaction();
       tx.setSender(address);
       tx.setGasBudget(20_000_000); // 0.02 SUI
 
       tx.moveCall({
-        target: `${this.packageId}::treasure_nft::create_hunter_profile`,
+        target,
         arguments: [tx.pure.string(username)],
       });
 
       console.log(`📡 Executing create_hunter_profile transaction...`);
       console.log(`📦 Package ID: ${this.packageId}`);
       console.log(`👤 Username: ${username}`);
-      console.log(`💰 Gas budget: 0.02 SUI`);
+      console.log(`💰 Gas budget: 0.02 SUI${sponsorship ? ' (sponsored)' : ''}`);
 
-      const result = await this.client.signAndExecuteTransaction({
-        signer: keypair,
-        transaction: tx,
-        options: {
-          showEffects: true,
-          showObjectChanges: true,
-          showEvents: true,
-        },
-      });
+      const result = await this.executeTransaction(signer, tx, {
+        showEffects: true,
+        showObjectChanges: true,
+        showEvents: true,
+      }, sponsorship);
 
       console.log(`📋 Transaction result:`, JSON.stringify(result, null, 2));
 
@@ -245,31 +331,26 @@ class SuiService {
   /**
    * Discover treasure and mint NFT
    */
-  async discoverTreasure(encryptedPrivateKey, profileObjectId, treasureId, locationProof) {
+  async discoverTreasure(signerOrKey, profileObjectId, treasureId, locationProof) {
     try {
       logger.info(`Discovering treasure: ${treasureId}`);
 
-      const keypair = this.loadKeypair(encryptedPrivateKey);
-      const address = keypair.getPublicKey().toSuiAddress();
-
-      // Check balance first
-      const balance = await this.getBalance(address);
-      const suiBalance = Number(balance) / 1000000000;
-
-      if (suiBalance < 0.05) {
-        throw new Error('Insufficient SUI balance for transaction. Need at least 0.05 SUI for gas.');
-      }
+      const signer = this.resolveSigner(signerOrKey);
+      const address = await signer.getAddress();
 
       if (!this.treasureRegistryId) {
         throw new Error('TREASURE_REGISTRY_ID not configured');
       }
 
+      const target = `${this.packageId}::treasure_nft::find_treasure`;
+      const sponsorship = await this.prepareGas(address, target, 50_000_000);
+
       const tx = new Transaction();
       tx.setSender(address);
       tx.setGasBudget(50_000_000); // 0.05 SUI
 
       tx.moveCall({
-        target: `${this.packageId}::treasure_nft::find_treasure`,
+        target,
         arguments: [
           tx.object(this.treasureRegistryId),
           tx.object(profileObjectId),
@@ -279,15 +360,11 @@ class SuiService {
         ],
       });
 
-      const result = await this.client.signAndExecuteTransaction({
-        signer: keypair,
-        transaction: tx,
-        options: {
-          showEffects: true,
-          showObjectChanges: true,
-          showEvents: true,
-        },
-      });
+      const result = await this.executeTransaction(signer, tx, {
+        showEffects: true,
+        showObjectChanges: true,
+        showEvents: true,
+      }, sponsorship);
 
       if (result.effects?.status?.status !== 'success') {
         const error = result.effects?.status?.error || 'Unknown error';
@@ -322,6 +399,413 @@ class SuiService {
     }
   }
 
+  /**
+   * Mint the special NFT for completing a hunt
+   * onSigned(digest) is called before submission (see Signer.signAndExecute)
+   */
+  async mintHuntCompletionNft(signerOrKey, profileObjectId, huntData, { onSigned } = {}) {
+    try {
+      const { huntId, name, description, imageUrl, treasureIds } = huntData;
+      logger.info(`Minting hunt completion NFT: ${huntId}`);
+
+      const signer = this.resolveSigner(signerOrKey);
+      const address = await signer.getAddress();
+
+      if (!this.treasureRegistryId) {
+        throw new Error('TREASURE_REGISTRY_ID not configured');
+      }
+
+      const target = `${this.packageId}::treasure_nft::complete_hunt`;
+      const sponsorship = await this.prepareGas(address, target, 50_000_000);
+
+      const tx = new Transaction();
+      tx.setSender(address);
+      tx.setGasBudget(50_000_000); // 0.05 SUI
+
+      tx.moveCall({
+        target,
+        arguments: [
+          tx.object(this.treasureRegistryId),
+          tx.object(profileObjectId),
+          tx.pure.string(huntId),
+          tx.pure.string(name),
+          tx.pure.string(description || ''),
+          tx.pure.string(imageUrl || ''),
+          tx.pure.vector('string', treasureIds),
+          tx.object('0x6'), // System clock
+        ],
+      });
+
+      const result = await this.executeTransaction(signer, tx, {
+        showEffects: true,
+        showObjectChanges: true,
+      }, sponsorship, { onSigned });
+
+      if (result.effects?.status?.status !== 'success') {
+        throw new Error(`Transaction failed: ${result.effects?.status?.error || 'Unknown error'}`);
+      }
+
+      const nftObject = result.objectChanges?.find(change =>
+        change.type === 'created' && change.objectType?.includes('HuntCompletionNFT')
+      );
+
+      if (!nftObject?.objectId) {
+        throw new Error('Failed to extract hunt NFT object ID');
+      }
+
+      logger.info(`Hunt completion NFT minted: ${nftObject.objectId}`);
+
+      return {
+        transactionDigest: result.digest,
+        nftObjectId: nftObject.objectId,
+        blockHeight: result.checkpoint
+      };
+    } catch (error) {
+      logger.error('Hunt completion NFT mint failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mint a soulbound achievement badge to a hunter's address. The badge type has
+   * no `store` ability, so the recipient cannot transfer it.
+   */
+  async mintAchievementBadge(signerOrKey, recipientAddress, badgeData, { onSigned } = {}) {
+    try {
+      const { achievementId, name, description, imageUrl, points } = badgeData;
+      logger.info(`Minting achievement badge ${achievementId} to ${recipientAddress}`);
+
+      if (!SuiService.isValidAddress(recipientAddress)) {
+        throw new Error('Invalid recipient address');
+      }
+
+      const signer = this.resolveSigner(signerOrKey);
+      const address = await signer.getAddress();
+
+      const target = `${this.packageId}::treasure_nft::mint_achievement_badge`;
+      const sponsorship = await this.prepareGas(address, target, 20_000_000);
+
+      const tx = new Transaction();
+      tx.setSender(address);
+      tx.setGasBudget(20_000_000); // 0.02 SUI
+
+      tx.moveCall({
+        target,
+        arguments: [
+          tx.pure.address(recipientAddress),
+          tx.pure.string(achievementId),
+          tx.pure.string(name),
+          tx.pure.string(description || ''),
+          tx.pure.string(imageUrl || ''),
+          tx.pure.u64(points || 0),
+          tx.object('0x6'), // System clock
+        ],
+      });
+
+      const result = await this.executeTransaction(signer, tx, {
+        showEffects: true,
+        showObjectChanges: true,
+      }, sponsorship, { onSigned });
+
+      if (result.effects?.status?.status !== 'success') {
+        throw new Error(`Transaction failed: ${result.effects?.status?.error || 'Unknown error'}`);
+      }
+
+      const badgeObject = result.objectChanges?.find(change =>
+        change.type === 'created' && change.objectType?.includes('AchievementBadge')
+      );
+
+      if (!badgeObject?.objectId) {
+        throw new Error('Failed to extract badge object ID');
+      }
+
+      logger.info(`Achievement badge minted: ${badgeObject.objectId}`);
+
+      return {
+        transactionDigest: result.digest,
+        nftObjectId: badgeObject.objectId,
+        blockHeight: result.checkpoint
+      };
+    } catch (error) {
+      logger.error('Achievement badge mint failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Transfer SUI from the user's wallet to another address
+   * onSigned(digest) is called before submission (see Signer.signAndExecute)
+   */
+  async transferSui(signerOrKey, toAddress, amountInMist, { onSigned } = {}) {
+    try {
+      if (!SuiService.isValidAddress(toAddress)) {
+        throw new Error('Invalid recipient address');
+      }
+
+      const signer = this.resolveSigner(signerOrKey);
+      const address = await signer.getAddress();
+      const gasBudget = await this.estimateGasCost('transfer');
+
+      logger.info(`Transferring ${amountInMist} MIST from ${address} to ${toAddress}`);
+
+      // Check balance first (amount + gas)
+      const balance = await this.getBalance(address);
+      if (BigInt(balance) < BigInt(amountInMist) + BigInt(gasBudget)) {
+        throw new Error('Insufficient SUI balance for transfer and gas fees');
+      }
+
+      const tx = new Transaction();
+      tx.setSender(address);
+      tx.setGasBudget(gasBudget);
+
+      const [coin] = tx.splitCoins(tx.gas, [tx.pure.u64(amountInMist)]);
+      tx.transferObjects([coin], tx.pure.address(toAddress));
+
+      const result = await signer.signAndExecute(this.client, tx, {
+        showEffects: true,
+        showBalanceChanges: true,
+      }, { onSigned });
+
+      const success = result.effects?.status?.status === 'success';
+      logger.info(`Transfer ${success ? 'succeeded' : 'failed'}: ${result.digest}`);
+
+      return {
+        transactionDigest: result.digest,
+        status: success ? 'success' : 'failed',
+        error: success ? null : (result.effects?.status?.error || 'Unknown error'),
+        gasUsed: this.calculateGasUsed(result.effects),
+        blockHeight: result.checkpoint ? Number(result.checkpoint) : undefined,
+        balanceChanges: result.balanceChanges || []
+      };
+    } catch (error) {
+      logger.error('SUI transfer failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move every transferable object and all SUI from the user's wallet to another address
+   * Used when a custodial wallet is handed over to self-custody
+   */
+  async transferAllAssets(signerOrKey, toAddress) {
+    try {
+      if (!SuiService.isValidAddress(toAddress)) {
+        throw new Error('Invalid recipient address');
+      }
+
+      const signer = this.resolveSigner(signerOrKey);
+      const address = await signer.getAddress();
+
+      const objectIds = [];
+      let cursor = null;
+      do {
+        const page = await this.client.getOwnedObjects({
+          owner: address,
+          cursor,
+          options: { showType: true, showContent: true }
+        });
+        for (const item of page.data) {
+          // SUI coins move as gas below; objects without `store` cannot be transferred by the owner
+          if (item.data?.type?.startsWith('0x2::coin::Coin<0x2::sui::SUI>')) continue;
+          if (item.data?.content?.hasPublicTransfer === false) continue;
+          objectIds.push(item.data.objectId);
+        }
+        cursor = page.hasNextPage ? page.nextCursor : null;
+      } while (cursor);
+
+      const gasCoins = [];
+      cursor = null;
+      do {
+        const page = await this.client.getCoins({ owner: address, coinType: '0x2::sui::SUI', cursor });
+        gasCoins.push(...page.data);
+        cursor = page.hasNextPage ? page.nextCursor : null;
+      } while (cursor);
+
+      if (gasCoins.length === 0) {
+        throw new Error('Insufficient SUI balance for transfer and gas fees');
+      }
+
+      logger.info(`Transferring ${objectIds.length} objects and all SUI from ${address} to ${toAddress}`);
+
+      const tx = new Transaction();
+      tx.setSender(address);
+      tx.setGasBudget(await this.estimateGasCost('transfer') * 2);
+      // Pay with every SUI coin so the remaining balance moves with tx.gas (max 256 payment coins)
+      tx.setGasPayment(gasCoins.slice(0, 256).map(coin => ({
+        objectId: coin.coinObjectId,
+        version: coin.version,
+        digest: coin.digest
+      })));
+
+      if (objectIds.length > 0) {
+        tx.transferObjects(objectIds.map(id => tx.object(id)), tx.pure.address(toAddress));
+      }
+      tx.transferObjects([tx.gas], tx.pure.address(toAddress));
+
+      const result = await signer.signAndExecute(this.client, tx, {
+        showEffects: true,
+        showBalanceChanges: true,
+      });
+
+      const success = result.effects?.status?.status === 'success';
+      logger.info(`Asset transfer ${success ? 'succeeded' : 'failed'}: ${result.digest}`);
+
+      return {
+        transactionDigest: result.digest,
+        status: success ? 'success' : 'failed',
+        error: success ? null : (result.effects?.status?.error || 'Unknown error'),
+        transferredObjects: objectIds,
+        gasUsed: this.calculateGasUsed(result.effects),
+        balanceChanges: result.balanceChanges || []
+      };
+    } catch (error) {
+      logger.error('Asset transfer failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Pay several recipients from the user's wallet in one transaction
+   * payments: [{ address, amountInMist }] - zero amounts are skipped
+   * onSigned(digest) is called before submission (see Signer.signAndExecute)
+   */
+  async paySui(signerOrKey, payments, { onSigned } = {}) {
+    try {
+      const outputs = payments.filter(payment => BigInt(payment.amountInMist) > 0n);
+      if (outputs.length === 0) {
+        throw new Error('Nothing to pay');
+      }
+      if (outputs.some(payment => !SuiService.isValidAddress(payment.address))) {
+        throw new Error('Invalid recipient address');
+      }
+
+      const signer = this.resolveSigner(signerOrKey);
+      const address = await signer.getAddress();
+      const gasBudget = await this.estimateGasCost('transfer');
+      const total = outputs.reduce((sum, payment) => sum + BigInt(payment.amountInMist), 0n);
+
+      const balance = await this.getBalance(address);
+      if (BigInt(balance) < total + BigInt(gasBudget)) {
+        throw new Error('Insufficient SUI balance for transfer and gas fees');
+      }
+
+      logger.info(`Paying ${total} MIST from ${address} to ${outputs.length} recipients`);
+
+      const tx = new Transaction();
+      tx.setSender(address);
+      tx.setGasBudget(gasBudget);
+
+      const coins = tx.splitCoins(tx.gas, outputs.map(payment => tx.pure.u64(payment.amountInMist)));
+      outputs.forEach((payment, index) => {
+        tx.transferObjects([coins[index]], tx.pure.address(payment.address));
+      });
+
+      const result = await signer.signAndExecute(this.client, tx, {
+        showEffects: true,
+        showBalanceChanges: true,
+      }, { onSigned });
+
+      const success = result.effects?.status?.status === 'success';
+      logger.info(`Payment ${success ? 'succeeded' : 'failed'}: ${result.digest}`);
+
+      return {
+        transactionDigest: result.digest,
+        status: success ? 'success' : 'failed',
+        error: success ? null : (result.effects?.status?.error || 'Unknown error'),
+        gasUsed: this.calculateGasUsed(result.effects),
+        blockHeight: result.checkpoint ? Number(result.checkpoint) : undefined,
+        balanceChanges: result.balanceChanges || []
+      };
+    } catch (error) {
+      logger.error('SUI payment failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Address that owns an object, or null for shared, wrapped or deleted objects
+   */
+  async getObjectOwner(objectId) {
+    const object = await this.client.getObject({ id: objectId, options: { showOwner: true } });
+    return object.data?.owner?.AddressOwner || null;
+  }
+
+  /**
+   * Transfer an owned NFT (any object with public transfer) to another address
+   * onSigned(digest) is called before submission (see Signer.signAndExecute)
+   */
+  async transferNft(signerOrKey, objectId, toAddress, { onSigned } = {}) {
+    try {
+      if (!SuiService.isValidAddress(toAddress)) {
+        throw new Error('Invalid recipient address');
+      }
+
+      const signer = this.resolveSigner(signerOrKey);
+      const address = await signer.getAddress();
+      const gasBudget = await this.estimateGasCost('transfer');
+
+      const object = await this.client.getObject({ id: objectId, options: { showOwner: true } });
+      if (object.data?.owner?.AddressOwner !== address) {
+        throw new Error('NFT is not owned by this wallet');
+      }
+
+      const balance = await this.getBalance(address);
+      if (BigInt(balance) < BigInt(gasBudget)) {
+        throw new Error('Insufficient SUI balance for transaction. Need at least 0.01 SUI for gas.');
+      }
+
+      logger.info(`Transferring NFT ${objectId} from ${address} to ${toAddress}`);
+
+      const tx = new Transaction();
+      tx.setSender(address);
+      tx.setGasBudget(gasBudget);
+      tx.transferObjects([tx.object(objectId)], tx.pure.address(toAddress));
+
+      const result = await signer.signAndExecute(this.client, tx, {
+        showEffects: true,
+      }, { onSigned });
+
+      const success = result.effects?.status?.status === 'success';
+      logger.info(`NFT transfer ${success ? 'succeeded' : 'failed'}: ${result.digest}`);
+
+      return {
+        transactionDigest: result.digest,
+        status: success ? 'success' : 'failed',
+        error: success ? null : (result.effects?.status?.error || 'Unknown error'),
+        gasUsed: this.calculateGasUsed(result.effects),
+        blockHeight: result.checkpoint ? Number(result.checkpoint) : undefined
+      };
+    } catch (error) {
+      logger.error('NFT transfer failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Private key in Sui bech32 format (suiprivkey1...) for import into a wallet
+   */
+  exportSecretKey(encryptedPrivateKey) {
+    const keypair = this.loadKeypair(encryptedPrivateKey);
+    return {
+      address: keypair.getPublicKey().toSuiAddress(),
+      secretKey: keypair.getSecretKey()
+    };
+  }
+
+  /**
+   * Net gas cost in MIST from transaction effects
+   */
+  calculateGasUsed(effects) {
+    const gas = effects?.gasUsed;
+    if (!gas) {
+      return 0;
+    }
+
+    return Number(gas.computationCost || 0) +
+      Number(gas.storageCost || 0) -
+      Number(gas.storageRebate || 0);
+  }
+
   /**
    * Get wallet balance
    */
@@ -362,6 +846,41 @@ class SuiService {
     }
   }
 
+  /**
+   * Find the TreasureNFT an address minted for a treasure and still holds, across all pages
+   * NFTs of the same treasure that were found by someone else (gifted or bought) are skipped
+   */
+  async findTreasureNft(address, treasureId) {
+    const finder = normalizeSuiAddress(address);
+    let cursor = null;
+
+    do {
+      const page = await this.client.getOwnedObjects({
+        owner: address,
+        filter: {
+          StructType: `${this.packageId}::treasure_nft::TreasureNFT`,
+        },
+        options: {
+          showContent: true,
+          showPreviousTransaction: true,
+        },
+        cursor,
+      });
+
+      const match = (page.data || []).find(object => {
+        const fields = object.data?.content?.fields;
+        return fields?.treasure_id === treasureId &&
+          !!fields.finder_address && normalizeSuiAddress(fields.finder_address) === finder;
+      });
+      if (match) {
+        return match.data;
+      }
+      cursor = page.hasNextPage ? page.nextCursor : null;
+    } while (cursor);
+
+    return null;
+  }
+
   /**
    * Get transaction history
    */
@@ -459,18 +978,21 @@ class SuiService {
         throw new Error(`Invalid JSON response from faucet: ${responseText.substring(0, 200)}...`);
       }
 
-      if (response.ok) {
+      if (response.ok && (!result.status || result.status === 'Success')) {
+        // v2 reports coins_sent, v1 transferredGasObjects - each coin carries the digest that sent it
+        const coins = result.coins_sent || result.transferredGasObjects || [];
         logger.info(`Faucet request successful for ${address}`);
         return {
           success: true,
-          transactionDigests: result.transferredGasObjects || [],
+          transactionDigests: [...new Set(coins.map(coin => coin.transferTxDigest).filter(Boolean))],
+          amount: coins.reduce((sum, coin) => sum + Number(coin.amount || 0), 0),
           message: 'SUI tokens sent successfully'
         };
       } else {
         logger.warn(`Faucet request failed for ${address}:`, result);
         return {
           success: false,
-          message: result.error || result.status?.Failure || 'Faucet request failed'
+          message: result.error || result.status?.Failure?.internal || result.status?.Failure || 'Faucet request failed'
         };
       }
     } catch (error) {
@@ -541,15 +1063,15 @@ class SuiService {
   }
 
   /**
-   * Encrypt private key using AES
+   * Encrypt private key with a per-key data key wrapped by the active key-encryption key
    */
   encryptPrivateKey(privateKey) {
     try {
       console.log('🔐 Encrypting private key...');
       console.log('📝 Private key length:', privateKey?.length || 0);
-      console.log('🔑 Master key exists:', !!this.masterKey);
+      console.log('🔑 Active key id:', this.keyVault.activeKeyId);
 
-      const encrypted = CryptoJS.AES.encrypt(privateKey, this.masterKey).toString();
+      const encrypted = this.keyVault.encrypt(privateKey);
       console.log('✅ Encryption successful');
       console.log('📝 Encrypted length:', encrypted?.length || 0);
 
@@ -561,18 +1083,14 @@ class SuiService {
   }
 
   /**
-   * Decrypt private key using AES
+   * Decrypt private key (envelope or legacy passphrase ciphertext)
    */
   decryptPrivateKey(encryptedKey) {
     try {
       console.log('🔓 Decrypting private key...');
-      console.log('📝 Encrypted key preview:', encryptedKey.substring(0, 30) + '...');
-      console.log('🔑 Master key exists:', !!this.masterKey);
+      console.log('🔑 Key id:', this.keyVault.keyIdOf(encryptedKey));
 
-      const bytes = CryptoJS.AES.decrypt(encryptedKey, this.masterKey);
-      console.log('📦 Decryption bytes created');
-
-      const decrypted = bytes.toString(CryptoJS.enc.Utf8);
+      const decrypted = this.keyVault.decrypt(encryptedKey);
       console.log('📝 Decrypted string length:', decrypted?.length || 0);
 
       if (!decrypted || decrypted.length === 0) {
@@ -583,11 +1101,27 @@ class SuiService {
       return decrypted;
     } catch (error) {
       console.error('❌ Failed to decrypt private key:', error);
-      console.error('❌ This usually means the ENCRYPTION_MASTER_KEY is wrong');
+      console.error('❌ This usually means the key it was encrypted with is missing from ENCRYPTION_MASTER_KEY / ENCRYPTION_KEYS');
       throw new Error(`Decryption failed: ${error.message}`);
     }
   }
 
+  /**
+   * Re-encrypt a stored key under the active key-encryption key
+   * Legacy keys are normalized to bech32 and must still match the wallet address
+   */
+  reencryptPrivateKey(encryptedPrivateKey, expectedAddress) {
+    if (KeyVault.isEnvelope(encryptedPrivateKey)) {
+      return this.keyVault.rewrap(encryptedPrivateKey);
+    }
+
+    const keypair = this.loadKeypair(encryptedPrivateKey);
+    if (expectedAddress && keypair.getPublicKey().toSuiAddress() !== expectedAddress) {
+      throw new Error('Decrypted key does not match the wallet address');
+    }
+    return this.keyVault.encrypt(keypair.getSecretKey());
+  }
+
   /**
    * Validate Sui address format
    */
@@ -668,7 +1202,7 @@ class SuiService {
   /**
  * Add treasure to registry (admin only) - calls smart contract
  */
-  async addTreasure(adminEncryptedPrivateKey, treasureData) {
+  async addTreasure(signerOrKey, treasureData) {
     try {
       const {
         treasureId,
@@ -684,8 +1218,8 @@ class SuiService {
 
       logger.info(`Adding treasure to blockchain registry: ${treasureId}`);
 
-      const keypair = this.loadKeypair(adminEncryptedPrivateKey);
-      const address = keypair.getPublicKey().toSuiAddress();
+      const signer = this.resolveSigner(signerOrKey);
+      const address = await signer.getAddress();
 
       // Check balance first
       const balance = await this.getBalance(address);
@@ -726,14 +1260,10 @@ class SuiService {
       console.log(`💎 Treasure: ${name} (${treasureId})`);
       console.log(`💰 Gas budget: 0.03 SUI`);
 
-      const result = await this.client.signAndExecuteTransaction({
-        signer: keypair,
-        transaction: tx,
-        options: {
-          showEffects: true,
-          showObjectChanges: true,
-          showEvents: true,
-        },
+      const result = await signer.signAndExecute(this.client, tx, {
+        showEffects: true,
+        showObjectChanges: true,
+        showEvents: true,
       });
 
       console.log(`📋 Transaction result:`, JSON.stringify(result, null, 2));
@@ -984,34 +1514,7 @@ class SuiService {
     try {
       logger.info(`Getting treasures from blockchain registry...`);
 
-      if (!this.treasureRegistryId) {
-        throw new Error('TREASURE_REGISTRY_ID not configured');
-      }
-
-      // Get the registry object
-      const registryObject = await this.client.getObject({
-        id: this.treasureRegistryId,
-        options: {
-          showContent: true,
-          showDisplay: true,
-        },
-      });
-
-      if (!registryObject.data) {
-        throw new Error('Treasure registry not found on blockchain');
-      }
-
-      console.log(`🏛️ Registry object:`, JSON.stringify(registryObject.data, null, 2));
-
-      // Extract treasures from registry
-      const content = registryObject.data.content;
-      let treasures = [];
-
-      if (content && content.fields && content.fields.treasures) {
-        // Parse the treasures map/vector from the registry
-        // This structure depends on how your smart contract stores treasures
-        treasures = content.fields.treasures || [];
-      }
+      const treasures = await this.fetchRegistryTreasures();
 
       return {
         treasures: treasures.slice(offset, offset + limit),
@@ -1026,6 +1529,88 @@ class SuiService {
     }
   }
 
+  /**
+   * Read every treasure in the registry, whether stored inline (vector) or in a Table
+   */
+  async fetchRegistryTreasures() {
+    if (!this.treasureRegistryId) {
+      throw new Error('TREASURE_REGISTRY_ID not configured');
+    }
+
+    const registryObject = await this.client.getObject({
+      id: this.treasureRegistryId,
+      options: { showContent: true }
+    });
+
+    if (!registryObject.data) {
+      throw new Error('Treasure registry not found on blockchain');
+    }
+
+    const stored = registryObject.data.content?.fields?.treasures;
+    if (!stored) {
+      return [];
+    }
+
+    // vector<TreasureInfo> or VecMap - entries are inline
+    if (Array.isArray(stored)) {
+      return stored.map(entry => this.normalizeRegistryTreasure(entry));
+    }
+    if (Array.isArray(stored.fields?.contents)) {
+      return stored.fields.contents.map(entry => this.normalizeRegistryTreasure(entry.fields?.value || entry.value));
+    }
+
+    // Table<String, TreasureInfo> - entries are dynamic fields of the table
+    const tableId = stored.fields?.id?.id;
+    if (!tableId) {
+      throw new Error('Unsupported treasure registry layout');
+    }
+
+    const treasures = [];
+    let cursor = null;
+    do {
+      const page = await this.client.getDynamicFields({ parentId: tableId, cursor });
+      const objects = await this.client.multiGetObjects({
+        ids: page.data.map(field => field.objectId),
+        options: { showContent: true }
+      });
+
+      for (const object of objects) {
+        const field = object.data?.content?.fields;
+        if (field?.value) {
+          treasures.push(this.normalizeRegistryTreasure(field.value, field.name));
+        }
+      }
+
+      cursor = page.hasNextPage ? page.nextCursor : null;
+    } while (cursor);
+
+    return treasures;
+  }
+
+  /**
+   * Map a Move TreasureInfo struct to plain treasure data
+   */
+  normalizeRegistryTreasure(entry, key = null) {
+    const fields = entry?.fields || entry || {};
+    const [latitude, longitude] = String(fields.coordinates || '')
+      .split(',')
+      .map(coord => parseFloat(coord.trim()));
+
+    return {
+      treasureId: fields.treasure_id || fields.treasureId || key,
+      name: fields.name,
+      description: fields.description || '',
+      imageUrl: fields.image_url || fields.imageUrl || '',
+      rarity: Number(fields.rarity),
+      location: fields.location || '',
+      latitude,
+      longitude,
+      requiredRank: Number(fields.required_rank ?? fields.requiredRank ?? 1),
+      rewardPoints: Number(fields.reward_points ?? fields.rewardPoints ?? 0),
+      isActive: fields.is_active ?? fields.isActive ?? true
+    };
+  }
+
   /**
  * Verify treasure exists in registry - IMPROVED VERSION
  */
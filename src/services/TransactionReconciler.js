@@ -0,0 +1,250 @@
+// src/services/TransactionReconciler.js - Background reconciliation of pending on-chain records
+const { Transaction, TreasureDiscovery } = require('../models');
+const SuiService = require('./SuiService');
+const NftTransferService = require('./NftTransferService');
+const logger = require('../utils/logger');
+
+// Digests that were never submitted to the chain (nothing to look up)
+const PLACEHOLDER_DIGEST = /^(offline_|pending_)/;
+
+class TransactionReconciler {
+  constructor(options = {}) {
+    this.suiService = options.suiService || null;
+    this.nftTransferService = options.nftTransferService || null;
+    this.intervalMs = options.intervalMs || parseInt(process.env.RECONCILE_INTERVAL_MS) || 60000;
+    this.batchSize = options.batchSize || parseInt(process.env.RECONCILE_BATCH_SIZE) || 25;
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.RECONCILE_MAX_ATTEMPTS) || 30;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start periodic reconciliation
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    logger.info(`Transaction reconciler started (every ${this.intervalMs}ms)`);
+    this.timer = setInterval(() => {
+      this.runOnce().catch(error => logger.error('Reconciliation run failed:', error));
+    }, this.intervalMs);
+
+    // Don't keep the process alive just for reconciliation
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Stop periodic reconciliation
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Transaction reconciler stopped');
+    }
+  }
+
+  /**
+   * Reconcile one batch of pending transactions and discoveries
+   */
+  async runOnce() {
+    if (this.running) {
+      return { skipped: true };
+    }
+
+    this.running = true;
+    try {
+      const suiService = this.getSuiService();
+      const [transactions, discoveries] = await Promise.all([
+        this.reconcileTransactions(suiService),
+        this.reconcileDiscoveries(suiService)
+      ]);
+
+      const summary = { transactions, discoveries, finishedAt: new Date() };
+      logger.debug(`Reconciliation summary: ${JSON.stringify(summary)}`);
+      return summary;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Reconcile pending Transaction documents
+   */
+  async reconcileTransactions(suiService) {
+    const pending = await Transaction.find({
+      status: 'pending',
+      digest: { $not: PLACEHOLDER_DIGEST }
+    })
+      .sort({ createdAt: 1 })
+      .limit(this.batchSize);
+
+    const counts = { checked: pending.length, confirmed: 0, failed: 0, stillPending: 0 };
+
+    for (const transaction of pending) {
+      const outcome = await this.lookup(suiService, transaction.digest);
+      if (outcome.status === 'unknown') {
+        counts.stillPending += 1;
+        continue;
+      }
+
+      const attempts = (transaction.metadata.get('reconcileAttempts') || 0) + 1;
+      if (outcome.status === 'not_found' && attempts < this.maxAttempts) {
+        transaction.metadata.set('reconcileAttempts', attempts);
+        await transaction.save();
+        counts.stillPending += 1;
+        continue;
+      }
+
+      // Transaction status 'success' is the confirmed state for Transaction documents
+      transaction.status = outcome.status === 'confirmed' ? 'success' : 'failed';
+      if (outcome.effects) {
+        transaction.gasUsed = outcome.effects.gasUsed;
+        transaction.blockHeight = outcome.effects.checkpoint;
+      }
+      transaction.metadata.set('reconcileAttempts', attempts);
+      transaction.metadata.set('reconciliation', this.buildRecord(outcome));
+      await transaction.save();
+      await this.settleNftTransfer(transaction);
+
+      counts[outcome.status === 'confirmed' ? 'confirmed' : 'failed'] += 1;
+      console.log(`🔁 Transaction ${transaction.digest} reconciled: ${transaction.status}`);
+    }
+
+    return counts;
+  }
+
+  /**
+   * A gift whose response was lost is only finished here: hand the NFT over, or unlock it
+   */
+  async settleNftTransfer(transaction) {
+    if (transaction.type !== 'nft_transfer' || !transaction.metadata.get('discoveryId')) {
+      return;
+    }
+
+    const nftTransferService = this.getNftTransferService();
+    if (transaction.status === 'success') {
+      await nftTransferService.completeTransfer(transaction);
+    } else {
+      await nftTransferService.releaseTransfer(transaction);
+    }
+  }
+
+  /**
+   * Reconcile pending TreasureDiscovery documents
+   */
+  async reconcileDiscoveries(suiService) {
+    // Discoveries recorded before the status field existed have no status at all
+    const pending = await TreasureDiscovery.find({
+      $or: [{ status: 'pending' }, { status: { $exists: false } }],
+      transactionDigest: { $not: PLACEHOLDER_DIGEST }
+    })
+      .sort({ discoveredAt: 1 })
+      .limit(this.batchSize);
+
+    const counts = { checked: pending.length, confirmed: 0, failed: 0, stillPending: 0 };
+
+    for (const discovery of pending) {
+      const outcome = await this.lookup(suiService, discovery.transactionDigest);
+      if (outcome.status === 'unknown') {
+        counts.stillPending += 1;
+        continue;
+      }
+
+      const verificationData = discovery.verificationData || {};
+      const attempts = (verificationData.reconcileAttempts || 0) + 1;
+      if (outcome.status === 'not_found' && attempts < this.maxAttempts) {
+        discovery.verificationData = { ...verificationData, reconcileAttempts: attempts };
+        discovery.markModified('verificationData');
+        await discovery.save();
+        counts.stillPending += 1;
+        continue;
+      }
+
+      discovery.status = outcome.status === 'confirmed' ? 'confirmed' : 'failed';
+      discovery.verificationData = {
+        ...verificationData,
+        reconcileAttempts: attempts,
+        blockHeight: outcome.effects?.checkpoint ?? verificationData.blockHeight,
+        gasUsed: outcome.effects?.gasUsed ?? verificationData.gasUsed,
+        reconciliation: this.buildRecord(outcome)
+      };
+      discovery.markModified('verificationData');
+      await discovery.save();
+
+      counts[discovery.status] += 1;
+      console.log(`🔁 Discovery ${discovery._id} reconciled: ${discovery.status}`);
+    }
+
+    return counts;
+  }
+
+  /**
+   * Look up a digest on chain and classify it as confirmed, failed, not_found or unknown
+   * Only not_found counts towards maxAttempts: timeouts, 5xx responses or a dead node say
+   * nothing about the transaction, and a transaction without a checkpoint yet will get one
+   */
+  async lookup(suiService, digest) {
+    let details;
+    try {
+      details = await suiService.getTransactionDetails(digest);
+    } catch (error) {
+      const status = /could not find/i.test(error.message) ? 'not_found' : 'unknown';
+      return { status, error: error.message };
+    }
+
+    if (!details?.effects || !details.checkpoint) {
+      return { status: 'unknown' };
+    }
+
+    const effects = {
+      status: details.effects.status?.status,
+      error: details.effects.status?.error || null,
+      gasUsed: suiService.calculateGasUsed(details.effects),
+      checkpoint: Number(details.checkpoint),
+      timestampMs: details.timestampMs ? Number(details.timestampMs) : null,
+      events: (details.events || []).map(event => ({
+        type: event.type,
+        parsedJson: event.parsedJson
+      }))
+    };
+
+    return {
+      status: effects.status === 'success' ? 'confirmed' : 'failed',
+      error: effects.error,
+      effects
+    };
+  }
+
+  /**
+   * Build the reconciliation record stored alongside the document
+   */
+  buildRecord(outcome) {
+    return {
+      result: outcome.status === 'confirmed' ? 'confirmed' : 'failed',
+      reason: outcome.effects ? outcome.error : (outcome.error || 'not_found_on_chain'),
+      ...(outcome.effects || {}),
+      reconciledAt: new Date()
+    };
+  }
+
+  getSuiService() {
+    if (!this.suiService) {
+      this.suiService = new SuiService(process.env.SUI_NETWORK || 'testnet');
+    }
+    return this.suiService;
+  }
+
+  getNftTransferService() {
+    if (!this.nftTransferService) {
+      this.nftTransferService = new NftTransferService({ suiService: this.getSuiService() });
+    }
+    return this.nftTransferService;
+  }
+}
+
+module.exports = TransactionReconciler;
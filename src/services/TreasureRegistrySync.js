@@ -0,0 +1,169 @@
+// src/services/TreasureRegistrySync.js - Import the on-chain TreasureRegistry into the Treasure collection
+const { Treasure } = require('../models');
+const SuiService = require('./SuiService');
+const logger = require('../utils/logger');
+
+// Fields owned by the registry - local edits to these are overwritten on sync
+const SYNCED_FIELDS = ['name', 'description', 'imageUrl', 'rarity', 'rewardPoints', 'requiredRank', 'latitude', 'longitude'];
+
+class TreasureRegistrySync {
+  constructor(options = {}) {
+    this.suiService = options.suiService || null;
+  }
+
+  /**
+   * Diff the registry against Mongo and apply it unless dryRun is set
+   * deactivateMissing also deactivates synced treasures that disappeared from the registry
+   */
+  async sync({ dryRun = false, deactivateMissing = false, syncedBy = null } = {}) {
+    const startedAt = new Date();
+    const onChain = await this.getSuiService().fetchRegistryTreasures();
+
+    const report = {
+      dryRun,
+      registryTotal: onChain.length,
+      added: [],
+      updated: [],
+      unchanged: 0,
+      invalid: [],
+      missingFromRegistry: [],
+      deactivated: []
+    };
+
+    const registryIds = new Set();
+
+    for (const entry of onChain) {
+      const problem = this.validateEntry(entry);
+      if (problem) {
+        report.invalid.push({ treasureId: entry.treasureId || null, reason: problem });
+        continue;
+      }
+      registryIds.add(entry.treasureId);
+
+      const treasure = await Treasure.findOne({ treasureId: entry.treasureId });
+      if (!treasure) {
+        report.added.push({ treasureId: entry.treasureId, name: entry.name, rarity: entry.rarity });
+        if (!dryRun) {
+          await this.createTreasure(entry, syncedBy);
+        }
+        continue;
+      }
+
+      const changes = this.diff(treasure, entry);
+      if (Object.keys(changes).length === 0 && treasure.registrySyncedAt) {
+        report.unchanged += 1;
+        if (!dryRun) {
+          treasure.registrySyncedAt = startedAt;
+          await treasure.save();
+        }
+        continue;
+      }
+
+      report.updated.push({ treasureId: entry.treasureId, changes });
+      if (!dryRun) {
+        this.applyEntry(treasure, entry, startedAt);
+        await treasure.save();
+      }
+    }
+
+    // Previously synced treasures that are no longer on chain
+    const stale = await Treasure.find({
+      $or: [{ registrySyncedAt: { $ne: null } }, { missingFromRegistryAt: { $ne: null } }],
+      treasureId: { $nin: [...registryIds] },
+      isActive: true
+    });
+
+    for (const treasure of stale) {
+      report.missingFromRegistry.push(treasure.treasureId);
+      if (deactivateMissing) {
+        report.deactivated.push(treasure.treasureId);
+      }
+      if (!dryRun) {
+        // No longer discoverable, even when it is left active
+        treasure.registrySyncedAt = null;
+        treasure.missingFromRegistryAt = treasure.missingFromRegistryAt || startedAt;
+        if (deactivateMissing) {
+          treasure.isActive = false;
+        }
+        await treasure.save();
+      }
+    }
+
+    report.startedAt = startedAt;
+    report.finishedAt = new Date();
+    logger.info(`Registry sync${dryRun ? ' (dry run)' : ''}: ${report.added.length} added, ${report.updated.length} updated, ${report.unchanged} unchanged, ${report.missingFromRegistry.length} missing`);
+
+    return report;
+  }
+
+  validateEntry(entry) {
+    if (!entry.treasureId) return 'missing treasure id';
+    if (!entry.name) return 'missing name';
+    if (![1, 2, 3].includes(entry.rarity)) return `invalid rarity ${entry.rarity}`;
+    if (!Number.isFinite(entry.latitude) || !Number.isFinite(entry.longitude) ||
+      Math.abs(entry.latitude) > 90 || Math.abs(entry.longitude) > 180) {
+      return 'invalid coordinates';
+    }
+    return null;
+  }
+
+  /**
+   * Field-level differences between the stored treasure and the registry entry
+   */
+  diff(treasure, entry) {
+    const changes = {};
+    for (const field of SYNCED_FIELDS) {
+      // Treat missing and empty values as equal
+      const current = treasure[field] === '' ? null : (treasure[field] ?? null);
+      const next = entry[field] === '' ? null : (entry[field] ?? null);
+      if (current !== next) {
+        changes[field] = { from: current, to: next };
+      }
+    }
+    if (treasure.isActive && entry.isActive === false) {
+      changes.isActive = { from: true, to: false };
+    }
+    return changes;
+  }
+
+  async createTreasure(entry, syncedBy) {
+    const treasure = new Treasure({
+      treasureId: entry.treasureId,
+      createdBy: syncedBy || undefined,
+      isActive: entry.isActive !== false,
+      metadata: { source: 'registry_sync' }
+    });
+    this.applyEntry(treasure, entry, new Date());
+    await treasure.save();
+    return treasure;
+  }
+
+  applyEntry(treasure, entry, syncedAt) {
+    treasure.name = entry.name;
+    treasure.description = entry.description;
+    treasure.imageUrl = entry.imageUrl;
+    treasure.rarity = entry.rarity;
+    treasure.rewardPoints = entry.rewardPoints;
+    treasure.requiredRank = entry.requiredRank;
+    treasure.location = {
+      type: 'Point',
+      coordinates: [entry.longitude, entry.latitude]
+    };
+    // Local deactivation is kept; the registry can only switch a treasure off
+    if (entry.isActive === false) {
+      treasure.isActive = false;
+    }
+    treasure.registrySyncedAt = syncedAt;
+    treasure.missingFromRegistryAt = null;
+    treasure.metadata.set('registryLocation', entry.location);
+  }
+
+  getSuiService() {
+    if (!this.suiService) {
+      this.suiService = new SuiService(process.env.SUI_NETWORK || 'testnet');
+    }
+    return this.suiService;
+  }
+}
+
+module.exports = TreasureRegistrySync;
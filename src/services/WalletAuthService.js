@@ -0,0 +1,183 @@
+// src/services/WalletAuthService.js - Sign-in with Sui: nonce challenges signed by self-custody wallets
+const crypto = require('crypto');
+const { isValidSuiAddress, normalizeSuiAddress } = require('@mysten/sui/utils');
+const { User, HunterProfile, WalletChallenge } = require('../models');
+const SuiService = require('./SuiService');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+class WalletAuthService {
+  constructor(options = {}) {
+    this.suiService = options.suiService || null;
+    this.challengeTtlMs = options.challengeTtlMs || parseInt(process.env.WALLET_CHALLENGE_TTL_MS || '300000');
+    this.domain = options.domain || process.env.WALLET_AUTH_DOMAIN || 'Treasure Hunt';
+  }
+
+  normalizeAddress(address) {
+    const normalized = typeof address === 'string' ? normalizeSuiAddress(address.trim()) : null;
+    if (!normalized || !isValidSuiAddress(normalized)) {
+      throw new AppError('Invalid Sui address', 400, 'INVALID_ADDRESS');
+    }
+    return normalized;
+  }
+
+  /**
+   * Issue the message the wallet has to sign
+   * Link challenges are bound to the logged-in user so they cannot be used to log in
+   */
+  async createChallenge(address, purpose = 'login', userId = null) {
+    const normalized = this.normalizeAddress(address);
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const issuedAt = new Date();
+    const expiresAt = new Date(issuedAt.getTime() + this.challengeTtlMs);
+
+    const message = [
+      `${this.domain} wants you to ${purpose === 'link' ? 'link' : 'sign in with'} your Sui account:`,
+      normalized,
+      '',
+      `Purpose: ${purpose}`,
+      `Nonce: ${nonce}`,
+      `Issued At: ${issuedAt.toISOString()}`,
+      `Expiration Time: ${expiresAt.toISOString()}`
+    ].join('\n');
+
+    const challenge = new WalletChallenge({
+      address: normalized,
+      purpose,
+      userId,
+      nonce,
+      message,
+      expiresAt
+    });
+    await challenge.save();
+
+    return challenge;
+  }
+
+  /**
+   * Check the signature over a challenge and burn it
+   * Throws AppError with a WALLET_* code when the signature is rejected
+   */
+  async verifyChallenge(challengeId, signature, purpose, userId = null) {
+    const challenge = await WalletChallenge.findById(challengeId);
+    if (!challenge || challenge.purpose !== purpose || (purpose === 'link' && challenge.userId !== userId)) {
+      throw new AppError('Wallet challenge not found', 404, 'WALLET_CHALLENGE_NOT_FOUND');
+    }
+    if (challenge.status !== 'active') {
+      throw new AppError('Wallet challenge was already used, request a new one', 400, 'WALLET_CHALLENGE_USED');
+    }
+    if (challenge.expiresAt <= new Date()) {
+      throw new AppError('Wallet challenge has expired, request a new one', 400, 'WALLET_CHALLENGE_EXPIRED');
+    }
+
+    const valid = await this.getSuiService().verifyPersonalMessage(challenge.message, signature, challenge.address);
+    if (!valid) {
+      throw new AppError('Wallet signature is invalid', 401, 'WALLET_BAD_SIGNATURE');
+    }
+
+    // Only one request can consume the challenge
+    const consumed = await WalletChallenge.findOneAndUpdate(
+      { _id: challenge._id, status: 'active' },
+      { $set: { status: 'used', usedAt: new Date() } },
+      { new: true }
+    );
+    if (!consumed) {
+      throw new AppError('Wallet challenge was already used, request a new one', 400, 'WALLET_CHALLENGE_USED');
+    }
+
+    return consumed;
+  }
+
+  async findUserByWallet(address) {
+    return User.findOne({ 'linkedWallets.address': this.normalizeAddress(address) });
+  }
+
+  async linkWallet(user, address, label) {
+    const normalized = this.normalizeAddress(address);
+
+    const owner = await User.findOne({ 'linkedWallets.address': normalized });
+    if (owner && owner._id !== user._id) {
+      throw new AppError('This wallet is already linked to another account', 409, 'WALLET_ALREADY_LINKED');
+    }
+    if (owner) {
+      return user;
+    }
+
+    user.linkedWallets.push({ address: normalized, label });
+    await user.save();
+
+    logger.info(`Wallet ${normalized} linked to user ${user._id}`);
+    return user;
+  }
+
+  async unlinkWallet(userId, address) {
+    const normalized = this.normalizeAddress(address);
+
+    // Without a password the last wallet is the only way back into the account
+    const user = await User.findById(userId).select('+password');
+    if (user && !user.password && user.linkedWallets.length === 1 && user.linkedWallets[0].address === normalized) {
+      throw new AppError('Cannot unlink the only sign-in method of this account', 400, 'LAST_SIGNIN_METHOD');
+    }
+
+    const result = await User.updateOne(
+      { _id: userId },
+      { $pull: { linkedWallets: { address: normalized } } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * First sign-in from a new wallet: create the account around it
+   * The game still needs a custodial wallet to sign discoveries, so one is created as in /register
+   */
+  async createWalletUser(address, { username, email }) {
+    const normalized = this.normalizeAddress(address);
+
+    const existingUser = await User.findOne({ $or: [{ email }, { username }] });
+    if (existingUser) {
+      throw new AppError(
+        existingUser.email === email ? 'Email already registered' : 'Username already taken',
+        400,
+        'USER_EXISTS'
+      );
+    }
+
+    const walletData = await this.getSuiService().createWallet(username);
+    const user = new User({
+      username,
+      email,
+      suiAddress: walletData.address,
+      encryptedPrivateKey: walletData.encryptedPrivateKey,
+      linkedWallets: [{ address: normalized, label: 'Sign-in wallet' }],
+      signUpMethod: 'wallet',
+      isActive: true
+    });
+    await user.save();
+
+    try {
+      await new HunterProfile({
+        userId: user._id,
+        rank: 'beginner',
+        totalTreasuresFound: 0,
+        totalScore: 0,
+        currentStreak: 0,
+        longestStreak: 0
+      }).save();
+    } catch (error) {
+      await User.findByIdAndDelete(user._id);
+      throw error;
+    }
+
+    logger.info(`User ${user._id} registered with wallet ${normalized}`);
+    return user;
+  }
+
+  getSuiService() {
+    if (!this.suiService) {
+      this.suiService = new SuiService(process.env.SUI_NETWORK || 'testnet');
+    }
+    return this.suiService;
+  }
+}
+
+module.exports = WalletAuthService;
@@ -0,0 +1,246 @@
+// src/services/WalletExportService.js - Guarded export of a custodial wallet to self-custody
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { User, AuthSession, WalletExport } = require('../models');
+const SuiService = require('./SuiService');
+const Mailer = require('./Mailer');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const OPEN_STATUSES = ['pending_confirmation', 'confirmed'];
+
+class WalletExportService {
+  constructor(options = {}) {
+    this.suiService = options.suiService || null;
+    this.mailer = options.mailer || new Mailer();
+    this.delayMs = options.delayMs ?? parseInt(process.env.WALLET_EXPORT_DELAY_MS || String(24 * 60 * 60 * 1000));
+    this.confirmationTtlMs = options.confirmationTtlMs || parseInt(process.env.WALLET_EXPORT_CONFIRMATION_TTL_MS || '3600000');
+    this.reauthWindowMs = options.reauthWindowMs || parseInt(process.env.WALLET_EXPORT_REAUTH_WINDOW_MS || '600000');
+  }
+
+  /**
+   * Step 1: re-authenticate and issue a confirmation token
+   */
+  async requestExport(user, { method, destinationAddress, password, sessionId, ipAddress }) {
+    this.assertCustodial(user);
+    await this.assertRecentlyAuthenticated(user, password, sessionId);
+
+    if (method === 'transfer') {
+      if (!SuiService.isValidAddress(destinationAddress || '')) {
+        throw new AppError('A valid destination address is required', 400, 'INVALID_ADDRESS');
+      }
+      if (destinationAddress === user.suiAddress) {
+        throw new AppError('Destination must be a different wallet', 400, 'INVALID_ADDRESS');
+      }
+    }
+
+    const open = await WalletExport.findOne({ userId: user._id, status: { $in: OPEN_STATUSES } });
+    if (open) {
+      throw new AppError('A wallet export is already in progress, cancel it first', 409, 'WALLET_EXPORT_IN_PROGRESS');
+    }
+
+    const token = crypto.randomBytes(24).toString('hex');
+    const walletExport = new WalletExport({
+      userId: user._id,
+      method,
+      destinationAddress: method === 'transfer' ? destinationAddress : undefined,
+      confirmationTokenHash: this.hashToken(token),
+      confirmationExpiresAt: new Date(Date.now() + this.confirmationTtlMs),
+      ipAddress
+    });
+    await walletExport.save();
+
+    // The token only ever travels by email; without delivery the export cannot go ahead
+    try {
+      await this.sendConfirmation(user, walletExport, token);
+    } catch (error) {
+      await WalletExport.deleteOne({ _id: walletExport._id });
+      logger.error(`Wallet export confirmation for user ${user._id} could not be sent:`, error);
+      if (error.isOperational) {
+        throw error;
+      }
+      throw new AppError('Could not send the confirmation email, try again later', 503, 'MAIL_DELIVERY_FAILED');
+    }
+    logger.info(`Wallet export ${walletExport._id} (${method}) requested by user ${user._id}`);
+
+    return walletExport;
+  }
+
+  /**
+   * Step 2: confirm with the emailed token; starts the waiting period
+   */
+  async confirm(userId, exportId, token) {
+    const walletExport = await this.getOpenExport(userId, exportId);
+    if (walletExport.status !== 'pending_confirmation') {
+      throw new AppError('Wallet export is already confirmed', 400, 'WALLET_EXPORT_ALREADY_CONFIRMED');
+    }
+    if (walletExport.confirmationExpiresAt <= new Date()) {
+      throw new AppError('Confirmation token has expired, request a new export', 400, 'WALLET_EXPORT_TOKEN_EXPIRED');
+    }
+
+    const expected = Buffer.from(walletExport.confirmationTokenHash);
+    const provided = Buffer.from(this.hashToken(token || ''));
+    if (!crypto.timingSafeEqual(expected, provided)) {
+      throw new AppError('Confirmation token is invalid', 400, 'WALLET_EXPORT_BAD_TOKEN');
+    }
+
+    walletExport.status = 'confirmed';
+    walletExport.confirmedAt = new Date();
+    walletExport.availableAt = new Date(Date.now() + this.delayMs);
+    await walletExport.save();
+
+    logger.info(`Wallet export ${walletExport._id} confirmed, available at ${walletExport.availableAt.toISOString()}`);
+    return walletExport;
+  }
+
+  async cancel(userId, exportId) {
+    const walletExport = await this.getOpenExport(userId, exportId);
+    walletExport.status = 'cancelled';
+    walletExport.cancelledAt = new Date();
+    await walletExport.save();
+
+    logger.info(`Wallet export ${walletExport._id} cancelled`);
+    return walletExport;
+  }
+
+  /**
+   * Step 3: after the delay, reveal the key once or move the assets, then drop custody
+   */
+  async complete(user, exportId, { password, sessionId }) {
+    this.assertCustodial(user);
+    await this.assertRecentlyAuthenticated(user, password, sessionId);
+
+    const walletExport = await this.getOpenExport(user._id, exportId);
+    if (walletExport.status !== 'confirmed') {
+      throw new AppError('Confirm the export with the emailed token first', 400, 'WALLET_EXPORT_NOT_CONFIRMED');
+    }
+    if (walletExport.availableAt > new Date()) {
+      throw new AppError(
+        `Wallet export is available after ${walletExport.availableAt.toISOString()}`,
+        400,
+        'WALLET_EXPORT_NOT_READY'
+      );
+    }
+
+    // Claim the export so the key is revealed (or the transfer runs) exactly once
+    const claimed = await WalletExport.findOneAndUpdate(
+      { _id: walletExport._id, status: 'confirmed' },
+      { $set: { status: 'completed', completedAt: new Date() } },
+      { new: true }
+    );
+    if (!claimed) {
+      throw new AppError('Wallet export was already completed', 409, 'WALLET_EXPORT_IN_PROGRESS');
+    }
+
+    let result;
+    try {
+      if (claimed.method === 'reveal_key') {
+        const { address, secretKey } = this.getSuiService().exportSecretKey(user.encryptedPrivateKey);
+        result = { address, secretKey };
+        claimed.result = { address };
+      } else {
+        const transfer = await this.getSuiService().transferAllAssets(this.getSuiService().signerFor(user), claimed.destinationAddress);
+        if (transfer.status !== 'success') {
+          throw new Error(transfer.error || 'Transfer failed');
+        }
+        result = {
+          destinationAddress: claimed.destinationAddress,
+          transactionDigest: transfer.transactionDigest,
+          transferredObjects: transfer.transferredObjects
+        };
+        claimed.result = result;
+      }
+    } catch (error) {
+      claimed.status = 'failed';
+      claimed.error = error.message;
+      await claimed.save();
+      logger.error(`Wallet export ${claimed._id} failed:`, error);
+      throw new AppError(`Wallet export failed: ${error.message}`, 400, 'WALLET_EXPORT_FAILED');
+    }
+
+    await claimed.save();
+
+    // The server no longer holds the key
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { custodial: false, custodyExportedAt: new Date() }, $unset: { encryptedPrivateKey: 1 } }
+    );
+
+    logger.info(`Wallet of user ${user._id} exported (${claimed.method}), account is now non-custodial`);
+    return { walletExport: claimed, result };
+  }
+
+  async getOpenExport(userId, exportId) {
+    const walletExport = await WalletExport.findOne({ _id: exportId, userId });
+    if (!walletExport) {
+      throw new AppError('Wallet export not found', 404, 'WALLET_EXPORT_NOT_FOUND');
+    }
+    if (!OPEN_STATUSES.includes(walletExport.status)) {
+      throw new AppError(`Wallet export is ${walletExport.status}`, 400, 'WALLET_EXPORT_CLOSED');
+    }
+    return walletExport;
+  }
+
+  assertCustodial(user) {
+    if (user.custodial === false || !user.encryptedPrivateKey) {
+      throw new AppError('This wallet has already been exported', 400, 'WALLET_ALREADY_EXPORTED');
+    }
+  }
+
+  /**
+   * Password when the account has one, otherwise a login within the re-auth window
+   */
+  async assertRecentlyAuthenticated(user, password, sessionId) {
+    // The hash is not loaded with the user by default
+    const account = await User.findById(user._id).select('+password');
+    if (account?.password) {
+      if (!password || !await bcrypt.compare(password, account.password)) {
+        throw new AppError('Password is required to export the wallet', 401, 'REAUTH_REQUIRED');
+      }
+      return;
+    }
+
+    const session = sessionId ? await AuthSession.findById(sessionId).select('createdAt') : null;
+    if (!session || Date.now() - session.createdAt.getTime() > this.reauthWindowMs) {
+      throw new AppError('Log in again to export your wallet', 401, 'REAUTH_REQUIRED');
+    }
+  }
+
+  /**
+   * Deliver the confirmation token out of band, to the account's email address
+   */
+  async sendConfirmation(user, walletExport, token) {
+    const action = walletExport.method === 'transfer'
+      ? `transfer all assets to ${walletExport.destinationAddress}`
+      : 'reveal the private key of your wallet';
+    const expiresInMinutes = Math.round(this.confirmationTtlMs / 60000);
+
+    await this.mailer.send({
+      to: user.email,
+      subject: 'Confirm your wallet export',
+      text: [
+        `Hi ${user.username},`,
+        '',
+        `Someone (hopefully you) asked to ${action}.`,
+        `To continue, confirm export ${walletExport._id} with this token within ${expiresInMinutes} minutes:`,
+        '',
+        token,
+        '',
+        'If this was not you, cancel the export in the app and change your password.'
+      ].join('\n')
+    });
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  getSuiService() {
+    if (!this.suiService) {
+      this.suiService = new SuiService(process.env.SUI_NETWORK || 'testnet');
+    }
+    return this.suiService;
+  }
+}
+
+module.exports = WalletExportService;
@@ -0,0 +1,65 @@
+// tests/AchievementService.test.js - Unlocks and their points are written in one transaction
+jest.mock('../src/database/connection', () => ({
+  transaction: jest.fn(callback => callback('session'))
+}));
+
+const { transaction } = require('../src/database/connection');
+const { UserAchievement, HunterProfile } = require('../src/models');
+const AchievementService = require('../src/services/AchievementService');
+
+describe('AchievementService.unlock', () => {
+  let service;
+  const achievement = { _id: 'achievement-1', achievementId: 'first_find', points: 50 };
+
+  beforeEach(() => {
+    service = new AchievementService({ badgeMinter: { queuedBadge: () => ({}) } });
+    jest.spyOn(UserAchievement, 'updateOne').mockResolvedValue({ upsertedCount: 1 });
+    jest.spyOn(HunterProfile, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    transaction.mockClear();
+  });
+
+  it('writes the unlock and the points through the same session', async () => {
+    await expect(service.unlock('user-1', achievement)).resolves.toBe(true);
+
+    expect(transaction).toHaveBeenCalledTimes(1);
+    expect(UserAchievement.updateOne.mock.calls[0][2]).toMatchObject({ upsert: true, session: 'session' });
+    expect(HunterProfile.updateOne).toHaveBeenCalledWith(
+      { userId: 'user-1' },
+      { $inc: { totalScore: 50 }, $addToSet: { achievements: 'first_find' } },
+      { session: 'session' }
+    );
+  });
+
+  it('adds no points for an achievement that was already unlocked', async () => {
+    UserAchievement.updateOne.mockResolvedValue({ upsertedCount: 0 });
+
+    await expect(service.unlock('user-1', achievement)).resolves.toBe(false);
+    expect(HunterProfile.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('fails the unlock when the points cannot be written', async () => {
+    HunterProfile.updateOne.mockRejectedValue(new Error('profile write failed'));
+
+    await expect(service.unlock('user-1', achievement)).rejects.toThrow('profile write failed');
+  });
+
+  it('treats a duplicate unlock as a lost race', async () => {
+    UserAchievement.updateOne.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+    await expect(service.unlock('user-1', achievement)).resolves.toBe(false);
+  });
+
+  it('reruns the transaction after a write conflict', async () => {
+    const conflict = Object.assign(new Error('WriteConflict'), {
+      hasErrorLabel: label => label === 'TransientTransactionError'
+    });
+    UserAchievement.updateOne.mockRejectedValueOnce(conflict);
+
+    await expect(service.unlock('user-1', achievement)).resolves.toBe(true);
+    expect(transaction).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,126 @@
+// tests/BadgeMinter.test.js - Badge mints are reclaimed after a lease and never minted twice
+const { Achievement, User, UserAchievement } = require('../src/models');
+const BadgeMinter = require('../src/services/BadgeMinter');
+
+const ADDRESS = `0x${'a'.repeat(64)}`;
+const BADGE_ID = `0x${'b'.repeat(64)}`;
+const DIGEST = 'D'.repeat(44);
+
+describe('BadgeMinter', () => {
+  let suiService;
+  let minter;
+  let user;
+  let achievement;
+  let userAchievement;
+  let digestWrites;
+
+  beforeEach(() => {
+    user = new User({ username: 'hunter', email: 'hunter@example.com', suiAddress: ADDRESS });
+    achievement = new Achievement({ achievementId: 'first_find', name: 'First Find', points: 50 });
+    userAchievement = new UserAchievement({
+      userId: user._id,
+      achievementId: achievement._id,
+      badge: { status: 'processing', attempts: 0, claimedAt: new Date() }
+    });
+    digestWrites = [];
+
+    suiService = {
+      mintAchievementBadge: jest.fn(async (signer, recipient, data, { onSigned }) => {
+        await onSigned(DIGEST);
+        return { nftObjectId: BADGE_ID, transactionDigest: DIGEST };
+      }),
+      getTransactionDetails: jest.fn(async () => ({
+        effects: { status: { status: 'success' } },
+        objectChanges: [{ type: 'created', objectType: '0x1::treasure_nft::AchievementBadge', objectId: BADGE_ID }]
+      }))
+    };
+    minter = new BadgeMinter({ suiService, enabled: true, leaseMs: 60000 });
+    minter.signer = 'issuer';
+
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    jest.spyOn(Achievement, 'findById').mockResolvedValue(achievement);
+    jest.spyOn(UserAchievement, 'updateOne').mockImplementation(async (filter, update) => {
+      digestWrites.push(update.$set['badge.transactionDigest']);
+      return { modifiedCount: 1 };
+    });
+    jest.spyOn(UserAchievement.prototype, 'save').mockImplementation(async function() { return this; });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('records the digest before submitting the mint', async () => {
+    suiService.mintAchievementBadge.mockImplementation(async (signer, recipient, data, { onSigned }) => {
+      await onSigned(DIGEST);
+      expect(digestWrites).toEqual([DIGEST]);
+      return { nftObjectId: BADGE_ID, transactionDigest: DIGEST };
+    });
+
+    const result = await minter.processBadge(userAchievement);
+
+    expect(result.badge).toMatchObject({ status: 'minted', nftObjectId: BADGE_ID, transactionDigest: DIGEST });
+  });
+
+  it('reuses the badge of a recorded mint instead of minting again', async () => {
+    userAchievement.badge.transactionDigest = DIGEST;
+
+    const result = await minter.processBadge(userAchievement);
+
+    expect(suiService.getTransactionDetails).toHaveBeenCalledWith(DIGEST);
+    expect(suiService.mintAchievementBadge).not.toHaveBeenCalled();
+    expect(result.badge).toMatchObject({ status: 'minted', nftObjectId: BADGE_ID });
+  });
+
+  it('does not mint again once the badge object is known', async () => {
+    userAchievement.badge.nftObjectId = BADGE_ID;
+    userAchievement.badge.transactionDigest = DIGEST;
+
+    await minter.processBadge(userAchievement);
+
+    expect(suiService.getTransactionDetails).not.toHaveBeenCalled();
+    expect(suiService.mintAchievementBadge).not.toHaveBeenCalled();
+  });
+
+  it('mints again when the recorded transaction never executed', async () => {
+    userAchievement.badge.transactionDigest = 'X'.repeat(44);
+    suiService.getTransactionDetails.mockRejectedValue(new Error('Could not find the referenced transaction'));
+
+    const result = await minter.processBadge(userAchievement);
+
+    expect(suiService.mintAchievementBadge).toHaveBeenCalledTimes(1);
+    expect(result.badge.status).toBe('minted');
+  });
+
+  it('retries later while the recorded transaction cannot be checked', async () => {
+    userAchievement.badge.transactionDigest = DIGEST;
+    suiService.getTransactionDetails.mockRejectedValue(new Error('fetch failed'));
+
+    const result = await minter.processBadge(userAchievement);
+
+    expect(suiService.mintAchievementBadge).not.toHaveBeenCalled();
+    expect(result.badge.status).toBe('queued');
+  });
+
+  it('claims due badges and badges whose lease expired', async () => {
+    jest.spyOn(UserAchievement, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await minter.runOnce();
+
+    const [filter, update] = UserAchievement.findOneAndUpdate.mock.calls[0];
+    expect(filter.$or[0]).toMatchObject({ 'badge.status': 'queued' });
+    expect(filter.$or[1]).toMatchObject({ 'badge.status': 'processing' });
+    expect(filter.$or[1].$or[0]['badge.claimedAt'].$lte.getTime()).toBeLessThanOrEqual(Date.now() - 60000);
+    expect(update.$set['badge.claimedAt']).toBeInstanceOf(Date);
+  });
+
+  it('lets an admin retry a badge stuck in processing', async () => {
+    jest.spyOn(UserAchievement, 'findOneAndUpdate').mockResolvedValue(userAchievement);
+
+    const result = await minter.retry(userAchievement._id);
+
+    const [filter] = UserAchievement.findOneAndUpdate.mock.calls[0];
+    expect(filter.$or[1]).toMatchObject({ 'badge.status': 'processing' });
+    expect(result.badge.status).toBe('minted');
+  });
+});
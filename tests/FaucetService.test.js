@@ -0,0 +1,128 @@
+// tests/FaucetService.test.js - Faucet balance ceiling, reservations and failure bookkeeping
+const { AppSettings, FaucetUsage, Transaction } = require('../src/models');
+const FaucetService = require('../src/services/FaucetService');
+
+const ADDRESS = `0x${'a'.repeat(64)}`;
+
+describe('FaucetService', () => {
+  let suiService;
+  let faucet;
+  let saved;
+  let usage;
+  const user = { _id: 'user-1', suiAddress: ADDRESS };
+
+  beforeEach(() => {
+    suiService = {
+      getBalance: jest.fn(async () => '0'),
+      requestFaucet: jest.fn(async () => ({ success: true, amount: 1000000000, transactionDigests: [] }))
+    };
+    faucet = new FaucetService({ suiService, network: 'testnet' });
+    saved = [];
+    usage = new Map();
+
+    // Upserts behave like MongoDB: a filter that misses an existing _id collides on insert
+    jest.spyOn(FaucetUsage, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const previous = usage.get(filter._id);
+      if (previous && (previous.lastRequestAt > filter.lastRequestAt.$lte || previous.requests >= filter.requests.$lt)) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      usage.set(filter._id, { lastRequestAt: update.$set.lastRequestAt, requests: (previous?.requests || 0) + 1 });
+      return previous ? { ...previous } : null;
+    });
+    jest.spyOn(FaucetUsage, 'updateOne').mockImplementation(async (filter, update) => {
+      const current = usage.get(filter._id);
+      usage.set(filter._id, { ...current, ...update.$set, requests: current.requests + update.$inc.requests });
+    });
+    jest.spyOn(FaucetUsage, 'deleteOne').mockImplementation(async filter => usage.delete(filter._id));
+    jest.spyOn(FaucetUsage, 'findById').mockImplementation(async id => usage.get(id) || null);
+    jest.spyOn(AppSettings, 'find').mockResolvedValue([]);
+    jest.spyOn(Transaction, 'findOne').mockReturnValue({ sort: async () => null });
+    jest.spyOn(Transaction, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(Transaction.prototype, 'save').mockImplementation(async function() {
+      saved.push(this.status);
+      return this;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('uses faucet_max_balance_sui as the ceiling, not the registration bonus', async () => {
+    AppSettings.find.mockResolvedValue([
+      { key: 'faucet_max_balance_sui', value: 0.5 },
+      { key: 'faucet_user_cooldown_minutes', value: 0 },
+      { key: 'faucet_ip_cooldown_minutes', value: 0 }
+    ]);
+    suiService.getBalance.mockResolvedValue('300000000');
+
+    await expect(faucet.request(user, '1.2.3.4')).resolves.toMatchObject({ newBalance: '300000000' });
+
+    suiService.getBalance.mockResolvedValue('500000000');
+    await expect(faucet.request(user, '1.2.3.4')).rejects.toMatchObject({ code: 'FAUCET_NOT_NEEDED' });
+  });
+
+  it('does not read new_user_bonus_sui', async () => {
+    await faucet.getSettings();
+
+    expect(AppSettings.find.mock.calls[0][0].key.$in).toContain('faucet_max_balance_sui');
+    expect(AppSettings.find.mock.calls[0][0].key.$in).not.toContain('new_user_bonus_sui');
+  });
+
+  it('marks the transaction failed when the faucet call throws', async () => {
+    suiService.requestFaucet.mockRejectedValue(new Error('faucet unreachable'));
+
+    await expect(faucet.request(user, '1.2.3.4')).rejects.toThrow('faucet unreachable');
+
+    expect(saved).toEqual(['pending', 'failed']);
+    const failed = Transaction.prototype.save.mock.contexts[1];
+    expect(failed.metadata.get('error')).toBe('faucet unreachable');
+    expect(usage.get('user:user-1').requests).toBe(0);
+  });
+
+  it('lets only one of several parallel requests through', async () => {
+    const results = await Promise.allSettled([1, 2, 3].map(() => faucet.request(user, '1.2.3.4')));
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    expect(results.filter(result => result.reason?.code === 'FAUCET_COOLDOWN')).toHaveLength(2);
+    expect(suiService.requestFaucet).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps the per-IP limit for a different user on the same network', async () => {
+    await faucet.request(user, '1.2.3.4');
+
+    await expect(faucet.request({ _id: 'user-2', suiAddress: ADDRESS }, '1.2.3.4'))
+      .rejects.toMatchObject({ code: 'FAUCET_COOLDOWN' });
+
+    // The second user's own slot is given back when the IP slot is taken
+    expect(usage.has('user:user-2')).toBe(false);
+  });
+
+  it('stops at the lifetime limit even without a cooldown', async () => {
+    AppSettings.find.mockResolvedValue([
+      { key: 'faucet_user_cooldown_minutes', value: 0 },
+      { key: 'faucet_ip_cooldown_minutes', value: 0 },
+      { key: 'faucet_user_lifetime_requests', value: 2 }
+    ]);
+
+    await faucet.request(user, '1.2.3.4');
+    await faucet.request(user, '1.2.3.4');
+
+    await expect(faucet.request(user, '1.2.3.4')).rejects.toMatchObject({ code: 'FAUCET_LIMIT_REACHED' });
+    expect(suiService.requestFaucet).toHaveBeenCalledTimes(2);
+  });
+
+  it('gives every request its own placeholder digest', async () => {
+    AppSettings.find.mockResolvedValue([
+      { key: 'faucet_user_cooldown_minutes', value: 0 },
+      { key: 'faucet_ip_cooldown_minutes', value: 0 }
+    ]);
+
+    await faucet.request(user, '1.2.3.4');
+    await faucet.request(user, '1.2.3.4');
+
+    const [first, , second] = Transaction.prototype.save.mock.contexts;
+    expect(first.digest).toMatch(/^pending_faucet_/);
+    expect(first.digest).not.toBe(second.digest);
+  });
+});
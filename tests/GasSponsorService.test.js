@@ -0,0 +1,122 @@
+// tests/GasSponsorService.test.js - Daily budget and gas coin reservation under parallel requests
+const { User, GasSponsorship, GasSponsorBudget, GasCoinLease } = require('../src/models');
+const GasSponsorService = require('../src/services/GasSponsorService');
+const { TestSigner } = require('../src/services/Signer');
+
+const SENDER = `0x${'a'.repeat(64)}`;
+const TARGET = '0x2::treasure_nft::find_treasure';
+const GAS_BUDGET = 10000000;
+
+const duplicateKey = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+describe('GasSponsorService', () => {
+  let service;
+  let coins;
+  let counters;
+  let leases;
+
+  beforeEach(() => {
+    coins = ['1', '2', '3'].map(char => ({
+      coinObjectId: `0x${char.repeat(64)}`,
+      version: '7',
+      digest: char.repeat(44),
+      balance: String(GAS_BUDGET * 100)
+    }));
+    counters = new Map();
+    leases = new Map();
+
+    service = new GasSponsorService({
+      enabled: true,
+      dailyBudgetMist: GAS_BUDGET * 3,
+      suiService: {
+        client: { getCoins: jest.fn(async () => ({ data: coins })) },
+        calculateGasUsed: jest.fn(() => GAS_BUDGET / 2)
+      }
+    });
+    service.signer = new TestSigner();
+
+    // Upserts behave like MongoDB: a filter that misses an existing _id collides on insert
+    jest.spyOn(GasSponsorBudget, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const spent = counters.get(filter._id);
+      if (spent !== undefined && spent > filter.spentMist.$lte) throw duplicateKey();
+      counters.set(filter._id, (spent || 0) + update.$inc.spentMist);
+    });
+    jest.spyOn(GasSponsorBudget, 'updateOne').mockImplementation(async (filter, update) => {
+      counters.set(filter._id, counters.get(filter._id) + update.$inc.spentMist);
+    });
+    jest.spyOn(GasSponsorBudget, 'findById').mockImplementation(async id => (
+      counters.has(id) ? { spentMist: counters.get(id) } : null
+    ));
+    jest.spyOn(GasCoinLease, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const leasedUntil = leases.get(filter._id);
+      if (leasedUntil && leasedUntil > filter.leasedUntil.$lte) throw duplicateKey();
+      leases.set(filter._id, update.$set.leasedUntil);
+    });
+    jest.spyOn(GasCoinLease, 'deleteOne').mockImplementation(async filter => {
+      leases.delete(filter._id);
+    });
+    jest.spyOn(User, 'findOne').mockReturnValue({ select: async () => ({ _id: 'user-1' }) });
+    jest.spyOn(GasSponsorship.prototype, 'save').mockImplementation(async function() { return this; });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const reserveInParallel = (count) => Promise.all(
+    Array.from({ length: count }, () => service.reserve(SENDER, TARGET, GAS_BUDGET))
+  );
+
+  it('never reserves more than the daily budget for parallel requests', async () => {
+    coins.push(...['4', '5'].map(char => ({ ...coins[0], coinObjectId: `0x${char.repeat(64)}` })));
+
+    const reservations = await reserveInParallel(5);
+
+    expect(reservations.filter(Boolean)).toHaveLength(3);
+    expect(await service.getSpentToday(SENDER)).toBe(GAS_BUDGET * 3);
+  });
+
+  it('gives each parallel transaction its own gas coin', async () => {
+    const reservations = await reserveInParallel(3);
+
+    const coinIds = reservations.map(reservation => reservation.gasCoin.objectId);
+    expect(new Set(coinIds).size).toBe(3);
+    expect(reservations[0].sponsorship.gasCoinId).toBe(coinIds[0]);
+  });
+
+  it('falls back to the player paying, and refunds the budget, when no coin is free', async () => {
+    coins = coins.slice(0, 1);
+
+    const [first, second] = await reserveInParallel(2);
+
+    expect(first.gasCoin.objectId).toBe(coins[0].coinObjectId);
+    expect(second).toBeNull();
+    expect(await service.getSpentToday(SENDER)).toBe(GAS_BUDGET);
+  });
+
+  it('skips coins too small to cover the gas budget', async () => {
+    coins[0].balance = String(GAS_BUDGET - 1);
+
+    const reservation = await service.reserve(SENDER, TARGET, GAS_BUDGET);
+
+    expect(reservation.gasCoin.objectId).toBe(coins[1].coinObjectId);
+  });
+
+  it('settles the budget to the gas used and frees the coin', async () => {
+    const reservation = await service.reserve(SENDER, TARGET, GAS_BUDGET);
+
+    await service.settle(reservation, { digest: 'D'.repeat(44), effects: { status: { status: 'success' } } });
+
+    expect(await service.getSpentToday(SENDER)).toBe(GAS_BUDGET / 2);
+    expect(leases.has(reservation.gasCoin.objectId)).toBe(false);
+  });
+
+  it('refunds the budget but keeps the coin leased when the transaction errors', async () => {
+    const reservation = await service.reserve(SENDER, TARGET, GAS_BUDGET);
+
+    await service.release(reservation, new Error('socket hang up'));
+
+    expect(await service.getSpentToday(SENDER)).toBe(0);
+    expect(leases.has(reservation.gasCoin.objectId)).toBe(true);
+  });
+});
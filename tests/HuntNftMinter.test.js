@@ -0,0 +1,142 @@
+// tests/HuntNftMinter.test.js - Hunt completion NFTs are minted off the discover path and never twice
+const { Hunt, HuntProgress, HunterProfile, User } = require('../src/models');
+const HuntNftMinter = require('../src/services/HuntNftMinter');
+const HuntService = require('../src/services/HuntService');
+const SuiService = require('../src/services/SuiService');
+
+const PROFILE_ID = `0x${'a'.repeat(64)}`;
+const NFT_ID = `0x${'b'.repeat(64)}`;
+const DIGEST = 'D'.repeat(44);
+
+describe('HuntNftMinter', () => {
+  let suiService;
+  let minter;
+  let user;
+  let hunt;
+  let progress;
+  let digestWrites;
+
+  beforeEach(() => {
+    user = new User({
+      username: 'hunter',
+      email: 'hunter@example.com',
+      encryptedPrivateKey: 'encrypted',
+      profileObjectId: PROFILE_ID
+    });
+    hunt = new Hunt({
+      name: 'Harbour Trail',
+      description: 'Three stops along the harbour',
+      completionBonus: 100,
+      steps: [{ treasureId: 'treasure-1' }, { treasureId: 'treasure-2' }]
+    });
+    progress = new HuntProgress({
+      userId: user._id,
+      huntId: hunt._id,
+      status: 'completed',
+      completionNft: { status: 'processing', attempts: 0, claimedAt: new Date() }
+    });
+    digestWrites = [];
+
+    suiService = {
+      signerFor: jest.fn(() => 'signer'),
+      mintHuntCompletionNft: jest.fn(async (signer, profileObjectId, data, { onSigned }) => {
+        await onSigned(DIGEST);
+        return { nftObjectId: NFT_ID, transactionDigest: DIGEST };
+      }),
+      getTransactionDetails: jest.fn(async () => ({
+        effects: { status: { status: 'success' } },
+        objectChanges: [{ type: 'created', objectType: '0x1::treasure_nft::HuntCompletionNFT', objectId: NFT_ID }]
+      }))
+    };
+    minter = new HuntNftMinter({ suiService, leaseMs: 60000, maxAttempts: 2 });
+
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    jest.spyOn(Hunt, 'findById').mockResolvedValue(hunt);
+    jest.spyOn(HuntProgress, 'updateOne').mockImplementation(async (filter, update) => {
+      digestWrites.push(update.$set['completionNft.transactionDigest']);
+      return { modifiedCount: 1 };
+    });
+    jest.spyOn(HuntProgress.prototype, 'save').mockImplementation(async function() { return this; });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('queues the NFT on completion without calling the chain', async () => {
+    const mint = jest.spyOn(SuiService.prototype, 'mintHuntCompletionNft');
+    const active = new HuntProgress({ userId: user._id, huntId: hunt._id, status: 'active' });
+    const findOneAndUpdate = jest.spyOn(HuntProgress, 'findOneAndUpdate').mockImplementation(async (filter, update) => (
+      new HuntProgress({ ...active.toObject(), ...update.$set })
+    ));
+    jest.spyOn(HunterProfile, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const result = await new HuntService().completeHunt(active, hunt);
+
+    expect(findOneAndUpdate.mock.calls[0][1].$set.completionNft).toMatchObject({ status: 'queued', attempts: 0 });
+    expect(result.completionNft.status).toBe('queued');
+    expect(result.bonusAwarded).toBe(100);
+    expect(mint).not.toHaveBeenCalled();
+  });
+
+  it('records the digest before submitting the mint', async () => {
+    suiService.mintHuntCompletionNft.mockImplementation(async (signer, profileObjectId, data, { onSigned }) => {
+      await onSigned(DIGEST);
+      expect(digestWrites).toEqual([DIGEST]);
+      return { nftObjectId: NFT_ID, transactionDigest: DIGEST };
+    });
+
+    const result = await minter.processNft(progress);
+
+    expect(suiService.mintHuntCompletionNft.mock.calls[0][2]).toMatchObject({
+      huntId: hunt._id,
+      name: 'Harbour Trail Completed',
+      treasureIds: ['treasure-1', 'treasure-2']
+    });
+    expect(result.completionNft).toMatchObject({ status: 'minted', nftObjectId: NFT_ID, transactionDigest: DIGEST });
+  });
+
+  it('reuses the NFT of a recorded mint instead of minting again', async () => {
+    progress.completionNft.transactionDigest = DIGEST;
+
+    const result = await minter.processNft(progress);
+
+    expect(suiService.getTransactionDetails).toHaveBeenCalledWith(DIGEST);
+    expect(suiService.mintHuntCompletionNft).not.toHaveBeenCalled();
+    expect(result.completionNft).toMatchObject({ status: 'minted', nftObjectId: NFT_ID });
+  });
+
+  it('backs off after a failure and gives up after maxAttempts', async () => {
+    suiService.mintHuntCompletionNft.mockRejectedValue(new Error('fetch failed'));
+
+    let result = await minter.processNft(progress);
+    expect(result.completionNft.status).toBe('queued');
+    expect(result.completionNft.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+
+    result = await minter.processNft(progress);
+    expect(result.completionNft).toMatchObject({ status: 'failed', attempts: 2, lastError: 'fetch failed' });
+  });
+
+  it('claims due mints and mints whose lease expired', async () => {
+    jest.spyOn(HuntProgress, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await minter.runOnce();
+
+    const [filter, update] = HuntProgress.findOneAndUpdate.mock.calls[0];
+    expect(filter.$or[0]).toMatchObject({ 'completionNft.status': 'queued' });
+    expect(filter.$or[1]['completionNft.claimedAt'].$lte.getTime()).toBeLessThanOrEqual(Date.now() - 60000);
+    expect(update.$set['completionNft.claimedAt']).toBeInstanceOf(Date);
+  });
+
+  it('lets an admin retry a mint that failed before the queue existed', async () => {
+    progress.completionNft = { status: 'processing', error: 'User has no blockchain profile' };
+    jest.spyOn(HuntProgress, 'findOneAndUpdate').mockResolvedValue(progress);
+
+    const result = await minter.retry(progress._id);
+
+    const [filter] = HuntProgress.findOneAndUpdate.mock.calls[0];
+    expect(filter.$or[0]).toMatchObject({ 'completionNft.status': { $in: ['queued', 'failed'] } });
+    expect(result.completionNft).toMatchObject({ status: 'minted', attempts: 1 });
+    expect(result.completionNft.error).toBeUndefined();
+  });
+});
@@ -0,0 +1,81 @@
+// tests/KeyVault.test.js - Envelope encryption round trips, key rotation and tamper detection
+const CryptoJS = require('crypto-js');
+const KeyVault = require('../src/services/KeyVault');
+
+const SECRET = 'suiprivkey1qexamplesecretvalue';
+
+describe('KeyVault', () => {
+  const oldVault = () => new KeyVault({ masterKey: 'master', keys: '2025-06:old-secret' });
+  const newVault = () => new KeyVault({ masterKey: 'master', keys: '2025-06:old-secret,2026-01:new-secret' });
+
+  it('round-trips a secret under the active key', () => {
+    const vault = newVault();
+
+    const payload = vault.encrypt(SECRET);
+
+    expect(payload.startsWith('v1.2026-01.')).toBe(true);
+    expect(payload).not.toContain(SECRET);
+    expect(vault.decrypt(payload)).toBe(SECRET);
+    expect(vault.encrypt(SECRET)).not.toBe(payload);
+  });
+
+  it('still decrypts legacy CryptoJS ciphertexts with the master key', () => {
+    const legacy = CryptoJS.AES.encrypt(SECRET, 'master').toString();
+    const vault = newVault();
+
+    expect(vault.keyIdOf(legacy)).toBe('legacy');
+    expect(vault.decrypt(legacy)).toBe(SECRET);
+  });
+
+  it('rewraps an older envelope onto the active key without touching the ciphertext', () => {
+    const payload = oldVault().encrypt(SECRET);
+    const vault = newVault();
+    expect(vault.needsRotation(payload)).toBe(true);
+
+    const rewrapped = vault.rewrap(payload);
+
+    expect(vault.keyIdOf(rewrapped)).toBe('2026-01');
+    expect(vault.needsRotation(rewrapped)).toBe(false);
+    expect(rewrapped.split('.').slice(3)).toEqual(payload.split('.').slice(3));
+    expect(vault.decrypt(rewrapped)).toBe(SECRET);
+    expect(vault.rewrap(rewrapped)).toBe(rewrapped);
+  });
+
+  it('re-encrypts legacy ciphertexts when rewrapping', () => {
+    const legacy = CryptoJS.AES.encrypt(SECRET, 'master').toString();
+    const vault = newVault();
+
+    const rewrapped = vault.rewrap(legacy);
+
+    expect(vault.keyIdOf(rewrapped)).toBe('2026-01');
+    expect(vault.decrypt(rewrapped)).toBe(SECRET);
+  });
+
+  it('refuses payloads wrapped by a key that is not configured', () => {
+    const payload = newVault().encrypt(SECRET);
+
+    expect(() => oldVault().decrypt(payload)).toThrow('Encryption key 2026-01 is not configured');
+  });
+
+  it('rejects a payload whose tag or ciphertext was tampered with', () => {
+    const vault = newVault();
+    const parts = vault.encrypt(SECRET).split('.');
+    const flip = (part) => {
+      const bytes = Buffer.from(part, 'base64url');
+      bytes[0] ^= 0x01;
+      return bytes.toString('base64url');
+    };
+
+    const badTag = [...parts.slice(0, 5), flip(parts[5])].join('.');
+    const badCiphertext = [...parts.slice(0, 4), flip(parts[4]), parts[5]].join('.');
+
+    expect(() => vault.decrypt(badTag)).toThrow(/unable to authenticate/i);
+    expect(() => vault.decrypt(badCiphertext)).toThrow(/unable to authenticate/i);
+  });
+
+  it('rejects malformed payloads and misconfigured keys', () => {
+    expect(() => newVault().decrypt('v1.2026-01.abc')).toThrow('Malformed encrypted payload');
+    expect(() => new KeyVault({ masterKey: '', keys: 'no-separator' })).toThrow(/<keyId>:<secret>/);
+    expect(() => new KeyVault({ masterKey: 'master', activeKeyId: 'missing' })).toThrow(/No active encryption key/);
+  });
+});
@@ -0,0 +1,99 @@
+// tests/LocationProofService.test.js - Location proofs only accept keys of registered devices
+const { Ed25519Keypair } = require('@mysten/sui/keypairs/ed25519');
+const { LocationDevice, LocationProofSession, TreasureDiscovery } = require('../src/models');
+const LocationProofService = require('../src/services/LocationProofService');
+
+const sign = async (keypair, bytes) => Buffer.from(await keypair.sign(bytes)).toString('base64');
+
+describe('LocationProofService devices', () => {
+  const userId = 'user-1';
+  let service;
+  let keypair;
+  let publicKey;
+  let devices;
+
+  beforeEach(() => {
+    service = new LocationProofService({ maxDevices: 2 });
+    keypair = new Ed25519Keypair();
+    publicKey = keypair.getPublicKey().toBase64();
+    devices = [];
+
+    const matches = (device, filter) => Object.entries(filter).every(([key, value]) => device[key] === value);
+    jest.spyOn(LocationDevice, 'findOne').mockImplementation(async filter => devices.find(device => matches(device, filter)) || null);
+    jest.spyOn(LocationDevice, 'countDocuments').mockImplementation(async filter => devices.filter(device => matches(device, filter)).length);
+    jest.spyOn(LocationDevice, 'updateOne').mockResolvedValue({});
+    jest.spyOn(LocationDevice.prototype, 'save').mockImplementation(async function() {
+      devices.push(this);
+      return this;
+    });
+    jest.spyOn(LocationProofSession, 'updateMany').mockResolvedValue({});
+    jest.spyOn(LocationProofSession.prototype, 'save').mockImplementation(async function() { return this; });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const register = async (key = keypair, owner = userId) => {
+    const signature = await sign(key, service.buildRegistrationMessage(owner, key.getPublicKey().toBase64()));
+    return service.registerDevice(owner, key.getPublicKey().toBase64(), signature, 'Test phone');
+  };
+
+  it('registers a key whose holder signed the registration message', async () => {
+    const device = await register();
+
+    expect(device.userId).toBe(userId);
+    expect(device.publicKey).toBe(publicKey);
+    expect(device.status).toBe('active');
+  });
+
+  it('rejects a registration signed by another key', async () => {
+    const other = new Ed25519Keypair();
+    const signature = await sign(other, service.buildRegistrationMessage(userId, publicKey));
+
+    await expect(service.registerDevice(userId, publicKey, signature)).rejects.toMatchObject({
+      code: 'LOCATION_PROOF_BAD_SIGNATURE'
+    });
+  });
+
+  it('does not let a second account claim a registered key', async () => {
+    await register();
+
+    await expect(register(keypair, 'user-2')).rejects.toMatchObject({ code: 'LOCATION_DEVICE_TAKEN' });
+  });
+
+  it('caps the number of active devices per hunter', async () => {
+    await register(new Ed25519Keypair());
+    await register(new Ed25519Keypair());
+
+    await expect(register()).rejects.toMatchObject({ code: 'LOCATION_DEVICE_LIMIT' });
+  });
+
+  it('refuses hunt sessions for unregistered keys', async () => {
+    await expect(service.createSession(userId, 'treasure-1', publicKey)).rejects.toMatchObject({
+      statusCode: 403,
+      code: 'LOCATION_PROOF_DEVICE_UNREGISTERED'
+    });
+  });
+
+  it('accepts readings signed by the registered device', async () => {
+    const device = await register();
+    const session = await service.createSession(userId, 'treasure-1', publicKey);
+    session.createdAt = new Date(Date.now() - 1000);
+    expect(session.deviceId).toBe(device._id);
+
+    jest.spyOn(LocationProofSession, 'findById').mockResolvedValue(session);
+    jest.spyOn(TreasureDiscovery, 'findOne').mockReturnValue({ sort: async () => null });
+
+    const readings = [{ latitude: 21.0285, longitude: 105.8542, accuracy: 5, timestamp: Date.now() }];
+    const signature = await sign(keypair, service.buildMessage(session, readings));
+
+    const verification = await service.verifyProof(userId, 'treasure-1', { sessionId: session._id, readings, signature });
+    expect(verification.reading).toMatchObject({ latitude: 21.0285, longitude: 105.8542 });
+
+    // Revoking the device invalidates proofs from sessions it already opened
+    device.status = 'revoked';
+    await expect(service.verifyProof(userId, 'treasure-1', { sessionId: session._id, readings, signature }))
+      .rejects.toMatchObject({ code: 'LOCATION_PROOF_DEVICE_UNREGISTERED' });
+  });
+});
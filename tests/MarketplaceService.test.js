@@ -0,0 +1,368 @@
+// tests/MarketplaceService.test.js - Listing, buying, delisting and settlement recovery against a stubbed chain
+const { Listing, Transaction, Treasure, TreasureDiscovery, User } = require('../src/models');
+const MarketplaceService = require('../src/services/MarketplaceService');
+const { TestSigner } = require('../src/services/Signer');
+
+const address = (char) => `0x${char.repeat(64)}`;
+const NFT_ID = address('d');
+const ESCROW_DIGEST = 'E'.repeat(44);
+const PAYMENT_DIGEST = 'P'.repeat(44);
+const DELIVERY_DIGEST = 'Q'.repeat(44);
+const PRICE = 1000000000;
+
+describe('MarketplaceService', () => {
+  let suiService;
+  let service;
+  let escrowAddress;
+  let seller;
+  let buyer;
+  let creator;
+  let discovery;
+  let listing;
+  let listingUpdates;
+
+  const onChain = (status, error) => ({ effects: { status: { status, error } }, checkpoint: '42' });
+
+  beforeEach(async () => {
+    seller = new User({ username: 'seller', email: 'seller@example.com', suiAddress: address('a') });
+    buyer = new User({ username: 'buyer', email: 'buyer@example.com', suiAddress: address('b') });
+    creator = new User({ username: 'creator', email: 'creator@example.com', suiAddress: address('c') });
+    discovery = new TreasureDiscovery({
+      userId: seller._id,
+      treasureId: 'treasure-1',
+      nftObjectId: NFT_ID,
+      transactionDigest: 'T'.repeat(44),
+      rewardPoints: 100,
+      locationProof: { latitude: 21.02, longitude: 105.85 }
+    });
+
+    const escrowSigner = new TestSigner();
+    escrowAddress = await escrowSigner.getAddress();
+
+    suiService = {
+      signerFor: jest.fn(user => `signer:${user.username}`),
+      transferNft: jest.fn(async () => ({ status: 'success', transactionDigest: DELIVERY_DIGEST })),
+      paySui: jest.fn(async (signer, payments, { onSigned }) => {
+        await onSigned(PAYMENT_DIGEST);
+        return { status: 'success', transactionDigest: PAYMENT_DIGEST, gasUsed: 1000 };
+      }),
+      getTransactionDetails: jest.fn(async () => onChain('success')),
+      getObjectOwner: jest.fn(async () => escrowAddress),
+      calculateGasUsed: jest.fn(() => 1000)
+    };
+    service = new MarketplaceService({ suiService, royaltyBps: 500 });
+    service.escrowSigner = escrowSigner;
+    jest.spyOn(service.nftTransferService, 'applyStatsPolicy').mockResolvedValue();
+
+    listing = new Listing({
+      sellerId: seller._id,
+      discoveryId: discovery._id,
+      nftObjectId: NFT_ID,
+      treasureId: 'treasure-1',
+      rarity: 1,
+      price: PRICE,
+      royaltyBps: 500,
+      royaltyRecipientId: creator._id,
+      escrowAddress,
+      status: 'active'
+    });
+    listingUpdates = [];
+
+    const users = new Map([seller, buyer, creator].map(user => [user._id, user]));
+    jest.spyOn(User, 'findById').mockImplementation(async id => users.get(id) || null);
+    jest.spyOn(Treasure, 'findOne').mockResolvedValue(new Treasure({
+      treasureId: 'treasure-1',
+      name: 'Old Lighthouse',
+      rarity: 1,
+      createdBy: creator._id
+    }));
+    jest.spyOn(TreasureDiscovery, 'findOne').mockResolvedValue(discovery);
+    jest.spyOn(TreasureDiscovery, 'findOneAndUpdate').mockResolvedValue(discovery);
+    jest.spyOn(TreasureDiscovery, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Listing, 'findById').mockImplementation(async () => listing);
+    jest.spyOn(Listing, 'findOne').mockImplementation(async () => listing);
+    jest.spyOn(Listing, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      Object.assign(listing, update.$set);
+      return listing;
+    });
+    jest.spyOn(Listing, 'updateOne').mockImplementation(async (filter, update) => {
+      listingUpdates.push(update);
+      return { modifiedCount: 1 };
+    });
+    jest.spyOn(Listing.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(Transaction, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Transaction.prototype, 'save').mockImplementation(async function() { return this; });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const reopened = () => listingUpdates.some(update => update.$set?.status === 'active');
+
+  describe('createListing', () => {
+    it('moves the NFT into escrow and activates the listing', async () => {
+      suiService.transferNft.mockResolvedValue({ status: 'success', transactionDigest: ESCROW_DIGEST });
+
+      const result = await service.createListing(seller, NFT_ID, PRICE);
+
+      expect(suiService.transferNft).toHaveBeenCalledWith('signer:seller', NFT_ID, escrowAddress, expect.any(Object));
+      expect(result.listing).toMatchObject({ status: 'active', escrowAddress, escrowDigest: ESCROW_DIGEST });
+      expect(result.listing.royaltyRecipientId).toBe(creator._id);
+    });
+
+    it('releases the NFT when it cannot be moved into escrow', async () => {
+      suiService.transferNft.mockRejectedValue(new Error('insufficient gas'));
+
+      await expect(service.createListing(seller, NFT_ID, PRICE)).rejects.toMatchObject({ code: 'LISTING_FAILED' });
+
+      expect(TreasureDiscovery.updateOne).toHaveBeenCalledWith({ _id: discovery._id }, { $unset: { listingId: 1 } });
+    });
+
+    it('keeps the NFT reserved when the escrow transfer was signed but its response was lost', async () => {
+      suiService.transferNft.mockImplementation(async (signer, objectId, to, { onSigned }) => {
+        await onSigned(ESCROW_DIGEST);
+        throw new Error('socket hang up');
+      });
+
+      await expect(service.createListing(seller, NFT_ID, PRICE)).rejects.toMatchObject({ code: 'LISTING_UNCONFIRMED' });
+
+      expect(listingUpdates).toContainEqual({ $set: expect.objectContaining({
+        escrowDigest: ESCROW_DIGEST,
+        status: 'settling',
+        settlingAction: 'list'
+      }) });
+      expect(TreasureDiscovery.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cancelListing', () => {
+    it('returns the NFT to the seller and declines open offers', async () => {
+      listing.offers.push({ buyerId: buyer._id, price: PRICE, expiresAt: new Date(Date.now() + 60000) });
+
+      const result = await service.cancelListing(seller, listing._id);
+
+      expect(suiService.transferNft).toHaveBeenCalledWith(service.escrowSigner, NFT_ID, seller.suiAddress, expect.any(Object));
+      expect(result.status).toBe('cancelled');
+      expect(result.offers[0].status).toBe('declined');
+    });
+
+    it('puts the listing back on sale when the return was never signed', async () => {
+      suiService.transferNft.mockRejectedValue(new Error('NFT is not owned by this wallet'));
+
+      await expect(service.cancelListing(seller, listing._id)).rejects.toMatchObject({ code: 'DELIST_FAILED' });
+
+      expect(reopened()).toBe(true);
+    });
+
+    it('leaves the listing settling when the return was signed but its response was lost', async () => {
+      suiService.transferNft.mockImplementation(async (signer, objectId, to, { onSigned }) => {
+        await onSigned(DELIVERY_DIGEST);
+        throw new Error('socket hang up');
+      });
+
+      await expect(service.cancelListing(seller, listing._id)).rejects.toMatchObject({ code: 'DELIST_UNCONFIRMED' });
+
+      expect(reopened()).toBe(false);
+      expect(listing).toMatchObject({ status: 'settling', settlingAction: 'delist', deliveryDigest: DELIVERY_DIGEST });
+    });
+  });
+
+  describe('buy', () => {
+    it('pays seller and creator, then delivers the NFT', async () => {
+      const result = await service.buy(buyer, listing._id);
+
+      expect(suiService.paySui).toHaveBeenCalledWith('signer:buyer', [
+        { address: seller.suiAddress, amountInMist: PRICE * 0.95 },
+        { address: creator.suiAddress, amountInMist: PRICE * 0.05 }
+      ], expect.any(Object));
+      expect(suiService.transferNft).toHaveBeenCalledWith(service.escrowSigner, NFT_ID, buyer.suiAddress, expect.any(Object));
+      expect(result).toMatchObject({ status: 'sold', paymentDigest: PAYMENT_DIGEST, deliveryDigest: DELIVERY_DIGEST });
+      expect(Transaction.prototype.save).toHaveBeenCalledTimes(1);
+      expect(service.nftTransferService.applyStatsPolicy).toHaveBeenCalledWith(seller._id, buyer._id, 100);
+    });
+
+    it('stores the payment digest before the payment is submitted', async () => {
+      suiService.paySui.mockImplementation(async (signer, payments, { onSigned }) => {
+        await onSigned(PAYMENT_DIGEST);
+        expect(listingUpdates).toContainEqual({
+          $set: { paymentDigest: PAYMENT_DIGEST, salePrice: PRICE, royaltyAmount: PRICE * 0.05 }
+        });
+        return { status: 'success', transactionDigest: PAYMENT_DIGEST };
+      });
+
+      await service.buy(buyer, listing._id);
+    });
+
+    it('completes the sale when a lost payment response turns out to have succeeded', async () => {
+      suiService.paySui.mockImplementation(async (signer, payments, { onSigned }) => {
+        await onSigned(PAYMENT_DIGEST);
+        throw new Error('socket hang up');
+      });
+
+      const result = await service.buy(buyer, listing._id);
+
+      expect(suiService.getTransactionDetails).toHaveBeenCalledWith(PAYMENT_DIGEST);
+      expect(result.status).toBe('sold');
+      expect(reopened()).toBe(false);
+    });
+
+    it('reopens the listing when the payment failed on chain', async () => {
+      suiService.paySui.mockImplementation(async (signer, payments, { onSigned }) => {
+        await onSigned(PAYMENT_DIGEST);
+        throw new Error('socket hang up');
+      });
+      suiService.getTransactionDetails.mockResolvedValue(onChain('failure', 'InsufficientCoinBalance'));
+
+      await expect(service.buy(buyer, listing._id)).rejects.toMatchObject({ code: 'PAYMENT_FAILED' });
+
+      expect(reopened()).toBe(true);
+      expect(suiService.transferNft).not.toHaveBeenCalled();
+    });
+
+    it('keeps the listing settling while the payment cannot be found yet', async () => {
+      suiService.paySui.mockImplementation(async (signer, payments, { onSigned }) => {
+        await onSigned(PAYMENT_DIGEST);
+        throw new Error('socket hang up');
+      });
+      suiService.getTransactionDetails.mockRejectedValue(new Error(`Could not find the referenced transaction [${PAYMENT_DIGEST}]`));
+
+      await expect(service.buy(buyer, listing._id)).rejects.toMatchObject({ code: 'PAYMENT_UNCONFIRMED' });
+
+      expect(reopened()).toBe(false);
+      expect(listing.status).toBe('settling');
+    });
+
+    it('reopens the listing and the accepted offer when the payment was never signed', async () => {
+      listing.offers.push({ buyerId: buyer._id, price: PRICE, expiresAt: new Date(Date.now() + 60000) });
+      const offerId = listing.offers[0]._id;
+      Listing.findOneAndUpdate.mockImplementation(async () => {
+        listing.status = 'settling';
+        listing.buyerId = buyer._id;
+        listing.offers[0].status = 'accepted';
+        return listing;
+      });
+      suiService.paySui.mockRejectedValue(new Error('Insufficient SUI balance for transfer and gas fees'));
+
+      await expect(service.acceptOffer(seller, listing._id, offerId)).rejects.toMatchObject({ code: 'PAYMENT_FAILED' });
+
+      expect(suiService.getTransactionDetails).not.toHaveBeenCalled();
+      expect(Listing.updateOne).toHaveBeenCalledWith(
+        { _id: listing._id, 'offers._id': offerId },
+        expect.objectContaining({ $set: { status: 'active', 'offers.$.status': 'open' } })
+      );
+    });
+
+    it('leaves a paid listing in settlement_failed when delivery fails', async () => {
+      suiService.transferNft.mockRejectedValue(new Error('escrow out of gas'));
+
+      const result = await service.buy(buyer, listing._id);
+
+      expect(result).toMatchObject({ status: 'settlement_failed', paymentDigest: PAYMENT_DIGEST, error: 'escrow out of gas' });
+    });
+  });
+
+  describe('retrySettlement', () => {
+    beforeEach(() => {
+      Object.assign(listing, {
+        status: 'settling',
+        buyerId: buyer._id,
+        salePrice: PRICE,
+        royaltyAmount: PRICE * 0.05,
+        paymentDigest: PAYMENT_DIGEST
+      });
+    });
+
+    it('only picks up failed or stale settlements', async () => {
+      await service.retrySettlement(listing._id);
+
+      const [filter] = Listing.findOneAndUpdate.mock.calls[0];
+      expect(filter.$or[0]).toEqual({ status: 'settlement_failed' });
+      expect(filter.$or[1].status).toBe('settling');
+    });
+
+    it('delivers a confirmed payment without recording it twice', async () => {
+      Transaction.findOne.mockResolvedValue({ digest: PAYMENT_DIGEST });
+
+      const result = await service.retrySettlement(listing._id);
+
+      expect(suiService.paySui).not.toHaveBeenCalled();
+      expect(Transaction.prototype.save).not.toHaveBeenCalled();
+      expect(suiService.transferNft).toHaveBeenCalledWith(service.escrowSigner, NFT_ID, buyer.suiAddress, expect.any(Object));
+      expect(result.status).toBe('sold');
+    });
+
+    it('completes a sale whose NFT already reached the buyer', async () => {
+      suiService.getObjectOwner.mockResolvedValue(buyer.suiAddress);
+
+      const result = await service.retrySettlement(listing._id);
+
+      expect(suiService.transferNft).not.toHaveBeenCalled();
+      expect(result.status).toBe('sold');
+    });
+
+    it('does not move stats twice when the discovery was already handed over', async () => {
+      suiService.getObjectOwner.mockResolvedValue(buyer.suiAddress);
+      TreasureDiscovery.findOneAndUpdate.mockResolvedValue(null);
+
+      await service.retrySettlement(listing._id);
+
+      expect(service.nftTransferService.applyStatsPolicy).not.toHaveBeenCalled();
+    });
+
+    it('reopens a listing whose payment never landed', async () => {
+      suiService.getTransactionDetails.mockRejectedValue(new Error(`Could not find the referenced transaction [${PAYMENT_DIGEST}]`));
+
+      await service.retrySettlement(listing._id);
+
+      expect(reopened()).toBe(true);
+      expect(suiService.transferNft).not.toHaveBeenCalled();
+    });
+
+    it('leaves the listing settling while the RPC is unavailable', async () => {
+      suiService.getTransactionDetails.mockRejectedValue(new Error('fetch failed'));
+
+      await expect(service.retrySettlement(listing._id)).rejects.toMatchObject({ code: 'PAYMENT_UNCONFIRMED' });
+
+      expect(reopened()).toBe(false);
+    });
+
+    it('finishes an interrupted delist from where the NFT is', async () => {
+      listing.buyerId = undefined;
+      listing.paymentDigest = undefined;
+      suiService.getObjectOwner.mockResolvedValue(seller.suiAddress);
+
+      const result = await service.retrySettlement(listing._id);
+
+      expect(result.status).toBe('cancelled');
+      expect(suiService.transferNft).not.toHaveBeenCalled();
+    });
+
+    it('puts a delist back on sale when the NFT never left escrow', async () => {
+      Object.assign(listing, { buyerId: undefined, paymentDigest: undefined, settlingAction: 'delist' });
+
+      await service.retrySettlement(listing._id);
+
+      expect(reopened()).toBe(true);
+    });
+
+    it('activates an interrupted listing whose NFT reached escrow', async () => {
+      Object.assign(listing, { buyerId: undefined, paymentDigest: undefined, settlingAction: 'list' });
+
+      await service.retrySettlement(listing._id);
+
+      expect(reopened()).toBe(true);
+      expect(TreasureDiscovery.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('withdraws an interrupted listing whose NFT stayed with the seller', async () => {
+      Object.assign(listing, { buyerId: undefined, paymentDigest: undefined, settlingAction: 'list' });
+      suiService.getObjectOwner.mockResolvedValue(seller.suiAddress);
+
+      const result = await service.retrySettlement(listing._id);
+
+      expect(result.status).toBe('failed');
+      expect(TreasureDiscovery.updateOne).toHaveBeenCalledWith({ _id: discovery._id }, { $unset: { listingId: 1 } });
+    });
+  });
+});
@@ -0,0 +1,142 @@
+// tests/MintQueue.test.js - Offline mint retries never mint the same discovery twice
+const { startMockSuiRpc } = require('./helpers/mockSuiRpc');
+const { MintJob, TreasureDiscovery, User } = require('../src/models');
+const MintQueue = require('../src/services/MintQueue');
+const SuiService = require('../src/services/SuiService');
+
+const ADDRESS = `0x${'b'.repeat(64)}`;
+const NFT_ID = `0x${'c'.repeat(64)}`;
+const DIGEST = 'D'.repeat(44);
+
+describe('MintQueue', () => {
+  let suiService;
+  let queue;
+  let user;
+  let discovery;
+  let job;
+
+  beforeEach(() => {
+    user = new User({
+      username: 'hunter_one',
+      email: 'hunter@example.com',
+      suiAddress: ADDRESS,
+      encryptedPrivateKey: 'encrypted',
+      profileObjectId: `0x${'e'.repeat(64)}`
+    });
+    discovery = new TreasureDiscovery({
+      userId: user._id,
+      treasureId: 'treasure-1',
+      nftObjectId: 'offline_treasure-1',
+      transactionDigest: 'offline_tx_treasure-1',
+      locationProof: { latitude: 21.02, longitude: 105.85 },
+      status: 'offline'
+    });
+    job = new MintJob({
+      discoveryId: discovery._id,
+      userId: user._id,
+      treasureId: 'treasure-1',
+      locationProof: '21.02,105.85',
+      status: 'processing'
+    });
+
+    suiService = {
+      signerFor: jest.fn(() => 'signer'),
+      findTreasureNft: jest.fn(async () => null),
+      discoverTreasure: jest.fn(async () => ({ nftObjectId: NFT_ID, transactionDigest: DIGEST, blockHeight: 10 }))
+    };
+    queue = new MintQueue({ suiService, leaseMs: 60000 });
+
+    jest.spyOn(TreasureDiscovery, 'findById').mockResolvedValue(discovery);
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    jest.spyOn(MintJob.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(TreasureDiscovery.prototype, 'save').mockImplementation(async function() { return this; });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('mints once and replaces the offline placeholders', async () => {
+    const result = await queue.processJob(job);
+
+    expect(result.status).toBe('succeeded');
+    expect(suiService.discoverTreasure).toHaveBeenCalledTimes(1);
+    expect(discovery.nftObjectId).toBe(NFT_ID);
+    expect(discovery.transactionDigest).toBe(DIGEST);
+  });
+
+  it('keeps the recorded mint when saving the discovery fails, and does not mint again', async () => {
+    TreasureDiscovery.prototype.save.mockRejectedValueOnce(new Error('write conflict'));
+
+    const failed = await queue.processJob(job);
+    expect(failed.status).toBe('queued');
+    expect(failed.result).toMatchObject({ nftObjectId: NFT_ID, transactionDigest: DIGEST });
+
+    const retried = await queue.processJob(job);
+    expect(retried.status).toBe('succeeded');
+    expect(suiService.discoverTreasure).toHaveBeenCalledTimes(1);
+    expect(discovery.nftObjectId).toBe(NFT_ID);
+  });
+
+  it('adopts an NFT the hunter already holds instead of minting', async () => {
+    suiService.findTreasureNft.mockResolvedValue({ objectId: NFT_ID, previousTransaction: DIGEST });
+
+    const result = await queue.processJob(job);
+
+    expect(result.status).toBe('succeeded');
+    expect(suiService.findTreasureNft).toHaveBeenCalledWith(ADDRESS, 'treasure-1');
+    expect(suiService.discoverTreasure).not.toHaveBeenCalled();
+    expect(discovery.transactionDigest).toBe(DIGEST);
+  });
+
+  it('reclaims jobs whose processing lease expired', async () => {
+    const findOneAndUpdate = jest.spyOn(MintJob, 'findOneAndUpdate')
+      .mockResolvedValueOnce(job)
+      .mockResolvedValueOnce(null);
+
+    const counts = await queue.runOnce();
+
+    expect(counts).toMatchObject({ processed: 1, succeeded: 1 });
+    const [filter] = findOneAndUpdate.mock.calls[0];
+    const lease = filter.$or.find(condition => condition.status === 'processing');
+    expect(lease.lastAttemptAt.$lte.getTime()).toBeLessThanOrEqual(Date.now() - 60000);
+  });
+
+  it('lets admins retry a job stuck in processing', async () => {
+    const findOneAndUpdate = jest.spyOn(MintJob, 'findOneAndUpdate').mockResolvedValue(job);
+
+    await queue.retry(job._id);
+
+    const [filter] = findOneAndUpdate.mock.calls[0];
+    expect(filter.$or).toEqual(expect.arrayContaining([
+      { status: { $in: ['queued', 'failed'] } },
+      expect.objectContaining({ status: 'processing' })
+    ]));
+  });
+
+  it('only adopts NFTs the hunter found, not copies they were given', async () => {
+    const treasureNft = (objectId, finder) => ({
+      data: {
+        objectId,
+        previousTransaction: DIGEST,
+        content: { fields: { treasure_id: 'treasure-1', finder_address: finder } }
+      }
+    });
+    const owned = [treasureNft(`0x${'1'.repeat(64)}`, `0x${'f'.repeat(64)}`)];
+    const rpc = await startMockSuiRpc({
+      suix_getOwnedObjects: () => ({ data: owned, hasNextPage: false, nextCursor: null })
+    });
+    process.env.SUI_RPC_URL = rpc.url;
+
+    try {
+      queue = new MintQueue({ suiService: new SuiService('testnet') });
+      expect(await queue.findExistingMint(user, 'treasure-1')).toBeNull();
+
+      owned.push(treasureNft(NFT_ID, ADDRESS));
+      expect(await queue.findExistingMint(user, 'treasure-1')).toMatchObject({ nftObjectId: NFT_ID });
+    } finally {
+      delete process.env.SUI_RPC_URL;
+      await rpc.close();
+    }
+  });
+});
@@ -0,0 +1,84 @@
+// tests/NfcTagService.test.js - SUN/SDM tap verification against the NXP reference vectors
+const { NfcTag } = require('../src/models');
+const KeyVault = require('../src/services/KeyVault');
+const NfcTagService = require('../src/services/NfcTagService');
+
+const ZERO_KEY = '00000000000000000000000000000000';
+// AN12196 SUN example: UID 04DE5F1EACC040, SDM read counter 61, all-zero keys
+const REFERENCE_PICC_DATA = 'EF963FF7828658A599F3041510671E88';
+const REFERENCE_CMAC = '94EED9EE65337086';
+const REFERENCE_URL = `https://treasure.example/tap?picc_data=${REFERENCE_PICC_DATA}&cmac=${REFERENCE_CMAC}`;
+
+describe('NfcTagService', () => {
+  let service;
+  let tag;
+
+  beforeEach(() => {
+    service = new NfcTagService({ keyVault: new KeyVault({ masterKey: 'master' }) });
+    tag = new NfcTag({
+      treasureId: 'treasure-1',
+      uid: '04DE5F1EACC040',
+      encryptedMetaReadKey: service.encryptKey(ZERO_KEY),
+      encryptedFileReadKey: service.encryptKey(ZERO_KEY)
+    });
+
+    jest.spyOn(NfcTag, 'find').mockImplementation(async () => [tag]);
+    // Counter check as MongoDB would apply it
+    jest.spyOn(NfcTag, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      if (!(tag.lastCounter < filter.lastCounter.$lt)) return null;
+      tag.lastCounter = update.$set.lastCounter;
+      return tag;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('computes AES-CMAC as in RFC 4493', () => {
+    const key = Buffer.from('2b7e151628aed2a6abf7158809cf4f3c', 'hex');
+
+    expect(service.aesCmac(key, Buffer.alloc(0)).toString('hex')).toBe('bb1d6929e95937287fa37d129b756746');
+    expect(service.aesCmac(key, Buffer.from('6bc1bee22e409f96e93d7e117393172a', 'hex')).toString('hex'))
+      .toBe('070a16b46b4d4144f79bdd9dd04a287c');
+  });
+
+  it('decrypts the reference PICC data and reproduces its SDM MAC', () => {
+    const picc = service.decryptPiccData(ZERO_KEY, Buffer.from(REFERENCE_PICC_DATA, 'hex'));
+
+    expect(picc).toMatchObject({ uid: '04DE5F1EACC040', counter: 61 });
+    expect(service.calculateSdmMac(ZERO_KEY, picc.uidBytes, picc.counterBytes).toString('hex').toUpperCase())
+      .toBe(REFERENCE_CMAC);
+  });
+
+  it('accepts a genuine tap once and rejects its replay', async () => {
+    await expect(service.verifyTap('treasure-1', REFERENCE_URL)).resolves.toMatchObject({
+      tagId: tag._id,
+      uid: '04DE5F1EACC040',
+      counter: 61
+    });
+    expect(tag.lastCounter).toBe(61);
+
+    await expect(service.verifyTap('treasure-1', REFERENCE_URL)).rejects.toMatchObject({ code: 'NFC_REPLAYED' });
+  });
+
+  it('rejects a tap whose MAC was altered', async () => {
+    const forged = { piccData: REFERENCE_PICC_DATA, cmac: '94EED9EE65337087' };
+
+    await expect(service.verifyTap('treasure-1', forged)).rejects.toMatchObject({ code: 'NFC_BAD_MAC' });
+    expect(NfcTag.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('rejects a tap from a tag registered with other keys', async () => {
+    tag.encryptedMetaReadKey = service.encryptKey('00112233445566778899AABBCCDDEEFF');
+
+    await expect(service.verifyTap('treasure-1', REFERENCE_URL)).rejects.toMatchObject({ code: 'NFC_TAG_MISMATCH' });
+  });
+
+  it('rejects malformed taps and treasures without tags', async () => {
+    await expect(service.verifyTap('treasure-1', 'picc_data=XYZ&cmac=00')).rejects.toMatchObject({ code: 'NFC_INVALID_PAYLOAD' });
+
+    NfcTag.find.mockResolvedValue([]);
+    await expect(service.verifyTap('treasure-1', REFERENCE_URL)).rejects.toMatchObject({ code: 'NFC_TAG_NOT_REGISTERED' });
+  });
+});
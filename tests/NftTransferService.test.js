@@ -0,0 +1,151 @@
+// tests/NftTransferService.test.js - NFT gifts keep ownership with the wallet that holds the object
+const { HunterProfile, Treasure, TreasureDiscovery, Transaction, User } = require('../src/models');
+const NftTransferService = require('../src/services/NftTransferService');
+
+const SENDER_ADDRESS = `0x${'a'.repeat(64)}`;
+const CUSTODIAL_ADDRESS = `0x${'b'.repeat(64)}`;
+const LINKED_ADDRESS = `0x${'c'.repeat(64)}`;
+const NFT_ID = `0x${'d'.repeat(64)}`;
+const DIGEST = 'D'.repeat(44);
+
+describe('NftTransferService', () => {
+  let suiService;
+  let service;
+  let sender;
+  let recipient;
+  let discovery;
+
+  beforeEach(() => {
+    sender = new User({ username: 'sender', email: 'sender@example.com', suiAddress: SENDER_ADDRESS });
+    recipient = new User({
+      username: 'recipient',
+      email: 'recipient@example.com',
+      suiAddress: CUSTODIAL_ADDRESS,
+      linkedWallets: [{ address: LINKED_ADDRESS }]
+    });
+    discovery = new TreasureDiscovery({
+      userId: sender._id,
+      treasureId: 'treasure-1',
+      nftObjectId: NFT_ID,
+      transactionDigest: DIGEST,
+      rewardPoints: 100,
+      locationProof: { latitude: 21.02, longitude: 105.85 }
+    });
+
+    suiService = {
+      signerFor: jest.fn(() => 'signer'),
+      transferNft: jest.fn(async () => ({ status: 'success', transactionDigest: DIGEST })),
+      getObjectOwner: jest.fn(async () => SENDER_ADDRESS)
+    };
+    service = new NftTransferService({ suiService, statsPolicy: 'owner', soulboundRarities: [] });
+
+    jest.spyOn(TreasureDiscovery, 'findOne').mockResolvedValue(discovery);
+    jest.spyOn(TreasureDiscovery, 'findOneAndUpdate').mockResolvedValue(discovery);
+    jest.spyOn(TreasureDiscovery, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Treasure, 'findOne').mockResolvedValue(null);
+    jest.spyOn(User, 'findOne').mockResolvedValue(recipient);
+    jest.spyOn(HunterProfile, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Transaction.prototype, 'save').mockImplementation(async function() { return this; });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const ownerUpdate = () => TreasureDiscovery.findOneAndUpdate.mock.calls
+    .map(([, update]) => update.$set)
+    .find(set => set && 'ownerAddress' in set);
+
+  const loseResponse = () => suiService.transferNft.mockImplementation(async (signer, objectId, to, { onSigned }) => {
+    await onSigned(DIGEST);
+    throw new Error('socket hang up');
+  });
+
+  it('gives ownership to the recipient when the NFT lands in their custodial wallet', async () => {
+    await service.transfer(sender, NFT_ID, CUSTODIAL_ADDRESS);
+
+    expect(ownerUpdate()).toMatchObject({ ownerId: recipient._id, ownerAddress: CUSTODIAL_ADDRESS });
+  });
+
+  it('records a gift to a linked wallet by address only', async () => {
+    await service.transfer(sender, NFT_ID, LINKED_ADDRESS);
+
+    expect(suiService.transferNft).toHaveBeenCalledWith('signer', NFT_ID, LINKED_ADDRESS, expect.any(Object));
+    expect(ownerUpdate()).toMatchObject({ ownerId: null, ownerAddress: LINKED_ADDRESS });
+  });
+
+  it('does not count an NFT held on an external wallet for the finder', () => {
+    expect(service.ownedBy(sender._id)).toEqual({
+      $or: [{ ownerId: sender._id }, { userId: sender._id, ownerId: null, ownerAddress: null }]
+    });
+  });
+
+  it('moves stats and recalculates the rank of both hunters under the owner policy', async () => {
+    await service.transfer(sender, NFT_ID, 'recipient');
+
+    const updates = HunterProfile.updateOne.mock.calls;
+    expect(updates.map(([filter]) => filter.userId)).toEqual([sender._id, recipient._id]);
+    for (const [, pipeline] of updates) {
+      expect(pipeline[1]).toEqual({ $set: { rank: HunterProfile.rankExpression() } });
+    }
+  });
+
+  it('gives every transfer its own placeholder digest until it is signed', async () => {
+    const digests = [];
+    suiService.transferNft.mockImplementation(async () => {
+      digests.push(Transaction.prototype.save.mock.contexts.at(-1).digest);
+      throw new Error('Insufficient SUI balance');
+    });
+
+    await expect(service.transfer(sender, NFT_ID, 'recipient')).rejects.toMatchObject({ code: 'NFT_TRANSFER_FAILED' });
+    await expect(service.transfer(sender, NFT_ID, 'recipient')).rejects.toMatchObject({ code: 'NFT_TRANSFER_FAILED' });
+
+    expect(digests[0]).toMatch(/^pending_nft_transfer_/);
+    expect(digests[0]).not.toBe(digests[1]);
+  });
+
+  it('unlocks the NFT when the transfer was never signed', async () => {
+    suiService.transferNft.mockRejectedValue(new Error('Insufficient SUI balance'));
+
+    await expect(service.transfer(sender, NFT_ID, 'recipient')).rejects.toMatchObject({ code: 'NFT_TRANSFER_FAILED' });
+
+    const [[filter, update]] = TreasureDiscovery.updateOne.mock.calls;
+    expect(filter).toEqual({ _id: discovery._id, transferStartedAt: expect.any(Date) });
+    expect(update).toEqual({ $unset: { transferStartedAt: 1 } });
+    expect(ownerUpdate()).toBeUndefined();
+  });
+
+  it('completes a transfer whose response was lost when the recipient already holds the NFT', async () => {
+    loseResponse();
+    suiService.getObjectOwner.mockResolvedValue(CUSTODIAL_ADDRESS);
+
+    const result = await service.transfer(sender, NFT_ID, 'recipient');
+
+    expect(result.transaction).toMatchObject({ digest: DIGEST, status: 'success' });
+    expect(ownerUpdate()).toMatchObject({ ownerId: recipient._id, ownerAddress: CUSTODIAL_ADDRESS });
+  });
+
+  it('keeps the NFT locked while a signed transfer cannot be confirmed', async () => {
+    loseResponse();
+
+    await expect(service.transfer(sender, NFT_ID, 'recipient')).rejects.toMatchObject({ code: 'NFT_TRANSFER_UNCONFIRMED' });
+
+    expect(Transaction.prototype.save.mock.contexts.at(-1)).toMatchObject({ digest: DIGEST, status: 'pending' });
+    expect(TreasureDiscovery.updateOne).not.toHaveBeenCalled();
+    expect(ownerUpdate()).toBeUndefined();
+  });
+
+  it('moves ownership and stats only once when a transfer is completed twice', async () => {
+    const result = await service.transfer(sender, NFT_ID, 'recipient');
+    TreasureDiscovery.findOneAndUpdate.mockResolvedValue(null);
+
+    await service.completeTransfer(result.transaction);
+
+    expect(HunterProfile.updateOne).toHaveBeenCalledTimes(2);
+  });
+
+  it('ranks hunters by treasures found', () => {
+    expect([0, 4, 5, 19, 20, 50].map(found => HunterProfile.rankFor(found)))
+      .toEqual(['beginner', 'beginner', 'explorer', 'explorer', 'hunter', 'master']);
+  });
+});
@@ -0,0 +1,92 @@
+// tests/QrCodeService.test.js - Signed QR payloads: forgery, expiry, rotation and revocation
+const QrCodeService = require('../src/services/QrCodeService');
+
+describe('QrCodeService', () => {
+  let service;
+  let treasure;
+
+  beforeEach(() => {
+    service = new QrCodeService({ secret: 'qr-secret' });
+    treasure = { treasureId: 'treasure-1', qrVersion: 2 };
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const reSign = (payload, changeClaims) => {
+    const [prefix, body] = payload.split('.');
+    const claims = changeClaims(JSON.parse(Buffer.from(body, 'base64url').toString('utf8')));
+    const newBody = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    return `${prefix}.${newBody}.${service.sign(newBody)}`;
+  };
+
+  it('verifies a code it generated', () => {
+    const { payload } = service.generate(treasure);
+
+    expect(service.verify(treasure, payload)).toMatchObject({ treasureId: 'treasure-1', version: 2, expiresAt: null });
+  });
+
+  it('rejects unsigned, forged and foreign-key codes', () => {
+    const { payload } = service.generate(treasure);
+    const [prefix, body, signature] = payload.split('.');
+    const tamperedBody = Buffer.from(JSON.stringify({ tid: 'treasure-1', ver: 3, iat: 0 })).toString('base64url');
+
+    expect(() => service.verify(treasure, 'treasure-1')).toThrow(expect.objectContaining({ code: 'QR_UNSIGNED' }));
+    expect(() => service.verify(treasure, `${prefix}.${tamperedBody}.${signature}`))
+      .toThrow(expect.objectContaining({ code: 'QR_BAD_SIGNATURE' }));
+    expect(() => service.verify(treasure, `${prefix}.${body}.${signature.slice(0, -2)}`))
+      .toThrow(expect.objectContaining({ code: 'QR_BAD_SIGNATURE' }));
+    expect(() => new QrCodeService({ secret: 'other-secret' }).verify(treasure, payload))
+      .toThrow(expect.objectContaining({ code: 'QR_BAD_SIGNATURE' }));
+  });
+
+  it('rejects a code for another treasure', () => {
+    const { payload } = service.generate({ treasureId: 'treasure-2', qrVersion: 2 });
+
+    expect(() => service.verify(treasure, payload)).toThrow(expect.objectContaining({ code: 'QR_WRONG_TREASURE' }));
+  });
+
+  it('rejects codes printed before the treasure was revoked', () => {
+    const { payload } = service.generate(treasure);
+    treasure.qrVersion = 3;
+
+    expect(() => service.verify(treasure, payload)).toThrow(expect.objectContaining({ code: 'QR_REVOKED' }));
+  });
+
+  it('expires codes after their lifetime, allowing for clock skew', () => {
+    jest.useFakeTimers({ now: new Date('2026-10-19T12:00:00Z') });
+    const { payload, expiresAt } = service.generate(treasure, { expiresInSeconds: 60 });
+    expect(expiresAt).toEqual(new Date('2026-10-19T12:01:00Z'));
+
+    jest.setSystemTime(new Date('2026-10-19T12:01:20Z'));
+    expect(service.verify(treasure, payload).treasureId).toBe('treasure-1');
+
+    jest.setSystemTime(new Date('2026-10-19T12:01:31Z'));
+    expect(() => service.verify(treasure, payload)).toThrow(expect.objectContaining({ code: 'QR_EXPIRED' }));
+  });
+
+  it('ties rotating codes to the end of the current window', () => {
+    jest.useFakeTimers({ now: new Date('2026-10-19T12:00:10Z') });
+
+    const { expiresAt } = service.generate(treasure, { rotationSeconds: 30 });
+
+    expect(expiresAt).toEqual(new Date('2026-10-19T12:00:30Z'));
+  });
+
+  it('rejects codes issued in the future', () => {
+    const { payload } = service.generate(treasure);
+    const future = reSign(payload, claims => ({ ...claims, iat: claims.iat + 3600 }));
+
+    expect(() => service.verify(treasure, future)).toThrow(expect.objectContaining({ code: 'QR_BAD_SIGNATURE' }));
+  });
+
+  it('refuses to sign or verify without a secret', () => {
+    const { payload } = service.generate(treasure);
+    const unconfigured = new QrCodeService();
+    unconfigured.secret = null;
+
+    expect(() => unconfigured.generate(treasure)).toThrow(expect.objectContaining({ code: 'SERVICE_UNAVAILABLE' }));
+    expect(() => unconfigured.verify(treasure, payload)).toThrow(expect.objectContaining({ code: 'SERVICE_UNAVAILABLE' }));
+  });
+});
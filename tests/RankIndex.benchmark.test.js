@@ -0,0 +1,130 @@
+// tests/RankIndex.benchmark.test.js - Rank index timings and exactness on synthetic hunter profiles
+// Opt-in: RANK_BENCHMARK=1 npx jest tests/RankIndex.benchmark.test.js
+// Sizes: RANK_BENCHMARK_PROFILES (100000), RANK_BENCHMARK_UPDATES and RANK_BENCHMARK_LOOKUPS (50000)
+const RankIndex = require('../src/services/RankIndex');
+
+const SORT_KEYS = {
+  score: ['totalScore', 'totalTreasuresFound'],
+  treasures: ['totalTreasuresFound', 'totalScore'],
+  streak: ['currentStreak', 'totalScore']
+};
+
+const profileCount = parseInt(process.env.RANK_BENCHMARK_PROFILES) || 100000;
+const updateCount = parseInt(process.env.RANK_BENCHMARK_UPDATES) || 50000;
+const lookupCount = parseInt(process.env.RANK_BENCHMARK_LOOKUPS) || 50000;
+const verifyCount = 200;
+
+const randomInt = (max) => Math.floor(Math.random() * max);
+
+// Skewed like real play: most hunters have few finds, a handful have many
+const syntheticProfile = () => {
+  const totalTreasuresFound = Math.floor(Math.pow(Math.random(), 3) * 200);
+  return {
+    totalTreasuresFound,
+    totalScore: totalTreasuresFound * 100 + randomInt(500),
+    currentStreak: randomInt(30)
+  };
+};
+
+const time = (fn) => {
+  const startedAt = process.hrtime.bigint();
+  fn();
+  return Number(process.hrtime.bigint() - startedAt) / 1e6;
+};
+
+// Linear scan with the same ordering as the leaderboard count queries
+const naivePosition = (profiles, userId, sortBy) => {
+  const [primary, secondary] = SORT_KEYS[sortBy];
+  const own = profiles.get(userId);
+  let ahead = 0;
+
+  for (const profile of profiles.values()) {
+    if (profile[primary] > own[primary] ||
+      (profile[primary] === own[primary] && profile[secondary] > own[secondary])) {
+      ahead += 1;
+    }
+  }
+  return ahead + 1;
+};
+
+const describeBenchmark = process.env.RANK_BENCHMARK ? describe : describe.skip;
+
+describeBenchmark('RankIndex benchmark', () => {
+  it(`ranks ${profileCount} profiles exactly and faster than a full scan`, () => {
+    const rankIndex = new RankIndex({ resyncMs: 0 });
+    const profiles = new Map();
+    const userIds = [];
+
+    for (let i = 0; i < profileCount; i++) {
+      const userId = `hunter-${i.toString().padStart(7, '0')}`;
+      userIds.push(userId);
+      profiles.set(userId, syntheticProfile());
+    }
+
+    const buildMs = time(() => {
+      for (const [userId, profile] of profiles) {
+        rankIndex.set(userId, profile);
+      }
+    });
+
+    // Score changes as they arrive from discoveries
+    const updateMs = time(() => {
+      for (let i = 0; i < updateCount; i++) {
+        const userId = userIds[randomInt(profileCount)];
+        const profile = profiles.get(userId);
+        const updated = {
+          totalTreasuresFound: profile.totalTreasuresFound + 1,
+          totalScore: profile.totalScore + 100 + randomInt(400),
+          currentStreak: profile.currentStreak + 1
+        };
+        profiles.set(userId, updated);
+        rankIndex.set(userId, updated);
+      }
+    });
+
+    const positionMs = time(() => {
+      for (let i = 0; i < lookupCount; i++) {
+        rankIndex.getPosition(userIds[randomInt(profileCount)], 'score');
+      }
+    });
+
+    const aroundMs = time(() => {
+      for (let i = 0; i < lookupCount; i++) {
+        rankIndex.getAround(userIds[randomInt(profileCount)], 'score', 5);
+      }
+    });
+
+    // Check sampled positions against a full scan for every sort order
+    const mismatches = [];
+    let naiveMs = 0;
+    for (let i = 0; i < verifyCount; i++) {
+      const userId = userIds[randomInt(profileCount)];
+      const sortBy = Object.keys(SORT_KEYS)[i % 3];
+      let expected;
+      naiveMs += time(() => {
+        expected = naivePosition(profiles, userId, sortBy);
+      });
+      const actual = rankIndex.getPosition(userId, sortBy).position;
+      if (actual !== expected) {
+        mismatches.push({ userId, sortBy, expected, actual });
+      }
+    }
+
+    const positionLookupMs = positionMs / lookupCount;
+    const naiveCountMs = naiveMs / verifyCount;
+
+    console.log([
+      '📊 RANK INDEX BENCHMARK',
+      `Profiles:            ${rankIndex.total}`,
+      `Build:               ${Math.round(buildMs)}ms`,
+      `Updates:             ${Math.round(updateCount / (updateMs / 1000))}/s`,
+      `getPosition:         ${Math.round(positionLookupMs * 10000) / 10}µs`,
+      `getAround (r=5):     ${Math.round((aroundMs / lookupCount) * 10000) / 10}µs`,
+      `Naive full scan:     ${Math.round(naiveCountMs * 1000)}µs`
+    ].join('\n'));
+
+    expect(rankIndex.total).toBe(profileCount);
+    expect(mismatches).toEqual([]);
+    expect(positionLookupMs).toBeLessThan(naiveCountMs);
+  }, 300000);
+});
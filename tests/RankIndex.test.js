@@ -0,0 +1,134 @@
+// tests/RankIndex.test.js - Rank index positions, resyncs and the profile write hooks that feed it
+const { HunterProfile } = require('../src/models');
+const RankIndex = require('../src/services/RankIndex');
+
+// HunterProfile.find(...).select().lean().cursor() over the given rows
+const mockProfileRows = (rows) => {
+  jest.spyOn(HunterProfile, 'find').mockReturnValue({
+    select: () => ({ lean: () => ({ cursor: () => rows }) })
+  });
+};
+
+describe('RankIndex', () => {
+  let rankIndex;
+
+  beforeEach(() => {
+    rankIndex = new RankIndex({ resyncMs: 0 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('shares positions between equal values and breaks ties on the secondary field', () => {
+    rankIndex.set('a', { totalScore: 300, totalTreasuresFound: 3 });
+    rankIndex.set('b', { totalScore: 300, totalTreasuresFound: 3 });
+    rankIndex.set('c', { totalScore: 300, totalTreasuresFound: 5 });
+    rankIndex.set('d', { totalScore: 100, totalTreasuresFound: 9 });
+
+    expect(rankIndex.getPosition('c', 'score').position).toBe(1);
+    expect(rankIndex.getPosition('a', 'score').position).toBe(2);
+    expect(rankIndex.getPosition('b', 'score').position).toBe(2);
+    expect(rankIndex.getPosition('d', 'treasures').position).toBe(1);
+    expect(rankIndex.getAround('d', 'score', 1).entries.map(entry => entry.userId)).toEqual(['b', 'd']);
+  });
+
+  it('moves and removes hunters', () => {
+    rankIndex.ready = true;
+    rankIndex.set('a', { totalScore: 100 });
+    rankIndex.set('b', { totalScore: 200 });
+
+    rankIndex.onProfileChange('a', { totalScore: 300 });
+    expect(rankIndex.getPosition('a', 'score').position).toBe(1);
+
+    rankIndex.onProfileChange('a', null);
+    expect(rankIndex.getPosition('a', 'score')).toBeNull();
+    expect(rankIndex.total).toBe(1);
+  });
+
+  it('swaps in a rebuilt index and replays writes seen while reading', async () => {
+    rankIndex.ready = true;
+    rankIndex.set('gone', { totalScore: 999 });
+    mockProfileRows((async function* () {
+      yield { userId: 'a', totalScore: 100 };
+      // Written by this process while the cursor is still open
+      rankIndex.onProfileChange('b', { totalScore: 500 });
+      yield { userId: 'b', totalScore: 50 };
+    })());
+
+    await rankIndex.rebuild();
+
+    expect(rankIndex.getPosition('gone', 'score')).toBeNull();
+    expect(rankIndex.getPosition('b', 'score').position).toBe(1);
+    expect(rankIndex.total).toBe(2);
+  });
+
+  it('rebuilds after a bulk write', async () => {
+    rankIndex.ready = true;
+    mockProfileRows([{ userId: 'a', totalScore: 100 }]);
+
+    rankIndex.onProfileChange(null, null);
+    await rankIndex.rebuilding;
+
+    expect(HunterProfile.find).toHaveBeenCalledTimes(1);
+    expect(rankIndex.getPosition('a', 'score').position).toBe(1);
+  });
+
+  it('fetches a hunter it has not indexed yet', async () => {
+    jest.spyOn(HunterProfile, 'findOne').mockReturnValue({
+      select: () => ({ lean: async () => ({ userId: 'new', totalScore: 50 }) })
+    });
+    rankIndex.set('a', { totalScore: 100 });
+
+    await rankIndex.ensure('new');
+    await rankIndex.ensure('a');
+
+    expect(HunterProfile.findOne).toHaveBeenCalledTimes(1);
+    expect(rankIndex.getPosition('new', 'score').position).toBe(2);
+  });
+});
+
+describe('HunterProfile write hooks', () => {
+  const listener = jest.fn();
+  HunterProfile.onChange(listener);
+
+  beforeEach(() => {
+    listener.mockClear();
+    const result = { acknowledged: true, matchedCount: 1, modifiedCount: 1, upsertedCount: 0 };
+    jest.spyOn(HunterProfile.collection, 'updateOne').mockResolvedValue(result);
+    jest.spyOn(HunterProfile.collection, 'updateMany').mockResolvedValue(result);
+    jest.spyOn(HunterProfile, 'findOne').mockReturnValue({
+      select: () => ({ session: () => ({ lean: async () => ({ userId: 'user-1', totalScore: 150 }) }) })
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reports writes to ranked fields', async () => {
+    await HunterProfile.updateOne({ userId: 'user-1' }, { $inc: { totalScore: 50 } });
+
+    expect(listener).toHaveBeenCalledWith('user-1', { userId: 'user-1', totalScore: 150 });
+  });
+
+  it('reports pipeline updates of ranked fields', async () => {
+    await HunterProfile.updateOne({ userId: 'user-1' }, [{ $set: { totalTreasuresFound: { $add: ['$totalTreasuresFound', 1] } } }]);
+
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  it('ignores writes that cannot change a position', async () => {
+    await HunterProfile.updateOne({ userId: 'user-1' }, { $set: { lastActiveAt: new Date() } });
+
+    expect(HunterProfile.findOne).not.toHaveBeenCalled();
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  it('reports bulk writes without looking up every hunter', async () => {
+    await HunterProfile.updateMany({}, { $set: { currentStreak: 0 } });
+
+    expect(HunterProfile.findOne).not.toHaveBeenCalled();
+    expect(listener).toHaveBeenCalledWith(null, null);
+  });
+});
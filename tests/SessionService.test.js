@@ -0,0 +1,103 @@
+// tests/SessionService.test.js - Refresh token rotation, reuse detection and the parallel-tab grace window
+const jwt = require('jsonwebtoken');
+const { AuthSession, User } = require('../src/models');
+const SessionService = require('../src/services/SessionService');
+
+// Just enough of the MongoDB filter language for the queries SessionService sends
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+  const value = doc[key];
+  if (condition && typeof condition === 'object' && !(condition instanceof Date) && '$gt' in condition) {
+    return value > condition.$gt;
+  }
+  if (condition === null) {
+    return value === null || value === undefined;
+  }
+  return value === condition;
+});
+
+describe('SessionService.refresh', () => {
+  let service;
+  let user;
+  let stored;
+
+  beforeEach(async () => {
+    service = new SessionService({ reuseGraceMs: 30000 });
+    user = new User({
+      username: 'hunter_one',
+      email: 'hunter@example.com',
+      suiAddress: `0x${'b'.repeat(64)}`,
+      isActive: true
+    });
+
+    jest.spyOn(AuthSession.prototype, 'save').mockImplementation(async function() {
+      stored = this;
+      return this;
+    });
+    jest.spyOn(AuthSession, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      if (!stored || !matches(stored, filter)) return null;
+      Object.assign(stored, update.$set);
+      stored.rotationCount += update.$inc.rotationCount;
+      return stored;
+    });
+    jest.spyOn(AuthSession, 'findOne').mockImplementation(async filter => (stored && matches(stored, filter) ? stored : null));
+    jest.spyOn(AuthSession, 'findById').mockImplementation(async () => stored);
+    jest.spyOn(AuthSession, 'updateOne').mockImplementation(async (filter, update) => {
+      Object.assign(stored, update.$set);
+      return { modifiedCount: 1 };
+    });
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('rotates the refresh token', async () => {
+    const { tokens } = await service.createSession(user);
+
+    const refreshed = await service.refresh(tokens.refreshToken);
+
+    expect(refreshed.tokens.refreshToken).not.toBe(tokens.refreshToken);
+    expect(stored.rotationCount).toBe(1);
+  });
+
+  it('gives parallel refreshes of the same token the same new refresh token', async () => {
+    const { tokens } = await service.createSession(user);
+
+    const first = await service.refresh(tokens.refreshToken);
+    const second = await service.refresh(tokens.refreshToken);
+
+    expect(second.tokens.refreshToken).toBe(first.tokens.refreshToken);
+    expect(stored.revokedAt).toBeUndefined();
+
+    // The shared new token keeps working
+    await expect(service.refresh(first.tokens.refreshToken)).resolves.toBeDefined();
+  });
+
+  it('revokes the session when a rotated token comes back after the grace window', async () => {
+    const { tokens } = await service.createSession(user);
+    await service.refresh(tokens.refreshToken);
+    stored.rotatedAt = new Date(Date.now() - 60000);
+
+    await expect(service.refresh(tokens.refreshToken)).rejects.toMatchObject({ code: 'REFRESH_TOKEN_REUSED' });
+    expect(stored.revokedReason).toBe('refresh_token_reuse');
+  });
+
+  it('rejects a token two rotations old even inside the grace window', async () => {
+    const { tokens } = await service.createSession(user);
+    const first = await service.refresh(tokens.refreshToken);
+    await service.refresh(first.tokens.refreshToken);
+
+    await expect(service.refresh(tokens.refreshToken)).rejects.toMatchObject({ code: 'INVALID_REFRESH_TOKEN' });
+  });
+
+  it('takes the token role from the user record', async () => {
+    const { tokens } = await service.createSession(user);
+    expect(jwt.decode(tokens.token)).toMatchObject({ role: 'user', sid: stored._id });
+
+    user.role = 'admin';
+    const refreshed = await service.refresh(tokens.refreshToken);
+
+    expect(jwt.decode(refreshed.tokens.token)).toMatchObject({ role: 'admin', sid: stored._id });
+  });
+});
@@ -0,0 +1,99 @@
+// tests/Signer.test.js - Signers build, sign and submit through the mock RPC
+const { toB58, toB64, fromB64 } = require('@mysten/bcs');
+const { SuiClient } = require('@mysten/sui/client');
+const { Transaction, TransactionDataBuilder } = require('@mysten/sui/transactions');
+const { verifyTransactionSignature } = require('@mysten/sui/verify');
+const { startMockSuiRpc } = require('./helpers/mockSuiRpc');
+const { Signer, TestSigner } = require('../src/services/Signer');
+
+const digestOf = (seed) => toB58(Buffer.alloc(32, seed));
+const GAS_COIN = { objectId: `0x${'1'.repeat(64)}`, version: '1', digest: digestOf(1) };
+
+// Fully specified transaction, so building it needs no RPC lookups
+const buildTransfer = (recipient) => {
+  const tx = new Transaction();
+  tx.setGasBudget(10_000_000);
+  tx.setGasPrice(1000);
+  tx.setGasPayment([GAS_COIN]);
+  const [coin] = tx.splitCoins(tx.gas, [tx.pure.u64(1000)]);
+  tx.transferObjects([coin], tx.pure.address(recipient));
+  return tx;
+};
+
+describe('Signer', () => {
+  let rpc;
+  let client;
+
+  beforeAll(async () => {
+    rpc = await startMockSuiRpc({
+      sui_executeTransactionBlock: ([bytes]) => ({
+        digest: digestOf(9),
+        rawTransaction: bytes,
+        effects: { status: { status: 'success' } }
+      })
+    });
+    client = new SuiClient({ url: rpc.url });
+  });
+
+  afterAll(async () => {
+    await rpc.close();
+  });
+
+  it('requires subclasses to implement signing', async () => {
+    await expect(new Signer().signTransaction(new Uint8Array())).rejects.toThrow('not implemented');
+  });
+
+  it('submits bytes signed by the sender', async () => {
+    const signer = new TestSigner();
+    const sender = await signer.getAddress();
+
+    const result = await signer.signAndExecute(client, buildTransfer(`0x${'2'.repeat(64)}`), { showEffects: true });
+
+    expect(result.effects.status.status).toBe('success');
+    expect(signer.signedTransactions).toHaveLength(1);
+
+    const [bytes, [signature]] = rpc.calls.find(call => call.method === 'sui_executeTransactionBlock').params;
+    expect(bytes).toBe(toB64(signer.signedTransactions[0]));
+    const publicKey = await verifyTransactionSignature(fromB64(bytes), signature);
+    expect(publicKey.toSuiAddress()).toBe(sender);
+  });
+
+  it('reports the digest before submitting', async () => {
+    const signer = new TestSigner();
+    rpc.calls.length = 0;
+    const onSigned = jest.fn(async () => {
+      expect(rpc.calls).toHaveLength(0);
+    });
+
+    await signer.signAndExecute(client, buildTransfer(`0x${'2'.repeat(64)}`), {}, { onSigned });
+
+    expect(onSigned).toHaveBeenCalledWith(TransactionDataBuilder.getDigestFromBytes(signer.signedTransactions[0]));
+    expect(rpc.calls.filter(call => call.method === 'sui_executeTransactionBlock')).toHaveLength(1);
+  });
+
+  it('does not submit when recording the digest fails', async () => {
+    const signer = new TestSigner();
+    rpc.calls.length = 0;
+
+    await expect(signer.signAndExecute(client, buildTransfer(`0x${'2'.repeat(64)}`), {}, {
+      onSigned: async () => { throw new Error('database unavailable'); }
+    })).rejects.toThrow('database unavailable');
+
+    expect(rpc.calls).toHaveLength(0);
+  });
+
+  it('adds the sponsor signature to sponsored transactions', async () => {
+    const signer = new TestSigner();
+    const sponsor = new TestSigner();
+    rpc.calls.length = 0;
+
+    await signer.signAndExecuteSponsored(client, buildTransfer(`0x${'2'.repeat(64)}`), sponsor);
+
+    const [bytes, signatures] = rpc.calls.find(call => call.method === 'sui_executeTransactionBlock').params;
+    expect(signatures).toHaveLength(2);
+    expect(sponsor.signedTransactions[0]).toEqual(signer.signedTransactions[0]);
+
+    const signers = await Promise.all(signatures.map(signature => verifyTransactionSignature(fromB64(bytes), signature)));
+    expect(signers.map(key => key.toSuiAddress())).toEqual([await signer.getAddress(), await sponsor.getAddress()]);
+  });
+});
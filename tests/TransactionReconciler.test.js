@@ -0,0 +1,192 @@
+// tests/TransactionReconciler.test.js - Reconciler against a local mock Sui RPC
+const { toB58 } = require('@mysten/bcs');
+const { startMockSuiRpc } = require('./helpers/mockSuiRpc');
+const { Transaction, TreasureDiscovery } = require('../src/models');
+const SuiService = require('../src/services/SuiService');
+const TransactionReconciler = require('../src/services/TransactionReconciler');
+
+const CONFIRMED = toB58(Buffer.alloc(32, 1));
+const FAILED = toB58(Buffer.alloc(32, 2));
+const MISSING = toB58(Buffer.alloc(32, 3));
+const UNAVAILABLE = toB58(Buffer.alloc(32, 4));
+
+const executedTransaction = (digest, status, error) => ({
+  digest,
+  checkpoint: '1234',
+  timestampMs: '1750000000000',
+  effects: {
+    status: error ? { status, error } : { status },
+    gasUsed: { computationCost: '1000', storageCost: '2000', storageRebate: '500', nonRefundableStorageFee: '0' }
+  },
+  events: [{ type: '0x1::treasure_nft::TreasureFound', parsedJson: { digest } }]
+});
+
+const queryResult = (docs) => ({
+  sort: () => ({ limit: async () => docs })
+});
+
+describe('TransactionReconciler', () => {
+  let rpc;
+  let reconciler;
+
+  beforeAll(async () => {
+    rpc = await startMockSuiRpc({
+      sui_getTransactionBlock: ([digest]) => {
+        if (digest === CONFIRMED) return executedTransaction(digest, 'success');
+        if (digest === FAILED) return executedTransaction(digest, 'failure', 'InsufficientGas');
+        if (digest === UNAVAILABLE) throw { code: -32000, message: 'Internal error: request timed out' };
+        throw { code: -32602, message: `Could not find the referenced transaction [TransactionDigest(${digest})].` };
+      }
+    });
+    process.env.SUI_RPC_URL = rpc.url;
+  });
+
+  afterAll(async () => {
+    delete process.env.SUI_RPC_URL;
+    await rpc.close();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Transaction.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(TreasureDiscovery.prototype, 'save').mockImplementation(async function() { return this; });
+    reconciler = new TransactionReconciler({ suiService: new SuiService('testnet'), maxAttempts: 3 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const pendingTransaction = (digest) => new Transaction({
+    userId: 'user-1',
+    digest,
+    type: 'transfer',
+    amount: 1000,
+    status: 'pending'
+  });
+
+  const pendingDiscovery = (digest) => new TreasureDiscovery({
+    userId: 'user-1',
+    treasureId: 'treasure-1',
+    nftObjectId: `0x${'a'.repeat(64)}`,
+    transactionDigest: digest,
+    locationProof: {},
+    status: 'pending'
+  });
+
+  it('marks transactions confirmed or failed from their on-chain effects', async () => {
+    const confirmed = pendingTransaction(CONFIRMED);
+    const failed = pendingTransaction(FAILED);
+    jest.spyOn(Transaction, 'find').mockReturnValue(queryResult([confirmed, failed]));
+    jest.spyOn(TreasureDiscovery, 'find').mockReturnValue(queryResult([]));
+
+    const summary = await reconciler.runOnce();
+
+    expect(summary.transactions).toEqual({ checked: 2, confirmed: 1, failed: 1, stillPending: 0 });
+    expect(confirmed.status).toBe('success');
+    expect(confirmed.gasUsed).toBe(2500);
+    expect(confirmed.blockHeight).toBe(1234);
+    expect(failed.status).toBe('failed');
+    expect(failed.metadata.get('reconciliation')).toMatchObject({ result: 'failed', reason: 'InsufficientGas' });
+  });
+
+  it('keeps digests the node does not know as pending until attempts run out', async () => {
+    const missing = pendingTransaction(MISSING);
+    jest.spyOn(Transaction, 'find').mockReturnValue(queryResult([missing]));
+    jest.spyOn(TreasureDiscovery, 'find').mockReturnValue(queryResult([]));
+
+    let summary = await reconciler.runOnce();
+    expect(summary.transactions.stillPending).toBe(1);
+    expect(missing.status).toBe('pending');
+    expect(missing.metadata.get('reconcileAttempts')).toBe(1);
+
+    await reconciler.runOnce();
+    summary = await reconciler.runOnce();
+
+    expect(summary.transactions.failed).toBe(1);
+    expect(missing.status).toBe('failed');
+    expect(missing.metadata.get('reconciliation')).toMatchObject({ result: 'failed', reason: expect.stringContaining('Could not find') });
+  });
+
+  it('does not count RPC errors towards the attempt limit', async () => {
+    const transaction = pendingTransaction(UNAVAILABLE);
+    const discovery = pendingDiscovery(UNAVAILABLE);
+    jest.spyOn(Transaction, 'find').mockReturnValue(queryResult([transaction]));
+    jest.spyOn(TreasureDiscovery, 'find').mockReturnValue(queryResult([discovery]));
+
+    for (let run = 0; run < 5; run++) {
+      const summary = await reconciler.runOnce();
+      expect(summary.transactions.stillPending).toBe(1);
+      expect(summary.discoveries.stillPending).toBe(1);
+    }
+
+    expect(transaction.status).toBe('pending');
+    expect(transaction.metadata.get('reconcileAttempts')).toBeUndefined();
+    expect(discovery.status).toBe('pending');
+    expect(Transaction.prototype.save).not.toHaveBeenCalled();
+    expect(TreasureDiscovery.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('leaves everything pending while the node is unreachable', async () => {
+    const closed = await startMockSuiRpc();
+    await closed.close();
+    process.env.SUI_RPC_URL = closed.url;
+    const offline = new TransactionReconciler({ suiService: new SuiService('testnet'), maxAttempts: 1 });
+    process.env.SUI_RPC_URL = rpc.url;
+
+    const transaction = pendingTransaction(MISSING);
+    jest.spyOn(Transaction, 'find').mockReturnValue(queryResult([transaction]));
+    jest.spyOn(TreasureDiscovery, 'find').mockReturnValue(queryResult([]));
+
+    const summary = await offline.runOnce();
+
+    expect(summary.transactions).toEqual({ checked: 1, confirmed: 0, failed: 0, stillPending: 1 });
+    expect(transaction.status).toBe('pending');
+  });
+
+  it('finishes or unlocks NFT gifts whose response was lost', async () => {
+    const nftTransferService = { completeTransfer: jest.fn(), releaseTransfer: jest.fn() };
+    reconciler = new TransactionReconciler({ suiService: new SuiService('testnet'), nftTransferService, maxAttempts: 1 });
+    const gift = (digest) => new Transaction({
+      userId: 'user-1',
+      digest,
+      type: 'nft_transfer',
+      amount: 0,
+      status: 'pending',
+      metadata: { discoveryId: 'discovery-1' }
+    });
+    const [landed, failed, missing] = [gift(CONFIRMED), gift(FAILED), gift(MISSING)];
+    jest.spyOn(Transaction, 'find').mockReturnValue(queryResult([landed, failed, missing]));
+    jest.spyOn(TreasureDiscovery, 'find').mockReturnValue(queryResult([]));
+
+    await reconciler.runOnce();
+
+    expect(nftTransferService.completeTransfer.mock.calls).toEqual([[landed]]);
+    expect(nftTransferService.releaseTransfer.mock.calls).toEqual([[failed], [missing]]);
+  });
+
+  it('reconciles discoveries, including legacy ones without a status', async () => {
+    const confirmed = pendingDiscovery(CONFIRMED);
+    const failed = pendingDiscovery(FAILED);
+    const find = jest.spyOn(TreasureDiscovery, 'find').mockReturnValue(queryResult([confirmed, failed]));
+    jest.spyOn(Transaction, 'find').mockReturnValue(queryResult([]));
+
+    const summary = await reconciler.runOnce();
+
+    expect(find.mock.calls[0][0].$or).toEqual([{ status: 'pending' }, { status: { $exists: false } }]);
+    expect(summary.discoveries).toEqual({ checked: 2, confirmed: 1, failed: 1, stillPending: 0 });
+    expect(confirmed.status).toBe('confirmed');
+    expect(confirmed.verificationData).toMatchObject({ blockHeight: 1234, gasUsed: 2500 });
+    expect(failed.status).toBe('failed');
+  });
+
+  it('looks every digest up on the RPC', async () => {
+    jest.spyOn(Transaction, 'find').mockReturnValue(queryResult([pendingTransaction(CONFIRMED)]));
+    jest.spyOn(TreasureDiscovery, 'find').mockReturnValue(queryResult([pendingDiscovery(FAILED)]));
+    rpc.calls.length = 0;
+
+    await reconciler.runOnce();
+
+    const digests = rpc.calls.filter(call => call.method === 'sui_getTransactionBlock').map(call => call.params[0]);
+    expect(digests.sort()).toEqual([CONFIRMED, FAILED].sort());
+  });
+});
@@ -0,0 +1,79 @@
+// tests/TreasureRegistrySync.test.js - Treasures missing from the registry stop being discoverable
+const { Treasure } = require('../src/models');
+const TreasureRegistrySync = require('../src/services/TreasureRegistrySync');
+
+const entry = (treasureId) => ({
+  treasureId,
+  name: `Treasure ${treasureId}`,
+  description: '',
+  imageUrl: '',
+  rarity: 1,
+  rewardPoints: 100,
+  requiredRank: 1,
+  latitude: 51.5,
+  longitude: -0.12,
+  location: 'London'
+});
+
+describe('TreasureRegistrySync', () => {
+  let onChain;
+  let sync;
+  let missing;
+
+  beforeEach(() => {
+    onChain = [];
+    sync = new TreasureRegistrySync({ suiService: { fetchRegistryTreasures: jest.fn(async () => onChain) } });
+
+    missing = new Treasure({ treasureId: 'gone', name: 'Gone', rarity: 1, registrySyncedAt: new Date('2026-01-01') });
+    missing.location = { type: 'Point', coordinates: [-0.12, 51.5] };
+
+    jest.spyOn(Treasure, 'findOne').mockImplementation(async ({ treasureId }) => (treasureId === 'gone' ? missing : null));
+    jest.spyOn(Treasure, 'find').mockImplementation(async (filter) => (
+      missing.isActive && (missing.registrySyncedAt || missing.missingFromRegistryAt) &&
+        !filter.treasureId.$nin.includes(missing.treasureId) ? [missing] : []
+    ));
+    jest.spyOn(Treasure.prototype, 'save').mockImplementation(async function() { return this; });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('clears registrySyncedAt for missing treasures without deactivating them', async () => {
+    const report = await sync.sync();
+
+    expect(report.missingFromRegistry).toEqual(['gone']);
+    expect(report.deactivated).toEqual([]);
+    expect(missing.isActive).toBe(true);
+    expect(missing.registrySyncedAt).toBeNull();
+    expect(missing.missingFromRegistryAt).toEqual(report.startedAt);
+  });
+
+  it('keeps reporting the treasure, and can still deactivate it, on later syncs', async () => {
+    const first = await sync.sync();
+    const second = await sync.sync({ deactivateMissing: true });
+
+    expect(second.missingFromRegistry).toEqual(['gone']);
+    expect(second.deactivated).toEqual(['gone']);
+    expect(missing.isActive).toBe(false);
+    expect(missing.missingFromRegistryAt).toEqual(first.startedAt);
+  });
+
+  it('changes nothing on a dry run', async () => {
+    const report = await sync.sync({ dryRun: true });
+
+    expect(report.missingFromRegistry).toEqual(['gone']);
+    expect(missing.registrySyncedAt).toEqual(new Date('2026-01-01'));
+    expect(Treasure.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('makes the treasure discoverable again when it is back in the registry', async () => {
+    await sync.sync();
+    onChain = [entry('gone')];
+
+    await sync.sync();
+
+    expect(missing.registrySyncedAt).toBeInstanceOf(Date);
+    expect(missing.missingFromRegistryAt).toBeNull();
+  });
+});
@@ -0,0 +1,68 @@
+// tests/WalletExportService.test.js - Export confirmation tokens only travel by email
+const nodemailer = require('nodemailer');
+const { User, AuthSession, WalletExport } = require('../src/models');
+const Mailer = require('../src/services/Mailer');
+const WalletExportService = require('../src/services/WalletExportService');
+
+describe('WalletExportService.requestExport', () => {
+  let user;
+  let sent;
+  let service;
+
+  beforeEach(() => {
+    user = new User({
+      username: 'hunter_one',
+      email: 'hunter@example.com',
+      suiAddress: `0x${'b'.repeat(64)}`,
+      encryptedPrivateKey: 'encrypted'
+    });
+    sent = [];
+
+    const transport = nodemailer.createTransport({ jsonTransport: true });
+    const sendMail = transport.sendMail.bind(transport);
+    transport.sendMail = async (message) => {
+      sent.push(message);
+      return sendMail(message);
+    };
+    service = new WalletExportService({ mailer: new Mailer({ transport, from: 'no-reply@example.com' }) });
+
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user });
+    jest.spyOn(AuthSession, 'findById').mockReturnValue({ select: async () => ({ createdAt: new Date() }) });
+    jest.spyOn(WalletExport, 'findOne').mockResolvedValue(null);
+    jest.spyOn(WalletExport, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(WalletExport.prototype, 'save').mockImplementation(async function() { return this; });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('emails the token and returns only the export', async () => {
+    const walletExport = await service.requestExport(user, { method: 'reveal_key', sessionId: 'session-1' });
+
+    expect(walletExport).toBeInstanceOf(WalletExport);
+    expect(sent).toHaveLength(1);
+    expect(sent[0].to).toBe('hunter@example.com');
+
+    const token = sent[0].text.match(/^[0-9a-f]{48}$/m)[0];
+    expect(walletExport.confirmationTokenHash).toBe(service.hashToken(token));
+    expect(JSON.stringify(walletExport.toObject())).not.toContain(token);
+  });
+
+  it('drops the export when the email cannot be delivered', async () => {
+    service = new WalletExportService({
+      mailer: new Mailer({ transport: { sendMail: async () => { throw new Error('connection refused'); } }, from: 'x@example.com' })
+    });
+
+    await expect(service.requestExport(user, { method: 'reveal_key', sessionId: 'session-1' }))
+      .rejects.toMatchObject({ statusCode: 503, code: 'MAIL_DELIVERY_FAILED' });
+    expect(WalletExport.deleteOne).toHaveBeenCalled();
+  });
+
+  it('refuses exports when no mail transport is configured', async () => {
+    service = new WalletExportService({ mailer: new Mailer({ host: '', from: '' }) });
+
+    await expect(service.requestExport(user, { method: 'reveal_key', sessionId: 'session-1' }))
+      .rejects.toMatchObject({ code: 'MAIL_NOT_CONFIGURED' });
+  });
+});
@@ -0,0 +1,83 @@
+// tests/authLogin.test.js - Password login must not open sessions for wallet-only accounts
+const express = require('express');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const { User, HunterProfile } = require('../src/models');
+const SessionService = require('../src/services/SessionService');
+const SuiService = require('../src/services/SuiService');
+const authRoutes = require('../src/routes/auth');
+
+const ADDRESS = `0x${'b'.repeat(64)}`;
+
+describe('POST /auth/login', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/auth', authRoutes);
+  });
+
+  beforeEach(() => {
+    jest.spyOn(User.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(HunterProfile, 'findOne').mockResolvedValue(null);
+    jest.spyOn(SuiService.prototype, 'getBalance').mockResolvedValue('0');
+    jest.spyOn(SessionService.prototype, 'createSession').mockResolvedValue({
+      tokens: { token: 'access', refreshToken: 'session.refresh' }
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const findUser = (user) => jest.spyOn(User, 'findOne').mockReturnValue({ select: async () => user });
+
+  const walletUser = () => new User({
+    username: 'wallet_hunter',
+    email: 'wallet@example.com',
+    suiAddress: ADDRESS,
+    encryptedPrivateKey: 'encrypted',
+    signUpMethod: 'wallet',
+    linkedWallets: [{ address: `0x${'c'.repeat(64)}` }]
+  });
+
+  it('refuses a wallet-created account without a signature', async () => {
+    findUser(walletUser());
+
+    const res = await request(app).post('/auth/login').send({ email: 'wallet@example.com' });
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('WALLET_SIGNIN_REQUIRED');
+    expect(SessionService.prototype.createSession).not.toHaveBeenCalled();
+  });
+
+  it('refuses a passwordless account that has linked wallets, even with a password guess', async () => {
+    const user = walletUser();
+    user.signUpMethod = 'email';
+    findUser(user);
+
+    const res = await request(app).post('/auth/login').send({ email: 'wallet@example.com', password: 'anything' });
+
+    expect(res.status).toBe(401);
+    expect(SessionService.prototype.createSession).not.toHaveBeenCalled();
+  });
+
+  it('checks the password of password accounts', async () => {
+    const user = new User({
+      username: 'email_hunter',
+      email: 'email@example.com',
+      suiAddress: ADDRESS,
+      encryptedPrivateKey: 'encrypted',
+      password: await bcrypt.hash('correct horse', 4)
+    });
+    findUser(user);
+
+    const wrong = await request(app).post('/auth/login').send({ email: 'email@example.com', password: 'wrong' });
+    expect(wrong.status).toBe(401);
+
+    const right = await request(app).post('/auth/login').send({ email: 'email@example.com', password: 'correct horse' });
+    expect(right.status).toBe(200);
+    expect(right.body.data.token).toBe('access');
+  });
+});
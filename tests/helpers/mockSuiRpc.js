@@ -0,0 +1,43 @@
+// tests/helpers/mockSuiRpc.js - Local JSON-RPC stand-in for a Sui fullnode
+const http = require('http');
+
+/**
+ * Start a mock RPC on a random local port. `handlers` maps RPC method names to
+ * functions (params) => result; throwing { code, message } returns a JSON-RPC error.
+ */
+async function startMockSuiRpc(handlers = {}) {
+  const calls = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const request = JSON.parse(body);
+      calls.push({ method: request.method, params: request.params });
+
+      let payload;
+      try {
+        const handler = handlers[request.method];
+        if (!handler) {
+          throw { code: -32601, message: `Method not found: ${request.method}` };
+        }
+        payload = { jsonrpc: '2.0', id: request.id, result: handler(request.params) };
+      } catch (error) {
+        payload = { jsonrpc: '2.0', id: request.id, error: { code: error.code || -32000, message: error.message } };
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    calls,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = { startMockSuiRpc };
@@ -0,0 +1,119 @@
+// tests/rotateEncryptionKeys.test.js - Stored wallet and NFC keys move to the active key
+jest.mock('../src/database/connection', () => ({
+  connect: jest.fn(async () => {}),
+  disconnect: jest.fn(async () => {})
+}));
+
+const CryptoJS = require('crypto-js');
+const { Ed25519Keypair } = require('@mysten/sui/keypairs/ed25519');
+const { User, NfcTag } = require('../src/models');
+const KeyVault = require('../src/services/KeyVault');
+const rotateEncryptionKeys = require('../src/scripts/rotateEncryptionKeys');
+
+const MASTER_KEY = process.env.ENCRYPTION_MASTER_KEY;
+
+// Mongoose query stand-in: find().select().cursor() yields the given documents
+const cursorOf = (docs) => ({
+  select: () => ({
+    cursor: async function* () {
+      yield* docs;
+    }
+  })
+});
+
+describe('rotateEncryptionKeys', () => {
+  let oldVault;
+  let newVault;
+  let keypair;
+  let users;
+  let tags;
+
+  beforeEach(() => {
+    process.env.ENCRYPTION_KEYS = '2025-06:old-secret,2026-01:new-secret';
+    oldVault = new KeyVault({ masterKey: MASTER_KEY, keys: '2025-06:old-secret' });
+    newVault = new KeyVault();
+    keypair = new Ed25519Keypair();
+
+    users = [
+      { _id: 'old', username: 'old', encryptedPrivateKey: oldVault.encrypt(keypair.getSecretKey()) },
+      { _id: 'current', username: 'current', encryptedPrivateKey: newVault.encrypt(keypair.getSecretKey()) },
+      {
+        _id: 'legacy',
+        username: 'legacy',
+        suiAddress: keypair.getPublicKey().toSuiAddress(),
+        encryptedPrivateKey: CryptoJS.AES.encrypt(keypair.getSecretKey(), MASTER_KEY).toString()
+      },
+      {
+        _id: 'mismatch',
+        username: 'mismatch',
+        suiAddress: `0x${'a'.repeat(64)}`,
+        encryptedPrivateKey: CryptoJS.AES.encrypt(keypair.getSecretKey(), MASTER_KEY).toString()
+      }
+    ];
+    tags = [{
+      _id: 'tag-1',
+      uid: '04A1B2C3D4E5F6',
+      encryptedMetaReadKey: oldVault.encrypt('00112233445566778899aabbccddeeff'),
+      encryptedFileReadKey: newVault.encrypt('ffeeddccbbaa99887766554433221100')
+    }];
+
+    jest.spyOn(User, 'find').mockImplementation(() => cursorOf(users));
+    jest.spyOn(NfcTag, 'find').mockImplementation(() => cursorOf(tags));
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(NfcTag, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete process.env.ENCRYPTION_KEYS;
+    jest.restoreAllMocks();
+  });
+
+  it('rewraps old and legacy keys, and skips keys already on the active key', async () => {
+    const report = await rotateEncryptionKeys([]);
+
+    expect(report.activeKeyId).toBe('2026-01');
+    expect(report.keyIdsBefore).toEqual({ '2025-06': 1, '2026-01': 1, legacy: 2 });
+    expect(report.users).toMatchObject({ scanned: 4, rotated: 2, current: 1 });
+    expect(report.nfcTags).toMatchObject({ scanned: 1, rotated: 1, current: 0 });
+
+    const updates = Object.fromEntries(User.updateOne.mock.calls.map(([filter, update]) => [filter._id, update.$set.encryptedPrivateKey]));
+    expect(Object.keys(updates)).toEqual(['old', 'legacy']);
+    for (const rotated of Object.values(updates)) {
+      expect(newVault.keyIdOf(rotated)).toBe('2026-01');
+      expect(newVault.decrypt(rotated)).toBe(keypair.getSecretKey());
+    }
+
+    const [tagFilter, tagUpdate] = NfcTag.updateOne.mock.calls[0];
+    expect(tagFilter).toMatchObject({ _id: 'tag-1', encryptedMetaReadKey: tags[0].encryptedMetaReadKey });
+    expect(newVault.decrypt(tagUpdate.$set.encryptedMetaReadKey)).toBe('00112233445566778899aabbccddeeff');
+    expect(tagUpdate.$set.encryptedFileReadKey).toBe(tags[0].encryptedFileReadKey);
+  });
+
+  it('fails a legacy key that does not belong to the wallet address', async () => {
+    const report = await rotateEncryptionKeys([]);
+
+    expect(report.users.failed).toEqual([
+      expect.objectContaining({ id: 'mismatch', error: 'Decrypted key does not match the wallet address' })
+    ]);
+  });
+
+  it('reports keys that changed during rotation instead of overwriting them', async () => {
+    User.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+    const report = await rotateEncryptionKeys([]);
+
+    expect(User.updateOne.mock.calls[0][0]).toEqual({ _id: 'old', encryptedPrivateKey: users[0].encryptedPrivateKey });
+    expect(report.users.rotated).toBe(0);
+    expect(report.users.failed.map(item => item.id)).toEqual(['old', 'legacy', 'mismatch']);
+  });
+
+  it('writes nothing on a dry run', async () => {
+    const report = await rotateEncryptionKeys(['--dry-run']);
+
+    expect(report.users.rotated).toBe(2);
+    expect(User.updateOne).not.toHaveBeenCalled();
+    expect(NfcTag.updateOne).not.toHaveBeenCalled();
+  });
+});
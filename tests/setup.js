@@ -0,0 +1,15 @@
+// tests/setup.js - Environment shared by every test file
+process.env.SUI_PACKAGE_ID = process.env.SUI_PACKAGE_ID || '0x1';
+process.env.ENCRYPTION_MASTER_KEY = process.env.ENCRYPTION_MASTER_KEY || 'test-master-key';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+// Keep winston from writing log files during tests
+jest.mock('../src/utils/logger', () => {
+  const logger = {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  };
+  return { ...logger, logger, logError: jest.fn(), logSecurityEvent: jest.fn(), logAudit: jest.fn() };
+});
@@ -0,0 +1,86 @@
+// tests/walletTransfer.test.js - SUI transfers keep the signed digest when the response is lost
+jest.mock('../src/middleware/auth', () => ({
+  auth: (req, res, next) => {
+    req.user = { userId: 'user-1' };
+    next();
+  },
+  adminAuth: (req, res, next) => next(),
+  optionalAuth: (req, res, next) => next()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { User, Transaction } = require('../src/models');
+const SuiService = require('../src/services/SuiService');
+const walletRoutes = require('../src/routes/wallet');
+
+const FROM = `0x${'a'.repeat(64)}`;
+const TO = `0x${'b'.repeat(64)}`;
+const DIGEST = 'D'.repeat(44);
+
+describe('POST /wallet/transfer', () => {
+  let app;
+  let saved;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/wallet', walletRoutes);
+  });
+
+  beforeEach(() => {
+    saved = [];
+    jest.spyOn(User, 'findById').mockResolvedValue(new User({
+      username: 'sender',
+      email: 'sender@example.com',
+      suiAddress: FROM,
+      encryptedPrivateKey: 'encrypted'
+    }));
+    jest.spyOn(SuiService.prototype, 'getBalance').mockResolvedValue('10000000000');
+    jest.spyOn(SuiService.prototype, 'signerFor').mockReturnValue('signer');
+    jest.spyOn(Transaction.prototype, 'save').mockImplementation(async function() {
+      saved.push({ digest: this.digest, status: this.status });
+      return this;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const transfer = () => request(app).post('/wallet/transfer').send({ toAddress: TO, amount: 1 });
+
+  it('gives each transfer its own placeholder digest', async () => {
+    jest.spyOn(SuiService.prototype, 'transferSui').mockRejectedValue(new Error('Insufficient SUI balance'));
+
+    await transfer();
+    await transfer();
+
+    const placeholders = saved.filter(record => record.status === 'pending').map(record => record.digest);
+    expect(placeholders).toHaveLength(2);
+    expect(placeholders[0]).toMatch(/^pending_transfer_/);
+    expect(placeholders[0]).not.toBe(placeholders[1]);
+  });
+
+  it('marks a transfer failed when it was never signed', async () => {
+    jest.spyOn(SuiService.prototype, 'transferSui').mockRejectedValue(new Error('Insufficient SUI balance'));
+
+    const response = await transfer();
+
+    expect(response.status).toBe(400);
+    expect(saved.at(-1).status).toBe('failed');
+  });
+
+  it('leaves a signed transfer pending under its real digest when the response is lost', async () => {
+    jest.spyOn(SuiService.prototype, 'transferSui').mockImplementation(async (signer, to, amount, { onSigned }) => {
+      await onSigned(DIGEST);
+      throw new Error('socket hang up');
+    });
+
+    const response = await transfer();
+
+    expect(response.status).toBe(202);
+    expect(response.body.data).toMatchObject({ transactionDigest: DIGEST, status: 'pending' });
+    expect(saved.at(-1)).toEqual({ digest: DIGEST, status: 'pending' });
+  });
+});